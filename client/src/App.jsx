@@ -7,6 +7,8 @@ import Dashboard from './pages/Dashboard';
 import CreateTicket from './pages/CreateTicket';
 import TicketDetails from './pages/TicketDetails';
 import TicketList from './pages/TicketList';
+import SearchResults from './pages/SearchResults';
+import LaunchCalendar from './pages/LaunchCalendar';
 import DraftsView from './pages/DraftsView';
 import PMOPSDashboard from './pages/PMOPSDashboard';
 import AdminDashboard from './pages/AdminDashboard';
@@ -73,6 +75,8 @@ function App() {
           </ProtectedRoute>
         } />
         <Route path="tickets/:id" element={<TicketDetails />} />
+        <Route path="search" element={<SearchResults />} />
+        <Route path="launch-calendar" element={<LaunchCalendar />} />
         <Route path="pm-ops" element={
           <ProtectedRoute allowedRoles={['PM_OPS', 'ADMIN']}>
             <PMOPSDashboard />
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { CheckBadgeIcon, CheckIcon, XMarkIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+
+const STATUS_STYLES = {
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+  PENDING: 'bg-gray-100 text-gray-700'
+};
+
+/**
+ * Approvals Panel Component
+ * Shows the sign-off stages required before the configured status (e.g. NPDI
+ * Initiated) and lets approvers for a stage approve or reject it.
+ * Renders nothing when approvals are disabled in System Settings.
+ */
+const ApprovalsPanel = ({ ticket, onTicketUpdate }) => {
+  const [approvals, setApprovals] = useState(null);
+  const [activeStage, setActiveStage] = useState(null);
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchApprovals();
+  }, [ticket._id, ticket.status]);
+
+  const fetchApprovals = async () => {
+    try {
+      const response = await productAPI.getApprovals(ticket._id);
+      setApprovals(response.data);
+    } catch (error) {
+      console.error('Failed to fetch approvals:', error);
+    }
+  };
+
+  const handleDecision = async (stage, decision) => {
+    if (decision === 'REJECTED' && !comment.trim()) {
+      toast.error('Please add a comment explaining the rejection');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await productAPI.decideApproval(ticket._id, stage.key, { decision, comment: comment.trim() });
+      toast.success(response.data.message);
+      setActiveStage(null);
+      setComment('');
+      fetchApprovals();
+      if (onTicketUpdate) onTicketUpdate();
+    } catch (error) {
+      console.error('Failed to record approval:', error);
+      toast.error(error.response?.data?.message || 'Failed to record approval');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!approvals?.enabled || approvals.stages.length === 0) return null;
+
+  const openForDecision = ['SUBMITTED', 'IN_PROCESS'].includes(ticket.status);
+  const approvedCount = approvals.stages.filter(stage => stage.status === 'APPROVED').length;
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <CheckBadgeIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Approvals
+          <span className="ml-2 text-sm text-gray-500">({approvedCount}/{approvals.stages.length})</span>
+        </h3>
+        <span className={`text-xs font-medium ${approvals.complete ? 'text-green-700' : 'text-gray-500'}`}>
+          {approvals.complete
+            ? 'All sign-offs complete'
+            : `Required before ${approvals.requiredForStatus.replace(/_/g, ' ')}${approvals.sequential ? ' · in order' : ''}`}
+        </span>
+      </div>
+      <div className="card-body">
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {approvals.stages.map(stage => {
+            const canAct = stage.canDecide && openForDecision && !stage.waiting && stage.status !== 'APPROVED';
+            return (
+              <div key={stage.key} className="px-3 py-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <span className="font-medium text-gray-900">{stage.label}</span>
+                    <span className="text-xs text-gray-500"> · {stage.approverRole}</span>
+                    {stage.decision && (
+                      <div className="text-xs text-gray-500">
+                        {stage.decision.userInfo?.firstName} {stage.decision.userInfo?.lastName}
+                        {stage.decision.decidedAt && ` · ${new Date(stage.decision.decidedAt).toLocaleString()}`}
+                        {stage.decision.comment && <span className="text-gray-700"> · “{stage.decision.comment}”</span>}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-3 flex-shrink-0 ml-3">
+                    {stage.waiting && stage.status !== 'APPROVED' && (
+                      <span className="flex items-center text-xs text-gray-500" title="Waiting for earlier stages">
+                        <ClockIcon className="h-4 w-4 mr-1" />
+                        Waiting
+                      </span>
+                    )}
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[stage.status]}`}>
+                      {stage.status}
+                    </span>
+                    {canAct && activeStage !== stage.key && (
+                      <button
+                        onClick={() => { setActiveStage(stage.key); setComment(''); }}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        Sign Off
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {activeStage === stage.key && (
+                  <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+                    <textarea
+                      value={comment}
+                      onChange={(e) => setComment(e.target.value)}
+                      rows={2}
+                      className="form-input w-full text-sm"
+                      placeholder="Comment (required to reject)"
+                    />
+                    <div className="flex justify-end space-x-2">
+                      <button type="button" onClick={() => setActiveStage(null)} className="btn btn-secondary text-sm">
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => handleDecision(stage, 'REJECTED')}
+                        className="btn btn-danger text-sm flex items-center"
+                      >
+                        <XMarkIcon className="h-4 w-4 mr-1" />
+                        Reject
+                      </button>
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => handleDecision(stage, 'APPROVED')}
+                        className="btn btn-primary text-sm flex items-center"
+                      >
+                        <CheckIcon className="h-4 w-4 mr-1" />
+                        Approve
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalsPanel;
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import {
+  PaperClipIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+
+const CATEGORY_LABELS = {
+  COA: 'CoA',
+  SDS: 'SDS',
+  SPEC: 'Spec Sheet',
+  OTHER: 'Other'
+};
+
+const CATEGORY_COLORS = {
+  COA: 'bg-green-100 text-green-800',
+  SDS: 'bg-red-100 text-red-800',
+  SPEC: 'bg-blue-100 text-blue-800',
+  OTHER: 'bg-gray-100 text-gray-800'
+};
+
+const ACCEPTED_TYPES = '.pdf,.png,.jpg,.jpeg,.gif,.tif,.tiff,.doc,.docx,.xls,.xlsx,.csv,.txt,.mol,.sdf,.cdx,.cdxml';
+
+const formatSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Attachments Panel Component
+ * Documents attached to the ticket (CoAs, SDSs, spec sheets, structure files),
+ * stored on the server in GridFS. Upload and delete follow the role's
+ * attachments privilege.
+ */
+const AttachmentsPanel = ({ ticket }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [canEdit, setCanEdit] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [forbidden, setForbidden] = useState(false);
+  const [files, setFiles] = useState([]);
+  const [category, setCategory] = useState('COA');
+  const [description, setDescription] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [ticket._id]);
+
+  const fetchAttachments = async () => {
+    try {
+      const response = await productAPI.getAttachments(ticket._id);
+      setAttachments(response.data.attachments || []);
+      setLimits(response.data.limits);
+      setCanEdit(response.data.canEdit);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        setForbidden(true);
+      } else {
+        console.error('Failed to fetch attachments:', error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFiles([]);
+    setDescription('');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (files.length === 0) {
+      toast.error('Choose at least one file');
+      return;
+    }
+    const tooLarge = limits && files.find(file => file.size > limits.fileSize);
+    if (tooLarge) {
+      toast.error(`${tooLarge.name} is larger than ${formatSize(limits.fileSize)}`);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const response = await productAPI.uploadAttachments(ticket._id, files, { category, description });
+      toast.success(response.data.message);
+      resetForm();
+      fetchAttachments();
+    } catch (error) {
+      console.error('Failed to upload attachments:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to upload attachments');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await productAPI.downloadAttachment(ticket._id, attachment._id);
+      const blob = new Blob([response.data], { type: attachment.contentType });
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      document.body.appendChild(link);
+      link.click();
+
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download attachment:', error);
+      toast.error('Failed to download attachment');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.filename}? This cannot be undone.`)) return;
+    try {
+      const response = await productAPI.deleteAttachment(ticket._id, attachment._id);
+      toast.success(response.data.message);
+      fetchAttachments();
+    } catch (error) {
+      console.error('Failed to delete attachment:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  };
+
+  if (forbidden) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <PaperClipIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Attachments
+          {attachments.length > 0 && (
+            <span className="ml-2 text-sm text-gray-500">({attachments.length})</span>
+          )}
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        {canEdit && (
+          <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Files</label>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={ACCEPTED_TYPES}
+                onChange={(e) => setFiles(Array.from(e.target.files || []))}
+                className="block w-full text-sm text-gray-700 file:mr-3 file:py-1.5 file:px-3 file:rounded file:border-0 file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select value={category} onChange={(e) => setCategory(e.target.value)} className="form-select w-full">
+                {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <button type="submit" disabled={uploading || files.length === 0} className="btn btn-primary w-full flex items-center justify-center">
+                <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+                {uploading ? 'Uploading...' : 'Upload'}
+              </button>
+            </div>
+            <div className="md:col-span-4">
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                className="form-input w-full"
+                placeholder="Description (optional), e.g. vendor lot 12345"
+              />
+              {limits && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Up to {limits.files} files at a time, {formatSize(limits.fileSize)} each. PDF, images, Office documents, CSV/TXT and structure files (MOL, SDF, CDX).
+                </p>
+              )}
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500 text-center py-4">Loading attachments...</p>
+        ) : attachments.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No attachments yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {attachments.map(attachment => (
+              <li key={attachment._id} className="px-4 py-3 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${CATEGORY_COLORS[attachment.category] || CATEGORY_COLORS.OTHER}`}>
+                      {CATEGORY_LABELS[attachment.category] || attachment.category}
+                    </span>
+                    <button
+                      onClick={() => handleDownload(attachment)}
+                      className="text-sm font-medium text-blue-600 hover:text-blue-800 truncate"
+                    >
+                      {attachment.filename}
+                    </button>
+                  </div>
+                  {attachment.description && (
+                    <p className="text-sm text-gray-700 mt-0.5">{attachment.description}</p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    {formatSize(attachment.size)} · {attachment.userInfo?.firstName} {attachment.userInfo?.lastName} · {new Date(attachment.uploadedAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3 flex-shrink-0 ml-4">
+                  <button onClick={() => handleDownload(attachment)} className="text-gray-400 hover:text-blue-600" title="Download">
+                    <ArrowDownTrayIcon className="h-5 w-5" />
+                  </button>
+                  {canEdit && (
+                    <button onClick={() => handleDelete(attachment)} className="text-gray-400 hover:text-red-600" title="Delete">
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentsPanel;
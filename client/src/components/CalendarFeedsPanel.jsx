@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  ClipboardDocumentIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import { calendarAPI } from '../services/api';
+import { formatDateOnly, formatTimeAgo } from '../utils/dateFormatters';
+
+const SBU_OPTIONS = ['775', 'P90', '440', 'P87', 'P89', 'P85'];
+
+/**
+ * Calendar Feeds Panel Component
+ * Creates and revokes the user's iCalendar subscriptions (Outlook, Google, Apple).
+ * The personal feed covers tickets the user created, is assigned to or watches;
+ * PMOps and admins can also subscribe to every ticket in an SBU. The server only
+ * keeps a hash of each token, so a feed URL is shown once, right after creating it.
+ */
+const CalendarFeedsPanel = ({ onClose }) => {
+  const [feeds, setFeeds] = useState([]);
+  const [canCreateSbuFeed, setCanCreateSbuFeed] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sbu, setSbu] = useState(SBU_OPTIONS[0]);
+  // { feedId, url } for the feed just created
+  const [newFeed, setNewFeed] = useState(null);
+
+  useEffect(() => {
+    fetchFeeds();
+  }, []);
+
+  const fetchFeeds = async () => {
+    try {
+      const response = await calendarAPI.getFeeds();
+      setFeeds(response.data.feeds || []);
+      setCanCreateSbuFeed(!!response.data.canCreateSbuFeed);
+    } catch (error) {
+      console.error('Failed to fetch calendar feeds:', error);
+      toast.error('Failed to load calendar feeds');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (data, existing) => {
+    if (existing && !window.confirm('Create a new URL? Calendars subscribed to the current one will stop updating.')) return;
+
+    setSaving(true);
+    try {
+      const response = await calendarAPI.createFeed(data);
+      setNewFeed({ feedId: response.data.feed._id, url: calendarAPI.getFeedUrl(response.data.token) });
+      fetchFeeds();
+    } catch (error) {
+      console.error('Failed to create calendar feed:', error);
+      toast.error(error.response?.data?.message || 'Failed to create calendar feed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (feed) => {
+    if (!window.confirm('Revoke this feed? Calendars subscribed to it will stop updating.')) return;
+
+    try {
+      await calendarAPI.revokeFeed(feed._id);
+      toast.success('Calendar feed revoked');
+      if (newFeed?.feedId === feed._id) setNewFeed(null);
+      fetchFeeds();
+    } catch (error) {
+      console.error('Failed to revoke calendar feed:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke calendar feed');
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(newFeed.url);
+      toast.success('Feed URL copied');
+    } catch (error) {
+      toast.error('Copy failed; select the URL and copy it manually');
+    }
+  };
+
+  const personalFeed = feeds.find(feed => feed.scope === 'PERSONAL');
+  const sbuFeeds = feeds.filter(feed => feed.scope === 'SBU');
+
+  const renderFeed = (feed, label, regenerate) => (
+    <div key={feed._id} className="space-y-2 rounded-md border border-gray-200 p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <p className="text-sm font-medium text-gray-900">{label}</p>
+          <p className="text-xs text-gray-500">
+            Token {feed.tokenPrefix}… · created {formatDateOnly(feed.createdAt)} · {feed.lastUsedAt ? `last synced ${formatTimeAgo(feed.lastUsedAt)}` : 'not synced yet'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button type="button" className="btn btn-secondary inline-flex items-center text-xs" disabled={saving} onClick={regenerate}>
+            <ArrowPathIcon className="mr-1 h-4 w-4" />
+            New URL
+          </button>
+          <button type="button" className="text-gray-400 hover:text-red-600" onClick={() => handleRevoke(feed)} title="Revoke feed">
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      {newFeed?.feedId === feed._id && (
+        <div className="space-y-2 rounded bg-blue-50 p-2">
+          <p className="text-xs text-blue-900">
+            Copy this URL now; it will not be shown again. In Outlook use <strong>Add calendar → Subscribe from web</strong>.
+          </p>
+          <div className="flex items-center gap-2">
+            <input type="text" readOnly className="form-input flex-1 font-mono text-xs" value={newFeed.url} onFocus={(e) => e.target.select()} />
+            <button type="button" className="btn btn-secondary inline-flex items-center text-xs" onClick={copyUrl}>
+              <ClipboardDocumentIcon className="mr-1 h-4 w-4" />
+              Copy
+            </button>
+            <a href={newFeed.url.replace(/^https?:/, 'webcal:')} className="btn btn-primary text-xs">
+              Subscribe
+            </a>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Calendar Feeds</h3>
+          <p className="text-sm text-gray-500">
+            Subscribe in Outlook or another calendar app to see target launch dates and milestone due dates. Events link back to the ticket.
+          </p>
+        </div>
+        {onClose && (
+          <button type="button" className="text-gray-400 hover:text-gray-600" onClick={onClose} title="Close">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        )}
+      </div>
+      <div className="card-body space-y-4">
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading feeds…</p>
+        ) : (
+          <>
+            <div className="space-y-2">
+              <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500">My tickets</h4>
+              <p className="text-xs text-gray-500">Tickets you created, are assigned to or watch.</p>
+              {personalFeed
+                ? renderFeed(personalFeed, 'Personal feed', () => handleCreate({ scope: 'PERSONAL' }, true))
+                : (
+                  <button type="button" className="btn btn-primary text-sm" disabled={saving} onClick={() => handleCreate({ scope: 'PERSONAL' })}>
+                    Create my feed
+                  </button>
+                )}
+            </div>
+
+            {canCreateSbuFeed && (
+              <div className="space-y-2">
+                <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500">SBU feeds</h4>
+                <p className="text-xs text-gray-500">Every open ticket in an SBU.</p>
+                {sbuFeeds.map(feed => renderFeed(feed, `SBU ${feed.sbu}`, () => handleCreate({ scope: 'SBU', sbu: feed.sbu }, true)))}
+                <div className="flex items-center gap-2">
+                  <select className="form-select text-sm" value={sbu} onChange={(e) => setSbu(e.target.value)}>
+                    {SBU_OPTIONS.map(option => <option key={option} value={option}>SBU {option}</option>)}
+                  </select>
+                  <button
+                    type="button"
+                    className="btn btn-secondary text-sm"
+                    disabled={saving}
+                    onClick={() => handleCreate({ scope: 'SBU', sbu }, sbuFeeds.some(feed => feed.sbu === sbu))}
+                  >
+                    Create SBU feed
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedsPanel;
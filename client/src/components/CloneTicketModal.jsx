@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { productAPI } from '../services/api';
+
+const CLONE_SECTIONS = [
+  { key: 'chemicalProperties', label: 'Chemical Properties', description: 'CAS, formula, physical state, storage and shipping' },
+  { key: 'hazardClassification', label: 'Hazard Classification', description: 'GHS class, signal word, hazard and precautionary statements' },
+  { key: 'quality', label: 'Quality Specifications', description: 'MQ quality level and test attributes' },
+  { key: 'composition', label: 'Composition', description: 'Components and weight percentages' },
+  { key: 'regulatoryInfo', label: 'Regulatory Information', description: 'FDA, EPA, REACH, TSCA and related statuses' },
+  { key: 'corpbaseData', label: 'CorpBase Content', description: 'Product description, features and applications' }
+];
+
+/**
+ * Clone Ticket Modal Component
+ * Copies the chosen sections of a ticket into a new draft.
+ * Ticket numbers, part numbers, SKUs, NPDI tracking and history are never copied.
+ */
+const CloneTicketModal = ({ ticket, onClose, onCloned }) => {
+  const [productName, setProductName] = useState(ticket.productName || '');
+  const [selectedSections, setSelectedSections] = useState(
+    CLONE_SECTIONS.filter(section => ticket[section.key]).map(section => section.key)
+  );
+  const [cloning, setCloning] = useState(false);
+
+  const toggleSection = (key) => {
+    setSelectedSections(prev =>
+      prev.includes(key) ? prev.filter(s => s !== key) : [...prev, key]
+    );
+  };
+
+  const handleClone = async () => {
+    if (!productName.trim()) {
+      toast.error('Product name is required');
+      return;
+    }
+
+    setCloning(true);
+    try {
+      const response = await productAPI.cloneTicket(ticket._id, {
+        sections: selectedSections,
+        productName: productName.trim()
+      });
+      toast.success(response.data.message);
+      onCloned(response.data.ticket);
+    } catch (error) {
+      console.error('Failed to clone ticket:', error);
+      toast.error(error.response?.data?.message || 'Failed to clone ticket');
+    } finally {
+      setCloning(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        {/* Modal panel */}
+        <div className="inline-block w-full max-w-lg px-4 pt-5 pb-4 overflow-hidden text-left align-bottom transition-all transform bg-white rounded-lg shadow-xl sm:my-8 sm:align-middle sm:p-6">
+          <div className="mb-4">
+            <h3 className="text-xl font-bold text-gray-900">Clone Ticket</h3>
+            <p className="mt-1 text-sm text-gray-600">
+              Create a new draft from <span className="font-mono font-semibold">{ticket.ticketNumber}</span>.
+              SKUs, part numbers, pricing and history are not copied.
+            </p>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Product Name</label>
+            <input
+              type="text"
+              value={productName}
+              onChange={(e) => setProductName(e.target.value)}
+              className="form-input"
+            />
+          </div>
+
+          <div className="mb-6">
+            <p className="block text-sm font-medium text-gray-700 mb-2">Sections to copy</p>
+            <div className="space-y-2">
+              {CLONE_SECTIONS.map(section => {
+                const hasData = !!ticket[section.key];
+                return (
+                  <label
+                    key={section.key}
+                    className={`flex items-start p-2 rounded border ${hasData ? 'border-gray-200 cursor-pointer hover:bg-gray-50' : 'border-gray-100 opacity-50'}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedSections.includes(section.key)}
+                      onChange={() => toggleSection(section.key)}
+                      disabled={!hasData}
+                      className="h-4 w-4 mt-0.5 text-millipore-blue focus:ring-millipore-blue border-gray-300 rounded"
+                    />
+                    <span className="ml-3">
+                      <span className="block text-sm font-medium text-gray-900">{section.label}</span>
+                      <span className="block text-xs text-gray-500">{hasData ? section.description : 'No data on this ticket'}</span>
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button onClick={onClose} className="btn btn-secondary" disabled={cloning}>
+              Cancel
+            </button>
+            <button onClick={handleClone} className="btn btn-primary" disabled={cloning}>
+              {cloning ? 'Cloning...' : 'Create Draft'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CloneTicketModal;
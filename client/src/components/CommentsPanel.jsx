@@ -0,0 +1,287 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ChatBubbleLeftIcon,
+  ArrowUturnLeftIcon,
+  PencilSquareIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { useAuth } from '../utils/AuthContext';
+
+// Matches the server's @email mention syntax (commentService)
+const MENTION_PATTERN = /(@[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Comment text with @email mentions highlighted
+const CommentContent = ({ content }) => (
+  <p className="text-sm text-gray-900 whitespace-pre-wrap">
+    {content.split(MENTION_PATTERN).map((part, index) =>
+      index % 2 === 1
+        ? <span key={index} className="font-medium text-blue-700 bg-blue-50 rounded px-0.5">{part}</span>
+        : part
+    )}
+  </p>
+);
+
+/**
+ * Comments Panel Component
+ * Threaded ticket comments: replies, editing with an edit history, deleting,
+ * and @email mentions that notify the mentioned user.
+ */
+const CommentsPanel = ({ ticket, onTicketUpdate }) => {
+  const { user, isAdmin } = useAuth();
+  const [content, setContent] = useState('');
+  const [replyTo, setReplyTo] = useState(null); // id of the thread being replied to
+  const [replyContent, setReplyContent] = useState('');
+  const [editing, setEditing] = useState(null); // id of the comment being edited
+  const [editContent, setEditContent] = useState('');
+  const [historyOpen, setHistoryOpen] = useState(null); // id of the comment showing its edit history
+  const [saving, setSaving] = useState(false);
+
+  const comments = ticket.comments || [];
+  const threads = comments.filter(comment => !comment.parentId || !comments.some(c => c._id === comment.parentId));
+  const getReplies = (commentId) => comments.filter(comment => comment.parentId === commentId);
+
+  const isAuthor = (comment) => {
+    const author = comment.user || comment.userInfo?.email;
+    return !!author && !!user?.email && author.toLowerCase() === user.email.toLowerCase();
+  };
+
+  const submitComment = async (data, onDone) => {
+    setSaving(true);
+    try {
+      const response = await productAPI.addComment(ticket._id, data);
+      toast.success(response.data.message);
+      onDone();
+      onTicketUpdate();
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    submitComment({ content }, () => setContent(''));
+  };
+
+  const handleReply = (e) => {
+    e.preventDefault();
+    if (!replyContent.trim()) return;
+    submitComment({ content: replyContent, parentId: replyTo }, () => {
+      setReplyTo(null);
+      setReplyContent('');
+    });
+  };
+
+  const handleEdit = async (e) => {
+    e.preventDefault();
+    if (!editContent.trim()) return;
+
+    setSaving(true);
+    try {
+      await productAPI.editComment(ticket._id, editing, { content: editContent });
+      toast.success('Comment updated');
+      setEditing(null);
+      setEditContent('');
+      onTicketUpdate();
+    } catch (error) {
+      console.error('Failed to edit comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to edit comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment? Replies to it will be kept.')) return;
+    try {
+      await productAPI.deleteComment(ticket._id, comment._id);
+      toast.success('Comment deleted');
+      onTicketUpdate();
+    } catch (error) {
+      console.error('Failed to delete comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const startReply = (threadId) => {
+    setEditing(null);
+    setReplyTo(threadId);
+    setReplyContent('');
+  };
+
+  const startEdit = (comment) => {
+    setReplyTo(null);
+    setEditing(comment._id);
+    setEditContent(comment.content);
+  };
+
+  const renderComment = (comment, threadId) => {
+    const canDelete = !comment.deleted && (isAuthor(comment) || isAdmin);
+    const canEditComment = !comment.deleted && isAuthor(comment);
+
+    return (
+      <div key={comment._id}>
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center space-x-2">
+            <div className="h-6 w-6 bg-millipore-blue rounded-full flex items-center justify-center">
+              <span className="text-white text-xs font-medium">
+                {comment.userInfo?.firstName?.[0]}{comment.userInfo?.lastName?.[0]}
+              </span>
+            </div>
+            <div>
+              <p className="text-xs font-medium text-gray-900">
+                {comment.userInfo?.firstName} {comment.userInfo?.lastName}
+              </p>
+              <p className="text-xs text-gray-500">
+                {new Date(comment.timestamp).toLocaleString()}
+                {comment.editedAt && !comment.deleted && (
+                  <button
+                    onClick={() => setHistoryOpen(historyOpen === comment._id ? null : comment._id)}
+                    className="ml-1 text-gray-500 hover:text-gray-700 underline"
+                    title="Show edit history"
+                  >
+                    (edited)
+                  </button>
+                )}
+              </p>
+            </div>
+          </div>
+          {!comment.deleted && (
+            <div className="flex items-center space-x-2">
+              <button onClick={() => startReply(threadId)} className="text-gray-400 hover:text-blue-600" title="Reply">
+                <ArrowUturnLeftIcon className="h-4 w-4" />
+              </button>
+              {canEditComment && (
+                <button onClick={() => startEdit(comment)} className="text-gray-400 hover:text-blue-600" title="Edit">
+                  <PencilSquareIcon className="h-4 w-4" />
+                </button>
+              )}
+              {canDelete && (
+                <button onClick={() => handleDelete(comment)} className="text-gray-400 hover:text-red-600" title="Delete">
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {comment.deleted ? (
+          <p className="text-sm text-gray-400 italic">This comment was deleted.</p>
+        ) : editing === comment._id ? (
+          <form onSubmit={handleEdit} className="space-y-2">
+            <textarea
+              value={editContent}
+              onChange={(e) => setEditContent(e.target.value)}
+              rows="3"
+              className="form-input"
+            />
+            <div className="flex justify-end space-x-2">
+              <button type="button" onClick={() => setEditing(null)} className="btn btn-secondary btn-sm">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving || !editContent.trim()} className="btn btn-primary btn-sm">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <CommentContent content={comment.content} />
+        )}
+
+        {historyOpen === comment._id && comment.editHistory?.length > 0 && (
+          <div className="mt-2 pl-3 border-l-2 border-gray-200 space-y-1">
+            {[...comment.editHistory].reverse().map((version, index) => (
+              <div key={index} className="text-xs text-gray-500">
+                <span>{new Date(version.editedAt).toLocaleString()}: </span>
+                <span className="whitespace-pre-wrap">{version.content}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <ChatBubbleLeftIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Comments
+          {comments.length > 0 && (
+            <span className="ml-2 text-sm text-gray-500">({comments.filter(comment => !comment.deleted).length})</span>
+          )}
+        </h3>
+      </div>
+      <div className="card-body space-y-6">
+        {/* Add Comment Form */}
+        <form onSubmit={handleAdd} className="space-y-2">
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            rows="3"
+            className="form-input"
+            placeholder="Add a comment... Mention someone with @name@example.com"
+          />
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving || !content.trim()} className="btn btn-primary">
+              {saving ? 'Adding...' : 'Add Comment'}
+            </button>
+          </div>
+        </form>
+
+        {/* Comment Threads */}
+        {threads.length > 0 ? (
+          <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+            {threads.map(thread => {
+              const replies = getReplies(thread._id);
+              return (
+                <div key={thread._id} className="border border-gray-200 rounded-lg p-3">
+                  {renderComment(thread, thread._id)}
+
+                  {(replies.length > 0 || replyTo === thread._id) && (
+                    <div className="mt-3 ml-8 pl-3 border-l-2 border-gray-100 space-y-3">
+                      {replies.map(reply => renderComment(reply, thread._id))}
+
+                      {replyTo === thread._id && (
+                        <form onSubmit={handleReply} className="space-y-2">
+                          <textarea
+                            value={replyContent}
+                            onChange={(e) => setReplyContent(e.target.value)}
+                            rows="2"
+                            className="form-input"
+                            placeholder="Write a reply..."
+                            autoFocus
+                          />
+                          <div className="flex justify-end space-x-2">
+                            <button type="button" onClick={() => setReplyTo(null)} className="btn btn-secondary btn-sm">
+                              Cancel
+                            </button>
+                            <button type="submit" disabled={saving || !replyContent.trim()} className="btn btn-primary btn-sm">
+                              {saving ? 'Replying...' : 'Reply'}
+                            </button>
+                          </div>
+                        </form>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-4">
+            No comments yet.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommentsPanel;
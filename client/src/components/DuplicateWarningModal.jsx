@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { StatusBadge } from './badges';
+
+const MATCH_LABELS = {
+  CAS: 'CAS',
+  INCHIKEY: 'InChIKey',
+  NAME: 'Name'
+};
+
+/**
+ * Duplicate Warning Modal Component
+ * Lists open tickets and SAP materials that overlap with the ticket being
+ * created or submitted; matching tickets in other SBUs are listed for information
+ * only. onResolve receives the override reason, or null when cancelled.
+ */
+const DuplicateWarningModal = ({ duplicates, actionLabel = 'Continue Anyway', onResolve }) => {
+  const [reason, setReason] = useState('');
+
+  const renderTicket = (match) => (
+    <div key={match.ticketId} className="flex items-center justify-between px-3 py-2 text-sm">
+      <div className="min-w-0">
+        <Link to={`/tickets/${match.ticketId}`} target="_blank" className="font-medium text-blue-600 hover:text-blue-800">
+          {match.ticketNumber}
+        </Link>
+        <span className="text-gray-900"> · {match.productName}</span>
+        <div className="text-xs text-gray-500">
+          {match.casNumber && <span className="font-mono">{match.casNumber}</span>}
+          {match.sbu && <span> · SBU {match.sbu}</span>}
+          {match.createdBy && <span> · {match.createdBy}</span>}
+        </div>
+      </div>
+      <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+        {match.matchedOn.map(key => (
+          <span key={key} className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+            {MATCH_LABELS[key] || key}
+          </span>
+        ))}
+        <StatusBadge status={match.status} />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={() => onResolve(null)}></div>
+
+        {/* Modal panel */}
+        <div className="inline-block w-full max-w-3xl px-4 pt-5 pb-4 overflow-hidden text-left align-bottom transition-all transform bg-white rounded-lg shadow-xl sm:my-8 sm:align-middle sm:p-6">
+          <div className="flex items-start mb-4">
+            <ExclamationTriangleIcon className="h-6 w-6 text-yellow-500 mr-3 flex-shrink-0" />
+            <div>
+              <h3 className="text-xl font-bold text-gray-900">Possible Duplicate</h3>
+              <p className="mt-1 text-sm text-gray-600">
+                This product may already be covered. Review the matches below before continuing.
+              </p>
+            </div>
+          </div>
+
+          {duplicates.tickets.length > 0 && (
+            <div className="mb-4">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Open Tickets</h4>
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {duplicates.tickets.map(renderTicket)}
+              </div>
+            </div>
+          )}
+
+          {duplicates.otherSbuTickets?.length > 0 && (
+            <div className="mb-4">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Open Tickets in Other SBUs (for information)</h4>
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {duplicates.otherSbuTickets.map(renderTicket)}
+              </div>
+            </div>
+          )}
+
+          {duplicates.sapMaterials.length > 0 && (
+            <div className="mb-4">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Existing SAP Materials (same CAS)</h4>
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {duplicates.sapMaterials.map(material => (
+                  <div key={material.partNumber} className="px-3 py-2 text-sm">
+                    <span className="font-mono font-medium text-gray-900">{material.partNumber}</span>
+                    {material.productName && <span className="text-gray-600"> · {material.productName}</span>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Why is this not a duplicate? <span className="text-red-500">*</span>
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              className="form-input w-full text-sm"
+              placeholder="e.g. Different grade / new SBU launch"
+            />
+            <p className="mt-1 text-xs text-gray-500">Recorded in the ticket history.</p>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => onResolve(null)} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button onClick={() => onResolve(reason.trim())} className="btn btn-primary" disabled={!reason.trim()}>
+              {actionLabel}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateWarningModal;
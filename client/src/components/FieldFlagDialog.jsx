@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { FlagIcon, XMarkIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { useAuth } from '../utils/AuthContext';
+import { useFieldAnnotations } from '../utils/FieldAnnotationsContext';
+
+/**
+ * Field Flag Dialog Component
+ * Lists the flags on the field picked through a FieldFlagMarker and lets
+ * reviewers raise a new flag, resolve or reopen flags, and delete their own.
+ */
+const FieldFlagDialog = () => {
+  const annotations = useFieldAnnotations();
+  const { user, isAdmin } = useAuth();
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  if (!annotations?.activeField) return null;
+
+  const { ticketId, activeField, closeField, refresh } = annotations;
+  const flags = annotations.getFieldAnnotations(activeField.fieldPath);
+
+  const handleClose = () => {
+    setNote('');
+    closeField();
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!note.trim()) return;
+
+    setSaving(true);
+    try {
+      await productAPI.addAnnotation(ticketId, {
+        fieldPath: activeField.fieldPath,
+        fieldLabel: activeField.fieldLabel,
+        note: note.trim()
+      });
+      toast.success('Field flagged');
+      setNote('');
+      refresh();
+    } catch (error) {
+      console.error('Failed to flag field:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to flag field');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatus = async (flag, status) => {
+    try {
+      await productAPI.updateAnnotation(ticketId, flag._id, { status });
+      refresh();
+    } catch (error) {
+      console.error('Failed to update flag:', error);
+      toast.error(error.response?.data?.message || 'Failed to update flag');
+    }
+  };
+
+  const handleDelete = async (flag) => {
+    if (!window.confirm('Delete this flag?')) return;
+    try {
+      await productAPI.deleteAnnotation(ticketId, flag._id);
+      refresh();
+    } catch (error) {
+      console.error('Failed to delete flag:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete flag');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={handleClose}></div>
+
+        {/* Modal panel */}
+        <div className="inline-block w-full max-w-lg px-4 pt-5 pb-4 overflow-hidden text-left align-bottom transition-all transform bg-white rounded-lg shadow-xl sm:my-8 sm:align-middle sm:p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div className="flex items-start">
+              <FlagIcon className="h-6 w-6 text-amber-500 mr-3 flex-shrink-0" />
+              <div>
+                <h3 className="text-lg font-bold text-gray-900">{activeField.fieldLabel || activeField.fieldPath}</h3>
+                <p className="text-xs font-mono text-gray-500">{activeField.fieldPath}</p>
+              </div>
+            </div>
+            <button onClick={handleClose} className="text-gray-400 hover:text-gray-500">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+
+          {flags.length > 0 && (
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 mb-4 max-h-80 overflow-y-auto">
+              {flags.map(flag => {
+                const isOpen = flag.status === 'OPEN';
+                const canDelete = flag.createdBy === user?.email || isAdmin;
+                return (
+                  <div key={flag._id} className={`px-3 py-2 text-sm ${isOpen ? '' : 'bg-gray-50'}`}>
+                    <div className="flex items-start justify-between">
+                      <div className="min-w-0">
+                        <p className={isOpen ? 'text-gray-900' : 'text-gray-500 line-through'}>{flag.note}</p>
+                        <p className="text-xs text-gray-500">
+                          {flag.userInfo?.firstName} {flag.userInfo?.lastName} · {new Date(flag.createdAt).toLocaleString()}
+                          {flag.fieldPath !== activeField.fieldPath && <span className="font-mono"> · {flag.fieldPath}</span>}
+                        </p>
+                        {!isOpen && flag.resolvedBy && (
+                          <p className="text-xs text-gray-500">
+                            Resolved by {flag.resolvedBy}{flag.resolutionNote && ` · “${flag.resolutionNote}”`}
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+                        <button
+                          onClick={() => handleStatus(flag, isOpen ? 'RESOLVED' : 'OPEN')}
+                          className="text-xs text-blue-600 hover:text-blue-800"
+                        >
+                          {isOpen ? 'Resolve' : 'Reopen'}
+                        </button>
+                        {canDelete && (
+                          <button onClick={() => handleDelete(flag)} className="text-gray-400 hover:text-red-600" title="Delete flag">
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <form onSubmit={handleAdd}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">New flag</label>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={2}
+              className="form-input w-full text-sm"
+              placeholder="What should be checked on this field?"
+            />
+            <div className="flex justify-end space-x-3 mt-3">
+              <button type="button" onClick={handleClose} className="btn btn-secondary">
+                Close
+              </button>
+              <button type="submit" disabled={saving || !note.trim()} className="btn btn-primary">
+                {saving ? 'Flagging...' : 'Add Flag'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FieldFlagDialog;
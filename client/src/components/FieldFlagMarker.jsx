@@ -0,0 +1,36 @@
+import React from 'react';
+import { FlagIcon } from '@heroicons/react/24/outline';
+import { FlagIcon as FlagSolidIcon } from '@heroicons/react/24/solid';
+import { useFieldAnnotations } from '../utils/FieldAnnotationsContext';
+
+/**
+ * Field Flag Marker Component
+ * Small flag button placed next to a field label. Solid amber with a count when
+ * the field has open flags; otherwise a faint outline that opens the flag dialog.
+ * Renders nothing outside a FieldAnnotationsProvider.
+ */
+const FieldFlagMarker = ({ fieldPath, fieldLabel, className = '' }) => {
+  const annotations = useFieldAnnotations();
+  if (!annotations || !fieldPath) return null;
+
+  const flags = annotations.getFieldAnnotations(fieldPath);
+  const openCount = flags.filter(flag => flag.status === 'OPEN').length;
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        annotations.openField(fieldPath, fieldLabel);
+      }}
+      className={`inline-flex items-center align-middle ml-1 ${openCount > 0 ? 'text-amber-600 hover:text-amber-700' : 'text-gray-300 hover:text-gray-500'} ${className}`}
+      title={openCount > 0 ? `${openCount} open flag${openCount === 1 ? '' : 's'}` : flags.length > 0 ? 'View resolved flags' : 'Flag this field'}
+    >
+      {openCount > 0 ? <FlagSolidIcon className="h-4 w-4" /> : <FlagIcon className="h-4 w-4" />}
+      {openCount > 0 && <span className="ml-0.5 text-xs font-semibold">{openCount}</span>}
+    </button>
+  );
+};
+
+export default FieldFlagMarker;
@@ -0,0 +1,97 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { FlagIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { useFieldAnnotations } from '../utils/FieldAnnotationsContext';
+
+/**
+ * Field Flags Panel Component
+ * Slide-over listing every open field flag on the ticket, opened from the
+ * ticket header. Each flag can be resolved here or opened on its field.
+ */
+const FieldFlagsPanel = () => {
+  const annotations = useFieldAnnotations();
+  if (!annotations?.panelOpen) return null;
+
+  const { ticketId, openAnnotations, setPanelOpen, openField, refresh } = annotations;
+
+  const handleResolve = async (flag) => {
+    try {
+      await productAPI.updateAnnotation(ticketId, flag._id, { status: 'RESOLVED' });
+      toast.success('Flag resolved');
+      refresh();
+    } catch (error) {
+      console.error('Failed to resolve flag:', error);
+      toast.error(error.response?.data?.message || 'Failed to resolve flag');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 overflow-hidden">
+      <div className="absolute inset-0 bg-gray-500 bg-opacity-50" onClick={() => setPanelOpen(false)}></div>
+      <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-xl flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <FlagIcon className="h-5 w-5 mr-2 text-amber-500" />
+            Open Flags
+            <span className="ml-2 text-sm text-gray-500">({openAnnotations.length})</span>
+          </h3>
+          <button onClick={() => setPanelOpen(false)} className="text-gray-400 hover:text-gray-500">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {openAnnotations.length === 0 ? (
+            <p className="px-6 py-8 text-sm text-gray-500 italic text-center">No open flags on this ticket</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {openAnnotations.map(flag => (
+                <li key={flag._id} className="px-6 py-3 text-sm">
+                  <button
+                    onClick={() => openField(flag.fieldPath, flag.fieldLabel)}
+                    className="font-medium text-blue-600 hover:text-blue-800 text-left"
+                  >
+                    {flag.fieldLabel || flag.fieldPath}
+                  </button>
+                  <p className="text-xs font-mono text-gray-400">{flag.fieldPath}</p>
+                  <p className="mt-1 text-gray-900">{flag.note}</p>
+                  <div className="mt-1 flex items-center justify-between">
+                    <span className="text-xs text-gray-500">
+                      {flag.userInfo?.firstName} {flag.userInfo?.lastName} · {new Date(flag.createdAt).toLocaleString()}
+                    </span>
+                    <button onClick={() => handleResolve(flag)} className="text-xs text-blue-600 hover:text-blue-800">
+                      Resolve
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Header button that opens the panel, showing the open flag count
+ */
+export const FieldFlagsButton = ({ className = '' }) => {
+  const annotations = useFieldAnnotations();
+  if (!annotations) return null;
+
+  const openCount = annotations.openAnnotations.length;
+
+  return (
+    <button
+      onClick={() => annotations.setPanelOpen(true)}
+      className={className}
+      title="Open field flags"
+    >
+      <FlagIcon className="w-4 h-4" />
+      <span>Flags{openCount > 0 ? ` (${openCount})` : ''}</span>
+    </button>
+  );
+};
+
+export default FieldFlagsPanel;
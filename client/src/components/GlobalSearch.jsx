@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { StatusBadge } from './badges';
+
+// Wait this long after the last keystroke before searching
+const DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+const PREVIEW_LIMIT = 6;
+
+/**
+ * Highlighted Text Component
+ * Renders a search highlight from the server, marking each [start, end] match.
+ */
+export const HighlightedText = ({ text, matches = [] }) => {
+  const parts = [];
+  let position = 0;
+  matches.forEach(([start, end], index) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+/**
+ * Global Search Component
+ * Header search box. Typing shows the best full-text matches in a dropdown;
+ * Enter opens the full results page with facets.
+ */
+const GlobalSearch = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const term = query.trim();
+    if (term.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setTotal(0);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await productAPI.search({ q: term, limit: PREVIEW_LIMIT });
+        if (cancelled) return;
+        setResults(response.data.results);
+        setTotal(response.data.pagination.total);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Error searching tickets:', error);
+          setResults([]);
+          setTotal(0);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Close the dropdown when navigating away
+  useEffect(() => {
+    setOpen(false);
+  }, [location.pathname, location.search]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const openTicket = (ticket) => {
+    setQuery('');
+    navigate(`/tickets/${ticket._id}`);
+  };
+
+  const openAllResults = () => {
+    const term = query.trim();
+    if (!term) return;
+    navigate(`/search?q=${encodeURIComponent(term)}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(prev => Math.min(prev + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (activeIndex >= 0 && results[activeIndex]) {
+        openTicket(results[activeIndex]);
+      } else {
+        openAllResults();
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showDropdown = open && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="relative w-full max-w-md" ref={containerRef}>
+      <label htmlFor="global-search" className="sr-only">Search tickets</label>
+      <div className="relative">
+        <MagnifyingGlassIcon className="pointer-events-none absolute left-3 top-1/2 h-5 w-5 -translate-y-1/2 text-gray-400" />
+        <input
+          id="global-search"
+          type="search"
+          autoComplete="off"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search tickets, CAS, SKUs, vendors…"
+          className="block w-full rounded-md border border-gray-300 bg-gray-50 py-2 pl-10 pr-3 text-sm placeholder-gray-400 focus:border-millipore-blue focus:bg-white focus:outline-none focus:ring-1 focus:ring-millipore-blue"
+        />
+      </div>
+
+      {showDropdown && (
+        <div className="absolute left-0 right-0 mt-2 rounded-md bg-white shadow-lg ring-1 ring-black ring-opacity-5 z-50 overflow-hidden">
+          {loading && results.length === 0 ? (
+            <div className="px-4 py-3 text-sm text-gray-500">Searching…</div>
+          ) : results.length === 0 ? (
+            <div className="px-4 py-3 text-sm text-gray-500">No tickets match "{query.trim()}"</div>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {results.map((ticket, index) => {
+                const highlight = ticket.highlights.find(h => h.field !== 'productName');
+                return (
+                  <li key={ticket._id}>
+                    <button
+                      type="button"
+                      onMouseEnter={() => setActiveIndex(index)}
+                      onClick={() => openTicket(ticket)}
+                      className={`w-full text-left px-4 py-2 ${index === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-gray-900 truncate">{ticket.productName || 'Untitled'}</span>
+                        <StatusBadge status={ticket.status} />
+                      </div>
+                      <div className="text-xs text-gray-500">{ticket.ticketNumber}</div>
+                      {highlight && (
+                        <div className="mt-1 text-xs text-gray-600 truncate">
+                          <span className="text-gray-400">{highlight.label}: </span>
+                          <HighlightedText text={highlight.text} matches={highlight.matches} />
+                        </div>
+                      )}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <button
+            type="button"
+            onClick={openAllResults}
+            className="block w-full border-t border-gray-100 px-4 py-2 text-center text-sm font-medium text-millipore-blue hover:bg-gray-50"
+          >
+            {total > 0 ? `See all ${total} results` : 'Open search page'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { CheckCircleIcon, ExclamationTriangleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+
+/**
+ * Import Tickets Modal Component
+ * Uploads PIF workbooks or flat XLSX/CSV files, shows a dry-run report of
+ * row-level errors, then creates the valid rows as draft tickets.
+ * onClose receives true when drafts were created, so the caller can refresh.
+ */
+const ImportTicketsModal = ({ onClose }) => {
+  const [files, setFiles] = useState([]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFileChange = (e) => {
+    setFiles(Array.from(e.target.files || []));
+    setReport(null);
+  };
+
+  const runImport = async (dryRun) => {
+    if (files.length === 0) {
+      toast.error('Choose at least one file to import');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await productAPI.importTickets(files, { dryRun });
+      setReport(response.data);
+
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Failed to import tickets:', error);
+      toast.error(error.response?.data?.message || 'Failed to import tickets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isCommitted = report && !report.dryRun;
+  const handleClose = () => onClose(isCommitted && report.summary.created > 0);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={handleClose}></div>
+
+        {/* Modal panel */}
+        <div className="inline-block w-full max-w-5xl px-4 pt-5 pb-4 overflow-hidden text-left align-bottom transition-all transform bg-white rounded-lg shadow-xl sm:my-8 sm:align-middle sm:p-6">
+          <div className="mb-4">
+            <h3 className="text-xl font-bold text-gray-900">Import Draft Tickets</h3>
+            <p className="mt-1 text-sm text-gray-600">
+              Upload PIF workbooks (one product each) or flat XLSX/CSV files (one product per row).
+              Flat file headers can be PIF field labels such as <span className="font-mono">Product Name</span> or
+              ticket fields such as <span className="font-mono">chemicalProperties.casNumber</span>.
+            </p>
+          </div>
+
+          <div className="mb-4">
+            <input
+              type="file"
+              multiple
+              accept=".xlsx,.csv"
+              onChange={handleFileChange}
+              disabled={loading || isCommitted}
+              className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+          </div>
+
+          {report && (
+            <div className="mb-4 space-y-3">
+              {/* Summary */}
+              <div className="flex flex-wrap gap-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                <span><strong>{report.summary.rows}</strong> row(s) in {report.summary.files} file(s)</span>
+                <span className="text-green-700"><strong>{report.summary.valid}</strong> valid</span>
+                <span className="text-red-700"><strong>{report.summary.invalid}</strong> with errors</span>
+                {isCommitted && (
+                  <span className="text-blue-700"><strong>{report.summary.created}</strong> draft(s) created</span>
+                )}
+              </div>
+
+              {/* File-level problems */}
+              {report.files.filter(file => file.error || file.unmappedColumns.length > 0).map(file => (
+                <div key={file.file} className={`p-3 rounded-lg text-sm border ${file.error ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}`}>
+                  <span className="font-medium">{file.file}:</span>{' '}
+                  {file.error || `Ignored unrecognized column(s): ${file.unmappedColumns.join(', ')}`}
+                </div>
+              ))}
+
+              {/* Row-level report */}
+              {report.rows.length > 0 && (
+                <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">File / Row</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {report.rows.map(row => (
+                        <tr key={`${row.file}-${row.row}`} className={row.valid ? '' : 'bg-red-50'}>
+                          <td className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                            <div className="truncate max-w-[12rem]" title={row.file}>{row.file}</div>
+                            <div className="text-xs text-gray-500">Row {row.row}</div>
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="font-medium text-gray-900">{row.productName || '—'}</div>
+                            {row.casNumber && <div className="text-xs text-gray-500 font-mono">{row.casNumber}</div>}
+                          </td>
+                          <td className="px-3 py-2">
+                            {row.valid ? (
+                              <div className="flex items-center text-green-700">
+                                <CheckCircleIcon className="h-4 w-4 mr-1" />
+                                {row.ticketId ? (
+                                  <Link to={`/tickets/${row.ticketId}`} className="underline" onClick={handleClose}>
+                                    {row.ticketNumber}
+                                  </Link>
+                                ) : 'Ready'}
+                              </div>
+                            ) : (
+                              <ul className="text-red-700 space-y-0.5">
+                                {row.errors.map((error, index) => (
+                                  <li key={index} className="flex items-start">
+                                    <XCircleIcon className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                                    {error}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            {row.missingForSubmission.length > 0 && (
+                              <div className="flex items-start text-xs text-yellow-700 mt-1">
+                                <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+                                Needed before submission: {row.missingForSubmission.join(', ')}
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button onClick={handleClose} className="btn btn-secondary" disabled={loading}>
+              {isCommitted ? 'Close' : 'Cancel'}
+            </button>
+            {!isCommitted && (
+              <button onClick={() => runImport(true)} className="btn btn-secondary" disabled={loading || files.length === 0}>
+                {loading && !report ? 'Checking...' : 'Check Files'}
+              </button>
+            )}
+            {report?.dryRun && report.summary.valid > 0 && (
+              <button onClick={() => runImport(false)} className="btn btn-primary" disabled={loading}>
+                {loading ? 'Creating...' : `Create ${report.summary.valid} Draft${report.summary.valid === 1 ? '' : 's'}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportTicketsModal;
@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  CalendarIcon,
+  ClockIcon,
+  ExclamationTriangleIcon,
+  UserCircleIcon
+} from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { useAuth } from '../utils/AuthContext';
+import { PriorityBadge } from './badges';
+import DuplicateWarningModal from './DuplicateWarningModal';
+import { sendWithDuplicateCheck } from '../utils/duplicateCheck';
+import { formatDateOnly, formatDuration } from '../utils/dateFormatters';
+
+const SBU_OPTIONS = ['775', 'P90', '440', 'P87', 'P89', 'P85'];
+
+const SWIMLANE_OPTIONS = [
+  { value: '', label: 'No swimlanes' },
+  { value: 'sbu', label: 'Swimlanes by SBU' },
+  { value: 'assignee', label: 'Swimlanes by assignee' }
+];
+
+// Workflow state colors are Tailwind color names; listed in full so Tailwind keeps the classes
+const COLUMN_ACCENTS = {
+  blue: 'border-blue-400',
+  purple: 'border-purple-400',
+  yellow: 'border-yellow-400',
+  orange: 'border-orange-400',
+  green: 'border-green-500',
+  red: 'border-red-400',
+  gray: 'border-gray-400'
+};
+
+const SLA_RINGS = {
+  AT_RISK: 'ring-2 ring-amber-300',
+  BREACHED: 'ring-2 ring-red-400'
+};
+
+const getLane = (ticket, swimlanes) => {
+  if (swimlanes === 'sbu') {
+    return { key: ticket.sbu || '', label: ticket.sbu ? `SBU ${ticket.sbu}` : 'No SBU' };
+  }
+  if (swimlanes === 'assignee') {
+    return { key: ticket.assignedTo || '', label: ticket.assigneeName || 'Unassigned' };
+  }
+  return { key: '', label: '' };
+};
+
+/**
+ * Transition Dialog
+ * Confirms a drag between columns, asks for the reason (required by some
+ * transitions) and shows why the server refused the move.
+ */
+const TransitionDialog = ({ move, onCancel, onDone }) => {
+  const { ticket, transition, toColumn } = move;
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [problem, setProblem] = useState(null);
+  const [duplicateRequest, setDuplicateRequest] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (transition.requireReason && !reason.trim()) {
+      setProblem({ message: `A reason is required to perform "${transition.label}"` });
+      return;
+    }
+
+    setSaving(true);
+    setProblem(null);
+    try {
+      // Submitting re-checks for duplicates; the user can override with a reason
+      await sendWithDuplicateCheck(
+        (duplicateOverride) => productAPI.updateStatus(ticket._id, { status: transition.to, reason: reason.trim(), duplicateOverride }),
+        (duplicates) => new Promise(resolve => setDuplicateRequest({ duplicates, resolve }))
+      );
+      toast.success(`${ticket.ticketNumber} moved to ${toColumn.label}`);
+      onDone();
+    } catch (error) {
+      if (!error.cancelled) {
+        console.error('Failed to move ticket:', error);
+        setProblem(error.response?.data || { message: 'Failed to update status' });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const missingFields = problem?.missingFields || [];
+  const pendingApprovals = problem?.pendingApprovals || [];
+  const openRevisionItems = problem?.openRevisionItems || [];
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onCancel}></div>
+
+        <form onSubmit={handleSubmit} className="relative w-full max-w-lg bg-white rounded-lg shadow-xl p-6">
+          <h3 className="text-lg font-semibold text-gray-900">{transition.label}</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Move <span className="font-medium">{ticket.ticketNumber}</span> ({ticket.productName}) to{' '}
+            <span className="font-medium">{toColumn.label}</span>.
+          </p>
+
+          <label htmlFor="transition-reason" className="block mt-4 text-sm font-medium text-gray-700">
+            Reason {transition.requireReason ? <span className="text-red-600">(required)</span> : <span className="text-gray-400">(optional)</span>}
+          </label>
+          <textarea
+            id="transition-reason"
+            rows={3}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="form-input mt-1"
+            autoFocus
+          />
+
+          {problem && (
+            <div className="mt-4 rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-800">
+              <div className="flex items-start">
+                <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                <div>
+                  <p className="font-medium">{problem.message}</p>
+                  {missingFields.length > 0 && (
+                    <p className="mt-1">Fill in: {missingFields.map(f => f.fieldLabel || f.fieldKey || f).join(', ')}</p>
+                  )}
+                  {pendingApprovals.length > 0 && (
+                    <p className="mt-1">Waiting on approval from: {pendingApprovals.map(a => a.label).join(', ')}</p>
+                  )}
+                  {openRevisionItems.length > 0 && (
+                    <p className="mt-1">Open revision items: {openRevisionItems.map(item => item.fieldLabel || item.fieldPath).join(', ')}</p>
+                  )}
+                  {(missingFields.length > 0 || openRevisionItems.length > 0) && (
+                    <Link to={`/tickets/${ticket._id}`} className="mt-1 inline-block underline">Open the ticket</Link>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button type="button" onClick={onCancel} className="btn btn-secondary">Cancel</button>
+            <button type="submit" disabled={saving} className="btn btn-primary disabled:opacity-50">
+              {saving ? 'Moving...' : transition.label}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {duplicateRequest && (
+        <DuplicateWarningModal
+          duplicates={duplicateRequest.duplicates}
+          actionLabel="Submit Anyway"
+          onResolve={(overrideReason) => {
+            duplicateRequest.resolve(overrideReason);
+            setDuplicateRequest(null);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Ticket Card
+ */
+const BoardCard = ({ ticket, onDragStart, onDragEnd, dragging }) => (
+  <div
+    draggable={ticket.transitions.length > 0}
+    onDragStart={(e) => onDragStart(e, ticket)}
+    onDragEnd={onDragEnd}
+    className={`bg-white rounded-md shadow-sm border border-gray-200 p-3 text-sm ${SLA_RINGS[ticket.slaState] || ''} ${
+      ticket.transitions.length > 0 ? 'cursor-grab active:cursor-grabbing' : ''
+    } ${dragging ? 'opacity-40' : ''}`}
+    title={ticket.slaState === 'BREACHED' ? 'SLA breached' : ticket.slaState === 'AT_RISK' ? 'SLA at risk' : undefined}
+  >
+    <div className="flex items-start justify-between">
+      <Link to={`/tickets/${ticket._id}`} className="font-medium text-millipore-blue hover:underline">
+        {ticket.ticketNumber}
+      </Link>
+      <PriorityBadge priority={ticket.priority} />
+    </div>
+    <p className="mt-1 text-gray-900 line-clamp-2">{ticket.productName}</p>
+    <div className="mt-2 space-y-1 text-xs text-gray-500">
+      <div className="flex items-center justify-between">
+        <span>{ticket.sbu ? `SBU ${ticket.sbu}` : 'No SBU'}</span>
+        <span className="flex items-center" title={`In this status since ${formatDateOnly(ticket.statusSince)}`}>
+          <ClockIcon className="h-3.5 w-3.5 mr-1" />
+          {formatDuration(ticket.statusSince)}
+        </span>
+      </div>
+      <div className="flex items-center">
+        <UserCircleIcon className="h-3.5 w-3.5 mr-1" />
+        <span className="truncate">{ticket.assigneeName || 'Unassigned'}</span>
+      </div>
+      {ticket.targetLaunchDate && (
+        <div className="flex items-center">
+          <CalendarIcon className="h-3.5 w-3.5 mr-1" />
+          Launch {formatDateOnly(ticket.targetLaunchDate)}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Kanban Board Component
+ * One column per workflow status. Dragging a card onto another column runs the
+ * workflow transition between the two statuses; columns the card can't move to
+ * are dimmed while dragging. Swimlanes group cards by SBU or assignee.
+ */
+const KanbanBoard = () => {
+  const { user } = useAuth();
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ sbu: '', priority: '', assignedTo: '' });
+  const [swimlanes, setSwimlanes] = useState('');
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [move, setMove] = useState(null);
+
+  const fetchBoard = async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      if (params.assignedTo === 'me') params.assignedTo = user?.email;
+      const response = await productAPI.getBoard(params);
+      setBoard(response.data);
+    } catch (error) {
+      console.error('Failed to load board:', error);
+      toast.error('Failed to load the ticket board');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchBoard();
+  }, [filters]);
+
+  // Rows of the board: one per swimlane, each holding every column's cards for that lane
+  const lanes = useMemo(() => {
+    if (!board) return [];
+    const laneMap = new Map();
+    board.columns.forEach(column => {
+      column.tickets.forEach(ticket => {
+        const lane = getLane(ticket, swimlanes);
+        if (!laneMap.has(lane.key)) laneMap.set(lane.key, { ...lane, cards: {} });
+        const cards = laneMap.get(lane.key).cards;
+        (cards[column.key] = cards[column.key] || []).push(ticket);
+      });
+    });
+    if (laneMap.size === 0) laneMap.set('', { key: '', label: '', cards: {} });
+    // Named lanes alphabetically, the "No SBU"/"Unassigned" lane last
+    return [...laneMap.values()].sort((a, b) => (!a.key) - (!b.key) || a.label.localeCompare(b.label));
+  }, [board, swimlanes]);
+
+  const canDropOn = (columnKey) => dragged?.transitions.some(t => t.to === columnKey);
+
+  const handleDragStart = (e, ticket) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', ticket._id);
+    setDragged(ticket);
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (e, columnKey) => {
+    if (!dragged || dragged.status === columnKey) return;
+    // Dropping on a column the card can't move to is allowed so the drop can explain why
+    e.preventDefault();
+    setDropTarget(columnKey);
+  };
+
+  const handleDrop = (e, column) => {
+    e.preventDefault();
+    const ticket = dragged;
+    handleDragEnd();
+    if (!ticket || ticket.status === column.key) return;
+
+    const transition = ticket.transitions.find(t => t.to === column.key);
+    if (!transition) {
+      const allowed = ticket.transitions.map(t => board.columns.find(c => c.key === t.to)?.label || t.to);
+      toast.error(
+        allowed.length > 0
+          ? `${ticket.ticketNumber} can't move to ${column.label}. It can move to: ${allowed.join(', ')}`
+          : `You can't move ${ticket.ticketNumber} from its current status`,
+        { duration: 6000 }
+      );
+      return;
+    }
+
+    setMove({ ticket, transition, toColumn: column });
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-millipore-blue"></div>
+      </div>
+    );
+  }
+
+  if (!board) return null;
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={filters.sbu} onChange={(e) => updateFilter('sbu', e.target.value)} className="form-select w-auto text-sm">
+          <option value="">All SBUs</option>
+          {SBU_OPTIONS.map(sbu => <option key={sbu} value={sbu}>SBU {sbu}</option>)}
+        </select>
+        <select value={filters.priority} onChange={(e) => updateFilter('priority', e.target.value)} className="form-select w-auto text-sm">
+          <option value="">All priorities</option>
+          {['URGENT', 'HIGH', 'MEDIUM', 'LOW'].map(priority => <option key={priority} value={priority}>{priority}</option>)}
+        </select>
+        <select value={filters.assignedTo} onChange={(e) => updateFilter('assignedTo', e.target.value)} className="form-select w-auto text-sm">
+          <option value="">Everyone</option>
+          <option value="me">Assigned to me</option>
+          <option value="unassigned">Unassigned</option>
+        </select>
+        <select value={swimlanes} onChange={(e) => setSwimlanes(e.target.value)} className="form-select w-auto text-sm">
+          {SWIMLANE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <button onClick={fetchBoard} className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900" title="Refresh">
+          <ArrowPathIcon className="h-4 w-4 mr-1" />
+          Refresh
+        </button>
+        <span className="text-xs text-gray-500 ml-auto">
+          Closed columns show the last {board.closedDays} days
+        </span>
+      </div>
+
+      {/* Board */}
+      <div className="overflow-x-auto pb-2">
+        <div className="inline-grid gap-3" style={{ gridTemplateColumns: `repeat(${board.columns.length}, minmax(16rem, 1fr))` }}>
+          {board.columns.map(column => (
+            <div key={column.key} className={`bg-gray-50 rounded-t-md border-t-4 ${COLUMN_ACCENTS[column.color] || COLUMN_ACCENTS.gray} px-3 py-2`}>
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-gray-900">{column.label}</h3>
+                <span className="text-xs text-gray-500">
+                  {column.tickets.length < column.total ? `${column.tickets.length} of ${column.total}` : column.total}
+                </span>
+              </div>
+            </div>
+          ))}
+
+          {lanes.map(lane => (
+            <React.Fragment key={lane.key || 'none'}>
+              {swimlanes && (
+                <div className="text-sm font-medium text-gray-700 pt-2" style={{ gridColumn: `1 / span ${board.columns.length}` }}>
+                  {lane.label}
+                  <span className="ml-2 text-xs text-gray-400">
+                    {Object.values(lane.cards).reduce((sum, cards) => sum + cards.length, 0)}
+                  </span>
+                </div>
+              )}
+              {board.columns.map(column => {
+                const isSource = dragged?.status === column.key;
+                const allowed = canDropOn(column.key);
+                return (
+                  <div
+                    key={column.key}
+                    onDragOver={(e) => handleDragOver(e, column.key)}
+                    onDragLeave={() => setDropTarget(prev => (prev === column.key ? null : prev))}
+                    onDrop={(e) => handleDrop(e, column)}
+                    className={`min-h-[6rem] rounded-md p-2 space-y-2 transition-colors ${
+                      !dragged || isSource
+                        ? 'bg-gray-50'
+                        : allowed
+                          ? dropTarget === column.key ? 'bg-blue-100 ring-2 ring-blue-300' : 'bg-blue-50'
+                          : 'bg-gray-100 opacity-50'
+                    }`}
+                  >
+                    {(lane.cards[column.key] || []).map(ticket => (
+                      <BoardCard
+                        key={ticket._id}
+                        ticket={ticket}
+                        dragging={dragged?._id === ticket._id}
+                        onDragStart={handleDragStart}
+                        onDragEnd={handleDragEnd}
+                      />
+                    ))}
+                  </div>
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+
+      {move && (
+        <TransitionDialog
+          move={move}
+          onCancel={() => setMove(null)}
+          onDone={() => {
+            setMove(null);
+            fetchBoard();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default KanbanBoard;
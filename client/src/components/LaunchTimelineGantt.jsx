@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import toast from 'react-hot-toast';
+import {
+  CalendarDaysIcon,
+  PlusIcon,
+  TrashIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { getTicketVersion } from '../utils/ticketMerge';
+import { formatDateOnly, formatDateISO } from '../utils/dateFormatters';
+
+const DAY = 24 * 60 * 60 * 1000;
+const LAUNCH_KEY = 'launch';
+const CLOSED_STATUSES = ['COMPLETED', 'CANCELED'];
+
+// Dates are stored as UTC midnight (from date inputs), so the chart works in whole UTC days
+const toDay = (date) => Math.floor(new Date(date).getTime() / DAY);
+const fromDay = (day) => new Date(day * DAY).toISOString();
+
+const toPayload = (milestones) => milestones.map(({ _id, name, dueDate, completed, completedDate, notes }) => ({
+  _id, name, dueDate, completed, completedDate, notes
+}));
+
+/**
+ * Launch Timeline Gantt Component
+ * Per-ticket chart of the launch milestones and target launch date. Each milestone's
+ * bar runs from the previous milestone (or ticket creation) to its due date; editors
+ * drag the bar end or the launch diamond to reschedule, snapped to whole days.
+ */
+const LaunchTimelineGantt = ({ ticket, canEdit, onTicketUpdate }) => {
+  const [milestones, setMilestones] = useState([]);
+  const [targetLaunchDate, setTargetLaunchDate] = useState(null);
+  const [version, setVersion] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ name: '', dueDate: '' });
+  const trackRef = useRef(null);
+
+  useEffect(() => {
+    setMilestones(ticket.launchTimeline?.milestones || []);
+    setTargetLaunchDate(ticket.launchTimeline?.targetLaunchDate || null);
+    setVersion(getTicketVersion(ticket));
+  }, [ticket._id, ticket.updatedAt]);
+
+  const today = toDay(new Date());
+
+  const sortedMilestones = useMemo(() => (
+    [...milestones].sort((a, b) => {
+      if (!a.dueDate) return 1;
+      if (!b.dueDate) return -1;
+      return new Date(a.dueDate) - new Date(b.dueDate);
+    })
+  ), [milestones]);
+
+  // Chart range from the saved dates, so the scale holds still while dragging
+  const range = useMemo(() => {
+    const days = [
+      toDay(ticket.createdAt || new Date()),
+      today,
+      ...milestones.filter(m => m.dueDate).map(m => toDay(m.dueDate)),
+      ...(targetLaunchDate ? [toDay(targetLaunchDate)] : [])
+    ];
+    const start = Math.min(...days) - 3;
+    const end = Math.max(...days) + 14;
+    return { start, end, total: end - start };
+  }, [milestones, targetLaunchDate, ticket.createdAt, today]);
+
+  const months = useMemo(() => {
+    const ticks = [];
+    const cursor = new Date(range.start * DAY);
+    cursor.setUTCDate(1);
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    while (toDay(cursor) < range.end) {
+      ticks.push({ day: toDay(cursor), label: cursor.toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' }) });
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return ticks;
+  }, [range]);
+
+  const offset = (day) => `${((day - range.start) / range.total) * 100}%`;
+
+  const save = async (data, rollback) => {
+    setSaving(true);
+    try {
+      const response = await productAPI.updateTimeline(ticket._id, data, { version });
+      if (response.headers?.etag) setVersion(response.headers.etag);
+      setMilestones(response.data.launchTimeline?.milestones || []);
+      setTargetLaunchDate(response.data.launchTimeline?.targetLaunchDate || null);
+      onTicketUpdate?.();
+    } catch (error) {
+      console.error('Failed to update launch timeline:', error);
+      rollback();
+      toast.error(error.response?.data?.message || 'Failed to update launch timeline');
+      // Someone else saved the ticket: reload it so the next change applies to their version
+      if (error.response?.status === 409) onTicketUpdate?.();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveMilestones = (next) => {
+    const previous = milestones;
+    setMilestones(next);
+    save({ milestones: toPayload(next) }, () => setMilestones(previous));
+  };
+
+  const saveTargetLaunchDate = (date) => {
+    const previous = targetLaunchDate;
+    setTargetLaunchDate(date);
+    save({ targetLaunchDate: date }, () => setTargetLaunchDate(previous));
+  };
+
+  const updateMilestone = (milestone, changes) => {
+    saveMilestones(milestones.map(m => (m === milestone ? { ...m, ...changes } : m)));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Enter a milestone name');
+      return;
+    }
+    saveMilestones([...milestones, { name: form.name.trim(), dueDate: form.dueDate || null, completed: false }]);
+    setForm({ name: '', dueDate: '' });
+    setShowForm(false);
+  };
+
+  const handleDelete = (milestone) => {
+    if (!window.confirm(`Delete the milestone "${milestone.name}"?`)) return;
+    saveMilestones(milestones.filter(m => m !== milestone));
+  };
+
+  // Dragging: pointer capture keeps the move events coming when the pointer leaves the handle
+  const startDrag = (e, key, day) => {
+    if (!canEdit || saving || !trackRef.current) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const { width } = trackRef.current.getBoundingClientRect();
+    setDrag({ key, startX: e.clientX, startDay: day, day, dayWidth: width / range.total });
+  };
+
+  const moveDrag = (e) => {
+    if (!drag) return;
+    const day = drag.startDay + Math.round((e.clientX - drag.startX) / drag.dayWidth);
+    setDrag({ ...drag, day: Math.min(Math.max(day, range.start), range.end) });
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    const { key, day, startDay } = drag;
+    setDrag(null);
+    if (day === startDay) return;
+
+    if (key === LAUNCH_KEY) {
+      saveTargetLaunchDate(fromDay(day));
+    } else {
+      updateMilestone(key, { dueDate: fromDay(day) });
+    }
+  };
+
+  const dayOf = (key, date) => (drag?.key === key ? drag.day : toDay(date));
+  const dragProps = (key, day) => (canEdit ? {
+    onPointerDown: (e) => startDrag(e, key, day),
+    onPointerMove: moveDrag,
+    onPointerUp: endDrag,
+    onPointerCancel: () => setDrag(null)
+  } : {});
+
+  const isOverdue = (milestone) => !milestone.completed && milestone.dueDate && toDay(milestone.dueDate) < today;
+  const overdueCount = milestones.filter(isOverdue).length;
+  const launchOverdue = targetLaunchDate && toDay(targetLaunchDate) < today && !CLOSED_STATUSES.includes(ticket.status);
+  const launchDay = targetLaunchDate ? dayOf(LAUNCH_KEY, targetLaunchDate) : null;
+
+  const renderTrack = (children) => (
+    <div className="relative h-8 flex-1">
+      <div className="absolute inset-y-0 w-px bg-blue-400" style={{ left: offset(today) }} />
+      {children}
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <CalendarDaysIcon className="h-5 w-5 text-gray-500" />
+            <h3 className="text-lg font-medium text-gray-900">Launch Timeline</h3>
+            {overdueCount > 0 && (
+              <span className="inline-flex items-center gap-1 rounded-full bg-red-100 px-2 py-0.5 text-xs font-medium text-red-800">
+                <ExclamationTriangleIcon className="h-3.5 w-3.5" />
+                {overdueCount} overdue
+              </span>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Target launch
+              {canEdit ? (
+                <input
+                  type="date"
+                  className="form-input py-1 text-sm"
+                  value={formatDateISO(targetLaunchDate)}
+                  disabled={saving}
+                  onChange={(e) => saveTargetLaunchDate(e.target.value || null)}
+                />
+              ) : (
+                <span className="font-medium text-gray-900">{formatDateOnly(targetLaunchDate)}</span>
+              )}
+            </label>
+            {canEdit && (
+              <button type="button" className="btn btn-secondary inline-flex items-center text-sm" onClick={() => setShowForm(!showForm)}>
+                <PlusIcon className="mr-1 h-4 w-4" />
+                Milestone
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="card-body space-y-3">
+        {showForm && (
+          <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2 rounded-md bg-gray-50 p-3">
+            <div className="flex-1">
+              <label className="block text-xs font-medium text-gray-600">Name</label>
+              <input
+                type="text"
+                className="form-input mt-1 w-full text-sm"
+                maxLength={120}
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g. Regulatory review"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600">Due date</label>
+              <input
+                type="date"
+                className="form-input mt-1 text-sm"
+                value={form.dueDate}
+                onChange={(e) => setForm({ ...form, dueDate: e.target.value })}
+              />
+            </div>
+            <button type="submit" className="btn btn-primary text-sm" disabled={saving}>Add</button>
+            <button type="button" className="btn btn-secondary text-sm" onClick={() => setShowForm(false)}>Cancel</button>
+          </form>
+        )}
+
+        {milestones.length === 0 && !targetLaunchDate ? (
+          <p className="py-4 text-center text-sm text-gray-500">
+            No target launch date or milestones yet.
+          </p>
+        ) : (
+          <div className={`select-none ${saving ? 'opacity-75' : ''}`}>
+            {/* Month axis */}
+            <div className="flex">
+              <div className="w-64 flex-shrink-0" />
+              <div ref={trackRef} className="relative h-6 flex-1 border-b border-gray-200">
+                {months.map(month => (
+                  <span
+                    key={month.day}
+                    className="absolute bottom-0 border-l border-gray-300 pl-1 text-xs text-gray-500"
+                    style={{ left: offset(month.day) }}
+                  >
+                    {month.label}
+                  </span>
+                ))}
+                <span className="absolute -top-1 -translate-x-1/2 text-[10px] font-medium text-blue-600" style={{ left: offset(today) }}>
+                  Today
+                </span>
+              </div>
+            </div>
+
+            {sortedMilestones.map((milestone, index) => {
+              const overdue = isOverdue(milestone);
+              const previous = sortedMilestones[index - 1];
+              const startDay = previous?.dueDate ? toDay(previous.dueDate) : toDay(ticket.createdAt || new Date());
+              const endDay = milestone.dueDate ? dayOf(milestone, milestone.dueDate) : null;
+              const barColor = milestone.completed ? 'bg-green-400' : overdue ? 'bg-red-400' : 'bg-blue-400';
+
+              return (
+                <div key={milestone._id || `new-${index}`} className="flex items-center border-b border-gray-100">
+                  <div className="flex w-64 flex-shrink-0 items-center gap-2 py-1 pr-3">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 rounded border-gray-300 text-green-600"
+                      checked={!!milestone.completed}
+                      disabled={!canEdit || saving}
+                      onChange={(e) => updateMilestone(milestone, { completed: e.target.checked, completedDate: null })}
+                      title={milestone.completed ? `Completed ${formatDateOnly(milestone.completedDate)}` : 'Mark complete'}
+                    />
+                    <div className="min-w-0 flex-1">
+                      <p className={`truncate text-sm ${milestone.completed ? 'text-gray-400 line-through' : 'text-gray-900'}`} title={milestone.notes || milestone.name}>
+                        {milestone.name}
+                      </p>
+                      <p className={`text-xs ${overdue ? 'font-medium text-red-600' : 'text-gray-500'}`}>
+                        {endDay !== null ? formatDateOnly(fromDay(endDay)) : 'No due date'}
+                        {overdue && ' · Overdue'}
+                      </p>
+                    </div>
+                    {canEdit && !milestone.dueDate && (
+                      <input
+                        type="date"
+                        className="form-input w-32 py-0.5 text-xs"
+                        disabled={saving}
+                        onChange={(e) => e.target.value && updateMilestone(milestone, { dueDate: e.target.value })}
+                      />
+                    )}
+                    {canEdit && (
+                      <button type="button" className="text-gray-400 hover:text-red-600" onClick={() => handleDelete(milestone)} title="Delete milestone">
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                  {renderTrack(endDay !== null && (
+                    <>
+                      <div
+                        className={`absolute top-2 h-4 rounded-l ${barColor} opacity-60`}
+                        style={{ left: offset(Math.min(startDay, endDay)), width: `${(Math.abs(endDay - startDay) / range.total) * 100}%` }}
+                      />
+                      <div
+                        className={`absolute top-1 h-6 w-2 -translate-x-1/2 rounded ${barColor} ${canEdit ? 'cursor-ew-resize touch-none' : ''} ${drag?.key === milestone ? 'ring-2 ring-blue-300' : ''}`}
+                        style={{ left: offset(endDay) }}
+                        title={canEdit ? 'Drag to change the due date' : formatDateOnly(milestone.dueDate)}
+                        {...dragProps(milestone, endDay)}
+                      />
+                      {overdue && (
+                        <ExclamationTriangleIcon className="absolute top-1.5 ml-2 h-5 w-5 text-red-500" style={{ left: offset(endDay) }} />
+                      )}
+                    </>
+                  ))}
+                </div>
+              );
+            })}
+
+            {/* Target launch */}
+            <div className="flex items-center">
+              <div className="w-64 flex-shrink-0 py-1 pr-3">
+                <p className="text-sm font-medium text-gray-900">Launch</p>
+                <p className={`text-xs ${launchOverdue ? 'font-medium text-red-600' : 'text-gray-500'}`}>
+                  {launchDay !== null ? formatDateOnly(fromDay(launchDay)) : 'Not set'}
+                  {launchOverdue && ' · Past target'}
+                </p>
+              </div>
+              {renderTrack(launchDay !== null && (
+                <div
+                  className={`absolute top-1.5 h-5 w-5 -translate-x-1/2 rotate-45 ${launchOverdue ? 'bg-red-500' : 'bg-purple-500'} ${canEdit ? 'cursor-ew-resize touch-none' : ''} ${drag?.key === LAUNCH_KEY ? 'ring-2 ring-blue-300' : ''}`}
+                  style={{ left: offset(launchDay) }}
+                  title={canEdit ? 'Drag to change the target launch date' : formatDateOnly(targetLaunchDate)}
+                  {...dragProps(LAUNCH_KEY, launchDay)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LaunchTimelineGantt;
@@ -12,9 +12,12 @@ import {
   XMarkIcon,
   CogIcon,
   CircleStackIcon,
-  DocumentTextIcon
+  DocumentTextIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import NotificationCenter from './NotificationCenter';
+import GlobalSearch from './GlobalSearch';
 
 const Layout = () => {
   const { user, logout, isProductManager, isPMOPS, isAdmin } = useAuth();
@@ -39,6 +42,7 @@ const Layout = () => {
   const navigation = [
     { name: isPMOPS || isAdmin ? 'PMOps Dashboard' : 'Dashboard', href: isPMOPS || isAdmin ? '/pm-ops' : '/dashboard', icon: HomeIcon },
     { name: 'Tickets', href: '/tickets', icon: DocumentIcon },
+    { name: 'Launch Calendar', href: '/launch-calendar', icon: CalendarDaysIcon },
     ...(isPMOPS || isAdmin ? [
       { name: 'Drafts', href: '/drafts', icon: PencilIcon }
     ] : []),
@@ -160,12 +164,16 @@ const Layout = () => {
                     {navigation.find(item => item.href === location.pathname)?.name || 'NPDI Portal'}
                   </h1>
                 </div>
+                <div className="ml-6 hidden flex-1 items-center sm:flex">
+                  <GlobalSearch />
+                </div>
               </div>
             </div>
             
             <div className="ml-4 flex items-center md:ml-6">
               <div className="relative">
                 <div className="flex items-center space-x-3">
+                  <NotificationCenter />
                   <span className="text-sm text-gray-700">
                     {user?.firstName} {user?.lastName}
                   </span>
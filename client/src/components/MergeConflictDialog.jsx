@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// "quality.attributes[Purity].valueRange" → "Quality › Attributes [Purity] › Value Range"
+const formatFieldPath = (path) => path
+  .split('.')
+  .map(part => part
+    .replace(/\[(.+)\]$/, ' [$1]')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/^./, c => c.toUpperCase()))
+  .join(' › ');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value) && value.every(item => typeof item !== 'object')) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value, (key, v) => (key === '_id' ? undefined : v), 2);
+  return String(value);
+};
+
+/**
+ * Merge Conflict Dialog Component
+ * Shown when a save collides with someone else's edit to the same fields.
+ * onResolve receives { path: 'mine' | 'theirs' }, or null when cancelled.
+ */
+const MergeConflictDialog = ({ conflicts, onResolve }) => {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicts.map(conflict => [conflict.path, 'mine']))
+  );
+
+  const setAll = (choice) => {
+    setChoices(Object.fromEntries(conflicts.map(conflict => [conflict.path, choice])));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={() => onResolve(null)}></div>
+
+        {/* Modal panel */}
+        <div className="inline-block w-full max-w-4xl px-4 pt-5 pb-4 overflow-hidden text-left align-bottom transition-all transform bg-white rounded-lg shadow-xl sm:my-8 sm:align-middle sm:p-6">
+          <div className="flex items-start mb-4">
+            <ExclamationTriangleIcon className="h-6 w-6 text-yellow-500 mr-3 flex-shrink-0" />
+            <div>
+              <h3 className="text-xl font-bold text-gray-900">Someone else edited this ticket</h3>
+              <p className="mt-1 text-sm text-gray-600">
+                The fields below were changed by another user since you opened the ticket.
+                Choose which value to keep for each one. Your other changes will be saved as they are.
+              </p>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 mb-2 text-xs">
+            <button onClick={() => setAll('mine')} className="text-blue-600 hover:text-blue-800">Keep all mine</button>
+            <button onClick={() => setAll('theirs')} className="text-blue-600 hover:text-blue-800">Take all theirs</button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Your Value</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Their Value</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {conflicts.map(conflict => (
+                  <tr key={conflict.path}>
+                    <td className="px-3 py-2 w-1/4 font-medium text-gray-700 align-top">
+                      {formatFieldPath(conflict.context || conflict.path)}
+                    </td>
+                    {['mine', 'theirs'].map(choice => (
+                      <td key={choice} className="px-3 py-2 align-top">
+                        <label className={`flex items-start p-2 rounded border cursor-pointer ${choices[conflict.path] === choice ? 'border-blue-400 bg-blue-50' : 'border-gray-200'}`}>
+                          <input
+                            type="radio"
+                            name={`conflict-${conflict.path}`}
+                            checked={choices[conflict.path] === choice}
+                            onChange={() => setChoices(prev => ({ ...prev, [conflict.path]: choice }))}
+                            className="mt-1 mr-2"
+                          />
+                          <pre className="whitespace-pre-wrap break-words font-sans text-gray-800">
+                            {formatValue(choice === 'mine' ? conflict.yourValue : conflict.serverValue)}
+                          </pre>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-4">
+            <button onClick={() => onResolve(null)} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button onClick={() => onResolve(choices)} className="btn btn-primary">
+              Save Merged Changes
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeConflictDialog;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+  BellIcon,
+  ArrowPathIcon,
+  UserPlusIcon,
+  AtSymbolIcon,
+  CheckBadgeIcon
+} from '@heroicons/react/24/outline';
+import { notificationAPI } from '../services/api';
+import liveEventsService from '../services/liveEventsService';
+import { useAuth } from '../utils/AuthContext';
+import { formatTimeAgo } from '../utils/dateFormatters';
+
+const TYPE_ICONS = {
+  STATUS_CHANGE: ArrowPathIcon,
+  ASSIGNMENT: UserPlusIcon,
+  MENTION: AtSymbolIcon,
+  APPROVAL: CheckBadgeIcon
+};
+
+/**
+ * Notification Center Component
+ * Header bell with an unread badge and a dropdown of recent notifications.
+ * New notifications arrive over the server-sent event stream and pop up as toasts.
+ */
+const NotificationCenter = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!user?.email) return undefined;
+
+    fetchNotifications();
+
+    const unsubscribeUnread = liveEventsService.subscribe('unread', (data) => {
+      setUnreadCount(data.unreadCount);
+    });
+    const unsubscribeNotification = liveEventsService.subscribe('notification', (data) => {
+      setNotifications(prev => [data, ...prev.filter(n => n._id !== data._id)].slice(0, 20));
+      setUnreadCount(prev => prev + 1);
+      toast(data.title, { icon: '🔔' });
+    });
+
+    return () => {
+      unsubscribeUnread();
+      unsubscribeNotification();
+    };
+  }, [user?.email]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await notificationAPI.getAll({ limit: 20 });
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      try {
+        const response = await notificationAPI.markRead(notification._id);
+        setNotifications(prev => prev.map(n => n._id === notification._id ? response.data.notification : n));
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        console.error('Failed to mark notification read:', error);
+      }
+    }
+    if (notification.ticket) {
+      navigate(`/tickets/${notification.ticket}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+      toast.error('Failed to mark notifications read');
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative text-gray-400 hover:text-gray-500"
+        title="Notifications"
+      >
+        <BellIcon className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-blue-600 hover:text-blue-800">
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">No notifications yet.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map(notification => {
+                const Icon = TYPE_ICONS[notification.type] || BellIcon;
+                return (
+                  <li key={notification._id}>
+                    <button
+                      onClick={() => handleOpenNotification(notification)}
+                      className={`w-full text-left px-4 py-3 flex items-start hover:bg-gray-50 ${notification.read ? '' : 'bg-blue-50'}`}
+                    >
+                      <Icon className="h-5 w-5 text-gray-500 mr-3 mt-0.5 flex-shrink-0" />
+                      <div className="min-w-0 flex-1">
+                        <p className={`text-sm text-gray-900 ${notification.read ? '' : 'font-medium'}`}>
+                          {notification.title}
+                        </p>
+                        {notification.message && (
+                          <p className="text-xs text-gray-600 truncate">{notification.message}</p>
+                        )}
+                        <p className="text-xs text-gray-400 mt-0.5">{formatTimeAgo(notification.createdAt)}</p>
+                      </div>
+                      {!notification.read && (
+                        <span className="h-2 w-2 rounded-full bg-blue-600 mt-1.5 ml-2 flex-shrink-0" />
+                      )}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -1,17 +1,32 @@
-import React, { useState, useRef, useImperativeHandle, forwardRef } from 'react';
+import React, { useState, useEffect, useRef, useImperativeHandle, forwardRef } from 'react';
 import { productAPI } from '../services/api';
 import toast from 'react-hot-toast';
 import { useAuth } from '../utils/AuthContext';
-
-const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
+import TicketChangeHistory from './TicketChangeHistory';
+import ReturnForRevisionModal from './ReturnForRevisionModal';
+import FieldFlagMarker from './FieldFlagMarker';
+import { SectionLockBanner } from './PresenceIndicators';
+import { usePresence } from '../utils/PresenceContext';
+import { getStartProcessingTransition } from '../utils/workflow';
+
+const PMOpsTabView = forwardRef(({ ticket, availableTransitions = [], workflow = null, onTicketUpdate, saveTicket, canEdit = false }, ref) => {
   const { user, isPMOPS, isAdmin } = useAuth();
   const [activeTab, setActiveTab] = useState('basic');
+  const [showReturnModal, setShowReturnModal] = useState(false);
+
+  // Workflow transition back to an editable status, offered as "Return for Revision"
+  const returnTransition = (isPMOPS || isAdmin) && ticket.status !== 'DRAFT'
+    ? availableTransitions.find(t => t.to === 'DRAFT')
+    : null;
 
   // Check if ticket is locked (completed or canceled)
   const isTicketLocked = () => {
     return ticket.status === 'COMPLETED' || ticket.status === 'CANCELED';
   };
 
+  // Prefer the parent's conflict-aware save when it provides one
+  const updateTicket = (data) => (saveTicket ? saveTicket(data) : productAPI.updateTicket(ticket._id, data));
+
   // Expose method to change tabs from parent component
   useImperativeHandle(ref, () => ({
     navigateToTab: (tabId) => {
@@ -36,6 +51,19 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
   const [previewField, setPreviewField] = useState(null);
   const [editedHtml, setEditedHtml] = useState('');
   const [showFormattedHtml, setShowFormattedHtml] = useState(false);
+  const presence = usePresence();
+  const setPresenceEditing = presence?.setEditing;
+
+  // Let other viewers know which section is being edited here
+  useEffect(() => {
+    setPresenceEditing?.(editingSKUs ? 'skus' : isPreviewOpen ? 'corpbase' : null);
+  }, [editingSKUs, isPreviewOpen, setPresenceEditing]);
+
+  // Soft locks only warn; the user can still go ahead
+  const confirmSectionLock = (section) => {
+    const lock = presence?.getLock(section);
+    return !lock || window.confirm(`${lock.firstName} ${lock.lastName} is already editing ${lock.label}. Edit anyway?`);
+  };
   const textareaRef = useRef(null);
 
   const handleSavePartNumber = async () => {
@@ -54,15 +82,16 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
         }
       };
 
-      // If ticket is SUBMITTED, automatically change status to IN_PROCESS
-      if (ticket.status === 'SUBMITTED') {
-        updateData.status = 'IN_PROCESS';
+      // Assigning the part number starts processing when the workflow allows it
+      const startTransition = getStartProcessingTransition(workflow, availableTransitions, ticket.status);
+      if (startTransition) {
+        updateData.status = startTransition.to;
       }
 
-      await productAPI.updateTicket(ticket._id, updateData);
+      await updateTicket(updateData);
 
-      if (ticket.status === 'SUBMITTED') {
-        toast.success('Part number assigned and status changed to In Process');
+      if (startTransition) {
+        toast.success(`Part number assigned and status changed to ${startTransition.toLabel}`);
       } else {
         toast.success('Part number saved successfully');
       }
@@ -72,7 +101,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
       }
     } catch (error) {
       console.error('Failed to save part number:', error);
-      toast.error('Failed to save part number');
+      toast.error(error.response?.data?.message || 'Failed to save part number');
     } finally {
       setSavingPartNumber(false);
     }
@@ -101,7 +130,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
       });
 
       // Save both base unit and updated SKU variants
-      await productAPI.updateTicket(ticket._id, {
+      await updateTicket({
         baseUnit: baseUnit,
         skuVariants: updatedSKUs
       });
@@ -169,6 +198,8 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
   };
 
   const handleEditSKUs = () => {
+    if (!confirmSectionLock('skus')) return;
+
     // Sync base unit state with ticket
     if (ticket.baseUnit) {
       setBaseUnit(ticket.baseUnit);
@@ -317,7 +348,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
   const handleSaveSKUs = async () => {
     setSavingSKUs(true);
     try {
-      await productAPI.updateTicket(ticket._id, {
+      await updateTicket({
         skuVariants: editedSKUs
       });
       toast.success('SKUs updated successfully');
@@ -345,6 +376,8 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
 
   // Handle preview opening
   const handlePreview = (field, content) => {
+    if (!confirmSectionLock('corpbase')) return;
+
     setPreviewField({ field, content });
     const fixedHtml = fixOrphanedListItems(content || '');
     setEditedHtml(fixedHtml);
@@ -369,7 +402,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
     }
 
     try {
-      await productAPI.updateTicket(ticket._id, updateData);
+      await updateTicket(updateData);
       toast.success(`${fieldName} updated successfully`);
       setIsPreviewOpen(false);
       if (onTicketUpdate) {
@@ -451,12 +484,14 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
     { id: 'corpbase', name: 'CorpBase Data' },
     { id: 'intellectualProperty', name: 'Intellectual Property' },
     { id: 'additional', name: 'Additional Fields' },
+    { id: 'history', name: 'History' },
   ];
 
   // Check if BULK SKU exists
   const hasBulkSKU = ticket.skuVariants && ticket.skuVariants.some(v => v.type === 'BULK');
 
-  const renderDataTable = (data) => {
+  // basePath is the ticket path of `data` (e.g. chemicalProperties), used for field flag markers
+  const renderDataTable = (data, basePath = '') => {
     if (!data || (Array.isArray(data) && data.length === 0)) {
       return <p className="text-gray-500 text-sm italic">No data available</p>;
     }
@@ -539,6 +574,10 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
         <tr key={key} className="border-b border-gray-200 hover:bg-gray-50">
           <td className="px-4 py-3 text-sm font-medium text-gray-700 w-1/3">
             {label}
+            {/* Keys with spaces are display labels, not ticket fields */}
+            {!key.includes(' ') && (
+              <FieldFlagMarker fieldPath={basePath ? `${basePath}.${key}` : key} fieldLabel={label} />
+            )}
           </td>
           <td className="px-4 py-3 text-sm text-gray-900">
             {processValue(value)}
@@ -622,7 +661,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
       });
     }
 
-    return renderDataTable(chemPropsData);
+    return renderDataTable(chemPropsData, 'chemicalProperties');
   };
 
   const renderVendorInfo = () => {
@@ -630,7 +669,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
       return <p className="text-gray-500 text-sm italic">Not applicable (product is not procured from vendor)</p>;
     }
 
-    return renderDataTable(ticket.vendorInformation);
+    return renderDataTable(ticket.vendorInformation, 'vendorInformation');
   };
 
   const renderComposition = () => {
@@ -662,7 +701,10 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
                     {component.proprietary ? 'Yes' : 'No'}
                   </span>
                 </td>
-                <td className="px-4 py-3 text-sm font-mono text-gray-900">{component.componentCAS || '—'}</td>
+                <td className="px-4 py-3 text-sm font-mono text-gray-900">
+                  {component.componentCAS || '—'}
+                  <FieldFlagMarker fieldPath={`composition.components.${index}`} fieldLabel={`Component: ${component.componentName || component.componentCAS || index + 1}`} />
+                </td>
                 <td className="px-4 py-3 text-sm font-semibold text-gray-900">{component.weightPercent ? `${component.weightPercent}%` : '—'}</td>
                 <td className="px-4 py-3 text-sm text-gray-900">{component.componentName || '—'}</td>
                 <td className="px-4 py-3 text-sm font-mono text-gray-900">{component.componentFormula || '—'}</td>
@@ -773,7 +815,10 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
                 <tbody className="bg-white divide-y divide-gray-200">
                   {ticket.quality.attributes.map((attr, index) => (
                     <tr key={index} className="hover:bg-gray-50">
-                      <td className="px-4 py-3 text-sm text-gray-900">{attr.testAttribute || '—'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {attr.testAttribute || '—'}
+                        <FieldFlagMarker fieldPath={`quality.attributes.${index}`} fieldLabel={`Quality attribute: ${attr.testAttribute || index + 1}`} />
+                      </td>
                       <td className="px-4 py-3 text-sm">
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                           attr.dataSource === 'QC'
@@ -914,6 +959,8 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
 
     return (
       <div className="space-y-4">
+        <SectionLockBanner section="skus" />
+
         {/* Edit/Save Buttons */}
         <div className="flex justify-end space-x-3">
           {editingSKUs ? (
@@ -1089,6 +1136,9 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
                         {variant.type}
                       </span>
                     )}
+                    {!editingSKUs && (
+                      <FieldFlagMarker fieldPath={`skuVariants.${variantIdx}`} fieldLabel={`SKU ${variant.sku || `${variant.type} ${variantIdx + 1}`}`} />
+                    )}
                   </td>
 
                   {/* Part Number */}
@@ -1362,6 +1412,8 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
 
     return (
       <div className="space-y-6">
+        <SectionLockBanner section="corpbase" />
+
         {/* Toggle for HTML Display Mode */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-center justify-between">
           <div className="flex items-center space-x-3">
@@ -1505,7 +1557,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
         </div>
 
         {/* Other Fields */}
-        {renderDataTable(otherFields)}
+        {renderDataTable(otherFields, 'corpbaseData')}
       </div>
     );
   };
@@ -1515,7 +1567,7 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
       return <p className="text-gray-500 text-sm italic">No intellectual property data</p>;
     }
 
-    return renderDataTable(ticket.intellectualProperty);
+    return renderDataTable(ticket.intellectualProperty, 'intellectualProperty');
   };
 
   const renderAdditionalFields = () => {
@@ -1528,7 +1580,8 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
       'chemicalProperties', 'vendorInformation', 'composition', 'quality',
       'corpbaseData', 'intellectualProperty', 'skuVariants', 'targetMargin',
       'materialCostPerUnit', 'totalMaterialCost', 'partNumber', 'statusHistory', 'comments',
-      'npdiTracking', 'hazardClassification', 'regulatoryInfo', 'launchTimeline', 'pubchemData'
+      'npdiTracking', 'hazardClassification', 'regulatoryInfo', 'launchTimeline', 'pubchemData',
+      'sla', 'clonedFrom', 'relationships', 'approvals', 'revisionRequests', 'attachments', 'internalTicketNumber', 'reminderLog'
     ];
 
     const additionalData = {};
@@ -1565,6 +1618,8 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
         return renderIntellectualProperty();
       case 'additional':
         return renderAdditionalFields();
+      case 'history':
+        return <TicketChangeHistory ticket={ticket} canRevert={canEdit} onTicketUpdate={onTicketUpdate} />;
       default:
         return null;
     }
@@ -1614,6 +1669,16 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
             );
           })}
         </div>
+        {returnTransition && (
+          <div className="px-4 pb-4">
+            <button
+              onClick={() => setShowReturnModal(true)}
+              className="w-full btn btn-secondary text-sm text-orange-700 border-orange-300 hover:bg-orange-50"
+            >
+              Return for Revision
+            </button>
+          </div>
+        )}
       </nav>
 
       {/* Tab Content */}
@@ -1621,6 +1686,20 @@ const PMOpsTabView = forwardRef(({ ticket, onTicketUpdate }, ref) => {
         {renderTabContent()}
       </div>
 
+      {showReturnModal && returnTransition && (
+        <ReturnForRevisionModal
+          ticket={ticket}
+          transition={returnTransition}
+          onClose={() => setShowReturnModal(false)}
+          onReturned={() => {
+            setShowReturnModal(false);
+            if (onTicketUpdate) {
+              onTicketUpdate();
+            }
+          }}
+        />
+      )}
+
       {/* HTML Preview Modal */}
       {isPreviewOpen && previewField && (
         <div className="fixed inset-0 z-50 overflow-y-auto">
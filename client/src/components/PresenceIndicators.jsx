@@ -0,0 +1,75 @@
+import React from 'react';
+import { EyeIcon, LockClosedIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { usePresence } from '../utils/PresenceContext';
+import { formatTimeAgo } from '../utils/dateFormatters';
+
+const initials = (viewer) => (
+  `${viewer.firstName?.[0] || ''}${viewer.lastName?.[0] || ''}`.toUpperCase() || viewer.email?.[0]?.toUpperCase() || '?'
+);
+
+const displayName = (person) => (
+  `${person.firstName || ''} ${person.lastName || ''}`.trim() || person.email
+);
+
+/**
+ * Presence Bar Component
+ * Avatars of the other people who have this ticket open, shown in the ticket header.
+ * Anyone editing a section gets a pencil badge.
+ */
+const PresenceBar = () => {
+  const presence = usePresence();
+  if (!presence || presence.otherViewers.length === 0) return null;
+
+  const { otherViewers, locks } = presence;
+
+  return (
+    <div className="flex items-center space-x-2" title="Also viewing this ticket">
+      <EyeIcon className="h-4 w-4 text-blue-200" />
+      <div className="flex -space-x-2">
+        {otherViewers.slice(0, 5).map(viewer => {
+          const lock = locks.find(l => l.email === viewer.email);
+          return (
+            <div
+              key={viewer.email}
+              className="relative h-8 w-8 rounded-full bg-white text-blue-700 text-xs font-semibold flex items-center justify-center ring-2 ring-blue-600"
+              title={`${displayName(viewer)}${viewer.role ? ` (${viewer.role})` : ''}${lock ? ` - editing ${lock.label}` : ' - viewing'}`}
+            >
+              {initials(viewer)}
+              {viewer.editing && (
+                <span className="absolute -bottom-1 -right-1 h-4 w-4 rounded-full bg-amber-400 flex items-center justify-center">
+                  <PencilSquareIcon className="h-3 w-3 text-white" />
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {otherViewers.length > 5 && (
+        <span className="text-xs text-blue-100">+{otherViewers.length - 5}</span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Section Lock Banner Component
+ * Warns that someone else is editing a section. Locks are soft - the user can
+ * still edit, and conflicting saves go through the usual merge dialog.
+ */
+export const SectionLockBanner = ({ section, className = '' }) => {
+  const presence = usePresence();
+  const lock = presence?.getLock(section);
+  if (!lock) return null;
+
+  return (
+    <div className={`bg-amber-50 border border-amber-200 rounded-md px-4 py-2 flex items-center text-sm text-amber-800 ${className}`}>
+      <LockClosedIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+      <span>
+        <span className="font-medium">{lock.label}</span> - being edited by{' '}
+        <span className="font-medium">{displayName(lock)}</span> (started {formatTimeAgo(lock.since)})
+      </span>
+    </div>
+  );
+};
+
+export default PresenceBar;
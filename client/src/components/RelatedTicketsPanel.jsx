@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { LinkIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { StatusBadge } from './badges';
+
+// Labels read from this ticket's point of view: "<this ticket> is <label> <linked ticket>"
+const RELATIONSHIP_TYPES = [
+  { value: 'PARENT', label: 'Child of', group: 'Parent' },
+  { value: 'CHILD', label: 'Parent of', group: 'Children' },
+  { value: 'SUPERSEDES', label: 'Supersedes', group: 'Supersedes' },
+  { value: 'SUPERSEDED_BY', label: 'Superseded by', group: 'Superseded by' },
+  { value: 'RELATED', label: 'Related to', group: 'Related' }
+];
+
+/**
+ * Related Tickets Panel Component
+ * Lists typed links to other tickets (parent/child, supersedes, related)
+ * and lets editors add or remove them. Links are kept on both tickets.
+ */
+const RelatedTicketsPanel = ({ ticket, canEdit }) => {
+  const [relationships, setRelationships] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ type: 'RELATED', ticketNumber: '', note: '' });
+
+  useEffect(() => {
+    fetchRelationships();
+  }, [ticket._id]);
+
+  const fetchRelationships = async () => {
+    try {
+      const response = await productAPI.getRelationships(ticket._id);
+      setRelationships(response.data.relationships || []);
+    } catch (error) {
+      console.error('Failed to fetch related tickets:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!form.ticketNumber.trim()) {
+      toast.error('Enter the ticket number to link');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await productAPI.addRelationship(ticket._id, form);
+      toast.success(response.data.message);
+      setForm({ type: 'RELATED', ticketNumber: '', note: '' });
+      setShowForm(false);
+      fetchRelationships();
+    } catch (error) {
+      console.error('Failed to link ticket:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to link ticket');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (relationship) => {
+    const linkedNumber = relationship.linkedTicket?.ticketNumber || 'this ticket';
+    if (!window.confirm(`Remove the link to ${linkedNumber}? It will also be removed from ${linkedNumber}.`)) return;
+
+    try {
+      await productAPI.removeRelationship(ticket._id, relationship._id);
+      toast.success('Link removed');
+      fetchRelationships();
+    } catch (error) {
+      console.error('Failed to remove link:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove link');
+    }
+  };
+
+  const groups = RELATIONSHIP_TYPES
+    .map(type => ({ ...type, items: relationships.filter(rel => rel.type === type.value) }))
+    .filter(group => group.items.length > 0);
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <LinkIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Related Tickets
+          {relationships.length > 0 && <span className="ml-2 text-sm text-gray-500">({relationships.length})</span>}
+        </h3>
+        {canEdit && !showForm && (
+          <button onClick={() => setShowForm(true)} className="text-sm text-blue-600 hover:text-blue-800 flex items-center">
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Link Ticket
+          </button>
+        )}
+      </div>
+      <div className="card-body space-y-4">
+        {showForm && (
+          <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-12 gap-3 items-end p-3 bg-gray-50 border border-gray-200 rounded-lg">
+            <div className="md:col-span-3">
+              <label className="block text-xs font-medium text-gray-700 mb-1">This ticket is</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                className="form-select w-full text-sm"
+              >
+                {RELATIONSHIP_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-3">
+              <label className="block text-xs font-medium text-gray-700 mb-1">Ticket Number</label>
+              <input
+                type="text"
+                value={form.ticketNumber}
+                onChange={(e) => setForm(prev => ({ ...prev, ticketNumber: e.target.value }))}
+                placeholder="NPDI-2025-0042"
+                className="form-input w-full text-sm"
+              />
+            </div>
+            <div className="md:col-span-4">
+              <label className="block text-xs font-medium text-gray-700 mb-1">Note (optional)</label>
+              <input
+                type="text"
+                value={form.note}
+                onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+                placeholder="e.g. 500 g line extension"
+                className="form-input w-full text-sm"
+              />
+            </div>
+            <div className="md:col-span-2 flex space-x-2">
+              <button type="submit" disabled={saving} className="btn btn-primary text-sm">
+                {saving ? 'Linking...' : 'Link'}
+              </button>
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary text-sm">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading related tickets...</p>
+        ) : groups.length === 0 ? (
+          <p className="text-gray-500 text-sm italic">No related tickets</p>
+        ) : (
+          groups.map(group => (
+            <div key={group.value}>
+              <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">{group.group}</h4>
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {group.items.map(relationship => (
+                  <div key={relationship._id} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      {relationship.linkedTicket ? (
+                        <>
+                          <Link to={`/tickets/${relationship.ticket}`} className="font-medium text-blue-600 hover:text-blue-800">
+                            {relationship.linkedTicket.ticketNumber}
+                          </Link>
+                          <span className="text-gray-900"> · {relationship.linkedTicket.productName}</span>
+                        </>
+                      ) : (
+                        <span className="text-gray-500 italic">Deleted ticket</span>
+                      )}
+                      {relationship.note && <div className="text-xs text-gray-500">{relationship.note}</div>}
+                    </div>
+                    <div className="flex items-center space-x-3 flex-shrink-0 ml-3">
+                      {relationship.linkedTicket && <StatusBadge status={relationship.linkedTicket.status} />}
+                      {canEdit && (
+                        <button
+                          onClick={() => handleRemove(relationship)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Remove link"
+                        >
+                          <XMarkIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RelatedTicketsPanel;
@@ -0,0 +1,177 @@
+import React, { useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowUturnLeftIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { listFieldPaths, getFieldValue, formatFieldPath } from '../utils/revisionItems';
+
+const emptyItem = () => ({ fieldPath: '', message: '' });
+
+/**
+ * Return For Revision Modal Component
+ * PMOps builds a checklist of field-level issues and sends the ticket back to
+ * the Product Manager. The ticket cannot be resubmitted until every item is resolved.
+ */
+const ReturnForRevisionModal = ({ ticket, transition, onClose, onReturned }) => {
+  const [items, setItems] = useState([emptyItem()]);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fieldPaths = useMemo(() => listFieldPaths(ticket), [ticket]);
+
+  const updateItem = (index, key, value) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, [key]: value } : item)));
+  };
+
+  const removeItem = (index) => {
+    setItems(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const revisionItems = items
+      .filter(item => item.fieldPath.trim() || item.message.trim())
+      .map(item => ({
+        fieldPath: item.fieldPath.trim(),
+        fieldLabel: formatFieldPath(item.fieldPath.trim()),
+        message: item.message.trim()
+      }));
+
+    if (revisionItems.length === 0) {
+      toast.error('Add at least one item for the Product Manager to fix');
+      return;
+    }
+    if (revisionItems.some(item => !item.fieldPath || !item.message)) {
+      toast.error('Each item needs a field and a description');
+      return;
+    }
+    if (transition.requireReason && !reason.trim()) {
+      toast.error('A reason is required to return this ticket');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await productAPI.updateStatus(ticket._id, {
+        status: transition.to,
+        reason: reason.trim() || `Returned for revision (${revisionItems.length} item${revisionItems.length === 1 ? '' : 's'})`,
+        revisionItems
+      });
+      toast.success('Ticket returned to the Product Manager for revision');
+      onReturned();
+    } catch (error) {
+      console.error('Failed to return ticket for revision:', error);
+      toast.error(error.response?.data?.message || 'Failed to return ticket for revision');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        {/* Modal panel */}
+        <form
+          onSubmit={handleSubmit}
+          className="inline-block w-full max-w-4xl px-4 pt-5 pb-4 overflow-hidden text-left align-bottom transition-all transform bg-white rounded-lg shadow-xl sm:my-8 sm:align-middle sm:p-6"
+        >
+          <div className="flex items-start mb-4">
+            <ArrowUturnLeftIcon className="h-6 w-6 text-orange-500 mr-3 flex-shrink-0" />
+            <div>
+              <h3 className="text-xl font-bold text-gray-900">Return for Revision</h3>
+              <p className="mt-1 text-sm text-gray-600">
+                List each issue and the field it applies to. The ticket moves back to {transition.toLabel} and
+                cannot be resubmitted until the Product Manager resolves every item.
+              </p>
+            </div>
+          </div>
+
+          <datalist id="revision-field-paths">
+            {fieldPaths.map(path => <option key={path} value={path} />)}
+          </datalist>
+
+          <div className="space-y-3 mb-4">
+            {items.map((item, index) => {
+              const currentValue = item.fieldPath ? getFieldValue(ticket, item.fieldPath.trim()) : undefined;
+              return (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-3 items-start p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                  <div className="md:col-span-5">
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Field</label>
+                    <input
+                      type="text"
+                      list="revision-field-paths"
+                      value={item.fieldPath}
+                      onChange={(e) => updateItem(index, 'fieldPath', e.target.value)}
+                      placeholder="skuVariants[2].pricing.listPrice"
+                      className="form-input w-full text-sm font-mono"
+                    />
+                    {currentValue !== undefined && typeof currentValue !== 'object' && (
+                      <p className="mt-1 text-xs text-gray-500 truncate">Current: {String(currentValue)}</p>
+                    )}
+                  </div>
+                  <div className="md:col-span-6">
+                    <label className="block text-xs font-medium text-gray-700 mb-1">What needs to change</label>
+                    <textarea
+                      value={item.message}
+                      onChange={(e) => updateItem(index, 'message', e.target.value)}
+                      rows={2}
+                      placeholder="e.g. List price is below cost; please confirm with pricing"
+                      className="form-input w-full text-sm"
+                    />
+                  </div>
+                  <div className="md:col-span-1 flex md:justify-end md:pt-6">
+                    {items.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => removeItem(index)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove item"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+            <button
+              type="button"
+              onClick={() => setItems(prev => [...prev, emptyItem()])}
+              className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Add Item
+            </button>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Reason {transition.requireReason && <span className="text-red-500">*</span>}
+            </label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="form-input w-full text-sm"
+              placeholder="e.g. Pricing and hazard data need correction"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Returning...' : 'Return to Product Manager'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReturnForRevisionModal;
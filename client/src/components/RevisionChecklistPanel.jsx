@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { ClipboardDocumentCheckIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { getFieldValue } from '../utils/revisionItems';
+
+/**
+ * Revision Checklist Panel Component
+ * Lists the issues PMOps raised when returning the ticket for revision.
+ * The Product Manager resolves each item; resubmission is blocked while any are open.
+ */
+const RevisionChecklistPanel = ({ ticket, canEdit, onTicketUpdate }) => {
+  const [activeItem, setActiveItem] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const items = ticket.revisionRequests || [];
+  if (items.length === 0) return null;
+
+  const openItems = items.filter(item => item.status === 'OPEN');
+  // Open items first, then resolved items from the most recent round
+  const sortedItems = [...openItems, ...items.filter(item => item.status === 'RESOLVED').reverse()];
+
+  const updateItem = async (item, resolved) => {
+    setSaving(true);
+    try {
+      const response = await productAPI.updateRevisionItem(ticket._id, item._id, { resolved, note: resolved ? note.trim() : undefined });
+      toast.success(response.data.message);
+      setActiveItem(null);
+      setNote('');
+      if (onTicketUpdate) onTicketUpdate();
+    } catch (error) {
+      console.error('Failed to update revision item:', error);
+      toast.error(error.response?.data?.message || 'Failed to update revision item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={`card ${openItems.length > 0 ? 'border-orange-300' : ''}`}>
+      <div className={`card-header flex items-center justify-between ${openItems.length > 0 ? 'bg-orange-50' : ''}`}>
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <ClipboardDocumentCheckIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Revision Checklist
+          <span className="ml-2 text-sm text-gray-500">({items.length - openItems.length}/{items.length} resolved)</span>
+        </h3>
+        {openItems.length > 0 && (
+          <span className="text-xs font-medium text-orange-700">Resolve every item before resubmitting</span>
+        )}
+      </div>
+      <div className="card-body">
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {sortedItems.map(item => {
+            const currentValue = getFieldValue(ticket, item.fieldPath);
+            const isOpen = item.status === 'OPEN';
+            return (
+              <div key={item._id} className={`px-3 py-2 text-sm ${isOpen ? '' : 'bg-gray-50'}`}>
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <div className="flex items-center">
+                      {!isOpen && <CheckCircleIcon className="h-4 w-4 mr-1 text-green-600 flex-shrink-0" />}
+                      <span className={`font-medium ${isOpen ? 'text-gray-900' : 'text-gray-500 line-through'}`}>
+                        {item.fieldLabel || item.fieldPath}
+                      </span>
+                      <span className="ml-2 text-xs font-mono text-gray-400">{item.fieldPath}</span>
+                    </div>
+                    <p className="text-gray-700">{item.message}</p>
+                    {currentValue !== undefined && typeof currentValue !== 'object' && (
+                      <p className="text-xs text-gray-500">Current value: {String(currentValue)}</p>
+                    )}
+                    {!isOpen && (
+                      <p className="text-xs text-gray-500">
+                        Resolved by {item.resolvedBy}
+                        {item.resolvedAt && ` · ${new Date(item.resolvedAt).toLocaleString()}`}
+                        {item.resolutionNote && <span className="text-gray-700"> · “{item.resolutionNote}”</span>}
+                      </p>
+                    )}
+                  </div>
+                  {canEdit && activeItem !== item._id && (
+                    <button
+                      onClick={() => (isOpen ? (setActiveItem(item._id), setNote('')) : updateItem(item, false))}
+                      disabled={saving}
+                      className="text-sm text-blue-600 hover:text-blue-800 flex-shrink-0 ml-3"
+                    >
+                      {isOpen ? 'Mark Resolved' : 'Reopen'}
+                    </button>
+                  )}
+                </div>
+
+                {activeItem === item._id && (
+                  <div className="mt-2 flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="What was changed (optional)"
+                      className="form-input flex-1 text-sm"
+                    />
+                    <button type="button" onClick={() => setActiveItem(null)} className="btn btn-secondary text-sm">
+                      Cancel
+                    </button>
+                    <button type="button" disabled={saving} onClick={() => updateItem(item, true)} className="btn btn-primary text-sm">
+                      Resolve
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RevisionChecklistPanel;
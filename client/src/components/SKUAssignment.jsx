@@ -3,6 +3,7 @@ import { useForm, useFieldArray } from 'react-hook-form';
 import { PlusIcon, TrashIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
 import { productAPI } from '../services/api';
 import toast from 'react-hot-toast';
+import { getStartProcessingTransition } from '../utils/workflow';
 
 const SKUAssignment = ({ ticket, onUpdate }) => {
   const [loading, setLoading] = useState(false);
@@ -123,10 +124,16 @@ const SKUAssignment = ({ ticket, onUpdate }) => {
           baseNumber: data.partNumber,
           assignedAt: new Date()
         },
-        skuVariants: data.skuVariants,
-        status: 'IN_PROCESS' // Move to in-process once SKUs are assigned
+        skuVariants: data.skuVariants
       };
 
+      // Assigning SKUs starts processing when the ticket's workflow allows it
+      const { data: { workflow, transitions } } = await productAPI.getTransitions(ticket._id);
+      const startTransition = getStartProcessingTransition(workflow, transitions, ticket.status);
+      if (startTransition) {
+        updateData.status = startTransition.to;
+      }
+
       await productAPI.updateTicket(ticket._id, updateData);
       toast.success('SKU assignments saved successfully!');
       onUpdate();
@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import {
+  BookmarkIcon,
+  ChevronDownIcon,
+  TrashIcon,
+  UserGroupIcon,
+  GlobeAltIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import { BookmarkIcon as BookmarkSolidIcon } from '@heroicons/react/24/solid';
+import { userPreferencesAPI } from '../services/api';
+import { SHARING_OPTIONS, describeFilters, matchesSavedSearch, queryToFilters } from '../utils/savedSearches';
+
+const SharingIcon = ({ scope }) => {
+  if (scope === 'TEAM') return <UserGroupIcon className="h-4 w-4 text-gray-400" title="Shared with my team" />;
+  if (scope === 'EVERYONE') return <GlobeAltIcon className="h-4 w-4 text-gray-400" title="Shared with everyone" />;
+  return null;
+};
+
+/**
+ * Save Search Modal
+ * Names the current ticket list filters and chooses who else can use them.
+ */
+const SaveSearchModal = ({ onClose, onSave }) => {
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('PRIVATE');
+  const [pinned, setPinned] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave({ name: name.trim(), sharing: { scope }, pinned });
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block w-full max-w-md px-4 pt-5 pb-4 overflow-hidden text-left align-bottom transition-all transform bg-white rounded-lg shadow-xl sm:my-8 sm:align-middle sm:p-6">
+          <h3 className="text-lg font-bold text-gray-900 mb-4">Save Search</h3>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={80}
+              placeholder="e.g. Urgent Life Science tickets"
+              className="form-input"
+              autoFocus
+            />
+          </div>
+
+          <div className="mb-4">
+            <p className="block text-sm font-medium text-gray-700 mb-2">Share with</p>
+            <div className="space-y-2">
+              {SHARING_OPTIONS.map(option => (
+                <label key={option.value} className="flex items-start cursor-pointer">
+                  <input
+                    type="radio"
+                    name="sharing"
+                    value={option.value}
+                    checked={scope === option.value}
+                    onChange={() => setScope(option.value)}
+                    className="h-4 w-4 mt-0.5 text-millipore-blue focus:ring-millipore-blue border-gray-300"
+                  />
+                  <span className="ml-2">
+                    <span className="block text-sm text-gray-900">{option.label}</span>
+                    {option.description && <span className="block text-xs text-gray-500">{option.description}</span>}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="flex items-center mb-6 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={pinned}
+              onChange={(e) => setPinned(e.target.checked)}
+              className="h-4 w-4 text-millipore-blue focus:ring-millipore-blue border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Pin as a tab</span>
+          </label>
+
+          <div className="flex justify-end space-x-3">
+            <button onClick={onClose} className="btn btn-secondary" disabled={saving}>
+              Cancel
+            </button>
+            <button onClick={handleSave} className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Saved Search Bar Component
+ * Pinned saved searches as tabs, plus a menu of the user's own and shared searches.
+ * @param {Object} currentQuery - Filters the list is showing (string values); enables saving
+ * @param {Function} onApply - Called with a saved search when one is picked
+ * @param {string} activeId - Saved search to highlight; defaults to the one matching currentQuery
+ */
+const SavedSearchBar = ({ currentQuery, onApply, activeId }) => {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [sharedSearches, setSharedSearches] = useState([]);
+  const [pinnedIds, setPinnedIds] = useState([]);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    fetchSavedSearches();
+  }, []);
+
+  useEffect(() => {
+    if (!menuOpen) return undefined;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setMenuOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [menuOpen]);
+
+  const fetchSavedSearches = async () => {
+    try {
+      const response = await userPreferencesAPI.getSavedSearches();
+      setSavedSearches(response.data.savedSearches || []);
+      setSharedSearches(response.data.sharedSearches || []);
+      setPinnedIds(response.data.pinnedSearches || []);
+    } catch (error) {
+      console.error('Failed to fetch saved searches:', error);
+    }
+  };
+
+  const allSearches = [...savedSearches, ...sharedSearches];
+  const pinnedSearches = pinnedIds
+    .map(id => allSearches.find(search => search._id === id))
+    .filter(Boolean);
+  const activeSearchId = activeId
+    || (currentQuery && allSearches.find(search => matchesSavedSearch(currentQuery, search))?._id);
+
+  const handleApply = (search) => {
+    setMenuOpen(false);
+    onApply(search);
+  };
+
+  const handleSave = async (data) => {
+    try {
+      await userPreferencesAPI.createSavedSearch({ ...data, filters: queryToFilters(currentQuery) });
+      toast.success(`Saved "${data.name}"`);
+      fetchSavedSearches();
+    } catch (error) {
+      console.error('Failed to save search:', error);
+      toast.error(error.response?.data?.message || 'Failed to save search');
+      throw error;
+    }
+  };
+
+  const handleTogglePin = async (search) => {
+    const next = pinnedIds.includes(search._id)
+      ? pinnedIds.filter(id => id !== search._id)
+      : [...pinnedIds, search._id];
+    try {
+      const response = await userPreferencesAPI.setPinnedSearches(next);
+      setPinnedIds(response.data.pinnedSearches);
+    } catch (error) {
+      console.error('Failed to update pinned searches:', error);
+      toast.error(error.response?.data?.message || 'Failed to update pinned searches');
+    }
+  };
+
+  const handleUpdate = async (search, data, message) => {
+    try {
+      await userPreferencesAPI.updateSavedSearch(search._id, data);
+      toast.success(message);
+      fetchSavedSearches();
+    } catch (error) {
+      console.error('Failed to update saved search:', error);
+      toast.error(error.response?.data?.message || 'Failed to update saved search');
+    }
+  };
+
+  const handleDelete = async (search) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    try {
+      await userPreferencesAPI.deleteSavedSearch(search._id);
+      toast.success('Saved search deleted');
+      fetchSavedSearches();
+    } catch (error) {
+      console.error('Failed to delete saved search:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete saved search');
+    }
+  };
+
+  const renderPinButton = (search) => (
+    <button
+      onClick={() => handleTogglePin(search)}
+      className="text-gray-400 hover:text-millipore-blue"
+      title={pinnedIds.includes(search._id) ? 'Unpin tab' : 'Pin as a tab'}
+    >
+      {pinnedIds.includes(search._id)
+        ? <BookmarkSolidIcon className="h-4 w-4 text-millipore-blue" />
+        : <BookmarkIcon className="h-4 w-4" />}
+    </button>
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {pinnedSearches.map(search => (
+        <button
+          key={search._id}
+          onClick={() => handleApply(search)}
+          title={describeFilters(search.filters)}
+          className={`px-3 py-1 text-sm rounded-md font-medium ${
+            activeSearchId === search._id
+              ? 'bg-millipore-blue text-white'
+              : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          {search.name}
+        </button>
+      ))}
+
+      <div className="relative" ref={menuRef}>
+        <button
+          onClick={() => setMenuOpen(!menuOpen)}
+          className="px-3 py-1 text-sm rounded-md font-medium text-gray-700 border border-gray-300 hover:bg-gray-50 flex items-center"
+        >
+          <BookmarkIcon className="h-4 w-4 mr-1" />
+          Saved Searches
+          <ChevronDownIcon className="h-4 w-4 ml-1" />
+        </button>
+
+        {menuOpen && (
+          <div className="absolute left-0 mt-2 w-96 bg-white rounded-lg shadow-lg border border-gray-200 z-40">
+            {currentQuery && (
+              <div className="px-4 py-3 border-b border-gray-200">
+                <button
+                  onClick={() => { setMenuOpen(false); setShowSaveModal(true); }}
+                  className="text-sm font-medium text-millipore-blue hover:text-millipore-blue-dark"
+                >
+                  + Save current filters
+                </button>
+              </div>
+            )}
+
+            <div className="max-h-96 overflow-y-auto">
+              <p className="px-4 pt-3 pb-1 text-xs font-medium text-gray-500 uppercase">My searches</p>
+              {savedSearches.length === 0 ? (
+                <p className="px-4 pb-3 text-sm text-gray-500 italic">No saved searches yet</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {savedSearches.map(search => (
+                    <li key={search._id} className="px-4 py-2">
+                      <div className="flex items-center justify-between">
+                        <button
+                          onClick={() => handleApply(search)}
+                          className="text-sm text-gray-900 hover:text-millipore-blue text-left truncate flex items-center"
+                        >
+                          <span className="truncate">{search.name}</span>
+                          <span className="ml-1"><SharingIcon scope={search.sharing?.scope} /></span>
+                        </button>
+                        <div className="flex items-center space-x-2 flex-shrink-0 ml-2">
+                          {renderPinButton(search)}
+                          {currentQuery && (
+                            <button
+                              onClick={() => handleUpdate(search, { filters: queryToFilters(currentQuery) }, `Updated "${search.name}"`)}
+                              className="text-gray-400 hover:text-millipore-blue"
+                              title="Replace with current filters"
+                            >
+                              <ArrowPathIcon className="h-4 w-4" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDelete(search)}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Delete"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
+                      <p className="text-xs text-gray-500 truncate">{describeFilters(search.filters)}</p>
+                      <select
+                        value={search.sharing?.scope || 'PRIVATE'}
+                        onChange={(e) => handleUpdate(search, { sharing: { scope: e.target.value } }, 'Sharing updated')}
+                        className="mt-1 text-xs border border-gray-200 rounded px-1 py-0.5 text-gray-600"
+                      >
+                        {SHARING_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>Shared with: {option.label}</option>
+                        ))}
+                      </select>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {sharedSearches.length > 0 && (
+                <>
+                  <p className="px-4 pt-3 pb-1 text-xs font-medium text-gray-500 uppercase border-t border-gray-200">Shared with me</p>
+                  <ul className="divide-y divide-gray-100">
+                    {sharedSearches.map(search => (
+                      <li key={search._id} className="px-4 py-2">
+                        <div className="flex items-center justify-between">
+                          <button
+                            onClick={() => handleApply(search)}
+                            className="text-sm text-gray-900 hover:text-millipore-blue text-left truncate"
+                          >
+                            {search.name}
+                          </button>
+                          <div className="flex-shrink-0 ml-2">{renderPinButton(search)}</div>
+                        </div>
+                        <p className="text-xs text-gray-500 truncate">
+                          {search.sharing?.ownerName || search.owner} · {describeFilters(search.filters)}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showSaveModal && (
+        <SaveSearchModal onClose={() => setShowSaveModal(false)} onSave={handleSave} />
+      )}
+    </div>
+  );
+};
+
+export default SavedSearchBar;
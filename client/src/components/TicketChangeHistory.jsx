@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowUturnLeftIcon, FunnelIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+
+// "quality.attributes[Purity].valueRange" → "Quality › Attributes [Purity] › Value Range"
+const formatFieldPath = (path) => path
+  .split('.')
+  .map(part => part
+    .replace(/\[(.+)\]$/, ' [$1]')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/^./, c => c.toUpperCase()))
+  .join(' › ');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value) && value.every(item => typeof item !== 'object')) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value, (key, v) => (key === '_id' ? undefined : v), 2);
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleDateString();
+  return String(value);
+};
+
+/**
+ * Ticket Change History Component
+ * Shows the field-level diff of every edit to a ticket, with the option to
+ * revert a single field or a whole edit.
+ */
+const TicketChangeHistory = ({ ticket, canRevert, onTicketUpdate }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [fieldFilter, setFieldFilter] = useState('');
+  const [reverting, setReverting] = useState(null);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [ticket._id, ticket.updatedAt]);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await productAPI.getHistory(ticket._id);
+      setHistory(response.data.history || []);
+    } catch (error) {
+      console.error('Failed to fetch change history:', error);
+      toast.error('Failed to load change history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevert = async (entry, paths = null, force = false) => {
+    const what = paths ? formatFieldPath(entry.changes.find(c => c.path === paths[0])?.context || paths[0]) : 'this whole edit';
+    if (!force && !window.confirm(`Revert ${what} to its previous value?`)) return;
+
+    setReverting(`${entry._id}-${paths ? paths[0] : 'all'}`);
+    try {
+      const response = await productAPI.revertChange(ticket._id, entry._id, { paths, force });
+      toast.success(response.data.message);
+      onTicketUpdate();
+    } catch (error) {
+      if (error.response?.status === 409) {
+        const conflicts = error.response.data.conflicts || [];
+        const fields = conflicts.map(c => formatFieldPath(c.context || c.path)).join('\n');
+        if (window.confirm(`These fields have been changed again since this edit:\n\n${fields}\n\nOverwrite them with the older values anyway?`)) {
+          setReverting(null);
+          return handleRevert(entry, paths, true);
+        }
+      } else {
+        console.error('Failed to revert change:', error);
+        toast.error(error.response?.data?.message || 'Failed to revert change');
+      }
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  const filter = fieldFilter.trim().toLowerCase();
+  const visibleHistory = history
+    .map(entry => ({
+      ...entry,
+      changes: filter
+        ? entry.changes.filter(change =>
+            (change.context || change.path).toLowerCase().includes(filter) ||
+            formatFieldPath(change.context || change.path).toLowerCase().includes(filter))
+        : entry.changes
+    }))
+    .filter(entry => entry.changes.length > 0);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-millipore-blue"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Change History</h3>
+        <div className="relative w-72">
+          <FunnelIcon className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={fieldFilter}
+            onChange={(e) => setFieldFilter(e.target.value)}
+            placeholder="Filter by field, e.g. purity"
+            className="form-input pl-9 text-sm w-full"
+          />
+        </div>
+      </div>
+
+      {visibleHistory.length === 0 ? (
+        <p className="text-gray-500 text-sm italic">
+          {history.length === 0 ? 'No edits recorded yet' : 'No edits match this field'}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {visibleHistory.map(entry => {
+            const revertableCount = entry.changes.filter(c => c.revertable).length;
+            return (
+              <div key={entry._id} className="border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-b border-gray-200 rounded-t-lg">
+                  <div className="text-sm">
+                    <span className="font-medium text-gray-900">
+                      {entry.userInfo?.firstName ? `${entry.userInfo.firstName} ${entry.userInfo.lastName}` : entry.changedBy || 'Unknown user'}
+                    </span>
+                    {entry.userInfo?.role && <span className="text-gray-500"> ({entry.userInfo.role})</span>}
+                    <span className="text-gray-500"> · {new Date(entry.createdAt).toLocaleString()}</span>
+                    {entry.source === 'REVERT' && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">Revert</span>
+                    )}
+                  </div>
+                  {canRevert && revertableCount > 1 && !filter && (
+                    <button
+                      onClick={() => handleRevert(entry)}
+                      disabled={!!reverting}
+                      className="text-xs text-blue-600 hover:text-blue-800 flex items-center disabled:opacity-50"
+                    >
+                      <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                      Revert whole edit
+                    </button>
+                  )}
+                </div>
+                <table className="min-w-full divide-y divide-gray-100 text-sm">
+                  <tbody className="divide-y divide-gray-100">
+                    {entry.changes.map(change => (
+                      <tr key={change.path}>
+                        <td className="px-4 py-2 w-1/4 font-medium text-gray-700 align-top">
+                          {formatFieldPath(change.context || change.path)}
+                        </td>
+                        <td className="px-4 py-2 w-1/3 align-top">
+                          <pre className="whitespace-pre-wrap break-words font-sans text-red-700 bg-red-50 rounded px-2 py-1 line-through decoration-red-300">{formatValue(change.oldValue)}</pre>
+                        </td>
+                        <td className="px-4 py-2 w-1/3 align-top">
+                          <pre className="whitespace-pre-wrap break-words font-sans text-green-700 bg-green-50 rounded px-2 py-1">{formatValue(change.newValue)}</pre>
+                        </td>
+                        <td className="px-4 py-2 text-right align-top">
+                          {canRevert && change.revertable && (
+                            <button
+                              onClick={() => handleRevert(entry, [change.path])}
+                              disabled={!!reverting}
+                              className="text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                              title="Revert this field"
+                            >
+                              <ArrowUturnLeftIcon className="h-4 w-4" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TicketChangeHistory;
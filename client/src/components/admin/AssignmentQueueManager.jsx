@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { PencilIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { assignmentAPI } from '../../services/api';
+
+const SBU_OPTIONS = ['775', 'P90', '440', 'P87', 'P89', 'P85'];
+
+const AVAILABILITY_STYLES = {
+  AVAILABLE: { label: 'Available', className: 'bg-green-100 text-green-800' },
+  AT_CAPACITY: { label: 'At Capacity', className: 'bg-yellow-100 text-yellow-800' },
+  OUT_OF_OFFICE: { label: 'Out of Office', className: 'bg-purple-100 text-purple-800' },
+  PAUSED: { label: 'Paused', className: 'bg-gray-100 text-gray-700' }
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * AssignmentQueueManager Component
+ *
+ * Lists PMOps users in the assignment queue with their open load, and lets
+ * admins edit SBU coverage, capacity and out-of-office delegation.
+ */
+const AssignmentQueueManager = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingEmail, setEditingEmail] = useState(null);
+  const [editForm, setEditForm] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      const response = await assignmentAPI.getQueue();
+      setUsers(response.data.users || []);
+    } catch (error) {
+      console.error('Error fetching assignment queue:', error);
+      toast.error('Failed to load assignment queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEdit = (user) => {
+    setEditingEmail(user.email);
+    setEditForm({
+      sbus: user.assignment?.sbus || [],
+      capacity: user.assignment?.capacity ?? '',
+      acceptingTickets: user.assignment?.acceptingTickets !== false,
+      outOfOffice: {
+        enabled: user.assignment?.outOfOffice?.enabled || false,
+        startDate: toDateInput(user.assignment?.outOfOffice?.startDate),
+        endDate: toDateInput(user.assignment?.outOfOffice?.endDate),
+        delegateTo: user.assignment?.outOfOffice?.delegateTo || ''
+      }
+    });
+  };
+
+  const toggleSbu = (sbu) => {
+    const sbus = editForm.sbus.includes(sbu)
+      ? editForm.sbus.filter(s => s !== sbu)
+      : [...editForm.sbus, sbu];
+    setEditForm({ ...editForm, sbus });
+  };
+
+  const updateOutOfOffice = (key, value) => {
+    setEditForm({ ...editForm, outOfOffice: { ...editForm.outOfOffice, [key]: value } });
+  };
+
+  const saveEdit = async () => {
+    try {
+      setSaving(true);
+      await assignmentAPI.updateUser(editingEmail, {
+        ...editForm,
+        capacity: editForm.capacity === '' ? null : parseInt(editForm.capacity)
+      });
+      toast.success('Assignment settings saved');
+      setEditingEmail(null);
+      await fetchQueue();
+    } catch (error) {
+      console.error('Error saving assignment settings:', error);
+      toast.error(error.response?.data?.message || 'Failed to save assignment settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (users.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No PMOps users found. Create PMOps profiles under User Management to build the queue.
+      </p>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">SBUs</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Open / Capacity</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Availability</th>
+            <th className="px-4 py-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {users.map(user => {
+            const availability = AVAILABILITY_STYLES[user.availability] || AVAILABILITY_STYLES.AVAILABLE;
+            const isEditing = editingEmail === user.email;
+
+            return (
+              <React.Fragment key={user.email}>
+                <tr>
+                  <td className="px-4 py-3">
+                    <div className="text-sm font-medium text-gray-900">{user.firstName} {user.lastName}</div>
+                    <div className="text-xs text-gray-500">{user.email}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {user.assignment?.sbus?.length > 0 ? user.assignment.sbus.join(', ') : 'All SBUs'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {user.openTickets} / {user.capacity > 0 ? user.capacity : '∞'}
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${availability.className}`}>
+                      {availability.label}
+                    </span>
+                    {user.availability === 'OUT_OF_OFFICE' && user.assignment?.outOfOffice?.delegateTo && (
+                      <p className="text-xs text-gray-500 mt-1">→ {user.assignment.outOfOffice.delegateTo}</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {!isEditing && (
+                      <button
+                        onClick={() => startEdit(user)}
+                        className="text-blue-600 hover:text-blue-800"
+                        title="Edit assignment settings"
+                      >
+                        <PencilIcon className="h-5 w-5" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {isEditing && (
+                  <tr className="bg-blue-50">
+                    <td colSpan="5" className="px-4 py-4">
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">SBU Coverage</label>
+                          <div className="flex flex-wrap gap-3">
+                            {SBU_OPTIONS.map(sbu => (
+                              <label key={sbu} className="flex items-center text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={editForm.sbus.includes(sbu)}
+                                  onChange={() => toggleSbu(sbu)}
+                                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-1"
+                                />
+                                {sbu}
+                              </label>
+                            ))}
+                          </div>
+                          <p className="mt-1 text-xs text-gray-500">Leave all unchecked to cover every SBU</p>
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Capacity</label>
+                            <input
+                              type="number"
+                              value={editForm.capacity}
+                              onChange={(e) => setEditForm({ ...editForm, capacity: e.target.value })}
+                              className="form-input"
+                              min="0"
+                              placeholder="Default"
+                            />
+                          </div>
+                          <div className="flex items-end">
+                            <label className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={editForm.acceptingTickets}
+                                onChange={(e) => setEditForm({ ...editForm, acceptingTickets: e.target.checked })}
+                                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+                              />
+                              Accepting new tickets
+                            </label>
+                          </div>
+                        </div>
+                        <div className="md:col-span-2 border-t border-blue-200 pt-4">
+                          <label className="flex items-center text-sm font-medium text-gray-700 mb-3">
+                            <input
+                              type="checkbox"
+                              checked={editForm.outOfOffice.enabled}
+                              onChange={(e) => updateOutOfOffice('enabled', e.target.checked)}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+                            />
+                            Out of office
+                          </label>
+                          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                            <div>
+                              <label className="block text-xs text-gray-600 mb-1">From</label>
+                              <input
+                                type="date"
+                                value={editForm.outOfOffice.startDate}
+                                onChange={(e) => updateOutOfOffice('startDate', e.target.value)}
+                                className="form-input"
+                                disabled={!editForm.outOfOffice.enabled}
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-xs text-gray-600 mb-1">Until</label>
+                              <input
+                                type="date"
+                                value={editForm.outOfOffice.endDate}
+                                onChange={(e) => updateOutOfOffice('endDate', e.target.value)}
+                                className="form-input"
+                                disabled={!editForm.outOfOffice.enabled}
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-xs text-gray-600 mb-1">Delegate To</label>
+                              <select
+                                value={editForm.outOfOffice.delegateTo}
+                                onChange={(e) => updateOutOfOffice('delegateTo', e.target.value)}
+                                className="form-select"
+                                disabled={!editForm.outOfOffice.enabled}
+                              >
+                                <option value="">No delegate (skip in queue)</option>
+                                {users.filter(u => u.email !== user.email).map(u => (
+                                  <option key={u.email} value={u.email}>{u.firstName} {u.lastName}</option>
+                                ))}
+                              </select>
+                            </div>
+                          </div>
+                        </div>
+                      </div>
+                      <div className="flex justify-end space-x-2 mt-4">
+                        <button
+                          onClick={() => setEditingEmail(null)}
+                          className="btn btn-secondary flex items-center text-sm"
+                        >
+                          <XMarkIcon className="h-4 w-4 mr-1" />
+                          Cancel
+                        </button>
+                        <button
+                          onClick={saveEdit}
+                          disabled={saving}
+                          className="btn btn-primary flex items-center text-sm"
+                        >
+                          <CheckIcon className="h-4 w-4 mr-1" />
+                          {saving ? 'Saving...' : 'Save'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AssignmentQueueManager;
@@ -456,6 +456,7 @@ const PermissionsManagement = () => {
             {renderPermissionRow('corpbaseData', 'CorpBase Data')}
             {renderPermissionRow('pricingData', 'Pricing Data')}
             {renderPermissionRow('comments', 'Comments')}
+            {renderPermissionRow('attachments', 'Attachments')}
             {renderPermissionRow('statusHistory', 'Status History')}
             {renderPermissionRow('adminPanel', 'Administrative Panel')}
           </div>
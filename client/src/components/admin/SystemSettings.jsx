@@ -8,14 +8,23 @@ import {
   BuildingOfficeIcon,
   RectangleStackIcon,
   BuildingLibraryIcon,
-  BeakerIcon
+  BeakerIcon,
+  ClockIcon,
+  PlusIcon,
+  TrashIcon,
+  UserGroupIcon,
+  CheckBadgeIcon,
+  HashtagIcon,
+  BellAlertIcon,
+  EnvelopeIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
-import { systemSettingsAPI, adminAPI } from '../../services/api';
+import { systemSettingsAPI, adminAPI, templatesAPI } from '../../services/api';
 import PlantCodesManager from './PlantCodesManager';
 import GPHManagement from './GPHManagement';
 import BusinessLineManager from './BusinessLineManager';
 import ParserKnowledgeManager from './ParserKnowledgeManager';
+import AssignmentQueueManager from './AssignmentQueueManager';
 
 const SystemSettings = () => {
   const [settings, setSettings] = useState({});
@@ -26,6 +35,8 @@ const SystemSettings = () => {
   const [testResult, setTestResult] = useState(null);
   const [testingPalantir, setTestingPalantir] = useState(false);
   const [palantirTestResult, setPalantirTestResult] = useState(null);
+  const [numberingTemplates, setNumberingTemplates] = useState([]);
+  const [numberingCounters, setNumberingCounters] = useState([]);
 
   useEffect(() => {
     fetchSettings();
@@ -64,9 +75,47 @@ const SystemSettings = () => {
             notifyOnStatusChange: true,
             notifyOnTicketCreated: false,
             notifyOnCommentAdded: false,
-            notifyOnAssignment: false
+            notifyOnAssignment: false,
+            notifyOnSlaBreach: true,
+            notifyOnReminder: false
           }
         },
+        assignment: {
+          enabled: false,
+          strategy: 'ROUND_ROBIN',
+          defaultCapacity: 10
+        },
+        sla: {
+          enabled: false,
+          checkIntervalMinutes: 15,
+          atRiskPercent: 75,
+          targets: [],
+          escalation: {
+            notifyTeams: true,
+            notifyEmail: true,
+            notifyAssignee: true,
+            emailRecipients: []
+          }
+        },
+        reminders: {
+          enabled: false,
+          checkIntervalMinutes: 60,
+          staleDraftDays: 7,
+          stuckStatusDays: 14,
+          overdueMilestones: true,
+          repeatEveryDays: 3
+        },
+        digests: {
+          enabled: false,
+          sendHour: 8,
+          weeklyDay: 1
+        },
+        approvals: {
+          enabled: false,
+          requiredForStatus: 'NPDI_INITIATED',
+          sequential: false,
+          stages: []
+        },
         performance: {
           cache: {
             enabled: true,
@@ -86,6 +135,12 @@ const SystemSettings = () => {
   const sections = [
     { id: 'general', name: 'General Settings', icon: CogIcon },
     { id: 'tickets', name: 'Ticket Configuration', icon: DocumentTextIcon },
+    { id: 'numbering', name: 'Ticket Numbering', icon: HashtagIcon },
+    { id: 'assignment', name: 'Assignment Queue', icon: UserGroupIcon },
+    { id: 'sla', name: 'SLA & Escalation', icon: ClockIcon },
+    { id: 'reminders', name: 'Reminders', icon: BellAlertIcon },
+    { id: 'digests', name: 'Digest Emails', icon: EnvelopeIcon },
+    { id: 'approvals', name: 'Approvals', icon: CheckBadgeIcon },
     { id: 'integrations', name: 'Integrations', icon: ServerIcon },
     { id: 'ai', name: 'AI Content Generation', icon: SparklesIcon },
     { id: 'parser-knowledge', name: 'Quality Tests', icon: BeakerIcon },
@@ -300,6 +355,783 @@ const SystemSettings = () => {
     </div>
   );
 
+  const renderAssignmentSettings = () => (
+    <div className="space-y-6">
+      <div className="border rounded-lg p-4">
+        <div className="flex items-center mb-4">
+          <input
+            id="assignmentEnabled"
+            type="checkbox"
+            checked={settings.assignment?.enabled || false}
+            onChange={(e) => updateSetting('assignment', 'enabled', e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor="assignmentEnabled" className="ml-3 text-sm font-medium text-gray-700">
+            Automatically assign newly submitted tickets to PMOps
+          </label>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Routing Strategy
+            </label>
+            <select
+              value={settings.assignment?.strategy || 'ROUND_ROBIN'}
+              onChange={(e) => updateSetting('assignment', 'strategy', e.target.value)}
+              className="form-select"
+            >
+              <option value="ROUND_ROBIN">Round-robin</option>
+              <option value="LEAST_LOADED">Least loaded</option>
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              Round-robin rotates through eligible users; least loaded picks the user with the fewest open tickets
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Default Capacity (open tickets per user)
+            </label>
+            <input
+              type="number"
+              value={settings.assignment?.defaultCapacity ?? ''}
+              onChange={(e) => updateSetting('assignment', 'defaultCapacity', parseInt(e.target.value))}
+              className="form-input"
+              min="0"
+            />
+            <p className="mt-1 text-xs text-gray-500">0 = unlimited. Users at capacity are skipped.</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="border rounded-lg p-4">
+        <h4 className="text-lg font-medium text-gray-900 mb-1">PMOps Queue</h4>
+        <p className="text-xs text-gray-500 mb-4">
+          SBU coverage, capacity and out-of-office delegation per user. Changes here are saved immediately.
+        </p>
+        <AssignmentQueueManager />
+      </div>
+    </div>
+  );
+
+  const updateSlaTarget = (index, key, value) => {
+    const targets = [...(settings.sla?.targets || [])];
+    targets[index] = { ...targets[index], [key]: value };
+    updateSetting('sla', 'targets', targets);
+  };
+
+  const addSlaTarget = () => {
+    const targets = [...(settings.sla?.targets || []), { sbu: '', status: 'SUBMITTED', targetHours: 48 }];
+    updateSetting('sla', 'targets', targets);
+  };
+
+  const removeSlaTarget = (index) => {
+    const targets = (settings.sla?.targets || []).filter((_, i) => i !== index);
+    updateSetting('sla', 'targets', targets);
+  };
+
+  const updateSlaEscalation = (key, value) => {
+    updateSetting('sla', 'escalation', { ...settings.sla?.escalation, [key]: value });
+  };
+
+  const renderReminderSettings = () => (
+    <div className="space-y-6">
+      <div className="border rounded-lg p-4">
+        <div className="flex items-center mb-2">
+          <input
+            id="remindersEnabled"
+            type="checkbox"
+            checked={settings.reminders?.enabled || false}
+            onChange={(e) => updateSetting('reminders', 'enabled', e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor="remindersEnabled" className="ml-3 text-sm font-medium text-gray-700">
+            Enable scheduled reminders
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          Drafts are reminded to their creator. Stuck tickets and overdue milestones are reminded to the assignee, or the
+          creator when the ticket is unassigned. Emails follow each user's reminder preference and quiet hours; Teams posts
+          use the Teams integration's reminder setting.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Check Interval (minutes)
+            </label>
+            <input
+              type="number"
+              value={settings.reminders?.checkIntervalMinutes || ''}
+              onChange={(e) => updateSetting('reminders', 'checkIntervalMinutes', parseInt(e.target.value))}
+              className="form-input"
+              min="5"
+              max="1440"
+            />
+            <p className="mt-1 text-xs text-gray-500">Takes effect after the server restarts</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Repeat Every (days)
+            </label>
+            <input
+              type="number"
+              value={settings.reminders?.repeatEveryDays || ''}
+              onChange={(e) => updateSetting('reminders', 'repeatEveryDays', parseInt(e.target.value))}
+              className="form-input"
+              min="1"
+            />
+            <p className="mt-1 text-xs text-gray-500">Before the same reminder is sent again</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="border rounded-lg p-4">
+        <h4 className="text-lg font-medium text-gray-900 mb-4">What to Remind About</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Stale Drafts (days without changes)
+            </label>
+            <input
+              type="number"
+              value={settings.reminders?.staleDraftDays ?? ''}
+              onChange={(e) => updateSetting('reminders', 'staleDraftDays', parseInt(e.target.value) || 0)}
+              className="form-input"
+              min="0"
+            />
+            <p className="mt-1 text-xs text-gray-500">0 turns off draft reminders</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Stuck Tickets (days in the same status)
+            </label>
+            <input
+              type="number"
+              value={settings.reminders?.stuckStatusDays ?? ''}
+              onChange={(e) => updateSetting('reminders', 'stuckStatusDays', parseInt(e.target.value) || 0)}
+              className="form-input"
+              min="0"
+            />
+            <p className="mt-1 text-xs text-gray-500">0 turns off stuck ticket reminders</p>
+          </div>
+        </div>
+        <div className="flex items-center mt-4">
+          <input
+            id="remindersOverdueMilestones"
+            type="checkbox"
+            checked={settings.reminders?.overdueMilestones !== false}
+            onChange={(e) => updateSetting('reminders', 'overdueMilestones', e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor="remindersOverdueMilestones" className="ml-3 text-sm text-gray-700">
+            Remind about launch timeline milestones that are past due and not completed
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderDigestSettings = () => (
+    <div className="space-y-6">
+      <div className="border rounded-lg p-4">
+        <div className="flex items-center mb-2">
+          <input
+            id="digestsEnabled"
+            type="checkbox"
+            checked={settings.digests?.enabled || false}
+            onChange={(e) => updateSetting('digests', 'enabled', e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor="digestsEnabled" className="ml-3 text-sm font-medium text-gray-700">
+            Send daily digests and weekly reports
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          Users opt in under Profile &gt; Preferences. Each email summarizes status changes, comments and passed deadlines on
+          tickets the user created or is assigned to, with times in the user's timezone. Daily digests with no activity are
+          not sent. Requires SMTP to be configured.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Send At (user's local time)
+            </label>
+            <select
+              value={settings.digests?.sendHour ?? 8}
+              onChange={(e) => updateSetting('digests', 'sendHour', parseInt(e.target.value))}
+              className="form-select"
+            >
+              {Array.from({ length: 24 }, (_, hour) => (
+                <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Weekly Report Day
+            </label>
+            <select
+              value={settings.digests?.weeklyDay ?? 1}
+              onChange={(e) => updateSetting('digests', 'weeklyDay', parseInt(e.target.value))}
+              className="form-select"
+            >
+              {['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].map((day, index) => (
+                <option key={day} value={index}>{day}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderSlaSettings = () => (
+    <div className="space-y-6">
+      <div className="border rounded-lg p-4">
+        <div className="flex items-center mb-4">
+          <input
+            id="slaEnabled"
+            type="checkbox"
+            checked={settings.sla?.enabled || false}
+            onChange={(e) => updateSetting('sla', 'enabled', e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor="slaEnabled" className="ml-3 text-sm font-medium text-gray-700">
+            Enable status SLA tracking
+          </label>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Check Interval (minutes)
+            </label>
+            <input
+              type="number"
+              value={settings.sla?.checkIntervalMinutes || ''}
+              onChange={(e) => updateSetting('sla', 'checkIntervalMinutes', parseInt(e.target.value))}
+              className="form-input"
+              min="1"
+              max="1440"
+            />
+            <p className="mt-1 text-xs text-gray-500">Takes effect after the server restarts</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              At Risk Threshold (% of target)
+            </label>
+            <input
+              type="number"
+              value={settings.sla?.atRiskPercent || ''}
+              onChange={(e) => updateSetting('sla', 'atRiskPercent', parseInt(e.target.value))}
+              className="form-input"
+              min="1"
+              max="100"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* SLA Targets */}
+      <div className="border rounded-lg p-4">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h4 className="text-lg font-medium text-gray-900">SLA Targets</h4>
+            <p className="text-xs text-gray-500">
+              Maximum hours a ticket may stay in a status. SBU-specific targets override "All SBUs".
+            </p>
+          </div>
+          <button onClick={addSlaTarget} className="btn btn-secondary flex items-center text-sm">
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add Target
+          </button>
+        </div>
+        {(settings.sla?.targets || []).length === 0 ? (
+          <p className="text-sm text-gray-500">No SLA targets configured</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">SBU</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Target (hours)</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {settings.sla.targets.map((target, index) => (
+                <tr key={index}>
+                  <td className="px-4 py-2">
+                    <select
+                      value={target.sbu || ''}
+                      onChange={(e) => updateSlaTarget(index, 'sbu', e.target.value)}
+                      className="form-select"
+                    >
+                      <option value="">All SBUs</option>
+                      <option value="775">SBU 775</option>
+                      <option value="P90">SBU P90</option>
+                      <option value="440">SBU 440</option>
+                      <option value="P87">SBU P87</option>
+                      <option value="P89">SBU P89</option>
+                      <option value="P85">SBU P85</option>
+                    </select>
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="text"
+                      value={target.status || ''}
+                      onChange={(e) => updateSlaTarget(index, 'status', e.target.value.toUpperCase())}
+                      className="form-input"
+                      placeholder="SUBMITTED"
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="number"
+                      value={target.targetHours || ''}
+                      onChange={(e) => updateSlaTarget(index, 'targetHours', parseInt(e.target.value))}
+                      className="form-input"
+                      min="1"
+                    />
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => removeSlaTarget(index)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove target"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Escalation */}
+      <div className="border rounded-lg p-4">
+        <h4 className="text-lg font-medium text-gray-900 mb-4">Escalation</h4>
+        <div className="space-y-2">
+          {[
+            { key: 'notifyTeams', label: 'Post breaches to Microsoft Teams', description: 'Uses the Teams webhook configured under Integrations' },
+            { key: 'notifyEmail', label: 'Send escalation emails', description: 'Requires SMTP to be configured on the server' },
+            { key: 'notifyAssignee', label: 'Email the assigned PMOps user', description: 'Respects the user\'s email notification preferences' }
+          ].map(option => (
+            <div key={option.key} className="flex items-start">
+              <input
+                id={`sla-${option.key}`}
+                type="checkbox"
+                checked={settings.sla?.escalation?.[option.key] || false}
+                onChange={(e) => updateSlaEscalation(option.key, e.target.checked)}
+                className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <div className="ml-3">
+                <label htmlFor={`sla-${option.key}`} className="text-sm text-gray-700">
+                  {option.label}
+                </label>
+                <p className="text-xs text-gray-500">{option.description}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="mt-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Additional Escalation Recipients
+          </label>
+          <input
+            type="text"
+            defaultValue={(settings.sla?.escalation?.emailRecipients || []).join(', ')}
+            onBlur={(e) => updateSlaEscalation(
+              'emailRecipients',
+              e.target.value.split(',').map(email => email.trim()).filter(Boolean)
+            )}
+            className="form-input"
+            placeholder="pmops-lead@company.com, manager@company.com"
+          />
+          <p className="mt-1 text-xs text-gray-500">Comma-separated email addresses</p>
+        </div>
+      </div>
+    </div>
+  );
+
+  const updateApprovalStage = (index, key, value) => {
+    const stages = [...(settings.approvals?.stages || [])];
+    stages[index] = { ...stages[index], [key]: value };
+    updateSetting('approvals', 'stages', stages);
+  };
+
+  const addApprovalStage = () => {
+    const stages = [...(settings.approvals?.stages || []), { key: '', label: '', approverRole: '', sbu: '' }];
+    updateSetting('approvals', 'stages', stages);
+  };
+
+  const removeApprovalStage = (index) => {
+    const stages = (settings.approvals?.stages || []).filter((_, i) => i !== index);
+    updateSetting('approvals', 'stages', stages);
+  };
+
+  const renderApprovalSettings = () => (
+    <div className="space-y-6">
+      <div className="border rounded-lg p-4">
+        <div className="flex items-center mb-4">
+          <input
+            id="approvalsEnabled"
+            type="checkbox"
+            checked={settings.approvals?.enabled || false}
+            onChange={(e) => updateSetting('approvals', 'enabled', e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor="approvalsEnabled" className="ml-3 text-sm font-medium text-gray-700">
+            Require approval sign-offs
+          </label>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Required Before Status
+            </label>
+            <select
+              value={settings.approvals?.requiredForStatus || 'NPDI_INITIATED'}
+              onChange={(e) => updateSetting('approvals', 'requiredForStatus', e.target.value)}
+              className="form-select"
+            >
+              <option value="IN_PROCESS">In Process</option>
+              <option value="NPDI_INITIATED">NPDI Initiated</option>
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Tickets cannot move to this status until every stage is approved</p>
+          </div>
+          <div className="flex items-start sm:mt-8">
+            <input
+              id="approvalsSequential"
+              type="checkbox"
+              checked={settings.approvals?.sequential || false}
+              onChange={(e) => updateSetting('approvals', 'sequential', e.target.checked)}
+              className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <div className="ml-3">
+              <label htmlFor="approvalsSequential" className="text-sm text-gray-700">
+                Sign off in order
+              </label>
+              <p className="text-xs text-gray-500">Each stage waits until the stages above it are approved</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Approval Stages */}
+      <div className="border rounded-lg p-4">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h4 className="text-lg font-medium text-gray-900">Approval Stages</h4>
+            <p className="text-xs text-gray-500">
+              Approvers are users with the stage's role as their user role or one of their approval roles (set under User Management).
+            </p>
+          </div>
+          <button onClick={addApprovalStage} className="btn btn-secondary flex items-center text-sm">
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add Stage
+          </button>
+        </div>
+        {(settings.approvals?.stages || []).length === 0 ? (
+          <p className="text-sm text-gray-500">No approval stages configured</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Key</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Label</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Approver Role</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">SBU</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {settings.approvals.stages.map((stage, index) => (
+                <tr key={index}>
+                  <td className="px-4 py-2">
+                    <input
+                      type="text"
+                      value={stage.key || ''}
+                      onChange={(e) => updateApprovalStage(index, 'key', e.target.value.toUpperCase())}
+                      className="form-input"
+                      placeholder="REGULATORY"
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="text"
+                      value={stage.label || ''}
+                      onChange={(e) => updateApprovalStage(index, 'label', e.target.value)}
+                      className="form-input"
+                      placeholder="Regulatory"
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="text"
+                      value={stage.approverRole || ''}
+                      onChange={(e) => updateApprovalStage(index, 'approverRole', e.target.value.toUpperCase())}
+                      className="form-input"
+                      placeholder="REGULATORY"
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={stage.sbu || ''}
+                      onChange={(e) => updateApprovalStage(index, 'sbu', e.target.value)}
+                      className="form-select"
+                    >
+                      <option value="">All SBUs</option>
+                      <option value="775">SBU 775</option>
+                      <option value="P90">SBU P90</option>
+                      <option value="440">SBU 440</option>
+                      <option value="P87">SBU P87</option>
+                      <option value="P89">SBU P89</option>
+                      <option value="P85">SBU P85</option>
+                    </select>
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => removeApprovalStage(index)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove stage"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+
+  useEffect(() => {
+    if (activeSection !== 'numbering') return;
+    templatesAPI.getAll()
+      .then(response => setNumberingTemplates(response.data || []))
+      .catch(error => console.error('Error fetching templates:', error));
+    systemSettingsAPI.getNumberingCounters()
+      .then(response => setNumberingCounters(response.data.counters || []))
+      .catch(error => console.error('Error fetching numbering counters:', error));
+  }, [activeSection]);
+
+  // Example number for a pattern, e.g. NPDI-2026-0001
+  const formatNumberingExample = (pattern) => {
+    if (!pattern?.prefix) return '—';
+    const stem = pattern.includeYear !== false ? `${pattern.prefix}-${new Date().getFullYear()}` : pattern.prefix;
+    return `${stem}-${'1'.padStart(pattern.padding || 4, '0')}`;
+  };
+
+  const updateDefaultNumbering = (key, value) => {
+    updateSetting('numbering', 'defaultPattern', { ...(settings.numbering?.defaultPattern || {}), [key]: value });
+  };
+
+  const updateNumberingPattern = (index, key, value) => {
+    const patterns = [...(settings.numbering?.patterns || [])];
+    patterns[index] = { ...patterns[index], [key]: value };
+    if (key === 'scope') patterns[index].value = '';
+    updateSetting('numbering', 'patterns', patterns);
+  };
+
+  const addNumberingPattern = () => {
+    const patterns = [...(settings.numbering?.patterns || []), { scope: 'SBU', value: '', prefix: '', includeYear: true, padding: 4, resetYearly: true }];
+    updateSetting('numbering', 'patterns', patterns);
+  };
+
+  const removeNumberingPattern = (index) => {
+    const patterns = (settings.numbering?.patterns || []).filter((_, i) => i !== index);
+    updateSetting('numbering', 'patterns', patterns);
+  };
+
+  const renderPatternOptions = (pattern, onChange, idPrefix) => (
+    <>
+      <td className="px-4 py-2">
+        <input
+          type="text"
+          value={pattern.prefix || ''}
+          onChange={(e) => onChange('prefix', e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ''))}
+          className="form-input"
+          placeholder="NPDI"
+        />
+      </td>
+      <td className="px-4 py-2">
+        <input
+          type="number"
+          value={pattern.padding || 4}
+          onChange={(e) => onChange('padding', parseInt(e.target.value) || 4)}
+          className="form-input w-20"
+          min="1"
+          max="10"
+        />
+      </td>
+      <td className="px-4 py-2 text-center">
+        <input
+          id={`${idPrefix}-year`}
+          type="checkbox"
+          checked={pattern.includeYear !== false}
+          onChange={(e) => onChange('includeYear', e.target.checked)}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+      </td>
+      <td className="px-4 py-2 text-center">
+        <input
+          id={`${idPrefix}-reset`}
+          type="checkbox"
+          checked={pattern.includeYear !== false && pattern.resetYearly !== false}
+          disabled={pattern.includeYear === false}
+          onChange={(e) => onChange('resetYearly', e.target.checked)}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+        />
+      </td>
+      <td className="px-4 py-2 text-sm font-mono text-gray-700">{formatNumberingExample(pattern)}</td>
+    </>
+  );
+
+  const renderNumberingSettings = () => {
+    const defaultPattern = settings.numbering?.defaultPattern || { prefix: 'NPDI', includeYear: true, padding: 4, resetYearly: true };
+    const patterns = settings.numbering?.patterns || [];
+
+    const patternHeaders = (
+      <>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Prefix</th>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Digits</th>
+        <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase">Year</th>
+        <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase">Reset Yearly</th>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Example</th>
+      </>
+    );
+
+    return (
+      <div className="space-y-6">
+        <div className="border rounded-lg p-4">
+          <h4 className="text-lg font-medium text-gray-900">Default Pattern</h4>
+          <p className="text-xs text-gray-500 mb-4">
+            Used for new tickets unless an SBU or template pattern below applies. Numbers come from an atomic counter per prefix
+            (and per year when reset yearly), so they are never issued twice. The number issued at creation is kept as the
+            ticket's internal number even after NPDI initiation replaces the ticket number.
+          </p>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>{patternHeaders}</tr>
+            </thead>
+            <tbody>
+              <tr>{renderPatternOptions(defaultPattern, updateDefaultNumbering, 'numbering-default')}</tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div className="border rounded-lg p-4">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h4 className="text-lg font-medium text-gray-900">SBU & Template Patterns</h4>
+              <p className="text-xs text-gray-500">A template pattern takes precedence over an SBU pattern.</p>
+            </div>
+            <button onClick={addNumberingPattern} className="btn btn-secondary flex items-center text-sm">
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Add Pattern
+            </button>
+          </div>
+          {patterns.length === 0 ? (
+            <p className="text-sm text-gray-500">No overrides configured</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">SBU / Template</th>
+                  {patternHeaders}
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {patterns.map((pattern, index) => (
+                  <tr key={index}>
+                    <td className="px-4 py-2">
+                      <select
+                        value={pattern.scope || 'SBU'}
+                        onChange={(e) => updateNumberingPattern(index, 'scope', e.target.value)}
+                        className="form-select"
+                      >
+                        <option value="SBU">SBU</option>
+                        <option value="TEMPLATE">Template</option>
+                      </select>
+                    </td>
+                    <td className="px-4 py-2">
+                      {pattern.scope === 'TEMPLATE' ? (
+                        <select
+                          value={pattern.value || ''}
+                          onChange={(e) => updateNumberingPattern(index, 'value', e.target.value)}
+                          className="form-select"
+                        >
+                          <option value="">Select template...</option>
+                          {numberingTemplates.map(template => (
+                            <option key={template._id} value={template._id}>{template.name}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <select
+                          value={pattern.value || ''}
+                          onChange={(e) => updateNumberingPattern(index, 'value', e.target.value)}
+                          className="form-select"
+                        >
+                          <option value="">Select SBU...</option>
+                          <option value="775">SBU 775</option>
+                          <option value="P90">SBU P90</option>
+                          <option value="440">SBU 440</option>
+                          <option value="P87">SBU P87</option>
+                          <option value="P89">SBU P89</option>
+                          <option value="P85">SBU P85</option>
+                        </select>
+                      )}
+                    </td>
+                    {renderPatternOptions(pattern, (key, value) => updateNumberingPattern(index, key, value), `numbering-${index}`)}
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        onClick={() => removeNumberingPattern(index)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove pattern"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="border rounded-lg p-4">
+          <h4 className="text-lg font-medium text-gray-900 mb-2">Counters</h4>
+          {numberingCounters.length === 0 ? (
+            <p className="text-sm text-gray-500">No numbers issued through counters yet</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Counter</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last Number</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last Issued</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {numberingCounters.map(counter => (
+                  <tr key={counter.key}>
+                    <td className="px-4 py-2 text-sm font-mono text-gray-900">{counter.key}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{counter.seq}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{counter.updatedAt ? new Date(counter.updatedAt).toLocaleString() : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    );
+  };
 
   const renderIntegrationsSettings = () => (
     <div className="space-y-6">
@@ -437,7 +1269,9 @@ const SystemSettings = () => {
                 { key: 'notifyOnStatusChange', label: 'Notify on status changes', description: 'Send notification when ticket status changes' },
                 { key: 'notifyOnTicketCreated', label: 'Notify on ticket creation', description: 'Send notification when new tickets are created' },
                 { key: 'notifyOnCommentAdded', label: 'Notify on comments', description: 'Send notification when comments are added' },
-                { key: 'notifyOnAssignment', label: 'Notify on assignment', description: 'Send notification when tickets are assigned' }
+                { key: 'notifyOnAssignment', label: 'Notify on assignment', description: 'Send notification when tickets are assigned' },
+                { key: 'notifyOnSlaBreach', label: 'Notify on SLA breach', description: 'Send escalation when a ticket exceeds its status SLA target' },
+                { key: 'notifyOnReminder', label: 'Notify on reminders', description: 'Post reminders for stale drafts, stuck tickets and overdue milestones' }
               ].map(event => (
                 <div key={event.key} className="flex items-start">
                   <input
@@ -1560,6 +2394,18 @@ const SystemSettings = () => {
         return renderGeneralSettings();
       case 'tickets':
         return renderTicketSettings();
+      case 'assignment':
+        return renderAssignmentSettings();
+      case 'sla':
+        return renderSlaSettings();
+      case 'reminders':
+        return renderReminderSettings();
+      case 'digests':
+        return renderDigestSettings();
+      case 'approvals':
+        return renderApprovalSettings();
+      case 'numbering':
+        return renderNumberingSettings();
       case 'integrations':
         return renderIntegrationsSettings();
       case 'ai':
@@ -9,14 +9,15 @@ const UserForm = ({ user, onSave, onCancel, refreshKey }) => {
   const [loadingTemplates, setLoadingTemplates] = useState(false);
 
   const { register, handleSubmit, watch, formState: { errors } } = useForm({
-    defaultValues: user || {
+    defaultValues: user ? { ...user, approvalRolesText: (user.approvalRoles || []).join(', ') } : {
       email: '',
       firstName: '',
       lastName: '',
       role: 'PRODUCT_MANAGER',
       password: '',
       isActive: true,
-      templateId: ''
+      templateId: '',
+      approvalRolesText: ''
     }
   });
 
@@ -53,7 +54,12 @@ const UserForm = ({ user, onSave, onCancel, refreshKey }) => {
     if (isEditing && user?.email) {
       data.email = user.email;
     }
-    onSave(data);
+    const { approvalRolesText, ...userData } = data;
+    userData.approvalRoles = (approvalRolesText || '')
+      .split(',')
+      .map(role => role.trim().toUpperCase())
+      .filter(Boolean);
+    onSave(userData);
   };
 
   return (
@@ -181,6 +187,22 @@ const UserForm = ({ user, onSave, onCancel, refreshKey }) => {
               </div>
             )}
 
+            {/* Approval Roles */}
+            <div>
+              <label htmlFor="approvalRolesText" className="block text-sm font-medium text-gray-700 mb-2">
+                Approval Roles
+              </label>
+              <input
+                {...register('approvalRolesText')}
+                type="text"
+                className="form-input"
+                placeholder="e.g. REGULATORY, QC"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Comma-separated approver roles this user can sign off (see System Settings → Approvals).
+              </p>
+            </div>
+
             {/* Note: No password required for development profiles */}
 
             {/* Active Status */}
@@ -1,6 +1,7 @@
 import React from 'react';
 import PlantCodeAutocomplete from './PlantCodeAutocomplete';
 import BusinessLineAutocomplete from './BusinessLineAutocomplete';
+import FieldFlagMarker from '../FieldFlagMarker';
 
 const DynamicFormSection = ({
   section,
@@ -565,6 +566,7 @@ const DynamicFormSection = ({
       <div key={field.fieldKey} className={gridClass}>
         <label className="block text-sm font-medium text-gray-700 mb-2">
           {field.label}
+          <FieldFlagMarker fieldPath={fieldPath} fieldLabel={field.label} />
         </label>
         {renderInput()}
         {isMissingRequired && (
@@ -15,6 +15,8 @@ import {
 import MARASearchPopup from '../admin/MARASearchPopup';
 import SimilarProductsPopup from '../admin/SimilarProductsPopup';
 import ProductHierarchySelector from './ProductHierarchySelector';
+import DuplicateWarningModal from '../DuplicateWarningModal';
+import { sendWithDuplicateCheck } from '../../utils/duplicateCheck';
 
 /**
  * Shared ProductTicketForm component used for both creating and editing tickets
@@ -42,6 +44,7 @@ const ProductTicketForm = ({
 }) => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
+  const [duplicateRequest, setDuplicateRequest] = useState(null);
   const [casLookupLoading, setCasLookupLoading] = useState(false);
   const [autoPopulated, setAutoPopulated] = useState(false);
   const [compositionLoadingIndex, setCompositionLoadingIndex] = useState(null);
@@ -1593,10 +1596,14 @@ const ProductTicketForm = ({
                 const data = watch();
                 try {
                   setLoading(true);
-                  const response = await productAPI.saveDraft(data);
+                  const response = await sendWithDuplicateCheck(
+                    (duplicateOverride) => productAPI.saveDraft(duplicateOverride ? { ...data, duplicateOverride } : data),
+                    (duplicates) => new Promise(resolve => setDuplicateRequest({ duplicates, resolve }))
+                  );
                   toast.success('Draft saved successfully!');
                   navigate(`/tickets/${response.data.ticket._id}`);
                 } catch (error) {
+                  if (error.cancelled) return;
                   console.error('Save draft error:', error);
                   const errorData = error.response?.data;
 
@@ -1666,6 +1673,18 @@ const ProductTicketForm = ({
           currentValue={watch('materialGroup')}
         />
       )}
+
+      {/* Duplicate warning when saving a draft */}
+      {duplicateRequest && (
+        <DuplicateWarningModal
+          duplicates={duplicateRequest.duplicates}
+          actionLabel="Save Draft Anyway"
+          onResolve={(reason) => {
+            duplicateRequest.resolve(reason);
+            setDuplicateRequest(null);
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -5,6 +5,8 @@ import { useAuth } from '../utils/AuthContext';
 import { productAPI, templatesAPI } from '../services/api';
 import toast from 'react-hot-toast';
 import { ProductTicketForm } from '../components/forms';
+import DuplicateWarningModal from '../components/DuplicateWarningModal';
+import { sendWithDuplicateCheck } from '../utils/duplicateCheck';
 
 const CreateTicket = () => {
   const [template, setTemplate] = useState(null);
@@ -13,6 +15,7 @@ const CreateTicket = () => {
   const [attemptedSubmit, setAttemptedSubmit] = useState(false);
   const [availableTemplates, setAvailableTemplates] = useState([]);
   const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [duplicateRequest, setDuplicateRequest] = useState(null);
   const { user, isPMOPS, isAdmin } = useAuth();
   const navigate = useNavigate();
 
@@ -158,7 +161,12 @@ const CreateTicket = () => {
         template: template?._id || null
       };
 
-      const response = await productAPI.createTicket(ticketData);
+      // Possible duplicates need the user's confirmation (with a reason) before creating
+      const confirmOverride = (duplicates) => new Promise(resolve => setDuplicateRequest({ duplicates, resolve }));
+      const response = await sendWithDuplicateCheck(
+        (duplicateOverride) => productAPI.createTicket(duplicateOverride ? { ...ticketData, duplicateOverride } : ticketData),
+        confirmOverride
+      );
       toast.success('Product ticket created successfully!', { duration: 4000 });
 
       // Navigate to tickets list (dashboard) after successful creation
@@ -166,6 +174,7 @@ const CreateTicket = () => {
         navigate('/tickets');
       }, 500); // Small delay to let user see the success message
     } catch (error) {
+      if (error.cancelled) return;
       console.error('Create ticket error:', error);
 
       // Enhanced error handling with validation details
@@ -289,6 +298,17 @@ const CreateTicket = () => {
         attemptedSubmit={attemptedSubmit}
         submissionRequirements={template?.submissionRequirements || []}
       />
+
+      {duplicateRequest && (
+        <DuplicateWarningModal
+          duplicates={duplicateRequest.duplicates}
+          actionLabel="Create Anyway"
+          onResolve={(reason) => {
+            duplicateRequest.resolve(reason);
+            setDuplicateRequest(null);
+          }}
+        />
+      )}
     </div>
   );
 };
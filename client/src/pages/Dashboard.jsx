@@ -1,7 +1,7 @@
 // Dashboard component - NPDI Portal
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { productAPI } from '../services/api';
+import { productAPI, approvalAPI } from '../services/api';
 import { useAuth } from '../utils/AuthContext';
 import {
   ClockIcon,
@@ -14,7 +14,8 @@ import {
   InformationCircleIcon,
   XMarkIcon,
   DocumentIcon,
-  PencilIcon
+  PencilIcon,
+  CheckBadgeIcon
 } from '@heroicons/react/24/outline';
 import { StatusBadge, PriorityBadge } from '../components/badges';
 import toast from 'react-hot-toast';
@@ -28,6 +29,7 @@ const Dashboard = () => {
   const [allRecentTickets, setAllRecentTickets] = useState([]);
   const [draftTickets, setDraftTickets] = useState([]);
   const [recentlySubmitted, setRecentlySubmitted] = useState([]);
+  const [approvalQueue, setApprovalQueue] = useState([]);
   const [showMonthlyRateModal, setShowMonthlyRateModal] = useState(false);
   const [showThisWeekModal, setShowThisWeekModal] = useState(false);
   const [isAnimating, setIsAnimating] = useState(true);
@@ -43,6 +45,7 @@ const Dashboard = () => {
       fetchRecentlySubmittedTickets();
     }
     fetchDraftTickets();
+    fetchApprovalQueue();
   }, [user?.email, isPMOPS]);
 
   const fetchStats = async () => {
@@ -135,6 +138,16 @@ const Dashboard = () => {
     }
   };
 
+  const fetchApprovalQueue = async () => {
+    try {
+      // Tickets waiting on a sign-off from one of the user's approver roles
+      const response = await approvalAPI.getQueue();
+      setApprovalQueue(response.data.queue || []);
+    } catch (error) {
+      console.error('Failed to fetch approval queue:', error);
+    }
+  };
+
   const formatRoleName = (role) => {
     if (!role) return '';
     // Convert PRODUCT_MANAGER to Product Manager
@@ -188,6 +201,45 @@ const Dashboard = () => {
     });
   };
 
+  // Pending Approvals card, shown on both dashboards when the user has sign-offs waiting
+  const renderApprovalQueue = () => {
+    if (approvalQueue.length === 0) return null;
+
+    return (
+      <div className="card border-t-4 border-t-indigo-500">
+        <div className="card-header bg-gradient-to-r from-indigo-50 to-indigo-100">
+          <div className="flex items-center">
+            <CheckBadgeIcon className="h-6 w-6 text-indigo-600 mr-2" />
+            <h3 className="text-lg font-medium text-indigo-900">Pending Approvals</h3>
+            <span className="ml-2 text-sm text-indigo-700">({approvalQueue.length})</span>
+          </div>
+        </div>
+        <div className="card-body p-0">
+          <ul className="divide-y divide-gray-200">
+            {approvalQueue.map(({ ticket, stages }) => (
+              <li key={ticket._id} className="px-6 py-3 hover:bg-gray-50">
+                <Link to={`/tickets/${ticket._id}`} className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {ticket.ticketNumber} · {ticket.productName || 'Unnamed product'}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {stages.map(stage => stage.label).join(', ')} · SBU {ticket.sbu} · {formatTimeAgo(ticket.updatedAt)}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+                    <PriorityBadge priority={ticket.priority} />
+                    <StatusBadge status={ticket.status} />
+                  </div>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    );
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -396,6 +448,8 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {renderApprovalQueue()}
+
         {/* Urgent Tickets Needing Attention */}
         {agingAnalysis.urgentWaiting && agingAnalysis.urgentWaiting.length > 0 && (
           <div className="card bg-red-50 border-red-300">
@@ -968,6 +1022,8 @@ const Dashboard = () => {
         </Link>
       </div>
 
+      {renderApprovalQueue()}
+
       {/* Two Column Layout */}
       <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
         {/* My Tickets - TOP SECTION */}
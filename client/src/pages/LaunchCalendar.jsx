@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ExclamationTriangleIcon,
+  RssIcon
+} from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { StatusBadge } from '../components/badges';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import CalendarFeedsPanel from '../components/CalendarFeedsPanel';
+import { formatDateOnly, formatDateISO } from '../utils/dateFormatters';
+
+const SBU_OPTIONS = ['775', 'P90', '440', 'P87', 'P89', 'P85'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY = 24 * 60 * 60 * 1000;
+// Events listed in a month cell before collapsing into "+N more"
+const MAX_CELL_EVENTS = 3;
+
+// Periods are kept in the URL as "2026-10" (month) or "2026-Q4" (quarter); dates are UTC days
+const currentPeriod = (view) => {
+  const now = new Date();
+  const year = now.getUTCFullYear();
+  return view === 'quarter'
+    ? `${year}-Q${Math.floor(now.getUTCMonth() / 3) + 1}`
+    : `${year}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+const parsePeriod = (view, period) => {
+  const match = view === 'quarter' ? /^(\d{4})-Q([1-4])$/.exec(period || '') : /^(\d{4})-(\d{2})$/.exec(period || '');
+  if (!match) return parsePeriod(view, currentPeriod(view));
+  const year = Number(match[1]);
+  const month = view === 'quarter' ? (Number(match[2]) - 1) * 3 : Number(match[2]) - 1;
+  return { year, month };
+};
+
+const shiftPeriod = (view, period, step) => {
+  const { year, month } = parsePeriod(view, period);
+  const date = new Date(Date.UTC(year, month + step * (view === 'quarter' ? 3 : 1), 1));
+  return view === 'quarter'
+    ? `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`
+    : `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+// Date range to load: the six-week grid around a month, or the three months of a quarter
+const getRange = (view, period) => {
+  const { year, month } = parsePeriod(view, period);
+  if (view === 'quarter') {
+    return { from: new Date(Date.UTC(year, month, 1)), to: new Date(Date.UTC(year, month + 3, 1)) };
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  const from = new Date(first.getTime() - first.getUTCDay() * DAY);
+  return { from, to: new Date(from.getTime() + 42 * DAY) };
+};
+
+const monthLabel = (year, month) =>
+  new Date(Date.UTC(year, month, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const EventChip = ({ event, type }) => {
+  const color = event.overdue
+    ? 'bg-red-100 text-red-800'
+    : type === 'launch'
+      ? 'bg-purple-100 text-purple-800'
+      : event.completed ? 'bg-green-50 text-green-700 line-through' : 'bg-blue-50 text-blue-800';
+
+  return (
+    <Link
+      to={`/tickets/${event.ticketId}`}
+      className={`flex items-center gap-1 truncate rounded px-1.5 py-0.5 text-xs ${color} hover:opacity-80`}
+      title={`${event.ticketNumber} · ${event.productName}${type === 'launch' ? ' · Launch' : ` · ${event.name}`}${event.overdue ? ' · Overdue' : ''}`}
+    >
+      {type === 'launch'
+        ? <span className="h-2 w-2 flex-shrink-0 rotate-45 bg-current" />
+        : <span className="h-1.5 w-1.5 flex-shrink-0 rounded-full bg-current" />}
+      <span className="truncate">
+        {type === 'launch' ? event.ticketNumber : `${event.ticketNumber}: ${event.name}`}
+      </span>
+    </Link>
+  );
+};
+
+/**
+ * Launch Calendar Page
+ * Target launch dates and milestones across tickets: a month grid, or a quarter
+ * portfolio of every launch grouped by month. Past-due launches and milestones
+ * are marked overdue.
+ */
+const LaunchCalendar = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = searchParams.get('view') === 'quarter' ? 'quarter' : 'month';
+  const period = searchParams.get('period') || currentPeriod(view);
+  const sbu = searchParams.get('sbu') || '';
+  const brand = searchParams.get('brand') || '';
+  const includeClosed = searchParams.get('closed') === 'true';
+
+  const [calendar, setCalendar] = useState({ launches: [], milestones: [], brands: [] });
+  const [loading, setLoading] = useState(true);
+  const [showFeeds, setShowFeeds] = useState(false);
+
+  const range = useMemo(() => getRange(view, period), [view, period]);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [range, sbu, brand, includeClosed]);
+
+  const fetchCalendar = async () => {
+    setLoading(true);
+    try {
+      const response = await productAPI.getLaunchCalendar({
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        ...(sbu ? { sbu } : {}),
+        ...(brand ? { brand } : {}),
+        ...(includeClosed ? { includeClosed: true } : {})
+      });
+      setCalendar(response.data);
+    } catch (error) {
+      console.error('Failed to fetch launch calendar:', error);
+      toast.error(error.response?.data?.message || 'Failed to load the launch calendar');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  const switchView = (nextView) => {
+    if (nextView === view) return;
+    // Keep roughly the same place in time: the quarter containing the month, or its first month
+    const { year, month } = parsePeriod(view, period);
+    const nextPeriod = nextView === 'quarter'
+      ? `${year}-Q${Math.floor(month / 3) + 1}`
+      : `${year}-${String(month + 1).padStart(2, '0')}`;
+    updateParams({ view: nextView === 'quarter' ? 'quarter' : '', period: nextPeriod });
+  };
+
+  const { year, month } = parsePeriod(view, period);
+  const title = view === 'quarter'
+    ? `Q${Math.floor(month / 3) + 1} ${year}`
+    : monthLabel(year, month);
+
+  const eventsByDay = useMemo(() => {
+    const days = new Map();
+    const add = (key, type, event) => {
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push({ type, event });
+    };
+    calendar.launches.forEach(event => add(formatDateISO(event.date), 'launch', event));
+    calendar.milestones.forEach(event => add(formatDateISO(event.date), 'milestone', event));
+    return days;
+  }, [calendar]);
+
+  const overdueLaunches = calendar.launches.filter(event => event.overdue).length;
+  const overdueMilestones = calendar.milestones.filter(event => event.overdue).length;
+  const today = formatDateISO(new Date());
+
+  const renderMonth = () => {
+    const cells = Array.from({ length: 42 }, (_, index) => new Date(range.from.getTime() + index * DAY));
+
+    return (
+      <div className="card overflow-hidden">
+        <div className="grid grid-cols-7 border-b border-gray-200 bg-gray-50">
+          {WEEKDAYS.map(day => (
+            <div key={day} className="px-2 py-2 text-xs font-semibold uppercase tracking-wide text-gray-500">{day}</div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7">
+          {cells.map(date => {
+            const key = formatDateISO(date);
+            const events = eventsByDay.get(key) || [];
+            const inMonth = date.getUTCMonth() === month;
+            const hasOverdue = events.some(({ event }) => event.overdue);
+
+            return (
+              <div
+                key={key}
+                className={`min-h-[6.5rem] border-b border-r border-gray-100 p-1.5 ${inMonth ? 'bg-white' : 'bg-gray-50'}`}
+              >
+                <div className="mb-1 flex items-center justify-between">
+                  <span className={`text-xs font-medium ${key === today ? 'rounded-full bg-blue-600 px-1.5 text-white' : inMonth ? 'text-gray-700' : 'text-gray-400'}`}>
+                    {date.getUTCDate()}
+                  </span>
+                  {hasOverdue && <ExclamationTriangleIcon className="h-3.5 w-3.5 text-red-500" title="Overdue items" />}
+                </div>
+                <div className="space-y-0.5">
+                  {events.slice(0, MAX_CELL_EVENTS).map(({ type, event }) => (
+                    <EventChip key={`${type}-${event.ticketId}-${event.milestoneId || ''}`} type={type} event={event} />
+                  ))}
+                  {events.length > MAX_CELL_EVENTS && (
+                    <p
+                      className="px-1.5 text-xs text-gray-500"
+                      title={events.slice(MAX_CELL_EVENTS).map(({ type, event }) => (type === 'launch' ? `${event.ticketNumber} launch` : `${event.ticketNumber}: ${event.name}`)).join('\n')}
+                    >
+                      +{events.length - MAX_CELL_EVENTS} more
+                    </p>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  const renderQuarter = () => {
+    const months = [0, 1, 2].map(index => {
+      const monthIndex = month + index;
+      const launches = calendar.launches.filter(event => new Date(event.date).getUTCMonth() === monthIndex % 12);
+      return { key: monthIndex, label: monthLabel(year, monthIndex), launches };
+    });
+    const openMilestones = (ticketId) => calendar.milestones.filter(m => m.ticketId === ticketId && !m.completed);
+    const sbuCounts = calendar.launches.reduce((counts, event) => {
+      counts[event.sbu || 'None'] = (counts[event.sbu || 'None'] || 0) + 1;
+      return counts;
+    }, {});
+
+    return (
+      <div className="space-y-6">
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+          <div className="card card-body">
+            <p className="text-sm text-gray-500">Launches</p>
+            <p className="text-2xl font-semibold text-gray-900">{calendar.launches.length}</p>
+          </div>
+          <div className="card card-body">
+            <p className="text-sm text-gray-500">Past target</p>
+            <p className={`text-2xl font-semibold ${overdueLaunches > 0 ? 'text-red-600' : 'text-gray-900'}`}>{overdueLaunches}</p>
+          </div>
+          <div className="card card-body">
+            <p className="text-sm text-gray-500">Overdue milestones</p>
+            <p className={`text-2xl font-semibold ${overdueMilestones > 0 ? 'text-red-600' : 'text-gray-900'}`}>{overdueMilestones}</p>
+          </div>
+          <div className="card card-body">
+            <p className="text-sm text-gray-500">By SBU</p>
+            <div className="mt-1 flex flex-wrap gap-1">
+              {Object.keys(sbuCounts).length === 0 && <span className="text-sm text-gray-400">—</span>}
+              {Object.entries(sbuCounts).map(([key, count]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => key !== 'None' && updateParams({ sbu: key })}
+                  className="rounded bg-gray-100 px-2 py-0.5 text-xs text-gray-700 hover:bg-gray-200"
+                >
+                  {key}: {count}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {months.map(group => (
+          <div key={group.key} className="card">
+            <div className="card-header flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">{group.label}</h3>
+              <span className="text-sm text-gray-500">{group.launches.length} launch{group.launches.length === 1 ? '' : 'es'}</span>
+            </div>
+            {group.launches.length === 0 ? (
+              <div className="card-body text-sm text-gray-500">No launches planned.</div>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Launch', 'Ticket', 'Product', 'SBU', 'Brand', 'Status', 'Open milestones'].map(label => (
+                      <th key={label} className="px-4 py-2 text-left text-xs font-medium uppercase tracking-wider text-gray-500">{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 bg-white">
+                  {group.launches.map(event => {
+                    const open = openMilestones(event.ticketId);
+                    const overdue = open.filter(m => m.overdue).length;
+                    return (
+                      <tr key={event.ticketId} className={event.overdue ? 'bg-red-50' : ''}>
+                        <td className="whitespace-nowrap px-4 py-2 text-sm">
+                          <span className={event.overdue ? 'inline-flex items-center gap-1 font-medium text-red-700' : 'text-gray-900'}>
+                            {event.overdue && <ExclamationTriangleIcon className="h-4 w-4" />}
+                            {formatDateOnly(event.date)}
+                          </span>
+                        </td>
+                        <td className="whitespace-nowrap px-4 py-2 text-sm">
+                          <Link to={`/tickets/${event.ticketId}`} className="font-medium text-millipore-blue hover:underline">
+                            {event.ticketNumber}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-900">{event.productName}</td>
+                        <td className="whitespace-nowrap px-4 py-2 text-sm text-gray-700">{event.sbu || '—'}</td>
+                        <td className="whitespace-nowrap px-4 py-2 text-sm text-gray-700">{event.brand || '—'}</td>
+                        <td className="whitespace-nowrap px-4 py-2 text-sm"><StatusBadge status={event.status} /></td>
+                        <td className="whitespace-nowrap px-4 py-2 text-sm text-gray-700">
+                          {open.length}
+                          {overdue > 0 && <span className="ml-1 text-red-600">({overdue} overdue)</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-body flex flex-wrap items-center gap-3">
+          <div className="flex items-center gap-1">
+            <button type="button" className="btn btn-secondary p-2" onClick={() => updateParams({ period: shiftPeriod(view, period, -1) })} title="Previous">
+              <ChevronLeftIcon className="h-4 w-4" />
+            </button>
+            <button type="button" className="btn btn-secondary text-sm" onClick={() => updateParams({ period: currentPeriod(view) })}>
+              Today
+            </button>
+            <button type="button" className="btn btn-secondary p-2" onClick={() => updateParams({ period: shiftPeriod(view, period, 1) })} title="Next">
+              <ChevronRightIcon className="h-4 w-4" />
+            </button>
+          </div>
+          <h2 className="min-w-[10rem] text-lg font-semibold text-gray-900">{title}</h2>
+
+          <div className="inline-flex rounded-md shadow-sm">
+            {[{ value: 'month', label: 'Month' }, { value: 'quarter', label: 'Quarter portfolio' }].map((option, index) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => switchView(option.value)}
+                className={`px-3 py-1.5 text-sm font-medium border ${index === 0 ? 'rounded-l-md' : 'rounded-r-md -ml-px'} ${
+                  view === option.value ? 'bg-millipore-blue text-white border-millipore-blue' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="ml-auto flex flex-wrap items-center gap-3">
+            <select className="form-select text-sm" value={sbu} onChange={(e) => updateParams({ sbu: e.target.value })}>
+              <option value="">All SBUs</option>
+              {SBU_OPTIONS.map(option => <option key={option} value={option}>SBU {option}</option>)}
+            </select>
+            <select className="form-select text-sm" value={brand} onChange={(e) => updateParams({ brand: e.target.value })}>
+              <option value="">All brands</option>
+              {(calendar.brands || []).map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-gray-300 text-millipore-blue"
+                checked={includeClosed}
+                onChange={(e) => updateParams({ closed: e.target.checked ? 'true' : '' })}
+              />
+              Include closed
+            </label>
+            <button
+              type="button"
+              className="btn btn-secondary inline-flex items-center text-sm"
+              onClick={() => setShowFeeds(!showFeeds)}
+              title="Subscribe to launch dates and milestones in Outlook or another calendar app"
+            >
+              <RssIcon className="mr-1 h-4 w-4" />
+              Subscribe
+            </button>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-4 border-t border-gray-100 px-6 py-2 text-xs text-gray-500">
+          <span className="flex items-center gap-1"><span className="h-2 w-2 rotate-45 bg-purple-500" /> Target launch</span>
+          <span className="flex items-center gap-1"><span className="h-1.5 w-1.5 rounded-full bg-blue-500" /> Milestone</span>
+          <span className="flex items-center gap-1"><span className="h-1.5 w-1.5 rounded-full bg-green-500" /> Completed</span>
+          <span className="flex items-center gap-1"><span className="h-2 w-2 rounded-sm bg-red-400" /> Overdue</span>
+          {(overdueLaunches > 0 || overdueMilestones > 0) && (
+            <span className="ml-auto font-medium text-red-600">
+              {overdueLaunches} launch{overdueLaunches === 1 ? '' : 'es'} past target · {overdueMilestones} overdue milestone{overdueMilestones === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {showFeeds && <CalendarFeedsPanel onClose={() => setShowFeeds(false)} />}
+
+      {loading ? (
+        <LoadingSpinner message="Loading launch calendar..." />
+      ) : view === 'month' ? renderMonth() : renderQuarter()}
+    </div>
+  );
+};
+
+export default LaunchCalendar;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { productAPI } from '../services/api';
 import {
   DocumentIcon,
@@ -9,23 +9,38 @@ import {
   ArrowTrendingUpIcon,
   ChartBarIcon,
   InformationCircleIcon,
-  XMarkIcon
+  XMarkIcon,
+  TableCellsIcon,
+  ViewColumnsIcon
 } from '@heroicons/react/24/outline';
 import { StatusBadge, PriorityBadge } from '../components/badges';
+import SavedSearchBar from '../components/SavedSearchBar';
+import KanbanBoard from '../components/KanbanBoard';
+import { filtersToQuery, describeFilters } from '../utils/savedSearches';
 import toast from 'react-hot-toast';
 
 const PMOPSDashboard = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = searchParams.get('view') === 'board' ? 'board' : 'overview';
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showMonthlyRateModal, setShowMonthlyRateModal] = useState(false);
   const [showThisWeekModal, setShowThisWeekModal] = useState(false);
   const [recentlySubmitted, setRecentlySubmitted] = useState([]);
+  const [slaFilter, setSlaFilter] = useState('AT_RISK,BREACHED');
+  const [slaTickets, setSlaTickets] = useState([]);
+  const [savedSearch, setSavedSearch] = useState(null);
+  const [savedSearchTickets, setSavedSearchTickets] = useState([]);
 
   useEffect(() => {
     fetchStats();
     fetchRecentlySubmittedTickets();
   }, []);
 
+  useEffect(() => {
+    fetchSlaTickets(slaFilter);
+  }, [slaFilter]);
+
   const fetchStats = async () => {
     try {
       const response = await productAPI.getDashboardStats();
@@ -47,6 +62,35 @@ const PMOPSDashboard = () => {
     }
   };
 
+  const fetchSlaTickets = async (slaState) => {
+    try {
+      const response = await productAPI.getTickets({ slaState, limit: 10, sortBy: 'sla.dueAt', sortOrder: 'asc' });
+      setSlaTickets(response.data.tickets || []);
+    } catch (error) {
+      console.error('Failed to fetch SLA watchlist:', error);
+    }
+  };
+
+  const handleApplySavedSearch = async (search) => {
+    setSavedSearch(search);
+    try {
+      const response = await productAPI.getTickets({ ...filtersToQuery(search.filters), limit: 10 });
+      setSavedSearchTickets(response.data.tickets || []);
+    } catch (error) {
+      console.error('Failed to run saved search:', error);
+      toast.error(error.response?.data?.message || 'Failed to run saved search');
+    }
+  };
+
+  const formatSlaDue = (dueAt) => {
+    const diffInHours = Math.round((new Date(dueAt) - new Date()) / (1000 * 60 * 60));
+    if (diffInHours < 0) {
+      const overdue = Math.abs(diffInHours);
+      return overdue >= 48 ? `${Math.floor(overdue / 24)}d overdue` : `${overdue}h overdue`;
+    }
+    return diffInHours >= 48 ? `due in ${Math.floor(diffInHours / 24)}d` : `due in ${diffInHours}h`;
+  };
+
   const formatTimeAgo = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -73,6 +117,44 @@ const PMOPSDashboard = () => {
     });
   };
 
+  const header = (
+    <div className="flex flex-wrap items-start justify-between gap-4">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">PMOps Performance Dashboard</h1>
+        <p className="text-gray-600">Monitor ticket performance and team efficiency</p>
+      </div>
+      <div className="inline-flex rounded-md shadow-sm">
+        <button
+          onClick={() => setSearchParams({})}
+          className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-l-md border ${
+            view === 'overview' ? 'bg-millipore-blue border-millipore-blue text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          <TableCellsIcon className="h-4 w-4 mr-1.5" />
+          Overview
+        </button>
+        <button
+          onClick={() => setSearchParams({ view: 'board' })}
+          className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-r-md border-t border-b border-r ${
+            view === 'board' ? 'bg-millipore-blue border-millipore-blue text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          <ViewColumnsIcon className="h-4 w-4 mr-1.5" />
+          Board
+        </button>
+      </div>
+    </div>
+  );
+
+  if (view === 'board') {
+    return (
+      <div className="space-y-6">
+        {header}
+        <KanbanBoard />
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -89,15 +171,12 @@ const PMOPSDashboard = () => {
     );
   }
 
-  const { statusCounts, throughput, performance, priorityCounts, averageTimes, agingAnalysis } = stats;
+  const { statusCounts, throughput, performance, priorityCounts, averageTimes, agingAnalysis, slaCounts } = stats;
 
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">PMOps Performance Dashboard</h1>
-        <p className="text-gray-600">Monitor ticket performance and team efficiency</p>
-      </div>
+      {header}
 
       {/* Key Metrics Row 1 - Status Overview */}
       <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
@@ -279,6 +358,183 @@ const PMOPSDashboard = () => {
         </div>
       </div>
 
+      {/* Saved Searches */}
+      <div className="card">
+        <div className="card-header">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Saved Searches</h3>
+            {savedSearch && (
+              <Link
+                to={`/tickets?${new URLSearchParams(filtersToQuery(savedSearch.filters)).toString()}`}
+                className="text-sm text-millipore-blue hover:text-millipore-blue-dark font-medium"
+              >
+                View All →
+              </Link>
+            )}
+          </div>
+          <div className="mt-2">
+            <SavedSearchBar onApply={handleApplySavedSearch} activeId={savedSearch?._id} />
+          </div>
+          {savedSearch && (
+            <p className="text-sm text-gray-500 mt-2">{describeFilters(savedSearch.filters)}</p>
+          )}
+        </div>
+        <div className="card-body p-0">
+          {!savedSearch ? (
+            <p className="text-center py-6 text-sm text-gray-500">
+              Pick a saved search to see its tickets. Save searches from the ticket list.
+            </p>
+          ) : savedSearchTickets.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ticket</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">SBU</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Assigned To</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Action</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {savedSearchTickets.map((ticket) => (
+                    <tr key={ticket._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{ticket.ticketNumber || 'N/A'}</div>
+                        <div className="text-xs text-gray-500 max-w-[200px] truncate">{ticket.productName}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <StatusBadge status={ticket.status} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <PriorityBadge priority={ticket.priority} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {ticket.sbu}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        <div className="max-w-[180px] truncate">{ticket.assignedTo || 'Unassigned'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                        <Link
+                          to={`/tickets/${ticket._id}`}
+                          className="text-millipore-blue hover:text-millipore-blue-dark font-medium"
+                        >
+                          View →
+                        </Link>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-center py-6 text-sm text-gray-500">No tickets match this search</p>
+          )}
+        </div>
+      </div>
+
+      {/* SLA Watchlist */}
+      <div className="card">
+        <div className="card-header">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center">
+              <ExclamationTriangleIcon className="h-6 w-6 text-orange-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">SLA Watchlist</h3>
+            </div>
+            <div className="flex items-center space-x-2">
+              {[
+                { value: 'AT_RISK,BREACHED', label: 'All Flagged', count: (slaCounts?.atRisk || 0) + (slaCounts?.breached || 0) },
+                { value: 'AT_RISK', label: 'At Risk', count: slaCounts?.atRisk || 0 },
+                { value: 'BREACHED', label: 'Breached', count: slaCounts?.breached || 0 }
+              ].map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setSlaFilter(option.value)}
+                  className={`px-3 py-1 text-sm rounded-md font-medium ${
+                    slaFilter === option.value
+                      ? 'bg-millipore-blue text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {option.label} ({option.count})
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-center justify-between mt-1">
+            <p className="text-sm text-gray-500">Tickets approaching or past their status SLA target, most overdue first</p>
+            <Link
+              to={`/tickets?slaState=${slaFilter}`}
+              className="text-sm text-millipore-blue hover:text-millipore-blue-dark font-medium"
+            >
+              View All →
+            </Link>
+          </div>
+        </div>
+        <div className="card-body p-0">
+          {slaTickets.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ticket</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">SBU</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Assigned To</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">SLA</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Action</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {slaTickets.map((ticket) => (
+                    <tr key={ticket._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{ticket.ticketNumber || 'N/A'}</div>
+                        <div className="text-xs text-gray-500 max-w-[200px] truncate">{ticket.productName}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <StatusBadge status={ticket.status} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {ticket.sbu}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        <div className="max-w-[180px] truncate">{ticket.assignedTo || 'Unassigned'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`text-sm font-bold ${ticket.sla?.state === 'BREACHED' ? 'text-red-600' : 'text-orange-600'}`}>
+                          {ticket.sla?.state === 'BREACHED' ? 'Breached' : 'At Risk'}
+                        </span>
+                        {ticket.sla?.dueAt && (
+                          <p className="text-xs text-gray-500">
+                            {formatSlaDue(ticket.sla.dueAt)} ({ticket.sla.targetHours}h target)
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                        <Link
+                          to={`/tickets/${ticket._id}`}
+                          className="text-millipore-blue hover:text-millipore-blue-dark font-medium"
+                        >
+                          View →
+                        </Link>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-8 text-gray-500">
+              <CheckCircleIcon className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+              <p>No tickets at risk of missing their SLA</p>
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Urgent Tickets Needing Attention */}
       {agingAnalysis.urgentWaiting && agingAnalysis.urgentWaiting.length > 0 && (
         <div className="card bg-red-50 border-red-300">
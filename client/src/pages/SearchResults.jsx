@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { productAPI } from '../services/api';
+import { StatusBadge, PriorityBadge } from '../components/badges';
+import { HighlightedText } from '../components/GlobalSearch';
+import EmptyState from '../components/common/EmptyState';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { formatTimeAgo } from '../utils/dateFormatters';
+
+// Facets in sidebar order; values are kept comma-separated in the URL
+const FACETS = [
+  { key: 'status', label: 'Status' },
+  { key: 'sbu', label: 'SBU' },
+  { key: 'brand', label: 'Brand' },
+  { key: 'businessLine', label: 'Business Line' },
+  { key: 'priority', label: 'Priority' }
+];
+
+const formatValue = (key, value) => (
+  key === 'status' || key === 'priority' ? value.replace(/_/g, ' ') : value
+);
+
+/**
+ * Search Results Page
+ * Full-text search across tickets, ranked by relevance, with highlighted
+ * matches and facet counts to narrow the results.
+ */
+const SearchResults = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get('q') || '');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const q = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page')) || 1;
+  const selected = Object.fromEntries(FACETS.map(({ key }) => [
+    key, (searchParams.get(key) || '').split(',').filter(Boolean)
+  ]));
+
+  useEffect(() => {
+    setQuery(q);
+  }, [q]);
+
+  useEffect(() => {
+    if (!q.trim()) {
+      setData(null);
+      return;
+    }
+
+    const fetchResults = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const params = Object.fromEntries(searchParams.entries());
+        const response = await productAPI.search(params);
+        setData(response.data);
+      } catch (err) {
+        console.error('Error searching tickets:', err);
+        setError(err.response?.data?.message || 'Search failed');
+        setData(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+  }, [searchParams]);
+
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    });
+    if (!('page' in changes)) params.delete('page');
+    setSearchParams(params);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: query.trim() });
+  };
+
+  const toggleFacet = (key, value) => {
+    const values = selected[key].includes(value)
+      ? selected[key].filter(v => v !== value)
+      : [...selected[key], value];
+    updateParams({ [key]: values.join(',') });
+  };
+
+  const clearFacets = () => {
+    updateParams(Object.fromEntries(FACETS.map(({ key }) => [key, ''])));
+  };
+
+  const hasSelectedFacets = FACETS.some(({ key }) => selected[key].length > 0);
+  const pagination = data?.pagination;
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="card">
+        <div className="card-body flex items-center space-x-3">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="pointer-events-none absolute left-3 top-1/2 h-5 w-5 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder='Product names, synonyms, CAS numbers, SKUs, vendors, comments… Use "quotes" for phrases and -word to exclude'
+              className="form-input pl-10"
+              autoFocus
+            />
+          </div>
+          <button type="submit" className="btn btn-primary">Search</button>
+        </div>
+      </form>
+
+      {!q.trim() ? (
+        <EmptyState
+          icon={MagnifyingGlassIcon}
+          title="Search all tickets"
+          message="Matches are ranked by relevance; exact product names and identifiers rank highest."
+        />
+      ) : error ? (
+        <div className="card">
+          <div className="card-body text-sm text-red-600">{error}</div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 lg:grid-cols-4">
+          <aside className="lg:col-span-1">
+            <div className="card">
+              <div className="card-header flex items-center justify-between">
+                <h3 className="text-sm font-medium text-gray-900">Refine</h3>
+                {hasSelectedFacets && (
+                  <button onClick={clearFacets} className="text-xs text-millipore-blue hover:underline">
+                    Clear all
+                  </button>
+                )}
+              </div>
+              <div className="card-body space-y-5">
+                {FACETS.map(({ key, label }) => {
+                  const values = data?.facets?.[key] || [];
+                  if (values.length === 0) return null;
+                  return (
+                    <div key={key}>
+                      <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{label}</h4>
+                      <ul className="space-y-1">
+                        {values.map(facet => (
+                          <li key={facet.value}>
+                            <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer">
+                              <span className="flex items-center">
+                                <input
+                                  type="checkbox"
+                                  checked={selected[key].includes(facet.value)}
+                                  onChange={() => toggleFacet(key, facet.value)}
+                                  className="h-4 w-4 rounded border-gray-300 text-millipore-blue mr-2"
+                                />
+                                {formatValue(key, facet.value)}
+                              </span>
+                              <span className="text-xs text-gray-400">{facet.count}</span>
+                            </label>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </aside>
+
+          <section className="lg:col-span-3 space-y-4">
+            {hasSelectedFacets && (
+              <div className="flex flex-wrap gap-2">
+                {FACETS.flatMap(({ key, label }) => selected[key].map(value => (
+                  <button
+                    key={`${key}-${value}`}
+                    onClick={() => toggleFacet(key, value)}
+                    className="inline-flex items-center rounded-full bg-blue-50 px-3 py-1 text-xs text-blue-800 hover:bg-blue-100"
+                  >
+                    {label}: {formatValue(key, value)}
+                    <XMarkIcon className="ml-1 h-3 w-3" />
+                  </button>
+                )))}
+              </div>
+            )}
+
+            {loading && !data ? (
+              <LoadingSpinner message="Searching tickets..." />
+            ) : data?.results.length === 0 ? (
+              <div className="card">
+                <EmptyState
+                  icon={MagnifyingGlassIcon}
+                  title={`No tickets match "${q}"`}
+                  message={hasSelectedFacets ? 'Try removing some filters' : 'Search matches whole words - try the full word or identifier'}
+                />
+              </div>
+            ) : data && (
+              <div className={`card ${loading ? 'opacity-60' : ''}`}>
+                <div className="card-header">
+                  <p className="text-sm text-gray-600">
+                    <span className="font-medium">{pagination.total}</span> result{pagination.total === 1 ? '' : 's'} for "{data.query}"
+                  </p>
+                </div>
+                <ul className="divide-y divide-gray-200">
+                  {data.results.map(ticket => (
+                    <li key={ticket._id} className="px-6 py-4 hover:bg-gray-50">
+                      <div className="flex items-start justify-between">
+                        <div className="min-w-0">
+                          <Link to={`/tickets/${ticket._id}`} className="text-sm font-medium text-millipore-blue hover:underline">
+                            {ticket.productName || 'Untitled'}
+                          </Link>
+                          <div className="mt-0.5 text-xs text-gray-500">
+                            {ticket.ticketNumber}
+                            {ticket.casNumber && ` · CAS ${ticket.casNumber}`}
+                            {ticket.sbu && ` · SBU ${ticket.sbu}`}
+                            {ticket.brand && ` · ${ticket.brand}`}
+                            {ticket.businessLine && ` · ${ticket.businessLine}`}
+                            {' · updated '}{formatTimeAgo(ticket.updatedAt)}
+                          </div>
+                        </div>
+                        <div className="ml-4 flex flex-shrink-0 items-center space-x-2">
+                          <PriorityBadge priority={ticket.priority} />
+                          <StatusBadge status={ticket.status} />
+                        </div>
+                      </div>
+                      {ticket.highlights.length > 0 && (
+                        <dl className="mt-2 space-y-1">
+                          {ticket.highlights.map(highlight => (
+                            <div key={highlight.field} className="text-sm text-gray-600">
+                              <dt className="inline text-xs font-medium text-gray-400">{highlight.label}: </dt>
+                              <dd className="inline">
+                                <HighlightedText text={highlight.text} matches={highlight.matches} />
+                              </dd>
+                            </div>
+                          ))}
+                        </dl>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+
+                {pagination.pages > 1 && (
+                  <div className="flex items-center justify-between border-t border-gray-200 px-6 py-3">
+                    <button
+                      onClick={() => updateParams({ page: String(page - 1) })}
+                      disabled={page <= 1}
+                      className="btn btn-secondary disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span className="text-sm text-gray-600">
+                      Page {pagination.page} of {pagination.pages}
+                    </span>
+                    <button
+                      onClick={() => updateParams({ page: String(page + 1) })}
+                      disabled={page >= pagination.pages}
+                      className="btn btn-secondary disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { templatesAPI } from '../services/api';
+import { templatesAPI, workflowAPI } from '../services/api';
 import {
   DocumentTextIcon,
   CheckCircleIcon,
@@ -15,11 +15,22 @@ const TemplateManager = () => {
   const [expandedTemplates, setExpandedTemplates] = useState({});
   const [expandedSections, setExpandedSections] = useState({});
   const [savingTemplate, setSavingTemplate] = useState(null);
+  const [workflows, setWorkflows] = useState([]);
 
   useEffect(() => {
     fetchTemplates();
+    fetchWorkflows();
   }, []);
 
+  const fetchWorkflows = async () => {
+    try {
+      const response = await workflowAPI.getAll();
+      setWorkflows(response.data.filter(workflow => workflow.isActive));
+    } catch (err) {
+      console.error('Error fetching workflows:', err);
+    }
+  };
+
   const fetchTemplates = async () => {
     try {
       setLoading(true);
@@ -103,6 +114,31 @@ const TemplateManager = () => {
     }
   };
 
+  const changeTemplateWorkflow = async (template, workflowId) => {
+    try {
+      setSavingTemplate(template._id);
+
+      const profileData = localStorage.getItem('currentProfileData');
+      const profile = profileData ? JSON.parse(profileData) : null;
+      const updatedBy = profile?.email || 'system';
+
+      await templatesAPI.updateWorkflow(template._id, workflowId || null, updatedBy);
+
+      setTemplates(prevTemplates =>
+        prevTemplates.map(t =>
+          t._id === template._id
+            ? { ...t, workflow: workflowId || null }
+            : t
+        )
+      );
+    } catch (err) {
+      console.error('Error updating template workflow:', err);
+      alert('Failed to update template workflow. Please try again.');
+    } finally {
+      setSavingTemplate(null);
+    }
+  };
+
   const isFieldRequired = (template, fieldKey) => {
     return (template.submissionRequirements || []).includes(fieldKey);
   };
@@ -215,6 +251,29 @@ const TemplateManager = () => {
               {/* Template Content */}
               {expandedTemplates[template._id] && (
                 <div className="p-6">
+                  {/* Status Workflow */}
+                  <div className="mb-6 flex items-center justify-between border border-gray-200 rounded-lg px-4 py-3 bg-gray-50">
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-700">Status Workflow</h3>
+                      <p className="text-xs text-gray-500">
+                        Controls the statuses, transitions and transition requirements for tickets created from this template.
+                      </p>
+                    </div>
+                    <select
+                      value={template.workflow || ''}
+                      onChange={(e) => changeTemplateWorkflow(template, e.target.value)}
+                      disabled={savingTemplate === template._id}
+                      className="ml-4 text-sm border border-gray-300 rounded-md px-3 py-1.5"
+                    >
+                      <option value="">Default workflow</option>
+                      {workflows.map(workflow => (
+                        <option key={workflow._id} value={workflow._id}>
+                          {workflow.name}{workflow.isDefault ? ' (default)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
                   {/* Form Sections and Fields */}
                   {template.formConfiguration?.sections ? (
                     <div className="space-y-4">
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../utils/AuthContext';
-import { productAPI, templatesAPI } from '../services/api';
+import { productAPI, templatesAPI, assignmentAPI } from '../services/api';
 import { useForm, useFieldArray } from 'react-hook-form';
 import SKUAssignment from '../components/SKUAssignment';
 import {
@@ -9,12 +9,14 @@ import {
   CalendarIcon,
   UserIcon,
   TagIcon,
-  ChatBubbleLeftIcon,
   DocumentIcon,
   ChevronDownIcon,
   ChevronRightIcon,
   ClipboardDocumentIcon,
-  ArrowDownTrayIcon
+  ArrowDownTrayIcon,
+  DocumentDuplicateIcon,
+  EyeIcon,
+  EyeSlashIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import { StatusBadge, PriorityBadge } from '../components/badges';
@@ -22,6 +24,22 @@ import { ProductTicketForm } from '../components/forms';
 import UNSPSCSelector from '../components/forms/UNSPSCSelector';
 import PMOpsTabView from '../components/PMOpsTabView';
 import DynamicTicketView from '../components/DynamicTicketView';
+import CloneTicketModal from '../components/CloneTicketModal';
+import RelatedTicketsPanel from '../components/RelatedTicketsPanel';
+import LaunchTimelineGantt from '../components/LaunchTimelineGantt';
+import CommentsPanel from '../components/CommentsPanel';
+import AttachmentsPanel from '../components/AttachmentsPanel';
+import ApprovalsPanel from '../components/ApprovalsPanel';
+import RevisionChecklistPanel from '../components/RevisionChecklistPanel';
+import FieldFlagDialog from '../components/FieldFlagDialog';
+import FieldFlagsPanel, { FieldFlagsButton } from '../components/FieldFlagsPanel';
+import { FieldAnnotationsProvider } from '../utils/FieldAnnotationsContext';
+import PresenceBar, { SectionLockBanner } from '../components/PresenceIndicators';
+import { PresenceProvider, usePresence } from '../utils/PresenceContext';
+import MergeConflictDialog from '../components/MergeConflictDialog';
+import { updateTicketWithMerge } from '../utils/ticketMerge';
+import DuplicateWarningModal from '../components/DuplicateWarningModal';
+import { sendWithDuplicateCheck } from '../utils/duplicateCheck';
 
 const TicketDetails = () => {
   const { id } = useParams();
@@ -29,15 +47,22 @@ const TicketDetails = () => {
   const { user, isPMOPS, isAdmin, isProductManager } = useAuth();
   const [ticket, setTicket] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [commentLoading, setCommentLoading] = useState(false);
   const [editMode, setEditMode] = useState(false);
   const [updateLoading, setUpdateLoading] = useState(false);
   const [isUNSPSCSelectorOpen, setIsUNSPSCSelectorOpen] = useState(false);
   const [template, setTemplate] = useState(null);
   const [loadingTemplate, setLoadingTemplate] = useState(false);
+  const [transitions, setTransitions] = useState([]);
+  const [workflow, setWorkflow] = useState(null);
+  const [pmopsUsers, setPmopsUsers] = useState([]);
+  const [assigning, setAssigning] = useState(false);
+  const [showCloneModal, setShowCloneModal] = useState(false);
+  const [mergeRequest, setMergeRequest] = useState(null);
+  const [duplicateRequest, setDuplicateRequest] = useState(null);
   const formInitializedRef = useRef(false);
   const pmopsTabViewRef = useRef(null);
-  const { register, handleSubmit, reset, setValue, watch, formState: { errors } } = useForm();
+  const presence = usePresence();
+  const setPresenceEditing = presence?.setEditing;
   // Initialize form with proper defaults based on ticket data
   const getDefaultFormValues = () => {
     if (!ticket || !editMode) return {};
@@ -115,6 +140,7 @@ const TicketDetails = () => {
     try {
       const response = await productAPI.getTicket(id);
       setTicket(response.data.ticket);
+      fetchTransitions();
     } catch (error) {
       console.error('Failed to fetch ticket:', error);
       toast.error('Failed to load ticket details');
@@ -124,30 +150,87 @@ const TicketDetails = () => {
     }
   };
 
-  const handleAddComment = async (data) => {
-    setCommentLoading(true);
+  // Workflow transitions the current user may perform from the ticket's status
+  const fetchTransitions = async () => {
     try {
-      await productAPI.addComment(id, data);
-      toast.success('Comment added successfully');
-      reset();
+      const response = await productAPI.getTransitions(id);
+      setTransitions(response.data.transitions || []);
+      setWorkflow(response.data.workflow || null);
+    } catch (error) {
+      console.error('Failed to fetch workflow transitions:', error);
+      setTransitions([]);
+      setWorkflow(null);
+    }
+  };
+
+  const canTransitionTo = (status) => transitions.some(t => t.to === status);
+
+  // PMOps users for the assignee picker
+  useEffect(() => {
+    if (!isPMOPS && !isAdmin) return;
+
+    assignmentAPI.getQueue()
+      .then(response => setPmopsUsers(response.data.users || []))
+      .catch(error => console.error('Failed to fetch PMOps users:', error));
+  }, [isPMOPS, isAdmin]);
+
+  const handleAssign = async (value) => {
+    setAssigning(true);
+    try {
+      const data = value === '__auto__' ? { auto: true } : { assignedTo: value };
+      const response = await productAPI.assignTicket(id, data);
+      toast.success(response.data.message);
       fetchTicket();
     } catch (error) {
-      console.error('Failed to add comment:', error);
-      toast.error('Failed to add comment');
+      console.error('Failed to assign ticket:', error);
+      toast.error(error.response?.data?.message || 'Failed to assign ticket');
     } finally {
-      setCommentLoading(false);
+      setAssigning(false);
     }
   };
 
   const handleStatusChange = async (newStatus) => {
-    const reason = prompt('Please provide a reason for this status change (optional):');
+    const transition = transitions.find(t => t.to === newStatus);
+    if (!transition) return;
+
+    if (!transition.ready) {
+      const problems = [];
+      if (transition.missingFields.length > 0) {
+        problems.push(`please fill in ${transition.missingFields.map(f => f.fieldLabel).join(', ')}`);
+      }
+      if (transition.openRevisionItems?.length > 0) {
+        problems.push(`resolve ${transition.openRevisionItems.length} revision item${transition.openRevisionItems.length === 1 ? '' : 's'} first`);
+      }
+      if (transition.pendingApprovals?.length > 0) {
+        problems.push(`waiting on approval from ${transition.pendingApprovals.map(a => a.label).join(', ')}`);
+      }
+      toast.error(`Cannot ${transition.label.toLowerCase()}: ${problems.join('; ')}`, { duration: 6000 });
+      return;
+    }
+
+    const reason = prompt(
+      transition.requireReason
+        ? `Please provide a reason for "${transition.label}" (required):`
+        : 'Please provide a reason for this status change (optional):'
+    );
+    if (reason === null) return; // Prompt canceled
+    if (transition.requireReason && !reason.trim()) {
+      toast.error('A reason is required for this status change');
+      return;
+    }
+
     try {
-      await productAPI.updateStatus(id, { status: newStatus, reason: reason || '' });
+      // Submitting re-checks for duplicates; the user can override with a reason
+      await sendWithDuplicateCheck(
+        (duplicateOverride) => productAPI.updateStatus(id, { status: newStatus, reason: reason || '', duplicateOverride }),
+        (duplicates) => new Promise(resolve => setDuplicateRequest({ duplicates, resolve }))
+      );
       toast.success('Status updated successfully');
       fetchTicket();
     } catch (error) {
+      if (error.cancelled) return;
       console.error('Failed to update status:', error);
-      toast.error('Failed to update status');
+      toast.error(error.response?.data?.message || 'Failed to update status');
     }
   };
 
@@ -183,10 +266,23 @@ const TicketDetails = () => {
     }
   };
 
+  // Ask the user to pick a side for fields someone else changed since the ticket was loaded
+  const resolveConflicts = (conflicts) => new Promise(resolve => {
+    setMergeRequest({ conflicts, resolve });
+  });
+
+  const handleMergeResolved = (choices) => {
+    mergeRequest.resolve(choices);
+    setMergeRequest(null);
+  };
+
+  // Save edits against the loaded version of the ticket
+  const saveTicket = (data) => updateTicketWithMerge(ticket, data, resolveConflicts);
+
   const handleUpdateTicket = async (data) => {
     setUpdateLoading(true);
     try {
-      await productAPI.updateTicket(id, data);
+      await saveTicket(data);
       toast.success('Ticket updated successfully');
       setEditMode(false);
       fetchTicket();
@@ -251,7 +347,7 @@ const TicketDetails = () => {
       // Add the new BULK SKU to existing variants
       const updatedSkuVariants = [...(ticket.skuVariants || []), newBulkSKU];
 
-      await productAPI.updateTicket(id, { skuVariants: updatedSkuVariants });
+      await saveTicket({ skuVariants: updatedSkuVariants });
       toast.success('BULK SKU added successfully');
       fetchTicket();
     } catch (error) {
@@ -262,10 +358,35 @@ const TicketDetails = () => {
     }
   };
 
+  // Let other viewers know while the ticket form is open
+  useEffect(() => {
+    setPresenceEditing?.(editMode ? 'details' : null);
+  }, [editMode, setPresenceEditing]);
+
   const toggleEditMode = () => {
+    const lock = presence?.getLock('details');
+    if (!editMode && lock && !window.confirm(`${lock.firstName} ${lock.lastName} is already editing this ticket. Edit anyway?`)) {
+      return;
+    }
     setEditMode(!editMode);
   };
 
+  // Watched tickets show up in the user's calendar feed
+  const isWatching = !!user?.email && (ticket?.watchers || []).includes(user.email.toLowerCase());
+
+  const handleToggleWatch = async () => {
+    try {
+      const response = isWatching
+        ? await productAPI.unwatchTicket(ticket._id)
+        : await productAPI.watchTicket(ticket._id);
+      setTicket(current => ({ ...current, watchers: response.data.watchers }));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Failed to update watch:', error);
+      toast.error(error.response?.data?.message || 'Failed to update watch');
+    }
+  };
+
   const canEdit = () => {
     // Ticket cannot be edited if completed, canceled, or NPDI initiated
     if (ticket.status === 'COMPLETED' || ticket.status === 'CANCELED' || ticket.status === 'NPDI_INITIATED') {
@@ -338,13 +459,26 @@ const TicketDetails = () => {
             <img src="/M.png" alt="MilliporeSigma" className="h-12" />
             <div className="text-white">
               <h1 className="text-2xl font-bold">{ticket.ticketNumber}</h1>
+              {ticket.internalTicketNumber && ticket.internalTicketNumber !== ticket.ticketNumber && (
+                <p className="text-xs text-blue-200">Internal number: {ticket.internalTicketNumber}</p>
+              )}
               <p className="text-blue-100">{ticket.productName}</p>
               {ticket.chemicalProperties?.autoPopulated && (
                 <p className="text-xs text-blue-200 mt-1">✓ Enhanced with PubChem data</p>
               )}
+              {ticket.clonedFrom?.ticket && (
+                <button
+                  onClick={() => navigate(`/tickets/${ticket.clonedFrom.ticket}`)}
+                  className="text-xs text-blue-200 hover:text-white mt-1 underline"
+                >
+                  Cloned from {ticket.clonedFrom.ticketNumber}
+                </button>
+              )}
             </div>
           </div>
           <div className="flex flex-col items-end space-y-3">
+            <PresenceBar />
+
             {/* Status and Priority Badges */}
             <div className="flex items-center space-x-3">
               <PriorityBadge priority={ticket.priority} />
@@ -361,19 +495,24 @@ const TicketDetails = () => {
               </div>
             </div>
             
-            {/* Status Dropdown for PMOps */}
-            {(isPMOPS || isAdmin) && !editMode && (
+            {/* Status Dropdown - only the workflow transitions valid for this user */}
+            {transitions.length > 0 && !editMode && (
               <select
                 value={ticket.status}
                 onChange={(e) => handleStatusChange(e.target.value)}
                 className="text-sm border border-white/20 bg-white/10 text-white rounded-md px-3 py-1 hover:bg-white/20 transition-colors"
               >
-                <option value="DRAFT" className="text-gray-900">Draft</option>
-                <option value="SUBMITTED" className="text-gray-900">Submitted</option>
-                <option value="IN_PROCESS" className="text-gray-900">In Process</option>
-                <option value="NPDI_INITIATED" className="text-gray-900">NPDI Initiated</option>
-                <option value="COMPLETED" className="text-gray-900">Completed</option>
-                <option value="CANCELED" className="text-gray-900">Canceled</option>
+                <option value={ticket.status} className="text-gray-900">{ticket.status.replace(/_/g, ' ')}</option>
+                {transitions.map(transition => (
+                  <option
+                    key={transition.to}
+                    value={transition.to}
+                    className="text-gray-900"
+                    title={transition.ready ? '' : `Missing: ${[...transition.missingFields.map(f => f.fieldLabel), ...(transition.pendingApprovals || []).map(a => `${a.label} approval`), ...(transition.openRevisionItems || []).map(item => `${item.fieldLabel || item.fieldPath} revision`)].join(', ')}`}
+                  >
+                    {transition.label} → {transition.toLabel}{transition.ready ? '' : transition.missingFields.length > 0 ? ' (fields missing)' : transition.openRevisionItems?.length > 0 ? ' (revisions open)' : ' (approvals pending)'}
+                  </option>
+                ))}
               </select>
             )}
             
@@ -400,6 +539,28 @@ const TicketDetails = () => {
                 </>
               )}
 
+              <FieldFlagsButton className="bg-white/10 backdrop-blur-sm hover:bg-white/20 text-white px-4 py-2 rounded-lg font-medium text-sm transition-all duration-200 flex items-center space-x-2 border border-white/20" />
+
+              <button
+                onClick={handleToggleWatch}
+                className="bg-white/10 backdrop-blur-sm hover:bg-white/20 text-white px-4 py-2 rounded-lg font-medium text-sm transition-all duration-200 flex items-center space-x-2 border border-white/20"
+                title={isWatching ? 'Stop watching this ticket' : 'Watch this ticket: its launch dates and milestones appear in your calendar feed'}
+              >
+                {isWatching ? <EyeSlashIcon className="w-4 h-4" /> : <EyeIcon className="w-4 h-4" />}
+                <span>{isWatching ? 'Unwatch' : 'Watch'}</span>
+              </button>
+
+              {!editMode && (
+                <button
+                  onClick={() => setShowCloneModal(true)}
+                  className="bg-white/10 backdrop-blur-sm hover:bg-white/20 text-white px-4 py-2 rounded-lg font-medium text-sm transition-all duration-200 flex items-center space-x-2 border border-white/20"
+                  title="Copy this ticket into a new draft"
+                >
+                  <DocumentDuplicateIcon className="w-4 h-4" />
+                  <span>Clone</span>
+                </button>
+              )}
+
               {/* Export Buttons - PMOps Only */}
               {isPMOPS && !editMode && (
                 <>
@@ -474,7 +635,7 @@ const TicketDetails = () => {
                 </p>
               </div>
             </div>
-            {(isPMOPS || isAdmin) && (
+            {canTransitionTo('COMPLETED') && (
               <div>
                 <button
                   onClick={async () => {
@@ -487,7 +648,7 @@ const TicketDetails = () => {
                         fetchTicket();
                       } catch (error) {
                         console.error('Failed to mark as completed:', error);
-                        toast.error('Failed to mark ticket as completed');
+                        toast.error(error.response?.data?.message || 'Failed to mark ticket as completed');
                       }
                     }
                   }}
@@ -587,7 +748,7 @@ const TicketDetails = () => {
       )}
 
       {/* NPDI Tracking Number Assignment - Top Priority (appears when ready) */}
-      {(isPMOPS || isAdmin) && !editMode && ticket.status === 'IN_PROCESS' && ticket.partNumber?.baseNumber && (
+      {canTransitionTo('NPDI_INITIATED') && !editMode && ticket.partNumber?.baseNumber && (
         <div className="bg-white shadow rounded-lg">
           <div className="px-6 py-4 border-b border-gray-200">
             <h3 className="text-lg font-medium text-gray-900">NPDI Initiation</h3>
@@ -677,7 +838,7 @@ const TicketDetails = () => {
                         • The ticket number will change from <strong>{ticket.ticketNumber}</strong> to the NPDI number you enter<br/>
                         • The ticket will become <strong>non-editable and locked</strong><br/>
                         • All changes must be made through the NPDI system<br/>
-                        • The original ticket number will be preserved in activity history
+                        • The original ticket number is kept as the internal number and in activity history
                       </p>
                     </div>
                   </div>
@@ -688,6 +849,8 @@ const TicketDetails = () => {
         </div>
       )}
 
+      <SectionLockBanner section="details" />
+
       {editMode && canEdit() ? (
         <ProductTicketForm
           mode="edit"
@@ -716,7 +879,7 @@ const TicketDetails = () => {
                   <h3 className="text-lg font-medium text-gray-900">Ticket Information</h3>
                 </div>
                 <div className="card-body">
-                  <div className="grid grid-cols-2 md:grid-cols-5 gap-6">
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-6">
                     <div className="flex items-center space-x-2">
                       <UserIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
                       <div className="min-w-0 flex-1">
@@ -800,6 +963,36 @@ const TicketDetails = () => {
                         <PriorityBadge priority={ticket.priority} />
                       </div>
                     </div>
+
+                    <div className="flex items-center space-x-2">
+                      <UserIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                      <div className="min-w-0 flex-1">
+                        <p className="text-xs text-gray-500">Assigned to</p>
+                        {(isPMOPS || isAdmin) ? (
+                          <select
+                            value={ticket.assignedTo || ''}
+                            onChange={(e) => handleAssign(e.target.value)}
+                            disabled={assigning}
+                            className="form-select text-sm py-1 w-full"
+                          >
+                            <option value="">Unassigned</option>
+                            {ticket.assignedTo && !pmopsUsers.some(u => u.email === ticket.assignedTo) && (
+                              <option value={ticket.assignedTo}>{ticket.assignedTo}</option>
+                            )}
+                            {pmopsUsers.map(u => (
+                              <option key={u.email} value={u.email}>
+                                {u.firstName} {u.lastName}{u.availability === 'OUT_OF_OFFICE' ? ' (out of office)' : ''}
+                              </option>
+                            ))}
+                            <option value="__auto__">Auto-assign from queue…</option>
+                          </select>
+                        ) : (
+                          <p className="text-sm text-gray-900 font-medium truncate" title={ticket.assignedTo || 'Unassigned'}>
+                            {ticket.assignedTo || 'Unassigned'}
+                          </p>
+                        )}
+                      </div>
+                    </div>
                   </div>
                 </div>
               </div>
@@ -816,84 +1009,30 @@ const TicketDetails = () => {
                   </div>
                 ) : (
                   // Fallback to PMOpsTabView for old closed tickets without templates
-                  <PMOpsTabView ref={pmopsTabViewRef} ticket={ticket} onTicketUpdate={fetchTicket} />
+                  <PMOpsTabView ref={pmopsTabViewRef} ticket={ticket} availableTransitions={transitions} workflow={workflow} onTicketUpdate={fetchTicket} saveTicket={saveTicket} canEdit={canEdit()} />
                 )
               ) : (
                 // Active tickets always use the existing PMOpsTabView
-                <PMOpsTabView ref={pmopsTabViewRef} ticket={ticket} onTicketUpdate={fetchTicket} />
+                <PMOpsTabView ref={pmopsTabViewRef} ticket={ticket} availableTransitions={transitions} workflow={workflow} onTicketUpdate={fetchTicket} saveTicket={saveTicket} canEdit={canEdit()} />
               )}
 
+              {/* Revision Checklist - Full Width, Below Content */}
+              <RevisionChecklistPanel ticket={ticket} canEdit={canEdit()} onTicketUpdate={fetchTicket} />
+
+              {/* Approvals - Full Width, Below Content */}
+              <ApprovalsPanel ticket={ticket} onTicketUpdate={fetchTicket} />
+
+              {/* Launch Timeline - Full Width, Below Content */}
+              <LaunchTimelineGantt ticket={ticket} canEdit={canEdit()} onTicketUpdate={fetchTicket} />
+
+              {/* Related Tickets - Full Width, Below Content */}
+              <RelatedTicketsPanel ticket={ticket} canEdit={canEdit()} />
+
+              {/* Attachments - Full Width, Below Content */}
+              <AttachmentsPanel ticket={ticket} />
+
               {/* Comments - Full Width, Below Content */}
-              <div className="card">
-                <div className="card-header">
-                  <h3 className="text-lg font-medium text-gray-900">Comments</h3>
-                </div>
-                <div className="card-body space-y-6">
-                  {/* Add Comment Form */}
-                  <form
-                    onSubmit={handleSubmit(handleAddComment)}
-                    onKeyDown={(e) => {
-                      // Allow Enter in textarea for multi-line comments
-                      // Prevent Enter from submitting form accidentally
-                      if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
-                        e.preventDefault();
-                      }
-                    }}
-                    className="space-y-4"
-                  >
-                    <div>
-                      <textarea
-                        {...register('content', { required: 'Comment is required' })}
-                        rows="3"
-                        className="form-input"
-                        placeholder="Add a comment..."
-                      />
-                      {errors.content && (
-                        <p className="mt-1 text-sm text-red-600">{errors.content.message}</p>
-                      )}
-                    </div>
-                    <div className="flex justify-end">
-                      <button
-                        type="submit"
-                        disabled={commentLoading}
-                        className="btn btn-primary"
-                      >
-                        {commentLoading ? 'Adding...' : 'Add Comment'}
-                      </button>
-                    </div>
-                  </form>
-
-                  {/* Comments List */}
-                  {ticket.comments && ticket.comments.length > 0 ? (
-                    <div className="space-y-3 max-h-96 overflow-y-auto">
-                      {ticket.comments.map((comment, index) => (
-                        <div key={index} className="border border-gray-200 rounded-lg p-3">
-                          <div className="flex items-center space-x-2 mb-2">
-                            <div className="h-6 w-6 bg-millipore-blue rounded-full flex items-center justify-center">
-                              <span className="text-white text-xs font-medium">
-                                {comment.userInfo?.firstName?.[0]}{comment.userInfo?.lastName?.[0]}
-                              </span>
-                            </div>
-                            <div>
-                              <p className="text-xs font-medium text-gray-900">
-                                {comment.userInfo?.firstName} {comment.userInfo?.lastName}
-                              </p>
-                              <p className="text-xs text-gray-500">
-                                {new Date(comment.timestamp).toLocaleDateString()}
-                              </p>
-                            </div>
-                          </div>
-                          <p className="text-sm text-gray-900">{comment.content}</p>
-                        </div>
-                      ))}
-                    </div>
-                  ) : (
-                    <p className="text-sm text-gray-500 text-center py-4">
-                      No comments yet.
-                    </p>
-                  )}
-                </div>
-              </div>
+              <CommentsPanel ticket={ticket} onTicketUpdate={fetchTicket} />
 
               {/* Activity History - Full Width, Below Comments */}
               {ticket.statusHistory && ticket.statusHistory.length > 0 && (
@@ -928,6 +1067,17 @@ const TicketDetails = () => {
                               return 'text-gray-600 bg-gray-50 border-gray-200';
                             case 'NPDI_INITIATED':
                               return 'text-emerald-600 bg-emerald-50 border-emerald-200';
+                            case 'SLA_ESCALATION':
+                              return 'text-red-600 bg-red-50 border-red-200';
+                            case 'TICKET_ASSIGNMENT':
+                              return 'text-teal-600 bg-teal-50 border-teal-200';
+                            case 'DUPLICATE_OVERRIDE':
+                              return 'text-amber-600 bg-amber-50 border-amber-200';
+                            case 'APPROVAL_DECISION':
+                              return 'text-indigo-600 bg-indigo-50 border-indigo-200';
+                            case 'REVISION_REQUESTED':
+                            case 'REVISION_RESOLVED':
+                              return 'text-rose-600 bg-rose-50 border-rose-200';
                             default:
                               return 'text-gray-600 bg-gray-50 border-gray-200';
                           }
@@ -1031,6 +1181,38 @@ const TicketDetails = () => {
         </>
       )}
 
+      {/* Clone Ticket Modal */}
+      {showCloneModal && (
+        <CloneTicketModal
+          ticket={ticket}
+          onClose={() => setShowCloneModal(false)}
+          onCloned={(clone) => {
+            setShowCloneModal(false);
+            navigate(`/tickets/${clone._id}`);
+          }}
+        />
+      )}
+
+      {/* Duplicate Warning Modal */}
+      {duplicateRequest && (
+        <DuplicateWarningModal
+          duplicates={duplicateRequest.duplicates}
+          actionLabel="Submit Anyway"
+          onResolve={(reason) => {
+            duplicateRequest.resolve(reason);
+            setDuplicateRequest(null);
+          }}
+        />
+      )}
+
+      {/* Merge Conflict Dialog */}
+      {mergeRequest && (
+        <MergeConflictDialog
+          conflicts={mergeRequest.conflicts}
+          onResolve={handleMergeResolved}
+        />
+      )}
+
       {/* UNSPSC Selector Modal */}
       {editMode && (
         <UNSPSCSelector
@@ -1043,8 +1225,25 @@ const TicketDetails = () => {
           currentValue={watchEdit('corpbaseData.unspscCode')}
         />
       )}
+
+      {/* Field Flags - dialog for one field and the open flags side panel */}
+      <FieldFlagDialog />
+      <FieldFlagsPanel />
     </div>
   );
 };
 
-export default TicketDetails;
\ No newline at end of file
+// Field flags and presence are shared by the header, the form/PMOps views and the flags panel
+const TicketDetailsWithFlags = () => {
+  const { id } = useParams();
+
+  return (
+    <FieldAnnotationsProvider ticketId={id}>
+      <PresenceProvider ticketId={id}>
+        <TicketDetails />
+      </PresenceProvider>
+    </FieldAnnotationsProvider>
+  );
+};
+
+export default TicketDetailsWithFlags;
\ No newline at end of file
@@ -1,10 +1,35 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import { productAPI } from '../services/api';
-import { DocumentIcon, EyeIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { DocumentIcon, EyeIcon, PlusIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '../utils/AuthContext';
 import toast from 'react-hot-toast';
 import { StatusBadge, PriorityBadge } from '../components/badges';
+import ImportTicketsModal from '../components/ImportTicketsModal';
+import SavedSearchBar from '../components/SavedSearchBar';
+import { SEARCH_FILTER_KEYS, DATE_FIELD_OPTIONS, filtersToQuery } from '../utils/savedSearches';
+
+const SBU_OPTIONS = ['775', 'P90', '440', 'P87', 'P89', 'P85'];
+
+const EMPTY_FILTERS = { ...Object.fromEntries(SEARCH_FILTER_KEYS.map(key => [key, ''])), page: 1 };
+
+// Saved searches can hold values the dropdowns don't list (several statuses, a colleague's email)
+const withCurrentOption = (options, value) => (
+  value && !options.some(option => option.value === value)
+    ? [...options, { value, label: value.replace(/,/g, ', ') }]
+    : options
+);
+
+// URL params for a set of filters (the URL is the source of truth for the list)
+const buildSearchParams = (filters) => {
+  const params = new URLSearchParams();
+  SEARCH_FILTER_KEYS.forEach(key => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  if (!filters.dateFrom && !filters.dateTo) params.delete('dateField');
+  if (filters.page > 1) params.set('page', filters.page.toString());
+  return params;
+};
 
 const TicketList = () => {
   const { isProductManager, isPMOPS, isAdmin } = useAuth();
@@ -13,13 +38,12 @@ const TicketList = () => {
   const [pagination, setPagination] = useState(null);
   const [loading, setLoading] = useState(true);
   const [searchInput, setSearchInput] = useState(searchParams.get('search') || '');
+  const [showImportModal, setShowImportModal] = useState(false);
   const searchTimeoutRef = useRef(null);
 
   // Initialize filters from URL params
   const getFiltersFromURL = () => ({
-    status: searchParams.get('status') || '',
-    priority: searchParams.get('priority') || '',
-    search: searchParams.get('search') || '',
+    ...Object.fromEntries(SEARCH_FILTER_KEYS.map(key => [key, searchParams.get(key) || ''])),
     page: parseInt(searchParams.get('page')) || 1
   });
 
@@ -64,14 +88,18 @@ const TicketList = () => {
   const handleFilterChange = (key, value) => {
     const newFilters = { ...filters, [key]: value, page: 1 };
     setFilters(newFilters);
+    setSearchParams(buildSearchParams(newFilters));
+  };
 
-    // Update URL params
-    const params = new URLSearchParams();
-    if (newFilters.status) params.set('status', newFilters.status);
-    if (newFilters.priority) params.set('priority', newFilters.priority);
-    if (newFilters.search) params.set('search', newFilters.search);
-    if (newFilters.page > 1) params.set('page', newFilters.page.toString());
-    setSearchParams(params);
+  // Replace every filter with a saved search's filters
+  const handleApplySavedSearch = (savedSearch) => {
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current);
+    }
+    const newFilters = { ...EMPTY_FILTERS, ...filtersToQuery(savedSearch.filters) };
+    setSearchInput(newFilters.search);
+    setFilters(newFilters);
+    setSearchParams(buildSearchParams(newFilters));
   };
 
   // Sync searchInput with URL params when they change (e.g., browser back/forward)
@@ -94,14 +122,7 @@ const TicketList = () => {
   const handlePageChange = (newPage) => {
     const newFilters = { ...filters, page: newPage };
     setFilters(newFilters);
-
-    // Update URL params
-    const params = new URLSearchParams();
-    if (newFilters.status) params.set('status', newFilters.status);
-    if (newFilters.priority) params.set('priority', newFilters.priority);
-    if (newFilters.search) params.set('search', newFilters.search);
-    if (newFilters.page > 1) params.set('page', newFilters.page.toString());
-    setSearchParams(params);
+    setSearchParams(buildSearchParams(newFilters));
   };
 
   if (loading) {
@@ -126,17 +147,40 @@ const TicketList = () => {
           </p>
         </div>
         {(isProductManager || isAdmin) && (
-          <Link to="/tickets/new" className="btn btn-primary flex items-center">
-            <PlusIcon className="h-5 w-5 mr-2" />
-            New Ticket
-          </Link>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setShowImportModal(true)}
+              className="btn btn-secondary flex items-center"
+            >
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+              Import
+            </button>
+            <Link to="/tickets/new" className="btn btn-primary flex items-center">
+              <PlusIcon className="h-5 w-5 mr-2" />
+              New Ticket
+            </Link>
+          </div>
         )}
       </div>
 
+      {showImportModal && (
+        <ImportTicketsModal
+          onClose={(imported) => {
+            setShowImportModal(false);
+            if (imported) fetchTickets(getFiltersFromURL());
+          }}
+        />
+      )}
+
       {/* Filters */}
       <div className="card">
-        <div className="card-body">
-          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <div className="card-body space-y-4">
+          <SavedSearchBar
+            currentQuery={Object.fromEntries(SEARCH_FILTER_KEYS.map(key => [key, filters[key]]))}
+            onApply={handleApplySavedSearch}
+          />
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-5">
             <div>
               <input
                 type="text"
@@ -154,12 +198,16 @@ const TicketList = () => {
                 className="form-select"
               >
                 <option value="">All Statuses</option>
-                <option value="DRAFT">Draft</option>
-                <option value="SUBMITTED">Submitted</option>
-                <option value="IN_PROCESS">In Process</option>
-                <option value="NPDI_INITIATED">NPDI Initiated</option>
-                <option value="COMPLETED">Completed</option>
-                <option value="CANCELED">Canceled</option>
+                {withCurrentOption([
+                  { value: 'DRAFT', label: 'Draft' },
+                  { value: 'SUBMITTED', label: 'Submitted' },
+                  { value: 'IN_PROCESS', label: 'In Process' },
+                  { value: 'NPDI_INITIATED', label: 'NPDI Initiated' },
+                  { value: 'COMPLETED', label: 'Completed' },
+                  { value: 'CANCELED', label: 'Canceled' }
+                ], filters.status).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
               </select>
             </div>
 
@@ -170,10 +218,31 @@ const TicketList = () => {
                 className="form-select"
               >
                 <option value="">All Priorities</option>
-                <option value="LOW">Low</option>
-                <option value="MEDIUM">Medium</option>
-                <option value="HIGH">High</option>
-                <option value="URGENT">Urgent</option>
+                {withCurrentOption([
+                  { value: 'LOW', label: 'Low' },
+                  { value: 'MEDIUM', label: 'Medium' },
+                  { value: 'HIGH', label: 'High' },
+                  { value: 'URGENT', label: 'Urgent' }
+                ], filters.priority).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <select
+                value={filters.slaState}
+                onChange={(e) => handleFilterChange('slaState', e.target.value)}
+                className="form-select"
+              >
+                <option value="">All SLA States</option>
+                {withCurrentOption([
+                  { value: 'AT_RISK,BREACHED', label: 'At Risk or Breached' },
+                  { value: 'AT_RISK', label: 'At Risk' },
+                  { value: 'BREACHED', label: 'Breached' }
+                ], filters.slaState).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
               </select>
             </div>
 
@@ -181,7 +250,7 @@ const TicketList = () => {
               <button
                 onClick={() => {
                   setSearchInput('');
-                  setFilters({ status: '', priority: '', search: '', page: 1 });
+                  setFilters(EMPTY_FILTERS);
                   setSearchParams(new URLSearchParams());
                   if (searchTimeoutRef.current) {
                     clearTimeout(searchTimeoutRef.current);
@@ -192,6 +261,67 @@ const TicketList = () => {
                 Clear Filters
               </button>
             </div>
+
+            <div>
+              <select
+                value={filters.sbu}
+                onChange={(e) => handleFilterChange('sbu', e.target.value)}
+                className="form-select"
+              >
+                <option value="">All SBUs</option>
+                {withCurrentOption(SBU_OPTIONS.map(sbu => ({ value: sbu, label: `SBU ${sbu}` })), filters.sbu).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <select
+                value={filters.assignedTo}
+                onChange={(e) => handleFilterChange('assignedTo', e.target.value)}
+                className="form-select"
+              >
+                <option value="">Any Assignee</option>
+                {withCurrentOption([
+                  { value: 'me', label: 'Assigned to me' },
+                  { value: 'unassigned', label: 'Unassigned' }
+                ], filters.assignedTo).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <select
+                value={filters.dateField || 'createdAt'}
+                onChange={(e) => handleFilterChange('dateField', e.target.value)}
+                className="form-select"
+              >
+                {DATE_FIELD_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label} date</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <input
+                type="date"
+                value={filters.dateFrom}
+                onChange={(e) => handleFilterChange('dateFrom', e.target.value)}
+                className="form-input"
+                title="From"
+              />
+            </div>
+
+            <div>
+              <input
+                type="date"
+                value={filters.dateTo}
+                onChange={(e) => handleFilterChange('dateTo', e.target.value)}
+                className="form-input"
+                title="To"
+              />
+            </div>
           </div>
         </div>
       </div>
@@ -272,6 +402,16 @@ const TicketList = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <StatusBadge status={ticket.status} />
+                        {ticket.sla?.state === 'BREACHED' && (
+                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            SLA Breached
+                          </span>
+                        )}
+                        {ticket.sla?.state === 'AT_RISK' && (
+                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            SLA At Risk
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {new Date(ticket.createdAt).toLocaleDateString()}
@@ -267,7 +267,56 @@ const UserPreferences = () => {
       </div>
 
       <div className="border rounded-lg p-4">
-        <h4 className="text-lg font-medium text-gray-900 mb-4">Browser Notifications</h4>
+        <h4 className="text-lg font-medium text-gray-900 mb-1">Quiet Hours</h4>
+        <p className="text-xs text-gray-500 mb-4">
+          Reminder emails are held until quiet hours end. Times use your display timezone.
+        </p>
+        <div className="flex items-center">
+          <input
+            id="quietHoursEnabled"
+            type="checkbox"
+            checked={preferences.notifications?.quietHours?.enabled || false}
+            onChange={(e) => {
+              const newNotifications = { ...preferences.notifications };
+              newNotifications.quietHours = { ...newNotifications.quietHours, enabled: e.target.checked };
+              setPreferences(prev => ({ ...prev, notifications: newNotifications }));
+            }}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor="quietHoursEnabled" className="ml-3 text-sm font-medium text-gray-700">
+            Enable quiet hours
+          </label>
+        </div>
+
+        {preferences.notifications?.quietHours?.enabled && (
+          <div className="ml-6 mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {[
+              { key: 'start', label: 'From', fallback: '18:00' },
+              { key: 'end', label: 'Until', fallback: '08:00' }
+            ].map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                <input
+                  type="time"
+                  value={preferences.notifications?.quietHours?.[field.key] || field.fallback}
+                  onChange={(e) => {
+                    const newNotifications = { ...preferences.notifications };
+                    newNotifications.quietHours = { ...newNotifications.quietHours, [field.key]: e.target.value };
+                    setPreferences(prev => ({ ...prev, notifications: newNotifications }));
+                  }}
+                  className="form-input"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="border rounded-lg p-4">
+        <h4 className="text-lg font-medium text-gray-900 mb-1">Browser Notifications</h4>
+        <p className="text-xs text-gray-500 mb-4">
+          Shown in the notification bell at the top of the page, and as a pop-up while the app is open.
+        </p>
         <div className="space-y-3">
           <div className="flex items-center">
             <input
@@ -291,8 +340,9 @@ const UserPreferences = () => {
               {[
                 { key: 'newTicket', label: 'New ticket created' },
                 { key: 'statusChange', label: 'Ticket status changes' },
-                { key: 'comments', label: 'New comments' },
-                { key: 'assignments', label: 'New assignments' }
+                { key: 'comments', label: 'Mentions in comments' },
+                { key: 'assignments', label: 'New assignments' },
+                { key: 'approvals', label: 'Approval requests and decisions' }
               ].map(setting => (
                 <div key={setting.key} className="flex items-center">
                   <input
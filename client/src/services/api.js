@@ -64,10 +64,59 @@ export const productAPI = {
   createTicket: (data) => apiClient.post('/products', data),
   saveDraft: (data) => apiClient.post('/products/draft', data),
   getTickets: (params) => apiClient.get('/products', { params }),
+  search: (params) => apiClient.get('/products/search', { params }),
+  getBoard: (params) => apiClient.get('/products/board', { params }),
+  getLaunchCalendar: (params) => apiClient.get('/products/launch-calendar', { params }),
   getTicket: (id) => apiClient.get(`/products/${id}`),
-  updateTicket: (id, data) => apiClient.put(`/products/${id}`, data),
+  updateTicket: (id, data, { version } = {}) =>
+    apiClient.put(`/products/${id}`, data, version ? { headers: { 'If-Match': version } } : undefined),
   updateStatus: (id, data) => apiClient.patch(`/products/${id}/status`, data),
+  getTransitions: (id) => apiClient.get(`/products/${id}/transitions`),
+  getHistory: (id, params) => apiClient.get(`/products/${id}/history`, { params }),
+  revertChange: (id, changeId, data) => apiClient.post(`/products/${id}/history/${changeId}/revert`, data),
+  assignTicket: (id, data) => apiClient.patch(`/products/${id}/assign`, data),
+  cloneTicket: (id, data) => apiClient.post(`/products/${id}/clone`, data),
+  updateRevisionItem: (id, itemId, data) => apiClient.patch(`/products/${id}/revisions/${itemId}`, data),
+  watchTicket: (id) => apiClient.post(`/products/${id}/watch`),
+  unwatchTicket: (id) => apiClient.delete(`/products/${id}/watch`),
+  updateTimeline: (id, data, { version } = {}) =>
+    apiClient.put(`/products/${id}/timeline`, data, version ? { headers: { 'If-Match': version } } : undefined),
+  updatePresence: (id, editing = null) => apiClient.post(`/products/${id}/presence`, { editing }),
+  leavePresence: (id) => apiClient.delete(`/products/${id}/presence`),
+  getAnnotations: (id, params = {}) => apiClient.get(`/products/${id}/annotations`, { params }),
+  addAnnotation: (id, data) => apiClient.post(`/products/${id}/annotations`, data),
+  updateAnnotation: (id, annotationId, data) => apiClient.patch(`/products/${id}/annotations/${annotationId}`, data),
+  deleteAnnotation: (id, annotationId) => apiClient.delete(`/products/${id}/annotations/${annotationId}`),
+  getApprovals: (id) => apiClient.get(`/products/${id}/approvals`),
+  decideApproval: (id, stageKey, data) => apiClient.post(`/products/${id}/approvals/${encodeURIComponent(stageKey)}`, data),
+  getRelationships: (id) => apiClient.get(`/products/${id}/relationships`),
+  addRelationship: (id, data) => apiClient.post(`/products/${id}/relationships`, data),
+  removeRelationship: (id, relationshipId) => apiClient.delete(`/products/${id}/relationships/${relationshipId}`),
+  importTickets: (files, { dryRun = true } = {}) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    formData.append('dryRun', dryRun ? 'true' : 'false');
+    return apiClient.post('/products/import', formData, {
+      timeout: 120000 // 2 minute timeout for large product families
+    });
+  },
   addComment: (id, data) => apiClient.post(`/products/${id}/comments`, data),
+  editComment: (id, commentId, data) => apiClient.put(`/products/${id}/comments/${commentId}`, data),
+  deleteComment: (id, commentId) => apiClient.delete(`/products/${id}/comments/${commentId}`),
+  getAttachments: (id) => apiClient.get(`/products/${id}/attachments`),
+  uploadAttachments: (id, files, { category, description } = {}) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    if (category) formData.append('category', category);
+    if (description) formData.append('description', description);
+    return apiClient.post(`/products/${id}/attachments`, formData, {
+      timeout: 120000 // 2 minute timeout for large documents
+    });
+  },
+  downloadAttachment: (id, attachmentId) => apiClient.get(`/products/${id}/attachments/${attachmentId}/download`, {
+    responseType: 'blob' // Important for binary data
+  }),
+  deleteAttachment: (id, attachmentId) => apiClient.delete(`/products/${id}/attachments/${attachmentId}`),
   getDashboardStats: () => apiClient.get('/products/dashboard/stats'),
   getRecentActivity: (params) => apiClient.get('/products/recent-activity', { params }),
   lookupCAS: (casNumber) => {
@@ -166,6 +215,7 @@ export const systemSettingsAPI = {
   getSettings: () => apiClient.get('/system-settings'),
   updateSettings: (settings) => apiClient.put('/system-settings', settings),
   getSection: (section) => apiClient.get(`/system-settings/${section}`),
+  getNumberingCounters: () => apiClient.get('/system-settings/numbering/counters'),
   testPubChem: () => apiClient.post('/system-settings/test-pubchem'),
   testAzureOpenAI: () => apiClient.post('/system-settings/test-azure-openai')
 };
@@ -175,7 +225,12 @@ export const userPreferencesAPI = {
   updatePreferences: (preferences) => apiClient.put('/user-preferences', preferences),
   getSection: (section) => apiClient.get(`/user-preferences/${section}`),
   updateSection: (section, data) => apiClient.patch(`/user-preferences/${section}`, data),
-  reset: () => apiClient.post('/user-preferences/reset')
+  reset: () => apiClient.post('/user-preferences/reset'),
+  getSavedSearches: () => apiClient.get('/user-preferences/saved-searches'),
+  createSavedSearch: (data) => apiClient.post('/user-preferences/saved-searches', data),
+  updateSavedSearch: (id, data) => apiClient.put(`/user-preferences/saved-searches/${id}`, data),
+  deleteSavedSearch: (id) => apiClient.delete(`/user-preferences/saved-searches/${id}`),
+  setPinnedSearches: (searchIds) => apiClient.put('/user-preferences/saved-searches/pins', { searchIds })
 };
 
 export const userAPI = {
@@ -192,7 +247,93 @@ export const templatesAPI = {
   getById: (id) => apiClient.get(`/templates/${id}`),
   getUserTemplate: (email, role) => apiClient.get(`/templates/user/${email}?role=${role}`),
   updateRequirements: (id, submissionRequirements, updatedBy) =>
-    apiClient.patch(`/templates/${id}/requirements`, { submissionRequirements, updatedBy })
+    apiClient.patch(`/templates/${id}/requirements`, { submissionRequirements, updatedBy }),
+  updateWorkflow: (id, workflowId, updatedBy) =>
+    apiClient.patch(`/templates/${id}/workflow`, { workflowId, updatedBy })
+};
+
+export const workflowAPI = {
+  getAll: () => apiClient.get('/workflows'),
+  getById: (id) => apiClient.get(`/workflows/${id}`),
+  create: (data) => apiClient.post('/workflows', data),
+  update: (id, data) => apiClient.put(`/workflows/${id}`, data),
+  delete: (id) => apiClient.delete(`/workflows/${id}`)
+};
+
+export const assignmentAPI = {
+  getQueue: () => apiClient.get('/assignments/queue'),
+  updateUser: (email, data) => apiClient.put(`/assignments/users/${encodeURIComponent(email)}`, data)
+};
+
+export const approvalAPI = {
+  getQueue: () => apiClient.get('/approvals/queue')
+};
+
+// Profile headers for requests made outside axios (the notification stream uses fetch)
+const getProfileHeaders = () => {
+  try {
+    const profile = JSON.parse(localStorage.getItem('currentProfileData') || 'null');
+    if (!profile) return {};
+    return {
+      'x-user-role': profile.role,
+      'x-user-firstname': profile.firstName,
+      'x-user-lastname': profile.lastName,
+      'x-user-email': profile.email,
+      ...(profile.sbu && { 'x-user-sbu': profile.sbu })
+    };
+  } catch (error) {
+    console.error('Error parsing profile data:', error);
+    return {};
+  }
+};
+
+export const calendarAPI = {
+  getFeeds: () => apiClient.get('/calendar/feeds'),
+  createFeed: (data) => apiClient.post('/calendar/feeds', data),
+  revokeFeed: (feedId) => apiClient.delete(`/calendar/feeds/${feedId}`),
+  // Subscription URL for calendar apps; the token is only known right after creating the feed
+  getFeedUrl: (token) => new URL(`${BASE_URL}/calendar/feed/${token}.ics`, window.location.origin).href
+};
+
+export const notificationAPI = {
+  getAll: (params) => apiClient.get('/notifications', { params }),
+  markRead: (id) => apiClient.patch(`/notifications/${id}/read`),
+  markAllRead: () => apiClient.post('/notifications/read-all'),
+  // Server-sent events over fetch, since EventSource cannot send the profile headers.
+  // Calls onEvent(event, data) for each event and resolves when the stream ends.
+  stream: async (onEvent, signal) => {
+    const response = await fetch(`${BASE_URL}/notifications/stream`, {
+      headers: { Accept: 'text/event-stream', ...getProfileHeaders() },
+      signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Notification stream failed (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true });
+
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      messages.forEach(message => {
+        let event = 'message';
+        const data = [];
+        message.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        });
+        if (data.length > 0) {
+          onEvent(event, JSON.parse(data.join('\n')));
+        }
+      });
+    }
+  }
 };
 
 export const adminAPI = {
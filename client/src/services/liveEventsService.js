@@ -0,0 +1,89 @@
+/**
+ * Live Events Service
+ *
+ * Shares one server-sent event stream (/api/notifications/stream) between every
+ * component that needs live updates - the notification center, ticket presence, etc.
+ * The stream opens with the first subscriber, closes with the last, and
+ * reconnects on its own when the connection drops.
+ */
+
+import { notificationAPI } from './api';
+
+// Reconnect delays: 5s doubling up to a minute
+const RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+class LiveEventsService {
+  constructor() {
+    this.handlers = new Map(); // event name -> Set of handlers
+    this.controller = null;
+    this.retryTimer = null;
+    this.retryDelay = RETRY_DELAY_MS;
+  }
+
+  /**
+   * Listen for an event on the stream
+   * @param {string} event - Event name (e.g. 'notification', 'unread', 'presence')
+   * @param {Function} handler - Called with the event data
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+    this.handlers.get(event).add(handler);
+    this.connect();
+
+    return () => {
+      const handlers = this.handlers.get(event);
+      if (handlers) {
+        handlers.delete(handler);
+        if (handlers.size === 0) this.handlers.delete(event);
+      }
+      if (this.handlers.size === 0) this.disconnect();
+    };
+  }
+
+  dispatch(event, data) {
+    // Any event means the connection is healthy again
+    this.retryDelay = RETRY_DELAY_MS;
+    this.handlers.get(event)?.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Live event handler error (${event}):`, error);
+      }
+    });
+  }
+
+  connect() {
+    if (this.controller) return;
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    const run = async () => {
+      try {
+        await notificationAPI.stream((event, data) => this.dispatch(event, data), controller.signal);
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Live event stream error:', error.message);
+        this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY_MS);
+      }
+      if (!controller.signal.aborted) {
+        this.retryTimer = setTimeout(run, this.retryDelay);
+      }
+    };
+    run();
+  }
+
+  disconnect() {
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.retryDelay = RETRY_DELAY_MS;
+  }
+}
+
+export default new LiveEventsService();
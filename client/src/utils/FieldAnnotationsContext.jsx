@@ -0,0 +1,60 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { productAPI } from '../services/api';
+
+const FieldAnnotationsContext = createContext(null);
+
+// Dot notation for field paths (skuVariants[2].sku → skuVariants.2.sku), matching the server
+export const normalizeFieldPath = (fieldPath) => fieldPath.replace(/\[(\d+)\]/g, '.$1');
+
+/**
+ * Field flags for the ticket being viewed. Returns null outside a provider
+ * (e.g. on the create page), so flag markers simply do not render there.
+ */
+export const useFieldAnnotations = () => useContext(FieldAnnotationsContext);
+
+export const FieldAnnotationsProvider = ({ ticketId, children }) => {
+  const [annotations, setAnnotations] = useState([]);
+  const [activeField, setActiveField] = useState(null); // { fieldPath, fieldLabel } open in the flag dialog
+  const [panelOpen, setPanelOpen] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!ticketId) return;
+    try {
+      const response = await productAPI.getAnnotations(ticketId);
+      setAnnotations(response.data.annotations || []);
+    } catch (error) {
+      console.error('Failed to fetch field flags:', error);
+    }
+  }, [ticketId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Flags on a field, including flags on anything nested under it (e.g. a whole SKU row)
+  const getFieldAnnotations = useCallback((fieldPath) => {
+    const path = normalizeFieldPath(fieldPath);
+    return annotations.filter(annotation =>
+      annotation.fieldPath === path || annotation.fieldPath.startsWith(`${path}.`)
+    );
+  }, [annotations]);
+
+  const value = {
+    ticketId,
+    annotations,
+    openAnnotations: annotations.filter(annotation => annotation.status === 'OPEN'),
+    getFieldAnnotations,
+    refresh,
+    activeField,
+    openField: (fieldPath, fieldLabel) => setActiveField({ fieldPath: normalizeFieldPath(fieldPath), fieldLabel }),
+    closeField: () => setActiveField(null),
+    panelOpen,
+    setPanelOpen
+  };
+
+  return (
+    <FieldAnnotationsContext.Provider value={value}>
+      {children}
+    </FieldAnnotationsContext.Provider>
+  );
+};
@@ -0,0 +1,83 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { productAPI } from '../services/api';
+import liveEventsService from '../services/liveEventsService';
+import { useAuth } from './AuthContext';
+
+const PresenceContext = createContext(null);
+
+// The server forgets a viewer after 75 seconds without a heartbeat
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Who else has the ticket open, and which sections they are editing.
+ * Returns null outside a provider, so presence UI simply does not render there.
+ */
+export const usePresence = () => useContext(PresenceContext);
+
+export const PresenceProvider = ({ ticketId, children }) => {
+  const { user } = useAuth();
+  const [viewers, setViewers] = useState([]);
+  const [locks, setLocks] = useState([]);
+  const editingRef = useRef(null);
+
+  const myEmail = (user?.email || '').toLowerCase();
+
+  const applyState = useCallback((state) => {
+    setViewers(state.viewers || []);
+    setLocks(state.locks || []);
+  }, []);
+
+  const sendHeartbeat = useCallback(async () => {
+    if (!ticketId) return;
+    try {
+      const response = await productAPI.updatePresence(ticketId, editingRef.current);
+      applyState(response.data);
+    } catch (error) {
+      console.error('Failed to update presence:', error);
+    }
+  }, [ticketId, applyState]);
+
+  useEffect(() => {
+    if (!ticketId || !myEmail) return undefined;
+
+    sendHeartbeat();
+    const interval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
+    const unsubscribe = liveEventsService.subscribe('presence', (data) => {
+      if (String(data.ticketId) === String(ticketId)) applyState(data);
+    });
+
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+      editingRef.current = null;
+      productAPI.leavePresence(ticketId).catch(() => {});
+    };
+  }, [ticketId, myEmail, sendHeartbeat, applyState]);
+
+  // Start or stop editing a section ('details', 'skus', 'corpbase'); null when done
+  const setEditing = useCallback((section) => {
+    if (editingRef.current === section) return;
+    editingRef.current = section;
+    sendHeartbeat();
+  }, [sendHeartbeat]);
+
+  // Lock on a section held by someone else, or null
+  const getLock = useCallback((section) => (
+    locks.find(lock => lock.section === section && lock.email !== myEmail) || null
+  ), [locks, myEmail]);
+
+  const value = {
+    ticketId,
+    viewers,
+    otherViewers: viewers.filter(viewer => viewer.email !== myEmail),
+    locks,
+    getLock,
+    setEditing
+  };
+
+  return (
+    <PresenceContext.Provider value={value}>
+      {children}
+    </PresenceContext.Provider>
+  );
+};
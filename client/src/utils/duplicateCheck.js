@@ -0,0 +1,46 @@
+import toast from 'react-hot-toast';
+
+/**
+ * Duplicate Check Utilities
+ * Creating or submitting a ticket returns 409 "Possible Duplicate" when an open
+ * ticket in the same SBU or an SAP material already covers the product. The user
+ * can review the matches and resend with duplicateOverride, which the server
+ * records in the ticket history. Matches in other SBUs do not block; they come
+ * back as duplicateWarnings on the successful response.
+ */
+
+const notifyOtherSbuMatches = (matches) => {
+  if (!matches?.length) return;
+  const labels = matches.map(match => `${match.ticketNumber} (SBU ${match.sbu})`).join(', ');
+  toast(`Open tickets in other SBUs cover the same product: ${labels}`, { icon: '⚠️', duration: 8000 });
+};
+
+export const isDuplicateWarning = (error) =>
+  error.response?.status === 409 && error.response.data?.error === 'Possible Duplicate';
+
+/**
+ * Send a create/submit request, asking the user to confirm when duplicates are found
+ * @param {Function} send - (duplicateOverride) => Promise; called with null first
+ * @param {Function} confirmOverride - (duplicates) => Promise<reason | null>; null cancels
+ * @throws Error with `cancelled: true` when the user backs out
+ */
+export const sendWithDuplicateCheck = async (send, confirmOverride) => {
+  try {
+    const response = await send(null);
+    notifyOtherSbuMatches(response?.data?.duplicateWarnings);
+    return response;
+  } catch (error) {
+    if (!isDuplicateWarning(error)) {
+      throw error;
+    }
+
+    const reason = await confirmOverride(error.response.data.duplicates);
+    if (reason === null) {
+      const cancelled = new Error('Cancelled after duplicate warning');
+      cancelled.cancelled = true;
+      throw cancelled;
+    }
+
+    return send({ reason });
+  }
+};
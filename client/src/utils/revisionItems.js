@@ -0,0 +1,62 @@
+/**
+ * Revision Item Utilities
+ * Field paths for return-for-revision checklists use dot/bracket notation,
+ * e.g. skuVariants[2].pricing.listPrice, matching revisionService on the server.
+ */
+
+// Workflow, audit and system fields that a PM cannot revise
+const NON_REVISABLE_FIELDS = [
+  '_id', '__v', 'ticketNumber', 'status', 'statusHistory', 'comments', 'createdBy', 'createdByUser',
+  'assignedTo', 'sla', 'clonedFrom', 'relationships', 'approvals', 'revisionRequests', 'template',
+  'createdAt', 'updatedAt', 'npdiTracking', 'pubchemData'
+];
+
+/**
+ * List the leaf field paths that hold a value on the ticket, for path suggestions
+ * @param {Object} ticket - Ticket object
+ * @returns {Array} Sorted paths, e.g. ['chemicalProperties.casNumber', 'skuVariants[0].sku']
+ */
+export const listFieldPaths = (ticket) => {
+  const paths = [];
+
+  const walk = (value, path) => {
+    if (value === null || value === undefined || value === '') return;
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${path}[${index}]`));
+      return;
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      Object.keys(value)
+        .filter(key => key !== '_id')
+        .forEach(key => walk(value[key], path ? `${path}.${key}` : key));
+      return;
+    }
+    paths.push(path);
+  };
+
+  Object.keys(ticket || {})
+    .filter(key => !NON_REVISABLE_FIELDS.includes(key))
+    .forEach(key => walk(ticket[key], key));
+
+  return paths.sort();
+};
+
+/**
+ * Read a dot/bracket field path from a ticket
+ */
+export const getFieldValue = (ticket, fieldPath) =>
+  fieldPath
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .reduce((current, key) => (current == null ? undefined : current[key]), ticket);
+
+// Readable label for a path: skuVariants[2].pricing.listPrice → "SKU Variants 3 › Pricing › List Price"
+export const formatFieldPath = (fieldPath) =>
+  fieldPath
+    .replace(/\[(\d+)\]/g, (_, index) => ` ${Number(index) + 1}`)
+    .split('.')
+    .map(part => part
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/^sku/i, 'SKU')
+      .replace(/^./, char => char.toUpperCase()))
+    .join(' › ');
@@ -0,0 +1,92 @@
+/**
+ * Saved Search Utilities
+ * Saved searches store filters as lists and dates; the ticket list keeps them
+ * in the URL as strings (lists comma-separated, dates as YYYY-MM-DD), which is
+ * also what GET /api/products accepts.
+ */
+
+// Ticket list filters that are saved with a search, in URL order
+export const SEARCH_FILTER_KEYS = [
+  'search', 'status', 'priority', 'slaState', 'sbu',
+  'assignedTo', 'createdBy', 'dateField', 'dateFrom', 'dateTo'
+];
+
+export const DATE_FIELD_OPTIONS = [
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Last updated' },
+  { value: 'launchTimeline.targetLaunchDate', label: 'Target launch' }
+];
+
+export const SHARING_OPTIONS = [
+  { value: 'PRIVATE', label: 'Only me' },
+  { value: 'TEAM', label: 'My team', description: 'Users with my role (and SBU, if I have one)' },
+  { value: 'EVERYONE', label: 'Everyone' }
+];
+
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Saved search filters → ticket list filter values (all strings)
+ */
+export const filtersToQuery = (filters = {}) => {
+  const query = {};
+  SEARCH_FILTER_KEYS.forEach(key => {
+    const value = filters[key];
+    if (Array.isArray(value)) {
+      if (value.length > 0) query[key] = value.join(',');
+    } else if (key === 'dateFrom' || key === 'dateTo') {
+      if (value) query[key] = toDateInput(value);
+    } else if (value) {
+      query[key] = value;
+    }
+  });
+  // The date field only matters with a date range
+  if (!query.dateFrom && !query.dateTo) delete query.dateField;
+  return query;
+};
+
+/**
+ * Ticket list filter values → filters to save (the server splits lists and parses dates)
+ */
+export const queryToFilters = (query = {}) => {
+  const filters = {};
+  SEARCH_FILTER_KEYS.forEach(key => {
+    if (query[key]) filters[key] = query[key];
+  });
+  return filters;
+};
+
+/**
+ * Whether the ticket list is showing exactly a saved search's filters
+ */
+export const matchesSavedSearch = (query, savedSearch) => {
+  const saved = filtersToQuery(savedSearch.filters);
+  return SEARCH_FILTER_KEYS.every(key => {
+    if (key === 'dateField' && !query.dateFrom && !query.dateTo) return true;
+    return (query[key] || '') === (saved[key] || '');
+  });
+};
+
+/**
+ * One-line summary of a saved search's filters, for tooltips
+ */
+export const describeFilters = (filters = {}) => {
+  const query = filtersToQuery(filters);
+  const parts = [];
+  if (query.search) parts.push(`"${query.search}"`);
+  if (query.status) parts.push(`Status: ${query.status.replace(/,/g, ', ')}`);
+  if (query.priority) parts.push(`Priority: ${query.priority.replace(/,/g, ', ')}`);
+  if (query.slaState) parts.push(`SLA: ${query.slaState.replace(/,/g, ', ')}`);
+  if (query.sbu) parts.push(`SBU: ${query.sbu.replace(/,/g, ', ')}`);
+  if (query.assignedTo) parts.push(`Assignee: ${query.assignedTo}`);
+  if (query.createdBy) parts.push(`Creator: ${query.createdBy}`);
+  if (query.dateFrom || query.dateTo) {
+    const label = DATE_FIELD_OPTIONS.find(option => option.value === (query.dateField || 'createdAt'))?.label;
+    parts.push(`${label} ${query.dateFrom || '…'} to ${query.dateTo || '…'}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'All open tickets';
+};
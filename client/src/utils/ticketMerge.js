@@ -0,0 +1,118 @@
+import { productAPI } from '../services/api';
+
+/**
+ * Ticket Merge Utilities
+ * Optimistic concurrency for ticket edits: saves send the ticket version as
+ * If-Match, and a 409 from the server lists every field the save would change.
+ * Fields only one side changed merge automatically; the rest go to the user.
+ */
+
+// Matches getTicketVersion on the server (last-saved time as a strong ETag)
+export const getTicketVersion = (ticket) => `"${new Date(ticket.updatedAt).getTime()}"`;
+
+export const getPath = (obj, path) =>
+  path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+
+/**
+ * Set a dot-notated path on an object (mutates), creating objects/arrays as needed
+ */
+export const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  let current = obj;
+  keys.slice(0, -1).forEach((key, index) => {
+    if (current[key] == null || typeof current[key] !== 'object') {
+      current[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+    }
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+  return obj;
+};
+
+// Loose comparison: empty values match, numbers match numeric strings, ids are ignored
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.length === 0 ? null : value.map(normalize);
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => key !== '_id')
+      .sort()
+      .map(key => [key, normalize(value[key])])
+      .filter(([, v]) => v !== null);
+    return entries.length === 0 ? null : Object.fromEntries(entries);
+  }
+  return String(value);
+};
+
+export const valuesEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * Split server conflicts using the ticket the user started from (three-way merge)
+ * @param {Array} conflicts - [{ path, context, yourValue, serverValue }]
+ * @param {Object} baseTicket - Ticket as loaded before editing
+ * @returns {Object} { choices, manual } choices maps path → 'mine' | 'theirs'
+ */
+export const classifyConflicts = (conflicts, baseTicket) => {
+  const choices = {};
+  const manual = [];
+
+  conflicts.forEach(conflict => {
+    const baseValue = getPath(baseTicket, conflict.path);
+    if (valuesEqual(conflict.yourValue, baseValue)) {
+      choices[conflict.path] = 'theirs';  // Only the server changed it
+    } else if (valuesEqual(conflict.serverValue, baseValue)) {
+      choices[conflict.path] = 'mine';  // Only this user changed it
+    } else {
+      manual.push({ ...conflict, baseValue });
+    }
+  });
+
+  return { choices, manual };
+};
+
+/**
+ * Build the payload to resubmit: server values for fields resolved as 'theirs'
+ */
+export const applyChoices = (data, conflicts, choices) => {
+  const merged = JSON.parse(JSON.stringify(data));
+  conflicts.forEach(conflict => {
+    if (choices[conflict.path] === 'theirs') {
+      setPath(merged, conflict.path, conflict.serverValue);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Save ticket changes with conflict detection
+ * @param {Object} baseTicket - Ticket the changes were made against (needs _id and updatedAt)
+ * @param {Object} data - Update payload
+ * @param {Function} resolveConflicts - (manualConflicts) => Promise<choices | null>; null cancels
+ */
+export const updateTicketWithMerge = async (baseTicket, data, resolveConflicts) => {
+  try {
+    return await productAPI.updateTicket(baseTicket._id, data, { version: getTicketVersion(baseTicket) });
+  } catch (error) {
+    if (error.response?.status !== 409 || !error.response.data?.conflicts) {
+      throw error;
+    }
+
+    const { conflicts, currentVersion } = error.response.data;
+    const { choices, manual } = classifyConflicts(conflicts, baseTicket);
+
+    if (manual.length > 0) {
+      const picked = await resolveConflicts(manual);
+      if (!picked) {
+        const cancelled = new Error('Save cancelled');
+        cancelled.response = {
+          status: 409,
+          data: { message: 'Save cancelled. The ticket was changed by someone else; reload to see the latest version.' }
+        };
+        throw cancelled;
+      }
+      Object.assign(choices, picked);
+    }
+
+    return productAPI.updateTicket(baseTicket._id, applyChoices(data, conflicts, choices), { version: currentVersion });
+  }
+};
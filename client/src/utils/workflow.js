@@ -0,0 +1,30 @@
+/**
+ * Workflow Utilities
+ * Work on the response of GET /api/products/:id/transitions ({ workflow, transitions }),
+ * so screens follow the ticket's workflow instead of fixed status values.
+ */
+
+/**
+ * The transition PMOps starts work with when they assign a part number or SKUs: out of the
+ * state tickets are submitted into (the first non-terminal state after the initial one), to
+ * the next non-terminal state in workflow order. In the standard workflow, SUBMITTED → IN_PROCESS.
+ * @param {Object} workflow - { initialState, states } from the transitions response
+ * @param {Array} transitions - Transitions the current user may perform from the ticket's status
+ * @param {string} status - The ticket's current status
+ * @returns {Object|null} The transition, or null when the ticket has no such step to take
+ */
+export const getStartProcessingTransition = (workflow, transitions, status) => {
+  const states = [...(workflow?.states || [])].sort((a, b) => a.order - b.order);
+  const initialIndex = states.findIndex(state => state.key === workflow?.initialState);
+  if (initialIndex < 0) return null;
+
+  const submittedState = states.slice(initialIndex + 1).find(state => !state.isTerminal);
+  if (!submittedState || submittedState.key !== status) return null;
+
+  const nextStates = states.filter(state => !state.isTerminal && state.order > submittedState.order);
+  for (const state of nextStates) {
+    const transition = (transitions || []).find(t => t.to === state.key && !t.requireReason);
+    if (transition) return transition;
+  }
+  return null;
+};
@@ -0,0 +1,26 @@
+const User = require('../models/User');
+const approvalService = require('../services/approvalService');
+
+// @desc    Get the tickets waiting on the current user's sign-off
+// @route   GET /api/approvals/queue
+// @access  Private
+const getApprovalQueue = async (req, res) => {
+  try {
+    const userRecord = await User.findOne({ email: req.user.email?.toLowerCase() }).select('role approvalRoles').lean()
+      || { role: req.user.role, approvalRoles: [] };
+
+    const queue = await approvalService.getQueue(userRecord);
+
+    res.json({
+      approvalRoles: userRecord.approvalRoles || [],
+      queue
+    });
+  } catch (error) {
+    console.error('Error fetching approval queue:', error);
+    res.status(500).json({ message: 'Failed to fetch approval queue', error: error.message });
+  }
+};
+
+module.exports = {
+  getApprovalQueue
+};
@@ -0,0 +1,102 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const assignmentService = require('../services/assignmentService');
+
+// @desc    Get the PMOps assignment queue with load and availability
+// @route   GET /api/assignments/queue
+// @access  Private
+const getQueue = async (req, res) => {
+  try {
+    const queue = await assignmentService.getQueue();
+    res.json(queue);
+  } catch (error) {
+    console.error('Error fetching assignment queue:', error);
+    res.status(500).json({ message: 'Failed to fetch assignment queue', error: error.message });
+  }
+};
+
+// @desc    Update a PMOps user's assignment settings (SBUs, capacity, out of office)
+// @route   PUT /api/assignments/users/:email
+// @access  Admin, or PMOps users for their own settings
+const updateUserAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.params.email.toLowerCase();
+    const isSelf = req.user.email?.toLowerCase() === email;
+
+    if (req.user.role !== 'ADMIN' && !isSelf) {
+      return res.status(403).json({ message: 'You can only change your own assignment settings' });
+    }
+
+    const user = await User.findOne({ email, role: 'PM_OPS' });
+    if (!user) {
+      return res.status(404).json({ message: 'PMOps user not found' });
+    }
+
+    const { sbus, capacity, acceptingTickets, outOfOffice } = req.body;
+
+    // Queue membership and capacity are managed by admins
+    if (req.user.role === 'ADMIN') {
+      if (sbus !== undefined) user.assignment.sbus = sbus;
+      if (capacity !== undefined) user.assignment.capacity = capacity === '' || capacity === null ? undefined : capacity;
+    }
+    if (acceptingTickets !== undefined) user.assignment.acceptingTickets = acceptingTickets;
+
+    if (outOfOffice !== undefined) {
+      const delegateTo = outOfOffice.delegateTo?.toLowerCase().trim();
+
+      if (delegateTo) {
+        if (delegateTo === email) {
+          return res.status(400).json({ message: 'A user cannot delegate to themselves' });
+        }
+        const delegate = await User.exists({ email: delegateTo, role: 'PM_OPS', isActive: true });
+        if (!delegate) {
+          return res.status(400).json({ message: `Delegate ${delegateTo} is not an active PMOps user` });
+        }
+      }
+
+      if (outOfOffice.startDate && outOfOffice.endDate &&
+          new Date(outOfOffice.endDate) < new Date(outOfOffice.startDate)) {
+        return res.status(400).json({ message: 'Out-of-office end date must be after the start date' });
+      }
+
+      user.assignment.outOfOffice = {
+        enabled: !!outOfOffice.enabled,
+        startDate: outOfOffice.startDate || undefined,
+        endDate: outOfOffice.endDate || undefined,
+        delegateTo: delegateTo || undefined
+      };
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Assignment settings updated successfully',
+      user: {
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        assignment: user.assignment
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation failed: ' + validationErrors.join(', '),
+        validationErrors
+      });
+    }
+    console.error('Error updating assignment settings:', error);
+    res.status(500).json({ message: 'Failed to update assignment settings', error: error.message });
+  }
+};
+
+module.exports = {
+  getQueue,
+  updateUserAssignment
+};
@@ -0,0 +1,90 @@
+const calendarFeedService = require('../services/calendarFeedService');
+
+// @desc    List the current user's calendar feeds (tokens are never returned again)
+// @route   GET /api/calendar/feeds
+// @access  Private
+const getCalendarFeeds = async (req, res) => {
+  try {
+    const feeds = await calendarFeedService.list(req.user);
+
+    res.json({
+      feeds,
+      canCreateSbuFeed: calendarFeedService.canCreateSbuFeed(req.user.role)
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feeds:', error);
+    res.status(500).json({ message: 'Failed to fetch calendar feeds' });
+  }
+};
+
+// @desc    Create (or regenerate) a calendar feed
+// @route   POST /api/calendar/feeds
+// @access  Private (SBU feeds: PMOps and admins)
+const createCalendarFeed = async (req, res) => {
+  try {
+    const result = await calendarFeedService.create(req.user, req.body);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: 'Calendar feed created',
+      feed: result.feed,
+      token: result.token
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ message: 'Failed to create calendar feed' });
+  }
+};
+
+// @desc    Revoke a calendar feed
+// @route   DELETE /api/calendar/feeds/:feedId
+// @access  Private (owner)
+const revokeCalendarFeed = async (req, res) => {
+  try {
+    const result = await calendarFeedService.revoke(req.user, req.params.feedId);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ message: 'Failed to revoke calendar feed' });
+  }
+};
+
+// @desc    iCalendar feed of launch dates and milestones
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (the token in the URL authenticates; calendar clients cannot send profile headers)
+const getCalendarFeed = async (req, res) => {
+  try {
+    const resolved = await calendarFeedService.resolveToken(req.params.token);
+
+    if (!resolved) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+
+    const calendar = await calendarFeedService.buildCalendar(resolved.userId, resolved.feed);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="npdi-launches.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).type('text/plain').send('Failed to build calendar feed');
+  }
+};
+
+module.exports = {
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed
+};
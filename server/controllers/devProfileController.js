@@ -56,6 +56,12 @@ const ensureProfilesFile = async () => {
   }
 };
 
+// Normalize approver roles to a unique list of uppercase codes
+const normalizeApprovalRoles = (approvalRoles) => {
+  if (!Array.isArray(approvalRoles)) return [];
+  return [...new Set(approvalRoles.map(role => String(role).trim().toUpperCase()).filter(Boolean))];
+};
+
 // Helper function to read profiles
 const readProfiles = async () => {
   try {
@@ -115,6 +121,7 @@ const createProfile = async (req, res) => {
     }
 
     const { email, firstName, lastName, role, sbu, isActive, templateId } = req.body;
+    const approvalRoles = normalizeApprovalRoles(req.body.approvalRoles);
 
     const profiles = await readProfiles();
 
@@ -133,6 +140,7 @@ const createProfile = async (req, res) => {
       sbu: role === 'PRODUCT_MANAGER' ? sbu : undefined,
       isActive: isActive !== undefined ? isActive : true,
       templateId: role === 'PRODUCT_MANAGER' && templateId ? templateId : undefined,
+      approvalRoles,
       createdAt: new Date().toISOString(),
       lastLogin: null
     };
@@ -151,6 +159,7 @@ const createProfile = async (req, res) => {
           role,
           sbu: role === 'PRODUCT_MANAGER' ? sbu : undefined,
           isActive: isActive !== undefined ? isActive : true,
+          approvalRoles,
           ticketTemplate: (role === 'PRODUCT_MANAGER' || role === 'ADMIN') && templateId ? templateId : null
         },
         { upsert: true, new: true }
@@ -191,6 +200,9 @@ const updateProfile = async (req, res) => {
 
     const oldProfile = profiles[profileIndex];
     const oldEmail = oldProfile.email;
+    const approvalRoles = req.body.approvalRoles !== undefined
+      ? normalizeApprovalRoles(req.body.approvalRoles)
+      : (oldProfile.approvalRoles || []);
 
     // Update profile
     profiles[profileIndex] = {
@@ -201,6 +213,7 @@ const updateProfile = async (req, res) => {
       sbu: role === 'PRODUCT_MANAGER' ? sbu : undefined,
       isActive: isActive !== undefined ? isActive : profiles[profileIndex].isActive,
       templateId: role === 'PRODUCT_MANAGER' && templateId ? templateId : undefined,
+      approvalRoles,
       updatedAt: new Date().toISOString()
     };
 
@@ -219,6 +232,7 @@ const updateProfile = async (req, res) => {
             role,
             sbu: role === 'PRODUCT_MANAGER' ? sbu : undefined,
             isActive: isActive !== undefined ? isActive : profiles[profileIndex].isActive,
+            approvalRoles,
             ticketTemplate: templateId || null
           },
           { upsert: true }
@@ -233,6 +247,7 @@ const updateProfile = async (req, res) => {
             lastName,
             role,
             isActive: isActive !== undefined ? isActive : profiles[profileIndex].isActive,
+            approvalRoles,
             $unset: { ticketTemplate: '', sbu: '' }
           },
           { upsert: true }
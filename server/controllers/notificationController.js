@@ -0,0 +1,97 @@
+const notificationService = require('../services/notificationService');
+
+// @desc    Get the current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const { unreadOnly, limit, before } = req.query;
+
+    const result = await notificationService.list(req.user.email, {
+      unreadOnly: unreadOnly === 'true',
+      limit,
+      before
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Failed to fetch notifications' });
+  }
+};
+
+// @desc    Live notification stream (server-sent events)
+// @route   GET /api/notifications/stream
+// @access  Private
+const streamNotifications = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.email);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    // Tell the client how long to wait before reconnecting after a dropped connection
+    res.write('retry: 10000\n\n');
+    notificationService.send(res, 'unread', { unreadCount });
+    notificationService.subscribe(req.user.email, res);
+
+    req.on('close', () => {
+      notificationService.unsubscribe(req.user.email, res);
+    });
+  } catch (error) {
+    console.error('Error opening notification stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Failed to open notification stream' });
+    }
+  }
+};
+
+// @desc    Mark a notification read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private (recipient)
+const markNotificationRead = async (req, res) => {
+  try {
+    const result = await notificationService.markRead(req.user.email, req.params.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      notification: result.notification,
+      unreadCount: result.unreadCount
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ message: 'Failed to mark notification read' });
+  }
+};
+
+// @desc    Mark all of the current user's notifications read
+// @route   POST /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.email);
+
+    res.json({
+      message: `${updated} notification${updated === 1 ? '' : 's'} marked read`,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ message: 'Failed to mark notifications read' });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  streamNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const ProductTicket = require('../models/ProductTicket');
 const User = require('../models/User');
+const Permission = require('../models/Permission');
 const pubchemService = require('../services/pubchemService');
 const teamsNotificationService = require('../services/teamsNotificationService');
 const aiContentService = require('../services/aiContentService');
@@ -9,6 +10,25 @@ const { cleanTicketData, ensureDefaultSKU, ensureDefaultSBU } = require('../util
 const { generatePDPChecklist } = require('../services/pdpChecklistExportService');
 const { generatePIF } = require('../services/pifExportService');
 const { validateSubmissionRequirements } = require('../utils/submissionValidator');
+const workflowService = require('../services/workflowService');
+const assignmentService = require('../services/assignmentService');
+const ticketImportService = require('../services/ticketImportService');
+const ticketHistoryService = require('../services/ticketHistoryService');
+const duplicateCheckService = require('../services/duplicateCheckService');
+const ticketRelationshipService = require('../services/ticketRelationshipService');
+const approvalService = require('../services/approvalService');
+const revisionService = require('../services/revisionService');
+const fieldAnnotationService = require('../services/fieldAnnotationService');
+const commentService = require('../services/commentService');
+const attachmentService = require('../services/attachmentService');
+const notificationService = require('../services/notificationService');
+const presenceService = require('../services/presenceService');
+const savedSearchService = require('../services/savedSearchService');
+const ticketSearchService = require('../services/ticketSearchService');
+const boardService = require('../services/boardService');
+const launchTimelineService = require('../services/launchTimelineService');
+const ticketVersionService = require('../services/ticketVersionService');
+const TicketChange = require('../models/TicketChange');
 
 // Extract current user information from request headers
 const getCurrentUser = (req) => {
@@ -33,6 +53,65 @@ const getCurrentUser = (req) => {
   };
 };
 
+// Role code (PRODUCT_MANAGER, PM_OPS, ADMIN) used for workflow permission checks
+const getCurrentUserRole = (req) => req.headers['x-user-role'] || 'PRODUCT_MANAGER';
+
+// Read the duplicate override sent with a create/submit request: true or { reason }
+const getDuplicateOverride = (value) => {
+  if (!value) return null;
+  return { reason: typeof value === 'object' && value.reason ? String(value.reason).trim() : '' };
+};
+
+/**
+ * Check a ticket being created or submitted for overlapping tickets and SAP materials
+ * Returns { conflict } with the 409 payload when the user has not overridden the warning,
+ * or { overrideEntry } with the audit trail entry to record when they have.
+ * Matches in other SBUs never block; they come back as { warnings } for the response
+ */
+const checkDuplicates = async (ticketData, currentUser, override, { excludeId = null, status } = {}) => {
+  try {
+    const duplicates = await duplicateCheckService.findDuplicates(ticketData, { excludeId });
+    if (!duplicates.hasDuplicates) {
+      return duplicates.otherSbuTickets.length > 0 ? { warnings: duplicates.otherSbuTickets } : {};
+    }
+
+    if (!override) {
+      return {
+        conflict: {
+          message: 'This product may already be covered by an open ticket or an existing SAP material.',
+          error: 'Possible Duplicate',
+          duplicates
+        }
+      };
+    }
+
+    return { overrideEntry: duplicateCheckService.buildOverrideEntry(duplicates, currentUser, override.reason, status) };
+  } catch (error) {
+    // Log error but don't block ticket creation
+    console.error('Duplicate check failed:', error.message);
+    return {};
+  }
+};
+
+// Route a newly submitted ticket to a PMOps user; failures never block the request
+const autoAssignSubmittedTicket = async (ticket) => {
+  try {
+    await assignmentService.autoAssign(ticket);
+  } catch (assignmentError) {
+    console.error('Failed to auto-assign ticket:', assignmentError.message);
+  }
+};
+
+// Let approvers know a submitted ticket is waiting on their sign-off
+const requestApprovals = async (ticket, currentUser) => {
+  try {
+    const requests = await approvalService.getPendingApprovers(ticket);
+    await notificationService.notifyApprovalRequested(ticket, requests, currentUser);
+  } catch (approvalError) {
+    console.error('Failed to notify approvers:', approvalError.message);
+  }
+};
+
 const createTicket = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -58,12 +137,15 @@ const createTicket = async (req, res) => {
     // Look up the user in the database to get the ObjectId and their assigned template
     const userRecord = await User.findOne({ email: currentUser.email }).populate('ticketTemplate');
 
+    const duplicateOverride = getDuplicateOverride(req.body.duplicateOverride);
+
     let ticketData = {
       ...req.body,
       createdBy: currentUser.email, // Set to current user's email
       createdByUser: userRecord?._id, // Set the user reference if found
       template: userRecord?.ticketTemplate?._id || null // Store the template used to create this ticket
     };
+    delete ticketData.duplicateOverride;
 
     // All submitted tickets should have SUBMITTED status initially
     // PMOps will manually move them to IN_PROCESS when they start working on them
@@ -124,6 +206,12 @@ const createTicket = async (req, res) => {
       }
     }
 
+    // Warn about open tickets or SAP materials for the same product (checked after enrichment for the InChIKey)
+    const duplicateCheck = await checkDuplicates(ticketData, currentUser, duplicateOverride, { status: ticketData.status });
+    if (duplicateCheck.conflict) {
+      return res.status(409).json(duplicateCheck.conflict);
+    }
+
     console.log('Creating ticket with data:', JSON.stringify(ticketData, null, 2));
     const ticket = new ProductTicket(ticketData);
 
@@ -136,17 +224,27 @@ const createTicket = async (req, res) => {
       changedAt: new Date(),
       userInfo: currentUser // Store user info temporarily
     }];
+
+    if (duplicateCheck.overrideEntry) {
+      ticket.statusHistory.push(duplicateCheck.overrideEntry);
+    }
     
     await ticket.save();
     console.log('Ticket created successfully:', ticket._id);
 
+    if (ticket.status === 'SUBMITTED') {
+      await autoAssignSubmittedTicket(ticket);
+      await requestApprovals(ticket, currentUser);
+    }
+
     // Skip populate since createdBy is null
     // await ticket.populate('createdBy', 'firstName lastName email');
 
     res.status(201).json({
       message: 'Product ticket created successfully',
       ticket,
-      autoPopulated: ticketData.chemicalProperties?.autoPopulated || false
+      autoPopulated: ticketData.chemicalProperties?.autoPopulated || false,
+      duplicateWarnings: duplicateCheck.warnings
     });
   } catch (error) {
     console.error('Create ticket error:', error);
@@ -202,18 +300,26 @@ const saveDraft = async (req, res) => {
     // Look up the user in the database to get the ObjectId
     const userRecord = await User.findOne({ email: currentUser.email });
 
+    const duplicateOverride = getDuplicateOverride(req.body.duplicateOverride);
+
     let ticketData = {
       ...req.body,
       status: 'DRAFT',
       createdBy: currentUser.email, // Set to current user's email
       createdByUser: userRecord?._id // Set the user reference if found
     };
+    delete ticketData.duplicateOverride;
 
     // Use utility functions to clean and ensure defaults
     ticketData = ensureDefaultSBU(ticketData, 'P90');
     ticketData = ensureDefaultSKU(ticketData);
     ticketData = cleanTicketData(ticketData);
 
+    const duplicateCheck = await checkDuplicates(ticketData, currentUser, duplicateOverride, { status: 'DRAFT' });
+    if (duplicateCheck.conflict) {
+      return res.status(409).json(duplicateCheck.conflict);
+    }
+
     const ticket = new ProductTicket(ticketData);
 
     // Add creation entry to status history for draft
@@ -225,13 +331,18 @@ const saveDraft = async (req, res) => {
       changedAt: new Date(),
       userInfo: currentUser
     }];
+
+    if (duplicateCheck.overrideEntry) {
+      ticket.statusHistory.push(duplicateCheck.overrideEntry);
+    }
     
     await ticket.save();
 
     res.status(201).json({
       message: 'Draft saved successfully',
       ticket,
-      isDraft: true
+      isDraft: true,
+      duplicateWarnings: duplicateCheck.warnings
     });
   } catch (error) {
     console.error('Save draft error:', error);
@@ -243,31 +354,198 @@ const saveDraft = async (req, res) => {
   }
 };
 
-const getTickets = async (req, res) => {
+// @desc    Import draft tickets from PIF workbooks or flat XLSX/CSV files
+// @route   POST /api/products/import
+// @access  Private
+// Runs as a dry run (validation report only) unless dryRun=false is sent
+const importTickets = async (req, res) => {
   try {
-    const { status, sbu, priority, page = 1, limit = 10, search, createdBy, sortBy = 'updatedAt', sortOrder = 'desc' } = req.query;
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'At least one file is required' });
+    }
 
-    let filter = {
-      // By default, exclude archived tickets (completed/canceled)
-      status: { $nin: ['COMPLETED', 'CANCELED'] }
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+    const currentUser = getCurrentUser(req);
+    const userRecord = await User.findOne({ email: currentUser.email });
+
+    const report = await ticketImportService.importFiles(req.files, currentUser, {
+      dryRun,
+      createdByUser: userRecord?._id
+    });
+
+    const { summary } = report;
+    res.status(dryRun || summary.created === 0 ? 200 : 201).json({
+      message: dryRun
+        ? `${summary.valid} of ${summary.rows} row(s) ready to import`
+        : `Created ${summary.created} draft ticket(s)${summary.invalid > 0 ? `, ${summary.invalid} row(s) skipped` : ''}`,
+      ...report
+    });
+  } catch (error) {
+    console.error('Import tickets error:', error);
+    res.status(500).json({ message: 'Server error while importing tickets', error: error.message });
+  }
+};
+
+// Sections that can be copied when cloning a ticket
+const CLONEABLE_SECTIONS = [
+  'chemicalProperties',
+  'hazardClassification',
+  'quality',
+  'composition',
+  'regulatoryInfo',
+  'corpbaseData'
+];
+
+// General product information always carried over to a clone
+const CLONE_BASE_FIELDS = [
+  'productName',
+  'productionType',
+  'sbu',
+  'priority',
+  'primaryPlant',
+  'productScope',
+  'distributionType',
+  'retestOrExpiration',
+  'sialProductHierarchy',
+  'materialGroup',
+  'countryOfOrigin',
+  'brand',
+  'businessLine',
+  'vendorInformation',
+  'intellectualProperty'
+];
+
+// Remove subdocument _ids so the clone gets fresh ones
+const stripIds = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripIds);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && value.constructor === Object) {
+    const { _id, ...rest } = value;
+    Object.keys(rest).forEach(key => {
+      rest[key] = stripIds(rest[key]);
+    });
+    return rest;
+  }
+  return value;
+};
+
+// @desc    Clone a ticket's product data into a new draft
+// @route   POST /api/products/:id/clone
+// @access  Private
+const cloneTicket = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const sections = req.body.sections || CLONEABLE_SECTIONS;
+
+    const invalidSections = sections.filter(section => !CLONEABLE_SECTIONS.includes(section));
+    if (invalidSections.length > 0) {
+      return res.status(400).json({
+        message: `Cannot clone section(s): ${invalidSections.join(', ')}`,
+        allowedSections: CLONEABLE_SECTIONS
+      });
+    }
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const source = await ProductTicket.findOne(filter).lean();
+
+    if (!source) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const currentUser = getCurrentUser(req);
+    const userRecord = await User.findOne({ email: currentUser.email });
+
+    // Identifiers, SKUs, pricing, assignment and history are never copied
+    let ticketData = {};
+    [...CLONE_BASE_FIELDS, ...sections].forEach(field => {
+      if (source[field] !== undefined) {
+        ticketData[field] = stripIds(source[field]);
+      }
+    });
+
+    if (req.body.productName) {
+      ticketData.productName = req.body.productName;
+    }
+
+    ticketData = {
+      ...ticketData,
+      status: 'DRAFT',
+      template: source.template || null,
+      createdBy: currentUser.email,
+      createdByUser: userRecord?._id,
+      clonedFrom: {
+        ticket: source._id,
+        ticketNumber: source.ticketNumber,
+        sections,
+        clonedBy: currentUser.email,
+        clonedAt: new Date()
+      }
     };
 
-    // Handle comma-separated status values
-    if (status) {
-      const statusArray = status.split(',').map(s => s.trim());
-      filter.status = { $in: statusArray };
+    ticketData = ensureDefaultSKU(ticketData);
+    ticketData = cleanTicketData(ticketData);
+
+    const ticket = new ProductTicket(ticketData);
+
+    ticket.statusHistory = [{
+      status: 'DRAFT',
+      changedBy: null,
+      reason: `Draft cloned from ${source.ticketNumber} by ${currentUser.firstName} ${currentUser.lastName}`,
+      action: 'TICKET_CREATED',
+      changedAt: new Date(),
+      userInfo: currentUser,
+      details: {
+        clonedFrom: source.ticketNumber,
+        sections
+      }
+    }];
+
+    await ticket.save();
+
+    res.status(201).json({
+      message: `Ticket cloned from ${source.ticketNumber}`,
+      ticket,
+      isDraft: true
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation failed: ' + validationErrors.join(', '),
+        validationErrors
+      });
     }
-    if (sbu) filter.sbu = sbu;
-    if (priority) filter.priority = priority;
-    if (createdBy) filter.createdBy = createdBy;
-    if (search) {
-      filter.$or = [
-        { productName: { $regex: search, $options: 'i' } },
-        { ticketNumber: { $regex: search, $options: 'i' } },
-        { 'chemicalProperties.casNumber': { $regex: search, $options: 'i' } }
-      ];
+    console.error('Clone ticket error:', error);
+    res.status(500).json({ message: 'Server error while cloning ticket', error: error.message });
+  }
+};
+
+const getTickets = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sortBy = 'updatedAt', sortOrder = 'desc' } = req.query;
+
+    // Same filters as saved searches: status, sbu, priority and slaState (comma-separated),
+    // assignedTo and createdBy (email, 'me' or 'unassigned'), dateField/dateFrom/dateTo and search
+    const { filters, error } = savedSearchService.normalizeFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
+    // Terminal workflow states (e.g., COMPLETED/CANCELED) are archived and left out unless a status is picked
+    const terminalStates = await workflowService.getTerminalStates();
+
+    let filter = savedSearchService.buildTicketFilter(filters, {
+      email: getCurrentUser(req).email,
+      terminalStates
+    });
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build dynamic sort object based on query parameters
@@ -310,7 +588,8 @@ const getTickets = async (req, res) => {
                 updatedAt: 1,
                 createdBy: 1,
                 createdByUser: 1,
-                assignedTo: 1
+                assignedTo: 1,
+                sla: 1
               }
             }
           ],
@@ -343,9 +622,11 @@ const getArchivedTickets = async (req, res) => {
   try {
     const { sbu, priority, page = 1, limit = 10, search } = req.query;
     
+    const terminalStates = await workflowService.getTerminalStates();
+
     let filter = {
       // Only show archived tickets (completed/canceled)
-      status: { $in: ['COMPLETED', 'CANCELED'] }
+      status: { $in: terminalStates }
     };
 
     if (sbu) filter.sbu = sbu;
@@ -354,6 +635,7 @@ const getArchivedTickets = async (req, res) => {
       filter.$or = [
         { productName: { $regex: search, $options: 'i' } },
         { ticketNumber: { $regex: search, $options: 'i' } },
+        { internalTicketNumber: { $regex: search, $options: 'i' } },
         { 'chemicalProperties.casNumber': { $regex: search, $options: 'i' } }
       ];
     }
@@ -423,6 +705,58 @@ const getArchivedTickets = async (req, res) => {
   }
 };
 
+// @desc    Tickets grouped by workflow status for the Kanban board
+// @route   GET /api/products/board
+// @access  Private
+const getBoard = async (req, res) => {
+  try {
+    const result = await boardService.getBoard(req.query, getCurrentUserRole(req), { ...req.sbuFilter });
+    const { success, ...data } = result;
+    res.json(data);
+  } catch (error) {
+    console.error('Get board error:', error);
+    res.status(500).json({ message: 'Server error while fetching the ticket board' });
+  }
+};
+
+// @desc    Full-text search across tickets, ranked by relevance with facet counts
+// @route   GET /api/products/search
+// @access  Private
+const searchTickets = async (req, res) => {
+  try {
+    const result = await ticketSearchService.search(req.query, { ...req.sbuFilter });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const { success, ...data } = result;
+    res.json(data);
+  } catch (error) {
+    console.error('Search tickets error:', error);
+    res.status(500).json({ message: 'Server error while searching tickets' });
+  }
+};
+
+// @desc    Launch dates and milestones falling in a date range, for the launch calendar
+// @route   GET /api/products/launch-calendar
+// @access  Private
+const getLaunchCalendar = async (req, res) => {
+  try {
+    const result = await launchTimelineService.getCalendar(req.query, { ...req.sbuFilter });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const { success, ...data } = result;
+    res.json(data);
+  } catch (error) {
+    console.error('Get launch calendar error:', error);
+    res.status(500).json({ message: 'Server error while fetching the launch calendar' });
+  }
+};
+
 const getTicketById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -443,6 +777,7 @@ const getTicketById = async (req, res) => {
       return res.status(404).json({ message: 'Ticket not found or access denied' });
     }
 
+    res.set('ETag', ticketVersionService.getVersion(ticket));
     res.json({ ticket });
   } catch (error) {
     console.error('Get ticket error:', error);
@@ -467,10 +802,10 @@ const updateTicket = async (req, res) => {
     }
 
     // Prevent editing completed or canceled tickets unless status is being changed to an editable status
-    const isLockedStatus = ticket.status === 'COMPLETED' || ticket.status === 'CANCELED';
+    const terminalStates = await workflowService.getTerminalStates();
+    const isLockedStatus = terminalStates.includes(ticket.status);
     const isChangingToEditableStatus = req.body.status &&
-      req.body.status !== 'COMPLETED' &&
-      req.body.status !== 'CANCELED';
+      !terminalStates.includes(req.body.status);
 
     if (isLockedStatus && !isChangingToEditableStatus) {
       return res.status(403).json({
@@ -480,8 +815,26 @@ const updateTicket = async (req, res) => {
       });
     }
 
+    // Snapshot for the field-level change history
+    const before = ticket.toObject({ depopulate: true });
+
     let updateData = { ...req.body };
     delete updateData.createdBy;
+    delete updateData.relationships; // Managed through /relationships so both tickets stay in sync
+    delete updateData.approvals; // Signed off through /approvals only
+    delete updateData.approvalRoundStartedAt; // Set when the ticket is returned for revision
+    delete updateData.revisionRequests; // Raised on return for revision, resolved through /revisions
+    delete updateData.comments; // Added, edited and deleted through /comments
+    delete updateData.attachments; // Uploaded and deleted through /attachments (files live in GridFS)
+    delete updateData.reminderLog; // Written by the reminder scheduler only
+    delete updateData.watchers; // Followed and unfollowed through /watch by each user
+
+    // Optional reason for a status change made through a regular edit
+    const statusReason = updateData.statusReason;
+    delete updateData.statusReason;
+
+    const duplicateOverride = getDuplicateOverride(updateData.duplicateOverride);
+    delete updateData.duplicateOverride;
 
     // Allow ticketNumber update ONLY when NPDI is being initiated
     // This changes the ticket number from the original system-generated number (e.g., NPDI-2025-0055)
@@ -506,7 +859,11 @@ const updateTicket = async (req, res) => {
 
     if (!allowTicketNumberChange) {
       delete updateData.ticketNumber; // Protect ticket number from accidental changes
+    } else if (!ticket.internalTicketNumber) {
+      // Keep the issued number before NPDI replaces it (tickets created before internalTicketNumber existed)
+      ticket.internalTicketNumber = oldTicketNumber;
     }
+    delete updateData.internalTicketNumber; // Issued once at creation and never changed
 
     // Clean enum fields before applying updates
     updateData = cleanTicketData(updateData);
@@ -554,19 +911,67 @@ const updateTicket = async (req, res) => {
     // Apply updates
     Object.assign(ticket, updateData);
 
+    // Optimistic concurrency: a stale If-Match is only rejected when this save would
+    // change fields, so the client can merge the listed fields and retry
+    const ifMatch = req.get('If-Match');
+    const staleVersion = ticketVersionService.checkStale(ifMatch, before, ticket);
+    if (staleVersion) {
+      return res.status(409).json(staleVersion);
+    }
+
+    // Enforce the ticket's workflow, checking required fields against the updated values
+    if (newStatus && newStatus !== oldStatus) {
+      const transitionCheck = await workflowService.validateTransition(
+        ticket.toObject(),
+        oldStatus,
+        newStatus,
+        getCurrentUserRole(req),
+        { reason: statusReason }
+      );
+
+      if (!transitionCheck.isValid) {
+        return res.status(transitionCheck.statusCode).json({
+          message: transitionCheck.message,
+          error: transitionCheck.error,
+          missingFields: transitionCheck.missingFields,
+          pendingApprovals: transitionCheck.pendingApprovals,
+          openRevisionItems: transitionCheck.openRevisionItems
+        });
+      }
+    }
+
     const currentUser = getCurrentUser(req);
 
+    // Submitting re-runs the duplicate check against tickets opened since the draft was created
+    let duplicateOverrideEntry = null;
+    let duplicateWarnings;
+    if (newStatus === 'SUBMITTED' && oldStatus !== 'SUBMITTED') {
+      const duplicateCheck = await checkDuplicates(ticket.toObject(), currentUser, duplicateOverride, {
+        excludeId: ticket._id,
+        status: newStatus
+      });
+      if (duplicateCheck.conflict) {
+        return res.status(409).json(duplicateCheck.conflict);
+      }
+      duplicateOverrideEntry = duplicateCheck.overrideEntry;
+      duplicateWarnings = duplicateCheck.warnings;
+    }
+
     // Add status history entries
     if (newStatus && newStatus !== oldStatus) {
       ticket.statusHistory.push({
         status: newStatus,
         changedBy: null, // Object ID would go here in real system
-        reason: `Status changed from ${oldStatus} to ${newStatus} by ${currentUser.firstName} ${currentUser.lastName}`,
+        reason: `Status changed from ${oldStatus} to ${newStatus} by ${currentUser.firstName} ${currentUser.lastName}${statusReason ? `: ${statusReason}` : ''}`,
         action: 'STATUS_CHANGE',
         userInfo: currentUser
       });
     }
 
+    if (duplicateOverrideEntry) {
+      ticket.statusHistory.push(duplicateOverrideEntry);
+    }
+
     // Track SKU base number assignment
     if (newPartNumber && newPartNumber !== oldPartNumber) {
       ticket.statusHistory.push({
@@ -609,7 +1014,17 @@ const updateTicket = async (req, res) => {
       });
     }
 
-    await ticket.save();
+    const lostRace = await ticketVersionService.saveIfUnchanged(ifMatch, ticket, before);
+    if (lostRace) {
+      return res.status(409).json(lostRace);
+    }
+
+    try {
+      await ticketHistoryService.recordChanges(ticket, before, currentUser);
+    } catch (historyError) {
+      // Log error but don't fail the request
+      console.error('Failed to record change history:', historyError.message);
+    }
 
     // Send Teams notification if status changed
     if (newStatus && newStatus !== oldStatus) {
@@ -624,14 +1039,22 @@ const updateTicket = async (req, res) => {
         // Log error but don't fail the request
         console.error('Failed to send Teams notification:', notificationError.message);
       }
+      await notificationService.notifyStatusChange(ticket, oldStatus, newStatus, currentUser);
+    }
+
+    if (newStatus === 'SUBMITTED' && oldStatus !== 'SUBMITTED') {
+      await autoAssignSubmittedTicket(ticket);
+      await requestApprovals(ticket, currentUser);
     }
 
     // Note: createdBy and assignedTo are String fields (email addresses), not ObjectId references
     // So we don't need to populate them
 
+    res.set('ETag', ticketVersionService.getVersion(ticket));
     res.json({
       message: 'Ticket updated successfully',
-      ticket
+      ticket,
+      duplicateWarnings
     });
   } catch (error) {
     console.error('Update ticket error:', error);
@@ -639,83 +1062,277 @@ const updateTicket = async (req, res) => {
   }
 };
 
-const updateTicketStatus = async (req, res) => {
+// @desc    Get the field-level edit history of a ticket
+// @route   GET /api/products/:id/history
+// @access  Private
+// Optional ?path=quality.attributes limits the history to edits touching that field
+const getTicketHistory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, reason } = req.body;
 
-    if (!['DRAFT', 'SUBMITTED', 'IN_PROCESS', 'NPDI_INITIATED', 'COMPLETED', 'CANCELED'].includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('_id');
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
     }
 
-    let filter = { _id: id, ...req.sbuFilter };
+    const history = await ticketHistoryService.getHistory(ticket._id, { path: req.query.path });
 
-    const ticket = await ProductTicket.findOne(filter);
+    res.json({ history });
+  } catch (error) {
+    console.error('Get ticket history error:', error);
+    res.status(500).json({ message: 'Server error while fetching ticket history' });
+  }
+};
+
+// @desc    Revert a whole edit, or selected fields of it
+// @route   POST /api/products/:id/history/:changeId/revert
+// @access  Private
+const revertTicketChange = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, changeId } = req.params;
+    const { paths, force } = req.body;
+
+    const ticket = await ProductTicket.findOne({ _id: id });
 
     if (!ticket) {
       return res.status(404).json({ message: 'Ticket not found or access denied' });
     }
 
-    const oldStatus = ticket.status;
+    const terminalStates = await workflowService.getTerminalStates();
+    if (terminalStates.includes(ticket.status)) {
+      return res.status(403).json({
+        message: `Cannot edit ${ticket.status.toLowerCase()} tickets. Change the ticket status first to make edits.`,
+        error: 'Ticket is locked',
+        ticketStatus: ticket.status
+      });
+    }
 
-    // Validate submission requirements if changing status to SUBMITTED
-    if (status === 'SUBMITTED' && oldStatus !== 'SUBMITTED') {
-      const currentUser = getCurrentUser(req);
-      const validation = await validateSubmissionRequirements(ticket.toObject(), currentUser.email);
+    const change = await TicketChange.findOne({ _id: changeId, ticket: ticket._id });
 
-      if (!validation.isValid) {
-        return res.status(400).json({
-          message: 'Cannot submit ticket: required fields are missing',
-          error: 'Submission Requirements Not Met',
-          missingFields: validation.missingFields,
-          requiredFieldKeys: validation.requiredFieldKeys
-        });
-      }
+    if (!change) {
+      return res.status(404).json({ message: 'Change not found for this ticket' });
+    }
+
+    const before = ticket.toObject({ depopulate: true });
+    const result = ticketHistoryService.applyRevert(ticket, change, { paths, force });
+
+    // Fields edited again since this change are only overwritten with force=true
+    if (result.conflicts.length > 0) {
+      return res.status(409).json({
+        message: 'Some fields have changed since this edit. Review the current values and revert again to overwrite them.',
+        conflicts: result.conflicts
+      });
+    }
+
+    if (result.reverted.length === 0) {
+      return res.status(400).json({
+        message: 'Nothing to revert',
+        skipped: result.skipped
+      });
     }
 
-    ticket.status = status;
-    
-    // Enhanced status change tracking
-    const statusChangeReason = reason || `Status manually changed from ${oldStatus} to ${status}`;
-    
     const currentUser = getCurrentUser(req);
+    const editedBy = change.userInfo?.firstName ? `${change.userInfo.firstName} ${change.userInfo.lastName}` : change.changedBy;
+    const revertedLabels = change.changes
+      .filter(fieldChange => result.reverted.includes(fieldChange.path))
+      .map(fieldChange => fieldChange.context || fieldChange.path);
+
     ticket.statusHistory.push({
-      status,
-      changedBy: null, // Object ID would go here in real system
-      reason: `${statusChangeReason} by ${currentUser.firstName} ${currentUser.lastName}`,
-      action: 'STATUS_CHANGE',
+      status: ticket.status,
+      changedBy: null,
+      reason: `${currentUser.firstName} ${currentUser.lastName} reverted ${revertedLabels.join(', ')} to the values before the edit by ${editedBy} on ${change.createdAt.toLocaleString()}`,
+      action: 'TICKET_EDIT',
+      userInfo: currentUser,
       details: {
-        previousStatus: oldStatus,
-        newStatus: status,
-        changeType: 'manual'
-      },
-      userInfo: currentUser
+        revertOf: change._id,
+        fields: result.reverted
+      }
     });
 
     await ticket.save();
 
-    // Send Teams notification to ticket originator
-    if (oldStatus !== status) {
-      try {
-        await teamsNotificationService.notifyStatusChange(
-          ticket,
-          oldStatus,
-          status,
-          currentUser
-        );
-      } catch (notificationError) {
-        // Log error but don't fail the request
-        console.error('Failed to send Teams notification:', notificationError.message);
-      }
-    }
+    const revert = await ticketHistoryService.recordChanges(ticket, before, currentUser, {
+      source: 'REVERT',
+      revertOf: change._id
+    });
 
     res.json({
-      message: 'Ticket status updated successfully',
-      ticket: {
-        _id: ticket._id,
-        status: ticket.status,
-        updatedAt: ticket.updatedAt
-      }
+      message: `Reverted ${result.reverted.length} field(s)`,
+      ticket,
+      reverted: result.reverted,
+      skipped: result.skipped,
+      change: revert
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation failed: ' + validationErrors.join(', '),
+        validationErrors
+      });
+    }
+    console.error('Revert ticket change error:', error);
+    res.status(500).json({ message: 'Server error while reverting change' });
+  }
+};
+
+const updateTicketStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const duplicateOverride = getDuplicateOverride(req.body.duplicateOverride);
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const oldStatus = ticket.status;
+
+    if (status === oldStatus) {
+      return res.status(400).json({ message: `Ticket is already in ${status} status` });
+    }
+
+    // Enforce the ticket's workflow (allowed transition, role and required fields)
+    const transitionCheck = await workflowService.validateTransition(
+      ticket.toObject(),
+      oldStatus,
+      status,
+      getCurrentUserRole(req),
+      { reason }
+    );
+
+    if (!transitionCheck.isValid) {
+      return res.status(transitionCheck.statusCode).json({
+        message: transitionCheck.message,
+        error: transitionCheck.error,
+        missingFields: transitionCheck.missingFields,
+        pendingApprovals: transitionCheck.pendingApprovals,
+        openRevisionItems: transitionCheck.openRevisionItems,
+        allowedTargets: transitionCheck.allowedTargets
+      });
+    }
+
+    // Returning for revision: a checklist of field-level issues the PM must resolve before resubmitting
+    let revisionItems = null;
+    if (req.body.revisionItems !== undefined) {
+      if (status !== revisionService.revisionStatus) {
+        return res.status(400).json({ message: `Revision items can only be sent when returning a ticket to ${revisionService.revisionStatus}` });
+      }
+      const itemCheck = revisionService.validateItems(req.body.revisionItems);
+      if (!itemCheck.success) {
+        return res.status(itemCheck.statusCode).json({ message: itemCheck.message });
+      }
+      revisionItems = itemCheck.items;
+    }
+
+    // Validate submission requirements if changing status to SUBMITTED
+    if (status === 'SUBMITTED' && oldStatus !== 'SUBMITTED') {
+      const currentUser = getCurrentUser(req);
+      const validation = await validateSubmissionRequirements(ticket.toObject(), currentUser.email);
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          message: 'Cannot submit ticket: required fields are missing',
+          error: 'Submission Requirements Not Met',
+          missingFields: validation.missingFields,
+          requiredFieldKeys: validation.requiredFieldKeys
+        });
+      }
+    }
+
+    let duplicateOverrideEntry = null;
+    let duplicateWarnings;
+    if (status === 'SUBMITTED' && oldStatus !== 'SUBMITTED') {
+      const duplicateCheck = await checkDuplicates(ticket.toObject(), getCurrentUser(req), duplicateOverride, {
+        excludeId: ticket._id,
+        status
+      });
+      if (duplicateCheck.conflict) {
+        return res.status(409).json(duplicateCheck.conflict);
+      }
+      duplicateOverrideEntry = duplicateCheck.overrideEntry;
+      duplicateWarnings = duplicateCheck.warnings;
+    }
+
+    ticket.status = status;
+    
+    // Enhanced status change tracking
+    const statusChangeReason = reason || `Status manually changed from ${oldStatus} to ${status}`;
+    
+    const currentUser = getCurrentUser(req);
+    ticket.statusHistory.push({
+      status,
+      changedBy: null, // Object ID would go here in real system
+      reason: `${statusChangeReason} by ${currentUser.firstName} ${currentUser.lastName}`,
+      action: 'STATUS_CHANGE',
+      details: {
+        previousStatus: oldStatus,
+        newStatus: status,
+        changeType: 'manual',
+        transition: transitionCheck.transition.label
+      },
+      userInfo: currentUser
+    });
+
+    if (duplicateOverrideEntry) {
+      ticket.statusHistory.push(duplicateOverrideEntry);
+    }
+
+    if (revisionItems) {
+      revisionService.addRequests(ticket, revisionItems, currentUser);
+    }
+
+    await ticket.save();
+
+    // Send Teams notification to ticket originator
+    if (oldStatus !== status) {
+      try {
+        await teamsNotificationService.notifyStatusChange(
+          ticket,
+          oldStatus,
+          status,
+          currentUser
+        );
+      } catch (notificationError) {
+        // Log error but don't fail the request
+        console.error('Failed to send Teams notification:', notificationError.message);
+      }
+      await notificationService.notifyStatusChange(ticket, oldStatus, status, currentUser);
+    }
+
+    if (status === 'SUBMITTED') {
+      await autoAssignSubmittedTicket(ticket);
+      if (oldStatus !== status) {
+        await requestApprovals(ticket, currentUser);
+      }
+    }
+
+    res.json({
+      message: 'Ticket status updated successfully',
+      ticket: {
+        _id: ticket._id,
+        status: ticket.status,
+        assignedTo: ticket.assignedTo,
+        updatedAt: ticket.updatedAt
+      },
+      duplicateWarnings
     });
   } catch (error) {
     console.error('Update status error:', error);
@@ -723,10 +1340,621 @@ const updateTicketStatus = async (req, res) => {
   }
 };
 
+const getTicketTransitions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const { workflow, currentState, transitions } = await workflowService.getAvailableTransitions(
+      ticket,
+      getCurrentUserRole(req)
+    );
+
+    res.json({
+      status: ticket.status,
+      currentState,
+      workflow,
+      transitions
+    });
+  } catch (error) {
+    console.error('Get ticket transitions error:', error);
+    res.status(500).json({ message: 'Server error while fetching workflow transitions' });
+  }
+};
+
+const assignTicket = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = getCurrentUserRole(req);
+    if (role !== 'PM_OPS' && role !== 'ADMIN') {
+      return res.status(403).json({ message: 'Only PMOps and Admin users can assign tickets' });
+    }
+
+    const { id } = req.params;
+    const { assignedTo, auto } = req.body;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const currentUser = getCurrentUser(req);
+
+    // Let the assignment queue pick the next PMOps user
+    if (auto) {
+      const result = await assignmentService.autoAssign(ticket, { force: true, assignedBy: currentUser });
+
+      if (!result.assigned) {
+        return res.status(409).json({ message: result.reason });
+      }
+
+      return res.json({
+        message: `Ticket assigned to ${result.assignedTo}`,
+        assignedTo: ticket.assignedTo,
+        delegatedFrom: result.delegatedFrom,
+        ticket
+      });
+    }
+
+    const newAssignee = assignedTo ? assignedTo.toLowerCase().trim() : '';
+    if ((ticket.assignedTo || '') === newAssignee) {
+      return res.status(400).json({ message: newAssignee ? `Ticket is already assigned to ${newAssignee}` : 'Ticket is not assigned' });
+    }
+
+    if (newAssignee) {
+      const assignee = await User.exists({ email: newAssignee, role: { $in: ['PM_OPS', 'ADMIN'] }, isActive: true });
+      if (!assignee) {
+        return res.status(400).json({ message: `${newAssignee} is not an active PMOps user` });
+      }
+    }
+
+    assignmentService.applyAssignment(ticket, newAssignee, currentUser, { strategy: 'MANUAL' });
+    await ticket.save();
+
+    if (newAssignee) {
+      try {
+        await assignmentService.notifyAssignment(ticket, newAssignee, currentUser);
+      } catch (notificationError) {
+        // Log error but don't fail the request
+        console.error('Failed to send assignment notification:', notificationError.message);
+      }
+    }
+
+    res.json({
+      message: newAssignee ? `Ticket assigned to ${newAssignee}` : 'Ticket unassigned',
+      assignedTo: ticket.assignedTo,
+      ticket
+    });
+  } catch (error) {
+    console.error('Assign ticket error:', error);
+    res.status(500).json({ message: 'Server error during ticket assignment' });
+  }
+};
+
+// @desc    Get the approval stages of a ticket with their sign-off state
+// @route   GET /api/products/:id/approvals
+// @access  Private
+const getTicketApprovals = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('ticketNumber status sbu approvals approvalRoundStartedAt').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const approvalSettings = await approvalService.getSettings();
+    if (!approvalSettings) {
+      return res.json({ enabled: false, stages: [] });
+    }
+
+    const currentUser = getCurrentUser(req);
+    const userRecord = await User.findOne({ email: currentUser.email }).select('role approvalRoles').lean()
+      || { role: getCurrentUserRole(req), approvalRoles: [] };
+
+    const state = approvalService.getState(ticket, approvalSettings);
+
+    res.json({
+      enabled: true,
+      requiredForStatus: approvalSettings.requiredForStatus,
+      sequential: approvalSettings.sequential,
+      complete: state.complete,
+      stages: state.stages.map(stage => ({
+        ...stage,
+        canDecide: approvalService.canDecide(stage, userRecord)
+      }))
+    });
+  } catch (error) {
+    console.error('Get ticket approvals error:', error);
+    res.status(500).json({ message: 'Server error while fetching approvals' });
+  }
+};
+
+// @desc    Approve or reject an approval stage
+// @route   POST /api/products/:id/approvals/:stageKey
+// @access  Private (approvers for the stage, or Admin)
+const decideTicketApproval = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, stageKey } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const currentUser = getCurrentUser(req);
+    const userRecord = await User.findOne({ email: currentUser.email }).select('role approvalRoles').lean()
+      || { role: getCurrentUserRole(req), approvalRoles: [] };
+
+    const result = await approvalService.decide(ticket, stageKey.toUpperCase(), req.body, currentUser, userRecord);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    await ticket.save();
+
+    await notificationService.notifyApprovalDecision(ticket, result.stage, req.body.decision, req.body.comment, currentUser);
+    if (result.unblockedStages.length > 0) {
+      // Sequential approvals: the next stage can now be signed off
+      try {
+        const requests = await approvalService.getPendingApprovers(ticket, result.unblockedStages);
+        await notificationService.notifyApprovalRequested(ticket, requests, currentUser);
+      } catch (approvalError) {
+        console.error('Failed to notify approvers:', approvalError.message);
+      }
+    }
+
+    res.json({
+      message: `${result.stage.label} ${req.body.decision === 'APPROVED' ? 'approved' : 'rejected'}`,
+      approvals: ticket.approvals
+    });
+  } catch (error) {
+    console.error('Decide ticket approval error:', error);
+    res.status(500).json({ message: 'Server error while recording approval' });
+  }
+};
+
+// @desc    Mark a revision item resolved, or reopen it
+// @route   PATCH /api/products/:id/revisions/:itemId
+// @access  Private
+const updateRevisionItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, itemId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const currentUser = getCurrentUser(req);
+    const result = revisionService.updateItem(ticket, itemId, req.body, currentUser);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    await ticket.save();
+
+    res.json({
+      message: `Revision item ${req.body.resolved ? 'resolved' : 'reopened'}`,
+      revisionRequests: ticket.revisionRequests,
+      openCount: revisionService.getOpenItems(ticket).length
+    });
+  } catch (error) {
+    console.error('Update revision item error:', error);
+    res.status(500).json({ message: 'Server error while updating revision item' });
+  }
+};
+
+// @desc    Watch (follow) or stop watching a ticket
+// @route   POST /api/products/:id/watch, DELETE /api/products/:id/watch
+// @access  Private
+// Watched tickets appear in the user's calendar feed. Watching is not an edit, so the
+// ticket version (updatedAt) is left alone.
+const setTicketWatch = (watching) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const email = getCurrentUser(req).email.toLowerCase();
+    if (!email) {
+      return res.status(401).json({ message: 'Select a profile to watch tickets' });
+    }
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const update = watching ? { $addToSet: { watchers: email } } : { $pull: { watchers: email } };
+    const ticket = await ProductTicket.findOneAndUpdate(filter, update, { new: true, timestamps: false })
+      .select('watchers');
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    res.json({
+      message: watching ? 'You are watching this ticket' : 'You are no longer watching this ticket',
+      watching,
+      watchers: ticket.watchers
+    });
+  } catch (error) {
+    console.error('Update ticket watch error:', error);
+    res.status(500).json({ message: 'Server error while updating ticket watch' });
+  }
+};
+
+const watchTicket = setTicketWatch(true);
+const unwatchTicket = setTicketWatch(false);
+
+// @desc    Update a ticket's target launch date and milestones
+// @route   PUT /api/products/:id/timeline
+// @access  Private
+// Milestones are replaced as a whole; honours If-Match like PUT /:id
+const updateLaunchTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const terminalStates = await workflowService.getTerminalStates();
+    if (terminalStates.includes(ticket.status)) {
+      return res.status(403).json({
+        message: `Cannot edit ${ticket.status.toLowerCase()} tickets. Change the ticket status first to make edits.`,
+        error: 'Ticket is locked',
+        ticketStatus: ticket.status
+      });
+    }
+
+    const validation = launchTimelineService.validateTimeline(req.body);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({ message: validation.message });
+    }
+
+    const before = ticket.toObject({ depopulate: true });
+    launchTimelineService.applyTimeline(ticket, validation.timeline);
+
+    const ifMatch = req.get('If-Match');
+    const conflict = ticketVersionService.checkStale(ifMatch, before, ticket) ||
+      await ticketVersionService.saveIfUnchanged(ifMatch, ticket, before);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    try {
+      await ticketHistoryService.recordChanges(ticket, before, getCurrentUser(req));
+    } catch (historyError) {
+      // Log error but don't fail the request
+      console.error('Failed to record change history:', historyError.message);
+    }
+
+    res.set('ETag', ticketVersionService.getVersion(ticket));
+    res.json({
+      message: 'Launch timeline updated',
+      launchTimeline: ticket.launchTimeline
+    });
+  } catch (error) {
+    console.error('Update launch timeline error:', error);
+    res.status(500).json({ message: 'Server error while updating the launch timeline' });
+  }
+};
+
+// @desc    Get the tickets linked to a ticket
+// @route   GET /api/products/:id/relationships
+// @access  Private
+const getTicketRelationships = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('relationships').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const [resolved] = await ticketRelationshipService.resolveLinkedTickets([ticket]);
+
+    res.json({ relationships: resolved.relationships || [] });
+  } catch (error) {
+    console.error('Get ticket relationships error:', error);
+    res.status(500).json({ message: 'Server error while fetching related tickets' });
+  }
+};
+
+// @desc    Link a ticket to another one (the inverse link is added to the other ticket)
+// @route   POST /api/products/:id/relationships
+// @access  Private
+const addTicketRelationship = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('ticketNumber status relationships');
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const result = await ticketRelationshipService.link(ticket, req.body, getCurrentUser(req));
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: `Linked to ${result.linkedTicket.ticketNumber}`,
+      relationship: { ...result.relationship, linkedTicket: result.linkedTicket }
+    });
+  } catch (error) {
+    console.error('Add ticket relationship error:', error);
+    res.status(500).json({ message: 'Server error while linking tickets' });
+  }
+};
+
+// @desc    Remove a link between two tickets (both directions)
+// @route   DELETE /api/products/:id/relationships/:relationshipId
+// @access  Private
+const removeTicketRelationship = async (req, res) => {
+  try {
+    const { id, relationshipId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('ticketNumber status relationships');
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const removed = await ticketRelationshipService.unlink(ticket, relationshipId, getCurrentUser(req));
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Relationship not found for this ticket' });
+    }
+
+    res.json({ message: 'Link removed' });
+  } catch (error) {
+    console.error('Remove ticket relationship error:', error);
+    res.status(500).json({ message: 'Server error while unlinking tickets' });
+  }
+};
+
+// @desc    Report that the current user has the ticket open, and which section they are editing
+// @route   POST /api/products/:id/presence
+// @access  Private
+const updatePresence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('_id').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const currentUser = getCurrentUser(req);
+    if (!currentUser.email) {
+      return res.status(400).json({ message: 'User email is required for presence' });
+    }
+
+    const result = presenceService.heartbeat(ticket._id, currentUser, req.body.editing || null);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ viewers: result.viewers, locks: result.locks });
+  } catch (error) {
+    console.error('Update presence error:', error);
+    res.status(500).json({ message: 'Server error while updating presence' });
+  }
+};
+
+// @desc    Remove the current user from a ticket's viewers and release their locks
+// @route   DELETE /api/products/:id/presence
+// @access  Private
+const leavePresence = async (req, res) => {
+  try {
+    presenceService.leave(req.params.id, getCurrentUser(req).email);
+    res.json({ message: 'Presence cleared' });
+  } catch (error) {
+    console.error('Leave presence error:', error);
+    res.status(500).json({ message: 'Server error while clearing presence' });
+  }
+};
+
+// @desc    Get the field flags (annotations) on a ticket
+// @route   GET /api/products/:id/annotations
+// @access  Private
+const getFieldAnnotations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('_id').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const annotations = await fieldAnnotationService.list(ticket._id, {
+      status: req.query.status,
+      fieldPath: req.query.fieldPath
+    });
+
+    res.json({
+      annotations,
+      openCount: annotations.filter(annotation => annotation.status === 'OPEN').length
+    });
+  } catch (error) {
+    console.error('Get field annotations error:', error);
+    res.status(500).json({ message: 'Server error while fetching field flags' });
+  }
+};
+
+// @desc    Flag a field on a ticket with a reviewer note
+// @route   POST /api/products/:id/annotations
+// @access  Private
+const addFieldAnnotation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('_id').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const result = await fieldAnnotationService.create(ticket, req.body, getCurrentUser(req));
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: 'Field flagged',
+      annotation: result.annotation
+    });
+  } catch (error) {
+    console.error('Add field annotation error:', error);
+    res.status(500).json({ message: 'Server error while flagging field' });
+  }
+};
+
+// @desc    Resolve or reopen a field flag, or edit its note
+// @route   PATCH /api/products/:id/annotations/:annotationId
+// @access  Private (note edits: author only)
+const updateFieldAnnotation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, annotationId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('_id').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const result = await fieldAnnotationService.update(ticket, annotationId, req.body, getCurrentUser(req));
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      message: req.body.status === 'RESOLVED' ? 'Flag resolved' : req.body.status === 'OPEN' ? 'Flag reopened' : 'Flag updated',
+      annotation: result.annotation
+    });
+  } catch (error) {
+    console.error('Update field annotation error:', error);
+    res.status(500).json({ message: 'Server error while updating field flag' });
+  }
+};
+
+// @desc    Delete a field flag
+// @route   DELETE /api/products/:id/annotations/:annotationId
+// @access  Private (author or Admin)
+const deleteFieldAnnotation = async (req, res) => {
+  try {
+    const { id, annotationId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('_id').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const result = await fieldAnnotationService.remove(ticket, annotationId, getCurrentUser(req), getCurrentUserRole(req));
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: 'Flag deleted' });
+  } catch (error) {
+    console.error('Delete field annotation error:', error);
+    res.status(500).json({ message: 'Server error while deleting field flag' });
+  }
+};
+
+// @desc    Add a comment or a reply; @email mentions notify the mentioned users
+// @route   POST /api/products/:id/comments
+// @access  Private
 const addComment = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const { content } = req.body;
+    const { content, parentId } = req.body;
 
     if (!content || content.trim().length === 0) {
       return res.status(400).json({ message: 'Comment content is required' });
@@ -743,29 +1971,25 @@ const addComment = async (req, res) => {
     // Get current user info
     const currentUser = getCurrentUser(req);
 
-    ticket.comments.push({
-      user: null,
-      content: content.trim(),
-      userInfo: currentUser
-    });
+    const result = await commentService.addComment(ticket, { content, parentId }, currentUser);
 
-    // Track comment addition in status history
-    ticket.statusHistory.push({
-      status: ticket.status,
-      changedBy: null, // Object ID would go here in real system
-      reason: `Comment added by ${currentUser.firstName} ${currentUser.lastName}: "${content.trim().substring(0, 50)}${content.trim().length > 50 ? '...' : ''}"`,
-      action: 'COMMENT_ADDED',
-      userInfo: currentUser
-    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
     await ticket.save();
     // Note: comments.user is a String field (email address), not ObjectId reference
 
-    const newComment = ticket.comments[ticket.comments.length - 1];
+    try {
+      await commentService.notifyMentions(ticket, result.comment, result.mentions, currentUser);
+    } catch (notificationError) {
+      // Log error but don't fail the request
+      console.error('Failed to send mention notifications:', notificationError.message);
+    }
 
     res.json({
-      message: 'Comment added successfully',
-      comment: newComment
+      message: parentId ? 'Reply added successfully' : 'Comment added successfully',
+      comment: result.comment
     });
   } catch (error) {
     console.error('Add comment error:', error);
@@ -773,12 +1997,255 @@ const addComment = async (req, res) => {
   }
 };
 
+// @desc    Edit a comment (author only); the previous text is kept in its edit history
+// @route   PUT /api/products/:id/comments/:commentId
+// @access  Private (author)
+const editComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, commentId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const currentUser = getCurrentUser(req);
+    const result = await commentService.editComment(ticket, commentId, req.body, currentUser);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    await ticket.save();
+
+    // Only users added by this edit are notified
+    try {
+      await commentService.notifyMentions(ticket, result.comment, result.mentions, currentUser);
+    } catch (notificationError) {
+      console.error('Failed to send mention notifications:', notificationError.message);
+    }
+
+    res.json({
+      message: 'Comment updated',
+      comment: result.comment
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ message: 'Server error while editing comment' });
+  }
+};
+
+// @desc    Delete a comment (author or Admin); replies stay in the thread
+// @route   DELETE /api/products/:id/comments/:commentId
+// @access  Private (author or Admin)
+const deleteComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const result = commentService.deleteComment(ticket, commentId, getCurrentUser(req), getCurrentUserRole(req));
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    await ticket.save();
+    await commentService.scrubNotifications(ticket, result.comment, result.removedContents);
+
+    res.json({
+      message: 'Comment deleted',
+      comment: result.comment
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error while deleting comment' });
+  }
+};
+
+// Attachments cannot be added to or removed from completed/canceled tickets
+const getLockedAttachmentResponse = async (ticket) => {
+  const terminalStates = await workflowService.getTerminalStates();
+  if (!terminalStates.includes(ticket.status)) return null;
+  return {
+    message: `Cannot change attachments on ${ticket.status.toLowerCase()} tickets. Change the ticket status first.`,
+    error: 'Ticket is locked',
+    ticketStatus: ticket.status
+  };
+};
+
+// @desc    List a ticket's attachments
+// @route   GET /api/products/:id/attachments
+// @access  Private (attachments view privilege)
+const getAttachments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('attachments').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const attachments = [...(ticket.attachments || [])]
+      .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+
+    res.json({
+      attachments,
+      categories: attachmentService.categories,
+      limits: attachmentService.limits,
+      canEdit: await Permission.hasPrivilege(getCurrentUserRole(req), 'attachments', 'edit')
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ message: 'Server error while fetching attachments' });
+  }
+};
+
+// @desc    Upload one or more attachments (multipart field "files", plus category and description)
+// @route   POST /api/products/:id/attachments
+// @access  Private (attachments edit privilege)
+const uploadAttachments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const locked = await getLockedAttachmentResponse(ticket);
+    if (locked) {
+      return res.status(403).json(locked);
+    }
+
+    const result = await attachmentService.upload(ticket, req.files, req.body, getCurrentUser(req));
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: `${result.attachments.length} file${result.attachments.length === 1 ? '' : 's'} attached`,
+      attachments: result.attachments
+    });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ message: 'Server error while uploading attachments' });
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/products/:id/attachments/:attachmentId/download
+// @access  Private (attachments view privilege)
+const downloadAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter).select('attachments').lean();
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const result = attachmentService.openDownload(ticket, attachmentId);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const { attachment, stream } = result;
+    const asciiName = attachment.filename.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+
+    stream.on('error', (streamError) => {
+      console.error('Attachment stream error:', streamError.message);
+      if (!res.headersSent) {
+        res.status(404).json({ message: 'Attachment file not found' });
+      } else {
+        res.end();
+      }
+    });
+
+    stream.once('file', () => {
+      res.setHeader('Content-Type', attachment.contentType || 'application/octet-stream');
+      res.setHeader('Content-Length', attachment.size);
+      res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`);
+    });
+
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error while downloading attachment' });
+  }
+};
+
+// @desc    Delete an attachment and its stored file
+// @route   DELETE /api/products/:id/attachments/:attachmentId
+// @access  Private (attachments edit privilege)
+const deleteAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    let filter = { _id: id, ...req.sbuFilter };
+
+    const ticket = await ProductTicket.findOne(filter);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found or access denied' });
+    }
+
+    const locked = await getLockedAttachmentResponse(ticket);
+    if (locked) {
+      return res.status(403).json(locked);
+    }
+
+    const result = await attachmentService.remove(ticket, attachmentId);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: `${result.attachment.filename} deleted` });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error while deleting attachment' });
+  }
+};
+
 const getDashboardStats = async (req, res) => {
   try {
     const now = new Date();
     const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const oneMonthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
+    const terminalStates = await workflowService.getTerminalStates();
+
     // Use MongoDB aggregation pipeline for efficient statistics calculation
     // This replaces fetching all tickets into memory and processing with JavaScript
     const stats = await ProductTicket.aggregate([
@@ -1038,6 +2505,21 @@ const getDashboardStats = async (req, res) => {
               }
             }
           ],
+          // Open tickets by SLA state (maintained by slaService)
+          slaCounts: [
+            {
+              $match: {
+                status: { $nin: terminalStates },
+                'sla.state': { $in: ['ON_TRACK', 'AT_RISK', 'BREACHED'] }
+              }
+            },
+            {
+              $group: {
+                _id: '$sla.state',
+                count: { $sum: 1 }
+              }
+            }
+          ],
           // Completed tickets this week
           completedThisWeek: [
             {
@@ -1121,6 +2603,21 @@ const getDashboardStats = async (req, res) => {
     const completedThisWeek = result.completedThisWeek[0]?.count || 0;
     const completedThisMonth = result.completedThisMonth[0]?.count || 0;
 
+    // SLA breakdown from aggregation
+    const slaCounts = {
+      onTrack: 0,
+      atRisk: 0,
+      breached: 0
+    };
+
+    result.slaCounts.forEach(item => {
+      switch (item._id) {
+        case 'ON_TRACK': slaCounts.onTrack = item.count; break;
+        case 'AT_RISK': slaCounts.atRisk = item.count; break;
+        case 'BREACHED': slaCounts.breached = item.count; break;
+      }
+    });
+
     // Calculate derived metrics
     const urgentWaiting = agingTickets.filter(t =>
       t.priority === 'URGENT' && (t.status === 'SUBMITTED' || t.status === 'IN_PROCESS')
@@ -1152,6 +2649,7 @@ const getDashboardStats = async (req, res) => {
         longestWaiting: agingTickets.slice(0, 10),
         urgentWaiting: urgentWaiting.slice(0, 5)
       },
+      slaCounts,
       throughput: {
         completedThisWeek,
         completedThisMonth,
@@ -1250,7 +2748,7 @@ const getRecentActivity = async (req, res) => {
       if (ticket.comments && ticket.comments.length > 0) {
         ticket.comments.forEach(comment => {
           // Only include comments that happened after the cutoff date
-          if (comment.timestamp && new Date(comment.timestamp) >= cutoffDate) {
+          if (!comment.deleted && comment.timestamp && new Date(comment.timestamp) >= cutoffDate) {
             activities.push({
               type: 'COMMENT_ADDED',
               ticketId: ticket._id,
@@ -2099,12 +3597,42 @@ const searchSimilarProducts = async (req, res) => {
 module.exports = {
   createTicket,
   saveDraft,
+  cloneTicket,
+  importTickets,
   getTickets,
   getArchivedTickets,
+  searchTickets,
+  getBoard,
+  getLaunchCalendar,
   getTicketById,
   updateTicket,
   updateTicketStatus,
+  getTicketHistory,
+  revertTicketChange,
+  getTicketTransitions,
+  assignTicket,
+  getTicketApprovals,
+  decideTicketApproval,
+  updateRevisionItem,
+  updateLaunchTimeline,
+  watchTicket,
+  unwatchTicket,
+  updatePresence,
+  leavePresence,
+  getFieldAnnotations,
+  addFieldAnnotation,
+  updateFieldAnnotation,
+  deleteFieldAnnotation,
+  getTicketRelationships,
+  addTicketRelationship,
+  removeTicketRelationship,
   addComment,
+  editComment,
+  deleteComment,
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment,
   getDashboardStats,
   lookupCAS,
   searchMARA,
@@ -1,4 +1,5 @@
 const SystemSettings = require('../models/SystemSettings');
+const numberingService = require('../services/numberingService');
 
 // @desc    Get system settings
 // @route   GET /api/system-settings
@@ -192,11 +193,25 @@ const getSettingsSection = async (req, res) => {
   }
 };
 
+// @desc    Get the ticket numbering counters (last number issued per prefix/year)
+// @route   GET /api/system-settings/numbering/counters
+// @access  Admin
+const getNumberingCounters = async (req, res) => {
+  try {
+    const counters = await numberingService.getCounters();
+    res.json({ counters });
+  } catch (error) {
+    console.error('Error fetching numbering counters:', error);
+    res.status(500).json({ message: 'Failed to fetch numbering counters' });
+  }
+};
+
 module.exports = {
   getSystemSettings,
   updateSystemSettings,
   testSmtpConnection,
   testPubChemConnection,
   testAzureOpenAI,
-  getSettingsSection
+  getSettingsSection,
+  getNumberingCounters
 };
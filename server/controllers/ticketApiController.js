@@ -1,6 +1,11 @@
 const ProductTicket = require('../models/ProductTicket');
 const TicketTemplate = require('../models/TicketTemplate');
 const FormConfiguration = require('../models/FormConfiguration');
+const ticketRelationshipService = require('../services/ticketRelationshipService');
+const savedSearchService = require('../services/savedSearchService');
+const ticketSearchService = require('../services/ticketSearchService');
+const ticketQueryService = require('../services/ticketQueryService');
+const workflowService = require('../services/workflowService');
 
 /**
  * Transform ticket data for API response
@@ -106,7 +111,7 @@ exports.getAllTickets = async (req, res) => {
     const total = result[0].total[0]?.count || 0;
 
     // Transform tickets for API response
-    const transformedTickets = tickets.map(transformTicketForAPI);
+    const transformedTickets = (await ticketRelationshipService.resolveLinkedTickets(tickets)).map(transformTicketForAPI);
 
     res.json({
       success: true,
@@ -146,8 +151,9 @@ exports.getTicketById = async (req, res) => {
       });
     }
 
-    // Transform ticket for API response
-    const transformedTicket = transformTicketForAPI(ticket);
+    // Transform ticket for API response, with linked tickets' current numbers and statuses
+    const [withRelationships] = await ticketRelationshipService.resolveLinkedTickets([ticket]);
+    const transformedTicket = transformTicketForAPI(withRelationships);
 
     res.json({
       success: true,
@@ -170,7 +176,8 @@ exports.getTicketByNumber = async (req, res) => {
   try {
     const { ticketNumber } = req.params;
 
-    const ticket = await ProductTicket.findOne({ ticketNumber })
+    // Numbers issued at creation keep working after NPDI initiation replaces ticketNumber
+    const ticket = await ProductTicket.findOne({ $or: [{ ticketNumber }, { internalTicketNumber: ticketNumber }] })
       .select('-__v')
       .lean();
 
@@ -181,8 +188,9 @@ exports.getTicketByNumber = async (req, res) => {
       });
     }
 
-    // Transform ticket for API response
-    const transformedTicket = transformTicketForAPI(ticket);
+    // Transform ticket for API response, with linked tickets' current numbers and statuses
+    const [withRelationships] = await ticketRelationshipService.resolveLinkedTickets([ticket]);
+    const transformedTicket = transformTicketForAPI(withRelationships);
 
     res.json({
       success: true,
@@ -239,7 +247,7 @@ exports.getTicketsByTemplate = async (req, res) => {
     const total = result[0].total[0]?.count || 0;
 
     // Transform tickets for API response
-    const transformedTickets = tickets.map(transformTicketForAPI);
+    const transformedTickets = (await ticketRelationshipService.resolveLinkedTickets(tickets)).map(transformTicketForAPI);
 
     res.json({
       success: true,
@@ -309,53 +317,97 @@ exports.getDefaultTemplate = async (req, res) => {
 
 /**
  * Advanced search with multiple filters
+ * `where` takes the filter language compiled by ticketQueryService, e.g.
+ * "status in ('SUBMITTED', 'IN_PROCESS') AND skuVariants.pricing.listPrice > 100"
  */
 exports.searchTickets = async (req, res) => {
   try {
     const {
       query,
-      filters = {},
+      where,
+      filters,
       page = 1,
       limit = 50,
+      sort,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       fields
     } = req.body;
 
-    // Build search filter
-    const searchFilter = { ...filters };
+    const conditions = [];
+
+    const compiledFilters = ticketQueryService.compileFilters(filters);
+    if (!compiledFilters.success) {
+      return res.status(compiledFilters.statusCode).json({
+        success: false,
+        message: compiledFilters.message
+      });
+    }
+    if (Object.keys(compiledFilters.filter).length > 0) conditions.push(compiledFilters.filter);
+
+    if (where !== undefined) {
+      const compiledWhere = ticketQueryService.compile(where);
+      if (!compiledWhere.success) {
+        return res.status(compiledWhere.statusCode).json({
+          success: false,
+          message: compiledWhere.message,
+          position: compiledWhere.position,
+          pointer: compiledWhere.pointer
+        });
+      }
+      conditions.push(compiledWhere.filter);
+    }
 
     // Text search across multiple fields if query provided
     if (query) {
-      searchFilter.$or = [
-        { ticketNumber: { $regex: query, $options: 'i' } },
-        { productName: { $regex: query, $options: 'i' } },
-        { 'chemicalProperties.casNumber': { $regex: query, $options: 'i' } },
-        { 'chemicalProperties.iupacName': { $regex: query, $options: 'i' } },
-        { 'skuVariants.sku': { $regex: query, $options: 'i' } }
-      ];
+      conditions.push({
+        $or: [
+          { ticketNumber: { $regex: query, $options: 'i' } },
+          { internalTicketNumber: { $regex: query, $options: 'i' } },
+          { productName: { $regex: query, $options: 'i' } },
+          { 'chemicalProperties.casNumber': { $regex: query, $options: 'i' } },
+          { 'chemicalProperties.iupacName': { $regex: query, $options: 'i' } },
+          { 'skuVariants.sku': { $regex: query, $options: 'i' } }
+        ]
+      });
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortOptions = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+    const searchFilter = conditions.length > 1 ? { $and: conditions } : (conditions[0] || {});
+
+    // `sort` ("-updatedAt,productName") takes precedence over sortBy/sortOrder
+    const compiledSort = ticketQueryService.compileSort(
+      sort !== undefined ? sort : `${sortOrder === 'asc' ? '' : '-'}${sortBy}`
+    );
+    if (!compiledSort.success) {
+      return res.status(compiledSort.statusCode).json({
+        success: false,
+        message: compiledSort.message
+      });
+    }
 
     // Build projection if specific fields requested
     let projectFields = { __v: 0 };
-    if (fields && Array.isArray(fields)) {
-      projectFields = fields.reduce((acc, field) => {
-        acc[field] = 1;
-        return acc;
-      }, {});
+    if (fields !== undefined) {
+      const compiledFields = ticketQueryService.compileFields(fields);
+      if (!compiledFields.success) {
+        return res.status(compiledFields.statusCode).json({
+          success: false,
+          message: compiledFields.message
+        });
+      }
+      projectFields = compiledFields.projection;
     }
 
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
     // Execute query with aggregation to combine pagination + count
     const result = await ProductTicket.aggregate([
       { $match: searchFilter },
       {
         $facet: {
           tickets: [
-            { $sort: sortOptions },
+            { $sort: compiledSort.sort },
             { $skip: skip },
             { $limit: parseInt(limit) },
             { $project: projectFields }
@@ -369,7 +421,7 @@ exports.searchTickets = async (req, res) => {
     const total = result[0].total[0]?.count || 0;
 
     // Transform tickets for API response
-    const transformedTickets = tickets.map(transformTicketForAPI);
+    const transformedTickets = (await ticketRelationshipService.resolveLinkedTickets(tickets)).map(transformTicketForAPI);
 
     res.json({
       success: true,
@@ -381,7 +433,9 @@ exports.searchTickets = async (req, res) => {
         pages: Math.ceil(total / parseInt(limit))
       },
       searchQuery: query,
-      appliedFilters: filters
+      where,
+      appliedFilters: filters || {},
+      sort: compiledSort.sort
     });
   } catch (error) {
     console.error('Error searching tickets:', error);
@@ -393,6 +447,163 @@ exports.searchTickets = async (req, res) => {
   }
 };
 
+/**
+ * Full-text search, ranked by relevance, with facet counts and highlighted matches
+ * Same query parameters as the app's search page: q, page, limit and
+ * comma-separated status, sbu, brand, businessLine, priority
+ */
+exports.fullTextSearch = async (req, res) => {
+  try {
+    const result = await ticketSearchService.search(req.query);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.results,
+      facets: result.facets,
+      pagination: result.pagination,
+      searchQuery: result.query
+    });
+  } catch (error) {
+    console.error('Error running full-text search:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search tickets',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the saved searches an API key can run: its creator's own searches and
+ * the searches shared with them
+ */
+exports.getSavedSearches = async (req, res) => {
+  try {
+    if (!req.apiKey?.createdBy) {
+      return res.status(401).json({
+        success: false,
+        message: 'Saved searches require an API key'
+      });
+    }
+
+    const { savedSearches, sharedSearches } = await savedSearchService.list({
+      email: req.apiKey.createdBy,
+      ...(await savedSearchService.getTeam(req.apiKey.createdBy))
+    });
+
+    res.json({
+      success: true,
+      data: [
+        ...savedSearches.map(search => ({ name: search.name, filters: search.filters, owner: req.apiKey.createdBy, shared: false })),
+        ...sharedSearches.map(search => ({ name: search.name, filters: search.filters, owner: search.owner, shared: true }))
+      ]
+    });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved searches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Run a saved search by name
+ * "me" in the search's assignee/creator filters is the API key's creator
+ */
+exports.runSavedSearch = async (req, res) => {
+  try {
+    if (!req.apiKey?.createdBy) {
+      return res.status(401).json({
+        success: false,
+        message: 'Saved searches require an API key'
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const compiledSort = ticketQueryService.compileSort(`${sortOrder === 'asc' ? '' : '-'}${sortBy}`);
+    if (!compiledSort.success) {
+      return res.status(compiledSort.statusCode).json({
+        success: false,
+        message: compiledSort.message
+      });
+    }
+
+    const savedSearch = await savedSearchService.findByName(req.params.name, req.apiKey.createdBy);
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: `Saved search "${req.params.name}" not found`
+      });
+    }
+
+    const filter = savedSearchService.buildTicketFilter(savedSearch.filters, {
+      email: req.apiKey.createdBy,
+      terminalStates: await workflowService.getTerminalStates()
+    });
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const result = await ProductTicket.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          tickets: [
+            { $sort: compiledSort.sort },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            { $project: { __v: 0 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const tickets = result[0].tickets;
+    const total = result[0].total[0]?.count || 0;
+
+    const transformedTickets = (await ticketRelationshipService.resolveLinkedTickets(tickets)).map(transformTicketForAPI);
+
+    res.json({
+      success: true,
+      data: transformedTickets,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      savedSearch: {
+        name: savedSearch.name,
+        owner: savedSearch.owner,
+        filters: savedSearch.filters
+      }
+    });
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run saved search',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get ticket statistics
  */
@@ -489,7 +700,8 @@ exports.getTicketSchema = async (req, res) => {
 
     // Create a simplified version of the schema for API consumers
     const simplifiedSchema = {
-      ticketNumber: { type: 'string', description: 'Unique ticket identifier' },
+      ticketNumber: { type: 'string', description: 'Unique ticket identifier (replaced by the NPDI tracking number on NPDI initiation)' },
+      internalTicketNumber: { type: 'string', description: 'Number issued at creation; never changes' },
       productName: { type: 'string', description: 'Name of the product', required: true },
       productionType: {
         type: 'string',
@@ -559,6 +771,26 @@ exports.getTicketSchema = async (req, res) => {
           assignedAt: { type: 'date', description: 'Timestamp of assignment' }
         }
       },
+      relationships: {
+        type: 'array',
+        description: 'Links to other tickets, from this ticket\'s point of view',
+        items: {
+          type: { type: 'string', enum: ['PARENT', 'CHILD', 'SUPERSEDES', 'SUPERSEDED_BY', 'RELATED'] },
+          ticket: { type: 'string', description: 'Linked ticket ID' },
+          note: { type: 'string' },
+          linkedTicket: {
+            type: 'object',
+            description: 'Current number, name and status of the linked ticket',
+            fields: {
+              ticketNumber: { type: 'string' },
+              productName: { type: 'string' },
+              status: { type: 'string' },
+              sbu: { type: 'string' },
+              priority: { type: 'string' }
+            }
+          }
+        }
+      },
       createdBy: { type: 'string', description: 'Email of ticket creator' },
       assignedTo: { type: 'string', description: 'Email of assigned user' },
       createdAt: { type: 'date', description: 'Creation timestamp' },
@@ -1,4 +1,8 @@
 const UserPreferences = require('../models/UserPreferences');
+const savedSearchService = require('../services/savedSearchService');
+
+// Managed by their own endpoints or by background jobs, never by a bulk preferences update
+const PROTECTED_FIELDS = ['digestState', 'savedSearches', 'pinnedSearches', 'calendarFeeds'];
 
 // @desc    Get user preferences
 // @route   GET /api/user-preferences
@@ -21,7 +25,8 @@ const getUserPreferences = async (req, res) => {
 const updateUserPreferences = async (req, res) => {
   try {
     const userId = req.user.email;  // Use email from profile
-    const updates = req.body;
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
 
     const preferences = await UserPreferences.updatePreferences(userId, updates);
 
@@ -71,11 +76,17 @@ const resetPreferences = async (req, res) => {
   try {
     const userId = req.user.email;  // Use email from profile
 
-    // Delete existing preferences
-    await UserPreferences.deleteOne({ userId });
+    // Delete existing preferences, keeping saved searches (other users may have pinned shared ones)
+    // and calendar feeds (subscribed calendars would otherwise stop updating)
+    const existing = await UserPreferences.findOneAndDelete({ userId }).lean();
 
     // Create new with defaults
-    const preferences = await UserPreferences.create({ userId });
+    const preferences = await UserPreferences.create({
+      userId,
+      savedSearches: existing?.savedSearches || [],
+      pinnedSearches: existing?.pinnedSearches || [],
+      calendarFeeds: existing?.calendarFeeds || []
+    });
 
     res.json({
       message: 'Preferences reset to default',
@@ -108,10 +119,104 @@ const getPreferenceSection = async (req, res) => {
   }
 };
 
+// @desc    Get the user's saved searches, searches shared with them and their pinned tabs
+// @route   GET /api/user-preferences/saved-searches
+// @access  Private
+const getSavedSearches = async (req, res) => {
+  try {
+    res.json(await savedSearchService.list(req.user));
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ message: 'Failed to fetch saved searches' });
+  }
+};
+
+// @desc    Save a named ticket search
+// @route   POST /api/user-preferences/saved-searches
+// @access  Private
+const createSavedSearch = async (req, res) => {
+  try {
+    const result = await savedSearchService.create(req.user, req.body);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: 'Search saved',
+      savedSearch: result.savedSearch
+    });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ message: 'Failed to save search' });
+  }
+};
+
+// @desc    Update a saved search's name, filters or sharing
+// @route   PUT /api/user-preferences/saved-searches/:searchId
+// @access  Private
+const updateSavedSearch = async (req, res) => {
+  try {
+    const result = await savedSearchService.update(req.user, req.params.searchId, req.body);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'Saved search updated',
+      savedSearch: result.savedSearch
+    });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ message: 'Failed to update saved search' });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/user-preferences/saved-searches/:searchId
+// @access  Private
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const result = await savedSearchService.remove(req.user, req.params.searchId);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ message: 'Failed to delete saved search' });
+  }
+};
+
+// @desc    Set which saved searches are pinned as ticket list tabs, in order
+// @route   PUT /api/user-preferences/saved-searches/pins
+// @access  Private
+const updatePinnedSearches = async (req, res) => {
+  try {
+    const result = await savedSearchService.setPins(req.user, req.body.searchIds);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'Pinned searches updated',
+      pinnedSearches: result.pinnedSearches
+    });
+  } catch (error) {
+    console.error('Error updating pinned searches:', error);
+    res.status(500).json({ message: 'Failed to update pinned searches' });
+  }
+};
+
 module.exports = {
   getUserPreferences,
   updateUserPreferences,
   updatePreferenceSection,
   resetPreferences,
-  getPreferenceSection
+  getPreferenceSection,
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  updatePinnedSearches
 };
@@ -0,0 +1,196 @@
+const Workflow = require('../models/Workflow');
+const TicketTemplate = require('../models/TicketTemplate');
+const ProductTicket = require('../models/ProductTicket');
+
+// Fields that may be set through the API
+const EDITABLE_FIELDS = ['name', 'description', 'initialState', 'states', 'transitions', 'isDefault', 'isActive'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+const sendValidationError = (res, error) => {
+  const validationErrors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    message: 'Validation failed: ' + validationErrors.join(', '),
+    validationErrors
+  });
+};
+
+// @desc    Get all workflows
+// @route   GET /api/workflows
+// @access  Public
+const getWorkflows = async (req, res) => {
+  try {
+    // Make sure the built-in default exists so the list is never empty
+    await Workflow.getDefaultWorkflow();
+
+    const workflows = await Workflow.find()
+      .sort({ isDefault: -1, name: 1 })
+      .lean();
+
+    res.json(workflows);
+  } catch (error) {
+    console.error('Error fetching workflows:', error);
+    res.status(500).json({ message: 'Failed to fetch workflows', error: error.message });
+  }
+};
+
+// @desc    Get workflow by ID
+// @route   GET /api/workflows/:id
+// @access  Public
+const getWorkflowById = async (req, res) => {
+  try {
+    const workflow = await Workflow.findById(req.params.id).lean();
+
+    if (!workflow) {
+      return res.status(404).json({ message: 'Workflow not found' });
+    }
+
+    const templates = await TicketTemplate.find({ workflow: workflow._id })
+      .select('name isDefault')
+      .lean();
+
+    res.json({ ...workflow, templates });
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({ message: 'Failed to fetch workflow', error: error.message });
+  }
+};
+
+// @desc    Create a workflow
+// @route   POST /api/workflows
+// @access  Admin
+const createWorkflow = async (req, res) => {
+  try {
+    const workflow = new Workflow({
+      ...pickEditableFields(req.body),
+      createdBy: req.user.email,
+      updatedBy: req.user.email
+    });
+
+    await workflow.save();
+
+    res.status(201).json({
+      message: 'Workflow created successfully',
+      workflow
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A workflow with this name already exists' });
+    }
+    console.error('Error creating workflow:', error);
+    res.status(500).json({ message: 'Failed to create workflow', error: error.message });
+  }
+};
+
+// @desc    Update a workflow
+// @route   PUT /api/workflows/:id
+// @access  Admin
+const updateWorkflow = async (req, res) => {
+  try {
+    const workflow = await Workflow.findById(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).json({ message: 'Workflow not found' });
+    }
+
+    Object.assign(workflow, pickEditableFields(req.body));
+    workflow.updatedBy = req.user.email;
+
+    // Removing a state that tickets still use would strand them
+    const removedStates = await findRemovedStatesInUse(workflow);
+    if (removedStates.length > 0) {
+      return res.status(400).json({
+        message: `Cannot remove states still used by tickets: ${removedStates.join(', ')}`,
+        statesInUse: removedStates
+      });
+    }
+
+    await workflow.save();
+
+    res.json({
+      message: 'Workflow updated successfully',
+      workflow
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error updating workflow:', error);
+    res.status(500).json({ message: 'Failed to update workflow', error: error.message });
+  }
+};
+
+// @desc    Delete a workflow
+// @route   DELETE /api/workflows/:id
+// @access  Admin
+const deleteWorkflow = async (req, res) => {
+  try {
+    const workflow = await Workflow.findById(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).json({ message: 'Workflow not found' });
+    }
+
+    if (workflow.isDefault) {
+      return res.status(400).json({ message: 'The default workflow cannot be deleted' });
+    }
+
+    const templateCount = await TicketTemplate.countDocuments({ workflow: workflow._id });
+    if (templateCount > 0) {
+      return res.status(400).json({
+        message: `Workflow is linked to ${templateCount} template(s). Unlink it before deleting.`
+      });
+    }
+
+    await workflow.deleteOne();
+
+    res.json({ message: 'Workflow deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting workflow:', error);
+    res.status(500).json({ message: 'Failed to delete workflow', error: error.message });
+  }
+};
+
+/**
+ * Find state keys removed from a modified workflow that tickets on its templates still use
+ * @param {Object} workflow - Modified (unsaved) workflow document
+ * @returns {string[]} State keys still in use
+ */
+const findRemovedStatesInUse = async (workflow) => {
+  if (!workflow.isModified('states')) return [];
+
+  const original = await Workflow.findById(workflow._id).select('states').lean();
+  const currentKeys = new Set(workflow.states.map(state => state.key));
+  const removedKeys = (original?.states || [])
+    .map(state => state.key)
+    .filter(key => !currentKeys.has(key));
+
+  if (removedKeys.length === 0) return [];
+
+  const templateIds = await TicketTemplate.find({ workflow: workflow._id }).distinct('_id');
+  const ticketFilter = { status: { $in: removedKeys } };
+  if (!workflow.isDefault) {
+    ticketFilter.template = { $in: templateIds };
+  }
+
+  return ProductTicket.distinct('status', ticketFilter);
+};
+
+module.exports = {
+  getWorkflows,
+  getWorkflowById,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow
+};
@@ -23,6 +23,17 @@ const productHierarchyRoutes = require('./routes/productHierarchy');
 const businessLineRoutes = require('./routes/businessLines');
 const parserConfigRoutes = require('./routes/parserConfig');
 const metricsRoutes = require('./routes/metrics');
+const workflowRoutes = require('./routes/workflows');
+const assignmentRoutes = require('./routes/assignments');
+const approvalRoutes = require('./routes/approvals');
+const notificationRoutes = require('./routes/notifications');
+const calendarRoutes = require('./routes/calendar');
+const slaService = require('./services/slaService');
+const reminderService = require('./services/reminderService');
+const digestService = require('./services/digestService');
+const notificationService = require('./services/notificationService');
+const presenceService = require('./services/presenceService');
+const Permission = require('./models/Permission');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -45,17 +56,31 @@ app.use(cors({
     'http://127.0.0.1:5175',
     'http://127.0.0.1:5176'
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']  // Ticket version for If-Match on PUT /api/products/:id
 }));
 
+// Presence heartbeats (every 30 seconds per open ticket page) have their own limiter
+const isPresenceRequest = (req) => /^\/products\/[^/]+\/presence\/?$/.test(req.path);
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: process.env.NODE_ENV === 'production' ? 100 : 500, // Higher limit for development
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isPresenceRequest,
+});
+
+const presenceLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === 'production' ? 300 : 1000,
+  message: 'Too many presence updates from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 app.use('/api', limiter);
+app.use('/api/products/:id/presence', presenceLimiter);
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -150,6 +175,11 @@ app.use('/api/business-lines', businessLineRoutes);
 app.use('/api/product-hierarchy', productHierarchyRoutes);
 app.use('/api/parser-config', parserConfigRoutes);
 app.use('/api/metrics', metricsRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Public API v1 for external applications
 app.use('/api/v1/tickets', ticketApiRoutes);
@@ -286,6 +316,20 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Process ID: ${process.pid}`);
+
+  // Background checker for status SLA timers
+  slaService.start();
+
+  // Reminders for stale drafts, stuck tickets and overdue milestones
+  reminderService.start();
+
+  // Daily digest and weekly report emails
+  digestService.start();
+
+  // Give roles saved before a privilege section existed (e.g. attachments) that section's defaults
+  Permission.addMissingSections().catch(error => {
+    logger.error('Failed to add missing permission sections', { error: error.message });
+  });
 });
 
 // ============================================================================
@@ -300,6 +344,13 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
 
+  slaService.stop();
+  reminderService.stop();
+  digestService.stop();
+  // Open notification streams would keep server.close() waiting
+  notificationService.closeAll();
+  presenceService.stopSweeper();
+
   // Stop accepting new connections
   server.close(() => {
     logger.info('HTTP server closed - no longer accepting connections');
@@ -70,7 +70,8 @@ async function authenticateApiKey(req, res, next) {
       id: apiKeyRecord._id,
       name: apiKeyRecord.name,
       permissions: apiKeyRecord.permissions,
-      application: apiKeyRecord.application
+      application: apiKeyRecord.application,
+      createdBy: apiKeyRecord.createdBy
     };
 
     // Log API usage
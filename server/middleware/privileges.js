@@ -0,0 +1,25 @@
+const Permission = require('../models/Permission');
+
+// Role-based privilege check against the Permission model
+// Usage: requirePrivilege('attachments', 'edit')
+const requirePrivilege = (section, action) => async (req, res, next) => {
+  try {
+    // Same role source as the product routes (profile headers)
+    const role = req.header('x-user-role') || 'PRODUCT_MANAGER';
+
+    if (!(await Permission.hasPrivilege(role, section, action))) {
+      return res.status(403).json({
+        message: `Access denied. Your role does not have ${action} access to ${section}.`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Privilege check error:', error);
+    res.status(500).json({ message: 'Server error while checking permissions' });
+  }
+};
+
+module.exports = {
+  requirePrivilege
+};
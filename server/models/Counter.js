@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Atomic sequence per numbering key, e.g. NPDI-2026 (see numberingService)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
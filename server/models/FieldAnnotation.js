@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Reviewer note attached to one field of a ticket (see fieldAnnotationService)
+const fieldAnnotationSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductTicket',
+    required: true
+  },
+  fieldPath: {
+    type: String,  // Dot-notated ticket path, e.g. chemicalProperties.casNumber or skuVariants.2
+    required: true,
+    trim: true
+  },
+  fieldLabel: String,  // Readable field name at the time the flag was raised
+  note: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'RESOLVED'],
+    default: 'OPEN'
+  },
+  createdBy: {
+    type: String  // Email address from profile
+  },
+  userInfo: {
+    firstName: String,
+    lastName: String,
+    role: String
+  },
+  resolutionNote: String,
+  resolvedBy: String,
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+// Flags panel and markers for a ticket
+fieldAnnotationSchema.index({ ticket: 1, status: 1 });
+fieldAnnotationSchema.index({ ticket: 1, fieldPath: 1 });
+
+module.exports = mongoose.model('FieldAnnotation', fieldAnnotationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in the header notification center (see notificationService)
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: String,  // Email address from profile (lowercase)
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['STATUS_CHANGE', 'ASSIGNMENT', 'MENTION', 'APPROVAL'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductTicket'
+  },
+  ticketNumber: String,
+  comment: mongoose.Schema.Types.ObjectId,  // Comment a MENTION came from, so deleting it can scrub the excerpt
+  actor: {
+    email: String,
+    firstName: String,
+    lastName: String
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Notification list and unread badge
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+// Old notifications are removed after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -44,6 +44,10 @@ const permissionSchema = new mongoose.Schema({
       view: { type: Boolean, default: false },
       edit: { type: Boolean, default: false }
     },
+    attachments: {
+      view: { type: Boolean, default: false },
+      edit: { type: Boolean, default: false }
+    },
     statusHistory: {
       view: { type: Boolean, default: false },
       edit: { type: Boolean, default: false }
@@ -75,60 +79,92 @@ permissionSchema.statics.getPrivilegesForRole = async function(role) {
   return permissions ? permissions.privileges : null;
 };
 
-// Static method to initialize default privileges
-permissionSchema.statics.initializeDefaultPermissions = async function() {
-  const defaultPermissions = [
-    {
-      role: 'PRODUCT_MANAGER',
-      privileges: {
-        tickets: { view: true, edit: true },
-        drafts: { view: true, edit: true },
-        skuVariants: { view: true, edit: true },
-        skuAssignment: { view: false, edit: false },
-        chemicalProperties: { view: true, edit: true },
-        hazardClassification: { view: true, edit: true },
-        corpbaseData: { view: true, edit: true },
-        pricingData: { view: false, edit: false },
-        comments: { view: true, edit: true },
-        statusHistory: { view: true, edit: false },
-        adminPanel: { view: false, edit: false }
-      }
-    },
-    {
-      role: 'PM_OPS',
-      privileges: {
-        tickets: { view: true, edit: true },
-        drafts: { view: true, edit: false },
-        skuVariants: { view: true, edit: true },
-        skuAssignment: { view: true, edit: true },
-        chemicalProperties: { view: true, edit: false },
-        hazardClassification: { view: true, edit: false },
-        corpbaseData: { view: true, edit: false },
-        pricingData: { view: true, edit: true },
-        comments: { view: true, edit: true },
-        statusHistory: { view: true, edit: true },
-        adminPanel: { view: false, edit: false }
-      }
-    },
-    {
-      role: 'ADMIN',
-      privileges: {
-        tickets: { view: true, edit: true },
-        drafts: { view: true, edit: true },
-        skuVariants: { view: true, edit: true },
-        skuAssignment: { view: true, edit: true },
-        chemicalProperties: { view: true, edit: true },
-        hazardClassification: { view: true, edit: true },
-        corpbaseData: { view: true, edit: true },
-        pricingData: { view: true, edit: true },
-        comments: { view: true, edit: true },
-        statusHistory: { view: true, edit: true },
-        adminPanel: { view: true, edit: true }
+// Default privileges per role; also the fallback for sections added after a role was saved
+const DEFAULT_PERMISSIONS = [
+  {
+    role: 'PRODUCT_MANAGER',
+    privileges: {
+      tickets: { view: true, edit: true },
+      drafts: { view: true, edit: true },
+      skuVariants: { view: true, edit: true },
+      skuAssignment: { view: false, edit: false },
+      chemicalProperties: { view: true, edit: true },
+      hazardClassification: { view: true, edit: true },
+      corpbaseData: { view: true, edit: true },
+      pricingData: { view: false, edit: false },
+      comments: { view: true, edit: true },
+      attachments: { view: true, edit: true },
+      statusHistory: { view: true, edit: false },
+      adminPanel: { view: false, edit: false }
+    }
+  },
+  {
+    role: 'PM_OPS',
+    privileges: {
+      tickets: { view: true, edit: true },
+      drafts: { view: true, edit: false },
+      skuVariants: { view: true, edit: true },
+      skuAssignment: { view: true, edit: true },
+      chemicalProperties: { view: true, edit: false },
+      hazardClassification: { view: true, edit: false },
+      corpbaseData: { view: true, edit: false },
+      pricingData: { view: true, edit: true },
+      comments: { view: true, edit: true },
+      attachments: { view: true, edit: true },
+      statusHistory: { view: true, edit: true },
+      adminPanel: { view: false, edit: false }
+    }
+  },
+  {
+    role: 'ADMIN',
+    privileges: {
+      tickets: { view: true, edit: true },
+      drafts: { view: true, edit: true },
+      skuVariants: { view: true, edit: true },
+      skuAssignment: { view: true, edit: true },
+      chemicalProperties: { view: true, edit: true },
+      hazardClassification: { view: true, edit: true },
+      corpbaseData: { view: true, edit: true },
+      pricingData: { view: true, edit: true },
+      comments: { view: true, edit: true },
+      attachments: { view: true, edit: true },
+      statusHistory: { view: true, edit: true },
+      adminPanel: { view: true, edit: true }
+    }
+  }
+];
+
+// Static method to check one privilege for a role, e.g. hasPrivilege('PM_OPS', 'attachments', 'edit')
+permissionSchema.statics.hasPrivilege = async function(role, section, action) {
+  const permissions = await this.findOne({ role }).lean();
+  const sectionPrivileges = permissions?.privileges?.[section] ||
+    DEFAULT_PERMISSIONS.find(perm => perm.role === role)?.privileges[section];
+  return !!sectionPrivileges?.[action];
+};
+
+// Static method to add sections introduced after a role's privileges were saved,
+// using the defaults for that role (existing settings are left unchanged)
+permissionSchema.statics.addMissingSections = async function() {
+  for (const perm of DEFAULT_PERMISSIONS) {
+    const existing = await this.findOne({ role: perm.role }).lean();
+    if (!existing) continue;
+
+    const missing = {};
+    Object.entries(perm.privileges).forEach(([section, privileges]) => {
+      if (!existing.privileges?.[section]) {
+        missing[`privileges.${section}`] = privileges;
       }
+    });
+
+    if (Object.keys(missing).length > 0) {
+      await this.updateOne({ role: perm.role }, { $set: missing });
     }
-  ];
+  }
+};
 
-  for (const perm of defaultPermissions) {
+// Static method to initialize default privileges
+permissionSchema.statics.initializeDefaultPermissions = async function() {
+  for (const perm of DEFAULT_PERMISSIONS) {
     await this.findOneAndUpdate(
       { role: perm.role },
       perm,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const numberingService = require('../services/numberingService');
 
 const skuVariantSchema = new mongoose.Schema({
   type: {
@@ -315,6 +316,16 @@ const productTicketSchema = new mongoose.Schema({
     unique: true,
     required: false
   },
+  // Number issued when the ticket was created. Unlike ticketNumber it is never replaced
+  // (e.g. by the NPDI tracking number), so links and references made with it keep working.
+  internalTicketNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: function() {
+      return !!this.internalTicketNumber;
+    }
+  },
   productName: {
     type: String,
     required: true
@@ -451,8 +462,8 @@ const productTicketSchema = new mongoose.Schema({
     licenseNumber: String
   },
   status: {
-    type: String,
-    enum: ['DRAFT', 'SUBMITTED', 'IN_PROCESS', 'NPDI_INITIATED', 'COMPLETED', 'CANCELED'],
+    type: String,  // State key from the ticket's Workflow (see workflowService); no fixed enum
+    uppercase: true,
     default: 'DRAFT'
   },
   priority: {
@@ -477,6 +488,122 @@ const productTicketSchema = new mongoose.Schema({
     type: String,  // Email address from profile
     required: false
   },
+  // Emails of users following the ticket (calendar feeds); managed through /api/products/:id/watch
+  watchers: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  sla: {
+    status: String,  // Status the SLA clock is running for
+    enteredAt: Date,  // When the ticket entered that status
+    targetHours: Number,
+    dueAt: Date,
+    state: {
+      type: String,
+      enum: ['NONE', 'ON_TRACK', 'AT_RISK', 'BREACHED'],
+      default: 'NONE'  // NONE = no SLA target configured for this status/SBU
+    },
+    atRiskAt: Date,
+    breachedAt: Date,
+    escalatedAt: Date,  // Set once per status entry so escalations are not repeated
+    lastCheckedAt: Date
+  },
+  // Reminders already sent (see reminderService), so they repeat only every few days
+  reminderLog: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['STALE_DRAFT', 'STUCK_STATUS', 'OVERDUE_MILESTONE']
+    },
+    key: String,  // What the reminder is about: status entry or milestone id
+    recipient: String,  // Email address, or 'teams' for the Teams channel
+    sentAt: Date
+  }],
+  clonedFrom: {
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductTicket'
+    },
+    ticketNumber: String,  // Source ticket number at the time of cloning
+    sections: [String],  // Sections copied from the source
+    clonedBy: String,  // Email address from profile
+    clonedAt: Date
+  },
+  // Approval sign-off log; the latest decision per stage counts (see approvalService)
+  approvals: [{
+    stage: {
+      type: String,  // SystemSettings.approvals.stages[].key
+      required: true
+    },
+    stageLabel: String,
+    decision: {
+      type: String,
+      enum: ['APPROVED', 'REJECTED'],
+      required: true
+    },
+    comment: String,
+    decidedBy: String,  // Email address from profile
+    userInfo: {
+      firstName: String,
+      lastName: String,
+      role: String
+    },
+    decidedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // When the ticket was last returned for revision; earlier approval decisions no longer count
+  approvalRoundStartedAt: Date,
+  // Typed links to other tickets, kept in sync on both sides by ticketRelationshipService
+  relationships: [{
+    type: {
+      type: String,
+      enum: ['PARENT', 'CHILD', 'SUPERSEDES', 'SUPERSEDED_BY', 'RELATED'],  // From this ticket's point of view
+      required: true
+    },
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductTicket',
+      required: true
+    },
+    note: String,
+    createdBy: String,  // Email address from profile
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Checklist of issues raised when PMOps returns a ticket for revision (see revisionService)
+  revisionRequests: [{
+    fieldPath: {
+      type: String,  // Dot/bracket path, e.g. skuVariants[2].pricing.listPrice
+      required: true
+    },
+    fieldLabel: String,
+    message: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['OPEN', 'RESOLVED'],
+      default: 'OPEN'
+    },
+    round: {
+      type: Number,  // Which return-for-revision the item was raised in
+      default: 1
+    },
+    requestedBy: String,  // Email address from profile
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    resolutionNote: String,
+    resolvedBy: String,
+    resolvedAt: Date
+  }],
   chemicalProperties: chemicalPropertiesSchema,
   hazardClassification: hazardClassificationSchema,
   quality: qualitySchema,
@@ -518,7 +645,7 @@ const productTicketSchema = new mongoose.Schema({
     initiatedAt: Date
     // When NPDI is initiated, the main ticketNumber field is updated to match this trackingNumber
     // Example: ticketNumber changes from "NPDI-2025-0055" to "10000030016545"
-    // The original ticket number is preserved in statusHistory for audit trail
+    // The original ticket number is kept in internalTicketNumber (and in statusHistory)
   },
   standardCost: {
     type: Number
@@ -575,7 +702,7 @@ const productTicketSchema = new mongoose.Schema({
     reason: String,
     action: {
       type: String,
-      enum: ['TICKET_CREATED', 'STATUS_CHANGE', 'SKU_ASSIGNMENT', 'TICKET_EDIT', 'COMMENT_ADDED', 'NPDI_INITIATED'],
+      enum: ['TICKET_CREATED', 'STATUS_CHANGE', 'SKU_ASSIGNMENT', 'TICKET_EDIT', 'COMMENT_ADDED', 'NPDI_INITIATED', 'SLA_ESCALATION', 'TICKET_ASSIGNMENT', 'DUPLICATE_OVERRIDE', 'APPROVAL_DECISION', 'REVISION_REQUESTED', 'REVISION_RESOLVED'],
       default: 'STATUS_CHANGE'
     },
     details: mongoose.Schema.Types.Mixed,
@@ -603,6 +730,56 @@ const productTicketSchema = new mongoose.Schema({
       lastName: String,
       email: String,
       role: String
+    },
+    // Thread root this comment replies to (replies are one level deep)
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    mentions: [{
+      type: String  // Email addresses of mentioned users
+    }],
+    editedAt: Date,
+    // Previous versions, oldest first
+    editHistory: [{
+      content: String,
+      editedAt: Date,
+      editedBy: String
+    }],
+    deleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: Date,
+    deletedBy: String
+  }],
+  // Documents stored in the ticketAttachments GridFS bucket (see attachmentService)
+  attachments: [{
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    filename: {
+      type: String,
+      required: true
+    },
+    contentType: String,
+    size: Number,  // Bytes
+    category: {
+      type: String,
+      enum: ['COA', 'SDS', 'SPEC', 'OTHER'],
+      default: 'OTHER'
+    },
+    description: String,
+    uploadedBy: String,  // Email address from profile
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    },
+    userInfo: {
+      firstName: String,
+      lastName: String,
+      role: String
     }
   }],
   createdAt: {
@@ -626,12 +803,59 @@ productTicketSchema.index({ status: 1, priority: 1 });
 productTicketSchema.index({ createdBy: 1, status: 1 });
 // Assignment queries
 productTicketSchema.index({ assignedTo: 1, status: 1 });
+// Watched tickets (personal calendar feeds)
+productTicketSchema.index({ watchers: 1 });
 // Date-based queries and default sorting
 productTicketSchema.index({ createdAt: -1 });
 // CAS number lookup for chemical products
 productTicketSchema.index({ 'chemicalProperties.casNumber': 1 });
 // SBU reports with date sorting
 productTicketSchema.index({ sbu: 1, createdAt: -1 });
+// SLA watchlist and background checker
+productTicketSchema.index({ 'sla.state': 1, status: 1 });
+// Reverse lookups of linked tickets
+productTicketSchema.index({ 'relationships.ticket': 1 });
+// Full-text search (see ticketSearchService); a collection can only have one text index
+productTicketSchema.index({
+  productName: 'text',
+  ticketNumber: 'text',
+  internalTicketNumber: 'text',
+  'npdiTracking.trackingNumber': 'text',
+  'partNumber.baseNumber': 'text',
+  'skuVariants.sku': 'text',
+  'chemicalProperties.casNumber': 'text',
+  'chemicalProperties.synonyms': 'text',
+  'chemicalProperties.iupacName': 'text',
+  'vendorInformation.vendorName': 'text',
+  'vendorInformation.vendorProductName': 'text',
+  'corpbaseData.websiteTitle': 'text',
+  'corpbaseData.productDescription': 'text',
+  'corpbaseData.metaDescription': 'text',
+  'corpbaseData.keyFeatures': 'text',
+  'corpbaseData.applications': 'text',
+  'corpbaseData.technicalSpecifications': 'text',
+  'comments.content': 'text'
+}, {
+  name: 'ticket_full_text',
+  weights: {
+    productName: 10,
+    ticketNumber: 10,
+    internalTicketNumber: 10,
+    'npdiTracking.trackingNumber': 10,
+    'partNumber.baseNumber': 10,
+    'skuVariants.sku': 8,
+    'chemicalProperties.casNumber': 10,
+    'chemicalProperties.synonyms': 5,
+    'chemicalProperties.iupacName': 3,
+    'vendorInformation.vendorName': 4,
+    'vendorInformation.vendorProductName': 4,
+    'corpbaseData.websiteTitle': 2
+    // Descriptions and comments keep the default weight of 1
+  },
+  default_language: 'english',
+  // No ticket field picks the stemming language
+  language_override: 'textSearchLanguage'
+});
 
 // Pre-save hook to clean up and normalize data before validation
 productTicketSchema.pre('validate', function(next) {
@@ -718,36 +942,32 @@ productTicketSchema.pre('save', function(next) {
     });
   }
 
+  // Restart the SLA clock whenever the ticket enters a new status;
+  // the SLA checker (slaService) fills in the target and state
+  if (this.isNew || this.isModified('status')) {
+    this.sla = {
+      status: this.status,
+      enteredAt: new Date(),
+      state: 'NONE'
+    };
+  }
+
   next();
 });
 
 productTicketSchema.pre('save', async function(next) {
   if (this.isNew && !this.ticketNumber) {
-    const year = new Date().getFullYear();
-    let ticketNumber;
-    let isUnique = false;
-    let attempts = 0;
-    const maxAttempts = 100;
-
-    // Keep trying until we find a unique ticket number
-    while (!isUnique && attempts < maxAttempts) {
-      const count = await mongoose.model('ProductTicket').countDocuments();
-      ticketNumber = `NPDI-${year}-${String(count + attempts + 1).padStart(4, '0')}`;
-
-      // Check if this ticket number already exists
-      const existingTicket = await mongoose.model('ProductTicket').findOne({ ticketNumber });
-
-      if (!existingTicket) {
-        isUnique = true;
-        this.ticketNumber = ticketNumber;
-      } else {
-        attempts++;
-      }
+    try {
+      this.ticketNumber = await numberingService.nextNumber({ sbu: this.sbu, template: this.template });
+    } catch (error) {
+      return next(error);
     }
+  }
 
-    if (!isUnique) {
-      return next(new Error('Unable to generate unique ticket number after multiple attempts'));
-    }
+  // Keep the issued number permanently; tickets saved before this field existed get it on their
+  // next save unless NPDI initiation has already replaced their number (see the backfill script)
+  if (!this.internalTicketNumber && this.ticketNumber && !this.npdiTracking?.trackingNumber) {
+    this.internalTicketNumber = this.ticketNumber;
   }
   next();
 });
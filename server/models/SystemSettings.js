@@ -16,6 +16,101 @@ const systemSettingsSchema = new mongoose.Schema({
     enableComments: { type: Boolean, default: true }
   },
 
+  // Ticket Numbering (see numberingService)
+  numbering: {
+    defaultPattern: {
+      prefix: { type: String, default: 'NPDI', trim: true },
+      includeYear: { type: Boolean, default: true },
+      padding: { type: Number, default: 4, min: 1, max: 10 },
+      resetYearly: { type: Boolean, default: true } // Only applies when the year is included
+    },
+    // Overrides for an SBU or a ticket template; a template pattern wins over an SBU pattern
+    patterns: {
+      type: [{
+        scope: { type: String, enum: ['SBU', 'TEMPLATE'], required: true },
+        value: { type: String, required: true, trim: true }, // SBU name or template id
+        prefix: { type: String, required: true, trim: true },
+        includeYear: { type: Boolean, default: true },
+        padding: { type: Number, default: 4, min: 1, max: 10 },
+        resetYearly: { type: Boolean, default: true }
+      }],
+      default: []
+    }
+  },
+
+  // PMOps Assignment Queue
+  assignment: {
+    enabled: { type: Boolean, default: false },
+    strategy: {
+      type: String,
+      enum: ['ROUND_ROBIN', 'LEAST_LOADED'],
+      default: 'ROUND_ROBIN'
+    },
+    defaultCapacity: { type: Number, default: 10, min: 0 } // Open tickets per user; 0 = unlimited
+  },
+
+  // Status SLA Targets & Escalation
+  sla: {
+    enabled: { type: Boolean, default: false },
+    checkIntervalMinutes: { type: Number, default: 15, min: 1 },
+    atRiskPercent: { type: Number, default: 75, min: 1, max: 100 }, // % of target elapsed before a ticket is at risk
+    targets: {
+      type: [{
+        sbu: { type: String, default: '' }, // Empty = applies to all SBUs
+        status: { type: String, required: true, uppercase: true, trim: true },
+        targetHours: { type: Number, required: true, min: 1 }
+      }],
+      default: [
+        { sbu: '', status: 'SUBMITTED', targetHours: 48 },
+        { sbu: '', status: 'IN_PROCESS', targetHours: 240 }
+      ]
+    },
+    escalation: {
+      notifyTeams: { type: Boolean, default: true },
+      notifyEmail: { type: Boolean, default: true },
+      notifyAssignee: { type: Boolean, default: true },
+      emailRecipients: { type: [String], default: [] } // Additional escalation contacts
+    }
+  },
+
+  // Reminders for stale drafts, stuck tickets and overdue milestones (see reminderService)
+  reminders: {
+    enabled: { type: Boolean, default: false },
+    checkIntervalMinutes: { type: Number, default: 60, min: 5 },
+    staleDraftDays: { type: Number, default: 7, min: 0 }, // 0 = no draft reminders
+    stuckStatusDays: { type: Number, default: 14, min: 0 }, // 0 = no stuck ticket reminders
+    overdueMilestones: { type: Boolean, default: true },
+    repeatEveryDays: { type: Number, default: 3, min: 1 } // Before the same reminder is sent again
+  },
+
+  // Daily digest and weekly report emails (see digestService); users opt in under Preferences
+  digests: {
+    enabled: { type: Boolean, default: false },
+    sendHour: { type: Number, default: 8, min: 0, max: 23 }, // Local hour in each user's display timezone
+    weeklyDay: { type: Number, default: 1, min: 0, max: 6 } // 0 = Sunday
+  },
+
+  // Approval sign-offs required before a status (see approvalService)
+  approvals: {
+    enabled: { type: Boolean, default: false },
+    requiredForStatus: { type: String, default: 'NPDI_INITIATED', uppercase: true, trim: true },
+    sequential: { type: Boolean, default: false }, // Each stage waits for the previous one
+    stages: {
+      type: [{
+        key: { type: String, required: true, uppercase: true, trim: true },
+        label: { type: String, required: true, trim: true },
+        approverRole: { type: String, required: true, uppercase: true, trim: true }, // User role or approval role
+        sbu: { type: String, default: '' } // Empty = applies to all SBUs
+      }],
+      default: [
+        { key: 'REGULATORY', label: 'Regulatory', approverRole: 'REGULATORY', sbu: '' },
+        { key: 'QC', label: 'Quality Control', approverRole: 'QC', sbu: '' },
+        { key: 'SUPPLY_CHAIN', label: 'Supply Chain', approverRole: 'SUPPLY_CHAIN', sbu: '' },
+        { key: 'SBU_HEAD', label: 'SBU Head', approverRole: 'SBU_HEAD', sbu: '' }
+      ]
+    }
+  },
+
   // Integrations
   integrations: {
     pubchem: {
@@ -30,7 +125,9 @@ const systemSettingsSchema = new mongoose.Schema({
       notifyOnStatusChange: { type: Boolean, default: true },
       notifyOnTicketCreated: { type: Boolean, default: false },
       notifyOnCommentAdded: { type: Boolean, default: false },
-      notifyOnAssignment: { type: Boolean, default: false }
+      notifyOnAssignment: { type: Boolean, default: false },
+      notifyOnSlaBreach: { type: Boolean, default: true },
+      notifyOnReminder: { type: Boolean, default: false }
     },
     langdock: {
       enabled: { type: Boolean, default: false },
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One field that changed in an edit
+const fieldChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,  // Dot-notated ticket path, e.g. quality.attributes.2.valueRange
+    required: true
+  },
+  context: String,  // Readable location for array items, e.g. quality.attributes[Purity].valueRange
+  oldValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Structured diff of a single ticket edit (see ticketHistoryService)
+const ticketChangeSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductTicket',
+    required: true
+  },
+  ticketNumber: String,  // Ticket number at the time of the edit
+  changes: [fieldChangeSchema],
+  source: {
+    type: String,
+    enum: ['EDIT', 'REVERT'],
+    default: 'EDIT'
+  },
+  revertOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TicketChange'  // Edit that a REVERT undid
+  },
+  changedBy: {
+    type: String  // Email address from profile
+  },
+  userInfo: {
+    firstName: String,
+    lastName: String,
+    role: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Ticket history tab, newest first
+ticketChangeSchema.index({ ticket: 1, createdAt: -1 });
+// "Who changed this field" lookups
+ticketChangeSchema.index({ ticket: 1, 'changes.path': 1 });
+
+module.exports = mongoose.model('TicketChange', ticketChangeSchema);
@@ -27,6 +27,11 @@ const ticketTemplateSchema = new mongoose.Schema({
     type: [String],  // Array of fieldKeys that are required for submission
     default: []
   },
+  workflow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workflow',  // Status workflow for tickets created from this template (falls back to the default workflow)
+    required: false
+  },
   createdBy: {
     type: String,  // Email address from profile
     default: 'system'
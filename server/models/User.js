@@ -45,6 +45,35 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Approval stages this user may sign off (matched against SystemSettings.approvals.stages[].approverRole)
+  approvalRoles: {
+    type: [{ type: String, uppercase: true, trim: true }],
+    default: []
+  },
+  // PMOps assignment queue settings (see assignmentService)
+  assignment: {
+    sbus: {
+      type: [String],  // Ticket SBU codes this user handles (e.g., "P90"); empty = all SBUs
+      default: []
+    },
+    capacity: {
+      type: Number,  // Max open tickets assigned at once; unset = SystemSettings default, 0 = unlimited
+      min: 0
+    },
+    acceptingTickets: {
+      type: Boolean,
+      default: true
+    },
+    lastAssignedAt: {
+      type: Date  // Round-robin position: the user assigned longest ago goes next
+    },
+    outOfOffice: {
+      enabled: { type: Boolean, default: false },
+      startDate: Date,
+      endDate: Date,
+      delegateTo: { type: String, lowercase: true, trim: true }  // Email of the PMOps user covering
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,5 +1,70 @@
 const mongoose = require('mongoose');
 
+// Named ticket list filters (see savedSearchService)
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  filters: {
+    status: [{ type: String }],
+    sbu: [{ type: String }],
+    priority: [{ type: String }],
+    slaState: [{ type: String }],
+    assignedTo: { type: String },  // Email, 'me' or 'unassigned'
+    createdBy: { type: String },   // Email or 'me'
+    dateField: {
+      type: String,
+      enum: ['createdAt', 'updatedAt', 'launchTimeline.targetLaunchDate'],
+      default: 'createdAt'
+    },
+    dateFrom: { type: Date },
+    dateTo: { type: Date },
+    search: { type: String, trim: true }
+  },
+  sharing: {
+    scope: {
+      type: String,
+      enum: ['PRIVATE', 'TEAM', 'EVERYONE'],
+      default: 'PRIVATE'
+    },
+    // Owner's team when the search was shared: users with this role (and SBU, when set) see it
+    role: { type: String },
+    sbu: { type: String },
+    ownerName: { type: String }
+  }
+}, {
+  timestamps: true
+});
+
+// Token-authenticated iCalendar feeds (see calendarFeedService); only the token hash is stored
+const calendarFeedSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['PERSONAL', 'SBU'],
+    required: true
+  },
+  sbu: { type: String },  // Ticket SBU code, for SBU feeds
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  tokenPrefix: { type: String },  // First characters, so the user can tell feeds apart
+  lastUsedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Never send the token hash to the client
+calendarFeedSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
 const userPreferencesSchema = new mongoose.Schema({
   userId: {
     type: String,  // Email address from profile
@@ -51,7 +116,14 @@ const userPreferencesSchema = new mongoose.Schema({
       newTicket: { type: Boolean, default: false },
       statusChange: { type: Boolean, default: true },
       comments: { type: Boolean, default: true },
-      assignments: { type: Boolean, default: true }
+      assignments: { type: Boolean, default: true },
+      approvals: { type: Boolean, default: true }
+    },
+    // No reminder emails between start and end (HH:MM in the display timezone); they go out after
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '18:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      end: { type: String, default: '08:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ }
     }
   },
 
@@ -113,11 +185,38 @@ const userPreferencesSchema = new mongoose.Schema({
     showDeveloperInfo: { type: Boolean, default: false },
     enableExperimentalFeatures: { type: Boolean, default: false },
     compactMode: { type: Boolean, default: false }
+  },
+
+  // Saved ticket searches; managed through /api/user-preferences/saved-searches
+  savedSearches: {
+    type: [savedSearchSchema],
+    default: []
+  },
+  // Saved searches shown as tabs on the ticket list, in tab order (own or shared with the user)
+  pinnedSearches: [{ type: mongoose.Schema.Types.ObjectId }],
+
+  // Calendar feed tokens; managed through /api/calendar/feeds
+  calendarFeeds: {
+    type: [calendarFeedSchema],
+    default: []
+  },
+
+  // Last digests sent (see digestService); written by the scheduler only
+  digestState: {
+    dailyFor: String,  // Local date (YYYY-MM-DD) of the last daily digest
+    dailySentAt: Date,
+    weeklyFor: String,
+    weeklySentAt: Date
   }
 }, {
   timestamps: true
 });
 
+// Shared saved search lookup
+userPreferencesSchema.index({ 'savedSearches.sharing.scope': 1 });
+// Calendar feed token lookup
+userPreferencesSchema.index({ 'calendarFeeds.tokenHash': 1 });
+
 // Get or create user preferences
 userPreferencesSchema.statics.getOrCreate = async function(userId) {
   let preferences = await this.findOne({ userId });
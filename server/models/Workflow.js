@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['PRODUCT_MANAGER', 'PM_OPS', 'ADMIN'];
+
+const workflowStateSchema = new mongoose.Schema({
+  key: {
+    type: String,  // Status value stored on ProductTicket.status (e.g., "IN_PROCESS")
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  color: {
+    type: String,
+    default: 'gray'  // Tailwind color name used by status badges
+  },
+  isTerminal: {
+    type: Boolean,
+    default: false  // Terminal states archive the ticket (e.g., COMPLETED, CANCELED)
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const workflowTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  to: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  label: {
+    type: String,  // Action name shown in the UI (e.g., "Start Processing")
+    required: true
+  },
+  allowedRoles: {
+    type: [String],
+    enum: ROLES,
+    default: ROLES
+  },
+  requiredFields: {
+    type: [String],  // Dot-notated ticket field paths that must be filled before the transition
+    default: []
+  },
+  requireReason: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  initialState: {
+    type: String,
+    required: true,
+    uppercase: true,
+    default: 'DRAFT'
+  },
+  states: {
+    type: [workflowStateSchema],
+    validate: {
+      validator: (states) => Array.isArray(states) && states.length > 0,
+      message: 'A workflow must define at least one state'
+    }
+  },
+  transitions: {
+    type: [workflowTransitionSchema],
+    default: []
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,  // Email address from profile
+    default: 'system'
+  },
+  updatedBy: {
+    type: String,  // Email address from profile
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Transitions must reference states that exist in this workflow
+workflowSchema.pre('validate', function(next) {
+  const stateKeys = new Set((this.states || []).map(state => state.key));
+
+  if (this.initialState && !stateKeys.has(this.initialState)) {
+    this.invalidate('initialState', `Initial state "${this.initialState}" is not defined in states`);
+  }
+
+  (this.transitions || []).forEach((transition, index) => {
+    if (!stateKeys.has(transition.from)) {
+      this.invalidate(`transitions.${index}.from`, `Unknown state "${transition.from}"`);
+    }
+    if (!stateKeys.has(transition.to)) {
+      this.invalidate(`transitions.${index}.to`, `Unknown state "${transition.to}"`);
+    }
+  });
+
+  next();
+});
+
+workflowSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Ensure only one default workflow
+workflowSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await mongoose.model('Workflow').updateMany(
+      { _id: { $ne: this._id } },
+      { isDefault: false }
+    );
+  }
+  next();
+});
+
+// Default NPDI lifecycle: DRAFT → SUBMITTED → IN_PROCESS → NPDI_INITIATED → COMPLETED/CANCELED
+const DEFAULT_WORKFLOW = {
+  name: 'Standard NPDI Workflow',
+  description: 'Default ticket lifecycle from draft through NPDI initiation and completion',
+  initialState: 'DRAFT',
+  isDefault: true,
+  states: [
+    { key: 'DRAFT', label: 'Draft', color: 'blue', order: 1 },
+    { key: 'SUBMITTED', label: 'Submitted', color: 'purple', order: 2 },
+    { key: 'IN_PROCESS', label: 'In Process', color: 'yellow', order: 3 },
+    { key: 'NPDI_INITIATED', label: 'NPDI Initiated', color: 'orange', order: 4 },
+    { key: 'COMPLETED', label: 'Completed', color: 'green', isTerminal: true, order: 5 },
+    { key: 'CANCELED', label: 'Canceled', color: 'red', isTerminal: true, order: 6 }
+  ],
+  transitions: [
+    { from: 'DRAFT', to: 'SUBMITTED', label: 'Submit', allowedRoles: ['PRODUCT_MANAGER', 'PM_OPS', 'ADMIN'] },
+    { from: 'DRAFT', to: 'CANCELED', label: 'Cancel', allowedRoles: ['PRODUCT_MANAGER', 'PM_OPS', 'ADMIN'] },
+    { from: 'SUBMITTED', to: 'IN_PROCESS', label: 'Start Processing', allowedRoles: ['PM_OPS', 'ADMIN'] },
+    { from: 'SUBMITTED', to: 'DRAFT', label: 'Return for Revision', allowedRoles: ['PM_OPS', 'ADMIN'], requireReason: true },
+    { from: 'SUBMITTED', to: 'CANCELED', label: 'Cancel', allowedRoles: ['PM_OPS', 'ADMIN'], requireReason: true },
+    {
+      from: 'IN_PROCESS',
+      to: 'NPDI_INITIATED',
+      label: 'Initiate NPDI',
+      allowedRoles: ['PM_OPS', 'ADMIN'],
+      requiredFields: ['partNumber.baseNumber', 'npdiTracking.trackingNumber']
+    },
+    { from: 'IN_PROCESS', to: 'SUBMITTED', label: 'Move Back to Submitted', allowedRoles: ['PM_OPS', 'ADMIN'] },
+    { from: 'IN_PROCESS', to: 'DRAFT', label: 'Return for Revision', allowedRoles: ['PM_OPS', 'ADMIN'], requireReason: true },
+    { from: 'IN_PROCESS', to: 'CANCELED', label: 'Cancel', allowedRoles: ['PM_OPS', 'ADMIN'], requireReason: true },
+    { from: 'NPDI_INITIATED', to: 'COMPLETED', label: 'Mark Completed', allowedRoles: ['PM_OPS', 'ADMIN'] },
+    { from: 'NPDI_INITIATED', to: 'IN_PROCESS', label: 'Reopen', allowedRoles: ['ADMIN'], requireReason: true },
+    { from: 'COMPLETED', to: 'IN_PROCESS', label: 'Reopen', allowedRoles: ['ADMIN'], requireReason: true },
+    { from: 'CANCELED', to: 'DRAFT', label: 'Restore as Draft', allowedRoles: ['PM_OPS', 'ADMIN'], requireReason: true }
+  ]
+};
+
+// Get the default workflow, creating it from the built-in definition if none exists
+workflowSchema.statics.getDefaultWorkflow = async function() {
+  let workflow = await this.findOne({ isDefault: true, isActive: true });
+  if (!workflow) {
+    workflow = await this.findOne({ name: DEFAULT_WORKFLOW.name });
+    if (!workflow) {
+      try {
+        workflow = await this.create(DEFAULT_WORKFLOW);
+      } catch (error) {
+        // Another request created it concurrently
+        if (error.code !== 11000) throw error;
+        workflow = await this.findOne({ name: DEFAULT_WORKFLOW.name });
+      }
+    }
+  }
+  return workflow;
+};
+
+// Find a state definition by key
+workflowSchema.methods.getState = function(stateKey) {
+  return this.states.find(state => state.key === stateKey) || null;
+};
+
+// Find the transition between two states, if one is defined
+workflowSchema.methods.getTransition = function(fromState, toState) {
+  return this.transitions.find(t => t.from === fromState && t.to === toState) || null;
+};
+
+// Get all transitions leaving a state that the given role may perform
+workflowSchema.methods.getTransitionsFrom = function(fromState, role) {
+  return this.transitions.filter(t =>
+    t.from === fromState && (!role || t.allowedRoles.includes(role))
+  );
+};
+
+module.exports = mongoose.model('Workflow', workflowSchema);
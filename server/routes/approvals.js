@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { getApprovalQueue } = require('../controllers/approvalController');
+
+router.get('/queue', protect, getApprovalQueue);
+
+module.exports = router;
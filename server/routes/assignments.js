@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const {
+  getQueue,
+  updateUserAssignment
+} = require('../controllers/assignmentController');
+
+router.get('/queue', protect, getQueue);
+
+// Admins manage SBU coverage and capacity; PMOps users may set their own availability
+router.put('/users/:email', protect, [
+  body('sbus').optional().isArray().withMessage('SBUs must be an array'),
+  body('capacity').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0 }).withMessage('Capacity must be 0 or more'),
+  body('acceptingTickets').optional().isBoolean(),
+  body('outOfOffice.enabled').optional().isBoolean()
+], updateUserAssignment);
+
+module.exports = router;
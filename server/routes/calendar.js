@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed
+} = require('../controllers/calendarController');
+
+// iCalendar subscription URL; the token authenticates, so this route comes before protect
+router.get('/feed/:token.ics', getCalendarFeed);
+
+// Feed management requires authentication
+router.use(protect);
+
+router.route('/feeds')
+  .get(getCalendarFeeds)
+  .post(createCalendarFeed);
+router.delete('/feeds/:feedId', revokeCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getNotifications,
+  streamNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/stream', streamNotifications);
+router.post('/read-all', markAllNotificationsRead);
+router.patch('/:id/read', markNotificationRead);
+
+module.exports = router;
@@ -1,14 +1,65 @@
 const express = require('express');
+const multer = require('multer');
 const { body } = require('express-validator');
 const productController = require('../controllers/productController');
+const attachmentService = require('../services/attachmentService');
+const { requirePrivilege } = require('../middleware/privileges');
 
 const router = express.Router();
 
+// Ticket imports are parsed in memory; files are never written to disk
+const IMPORT_LIMITS = {
+  fileSize: 10 * 1024 * 1024, // 10MB per file
+  files: 20
+};
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: IMPORT_LIMITS
+});
+
+// Attachments are held in memory only long enough to be streamed into GridFS
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentService.limits.fileSize,
+    files: attachmentService.limits.files
+  }
+});
+
+// Turn multer limit errors into 4xx responses instead of server errors
+const handleUploadLimits = (upload, limits) => (req, res, next) => {
+  upload.array('files', limits.files)(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Files must be ${limits.fileSize / (1024 * 1024)}MB or smaller` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ message: `Upload at most ${limits.files} files at a time` });
+    }
+    next(error);
+  });
+};
+
+const uploadImportFiles = handleUploadLimits(importUpload, IMPORT_LIMITS);
+const uploadAttachments = handleUploadLimits(attachmentUpload, attachmentService.limits);
+
 router.get('/dashboard/stats', productController.getDashboardStats);
 
 // Recent activity endpoint
 router.get('/recent-activity', productController.getRecentActivity);
 
+// Full-text ticket search with facets
+// Query params: q, page, limit, and comma-separated status, sbu, brand, businessLine, priority
+router.get('/search', productController.searchTickets);
+
+// Kanban board: tickets grouped by status, with the transitions each card allows
+// Query params: comma-separated sbu, priority, assignedTo ('unassigned' or emails); closedDays
+router.get('/board', productController.getBoard);
+
+// Launch calendar: target launch dates and milestones due in a range
+// Query params: from, to (ISO dates, at most 400 days apart); comma-separated sbu, brand; includeClosed
+router.get('/launch-calendar', productController.getLaunchCalendar);
+
 // CAS number lookup endpoint
 router.get('/cas-lookup/:casNumber', productController.lookupCAS);
 
@@ -70,6 +121,9 @@ router.post('/draft', [
   }),
 ], productController.saveDraft);
 
+// Bulk draft import from PIF / XLSX / CSV files (dryRun=false to create drafts)
+router.post('/import', uploadImportFiles, productController.importTickets);
+
 router.get('/', productController.getTickets);
 
 router.get('/archived', productController.getArchivedTickets);
@@ -85,14 +139,102 @@ router.put('/:id', [
   body('skuVariants').optional().isArray().withMessage('SKU variants must be an array')
 ], productController.updateTicket);
 
+// Allowed statuses and transitions come from the ticket's workflow (see workflowService)
 router.patch('/:id/status', [
-  body('status').isIn(['DRAFT', 'IN_PROCESS', 'COMPLETED', 'CANCELED']),
-  body('reason').optional().trim()
+  body('status').notEmpty().withMessage('Status is required').trim().toUpperCase(),
+  body('reason').optional().trim(),
+  body('revisionItems').optional().isArray().withMessage('Revision items must be an array')
 ], productController.updateTicketStatus);
 
+// Resolve (or reopen) an item from a return-for-revision checklist
+router.patch('/:id/revisions/:itemId', [
+  body('resolved').isBoolean().withMessage('Resolved must be true or false'),
+  body('note').optional().trim()
+], productController.updateRevisionItem);
+
+// Follow a ticket (its launch dates and milestones appear in the user's calendar feed)
+router.post('/:id/watch', productController.watchTicket);
+router.delete('/:id/watch', productController.unwatchTicket);
+
+// Target launch date and milestones (the milestone list is replaced as a whole)
+router.put('/:id/timeline', productController.updateLaunchTimeline);
+
+// Field-level edit history; revert a whole edit, or only the listed paths
+router.get('/:id/history', productController.getTicketHistory);
+router.post('/:id/history/:changeId/revert', [
+  body('paths').optional().isArray().withMessage('Paths must be an array'),
+  body('force').optional().isBoolean()
+], productController.revertTicketChange);
+
+// Workflow transitions available to the current user for this ticket
+router.get('/:id/transitions', productController.getTicketTransitions);
+
+// Assign to a PMOps user, or set auto=true to route through the assignment queue
+router.patch('/:id/assign', [
+  body('assignedTo').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Assignee must be an email address'),
+  body('auto').optional().isBoolean()
+], productController.assignTicket);
+
+// Copy a ticket's product data into a new draft; sections defaults to all cloneable sections
+router.post('/:id/clone', [
+  body('sections').optional().isArray().withMessage('Sections must be an array'),
+  body('productName').optional().trim()
+], productController.cloneTicket);
+
+// Approval sign-offs required before the approval-gated status (SystemSettings.approvals)
+router.get('/:id/approvals', productController.getTicketApprovals);
+router.post('/:id/approvals/:stageKey', [
+  body('decision').isIn(['APPROVED', 'REJECTED']).withMessage('Decision must be APPROVED or REJECTED'),
+  body('comment').optional().trim()
+], productController.decideTicketApproval);
+
+// Typed links between tickets (PARENT, CHILD, SUPERSEDES, SUPERSEDED_BY, RELATED)
+router.get('/:id/relationships', productController.getTicketRelationships);
+router.post('/:id/relationships', [
+  body('type').notEmpty().withMessage('Relationship type is required').trim().toUpperCase(),
+  body('ticketId').optional().trim(),
+  body('ticketNumber').optional().trim(),
+  body().custom(value => !!(value.ticketId || value.ticketNumber)).withMessage('ticketId or ticketNumber is required'),
+  body('note').optional().trim()
+], productController.addTicketRelationship);
+router.delete('/:id/relationships/:relationshipId', productController.removeTicketRelationship);
+
+// Who else has the ticket open, and soft locks on the sections being edited
+router.post('/:id/presence', [
+  body('editing').optional({ nullable: true }).isIn(['details', 'skus', 'corpbase']).withMessage('Unknown section')
+], productController.updatePresence);
+router.delete('/:id/presence', productController.leavePresence);
+
+// Reviewer flags on individual fields (open/resolved)
+router.get('/:id/annotations', productController.getFieldAnnotations);
+router.post('/:id/annotations', [
+  body('fieldPath').notEmpty().withMessage('Field path is required').trim(),
+  body('fieldLabel').optional().trim(),
+  body('note').notEmpty().withMessage('Note is required').trim()
+], productController.addFieldAnnotation);
+router.patch('/:id/annotations/:annotationId', [
+  body('status').optional().isIn(['OPEN', 'RESOLVED']).withMessage('Status must be OPEN or RESOLVED'),
+  body('resolutionNote').optional().trim(),
+  body('note').optional().trim()
+], productController.updateFieldAnnotation);
+router.delete('/:id/annotations/:annotationId', productController.deleteFieldAnnotation);
+
 router.post('/:id/comments', [
-  body('content').notEmpty().trim()
+  body('content').notEmpty().trim(),
+  body('parentId').optional({ nullable: true }).isMongoId().withMessage('parentId must be a comment id')
 ], productController.addComment);
+router.put('/:id/comments/:commentId', [
+  body('content').notEmpty().trim().withMessage('Comment content is required')
+], productController.editComment);
+router.delete('/:id/comments/:commentId', productController.deleteComment);
+
+router.get('/:id/attachments', requirePrivilege('attachments', 'view'), productController.getAttachments);
+router.post('/:id/attachments', requirePrivilege('attachments', 'edit'), uploadAttachments, [
+  body('category').optional().isIn(attachmentService.categories).withMessage(`Category must be one of: ${attachmentService.categories.join(', ')}`),
+  body('description').optional().trim()
+], productController.uploadAttachments);
+router.get('/:id/attachments/:attachmentId/download', requirePrivilege('attachments', 'view'), productController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', requirePrivilege('attachments', 'edit'), productController.deleteAttachment);
 
 // Export ticket as PDP Checklist
 router.get('/:id/export-pdp', productController.exportPDPChecklist);
@@ -7,7 +7,8 @@ const {
   testSmtpConnection,
   testPubChemConnection,
   testAzureOpenAI,
-  getSettingsSection
+  getSettingsSection,
+  getNumberingCounters
 } = require('../controllers/systemSettingsController');
 
 // All routes require admin authentication
@@ -24,6 +25,9 @@ router.post('/test-smtp', testSmtpConnection);
 router.post('/test-pubchem', testPubChemConnection);
 router.post('/test-azure-openai', testAzureOpenAI);
 
+// Ticket numbering counters
+router.get('/numbering/counters', getNumberingCounters);
+
 // Get specific section
 router.get('/:section', getSettingsSection);
 
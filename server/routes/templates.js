@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const TicketTemplate = require('../models/TicketTemplate');
 const User = require('../models/User');
+const Workflow = require('../models/Workflow');
 const cacheService = require('../services/cacheService');
 
 // Get all templates
@@ -150,4 +151,42 @@ router.patch('/:id/requirements', async (req, res) => {
   }
 });
 
+// Link a status workflow to a template (null unlinks it and falls back to the default workflow)
+router.patch('/:id/workflow', async (req, res) => {
+  try {
+    const templateId = req.params.id;
+    const { workflowId } = req.body;
+
+    const template = await TicketTemplate.findById(templateId);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (workflowId) {
+      const workflow = await Workflow.findOne({ _id: workflowId, isActive: true });
+      if (!workflow) {
+        return res.status(400).json({ message: 'Workflow not found or inactive' });
+      }
+    }
+
+    template.workflow = workflowId || null;
+    template.updatedBy = req.body.updatedBy || 'system';
+    await template.save();
+
+    // Invalidate cache
+    await cacheService.invalidate('templates', 'all');
+    await cacheService.invalidate('templates', 'all-with-users');
+    await cacheService.invalidate('templates', templateId);
+
+    res.json({
+      message: 'Template workflow updated successfully',
+      template: await TicketTemplate.findById(templateId).populate('formConfiguration').lean()
+    });
+  } catch (error) {
+    console.error('Error updating template workflow:', error);
+    res.status(500).json({ message: 'Failed to update template workflow', error: error.message });
+  }
+});
+
 module.exports = router;
@@ -31,6 +31,13 @@ router.get('/templates', ticketApiController.getAvailableTemplates);
 // Get tickets by template ID
 router.get('/template/:templateId', ticketApiController.getTicketsByTemplate);
 
+// Saved searches available to the API key's creator, and running one by name
+router.get('/saved-searches', ticketApiController.getSavedSearches);
+router.get('/saved-searches/:name', ticketApiController.runSavedSearch);
+
+// Full-text search with facets (GET; the POST below is the field filter search)
+router.get('/search', ticketApiController.fullTextSearch);
+
 // Get single ticket by ID
 router.get('/:id', ticketApiController.getTicketById);
 
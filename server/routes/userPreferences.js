@@ -6,7 +6,12 @@ const {
   updateUserPreferences,
   updatePreferenceSection,
   resetPreferences,
-  getPreferenceSection
+  getPreferenceSection,
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  updatePinnedSearches
 } = require('../controllers/userPreferencesController');
 
 // All routes require authentication
@@ -20,6 +25,15 @@ router.route('/')
 // Reset preferences
 router.post('/reset', resetPreferences);
 
+// Saved ticket searches (before /:section so they are not read as a section name)
+router.route('/saved-searches')
+  .get(getSavedSearches)
+  .post(createSavedSearch);
+router.put('/saved-searches/pins', updatePinnedSearches);
+router.route('/saved-searches/:searchId')
+  .put(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
 // Specific section routes
 router.route('/:section')
   .get(getPreferenceSection)
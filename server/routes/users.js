@@ -19,7 +19,8 @@ router.post('/', [
   body('lastName').notEmpty().trim(),
   body('role').isIn(['PRODUCT_MANAGER', 'PM_OPS', 'ADMIN']),
   body('sbu').optional().isIn(['Life Science', 'Process Solutions', 'Electronics', 'Healthcare']),
-  body('isActive').optional().isBoolean()
+  body('isActive').optional().isBoolean(),
+  body('approvalRoles').optional().isArray()
 ], devProfileController.createProfile);
 
 // Update user/profile
@@ -29,7 +30,8 @@ router.put('/:id', [
   body('role').isIn(['PRODUCT_MANAGER', 'PM_OPS', 'ADMIN']),
   body('sbu').optional({ checkFalsy: true }).isIn(['Life Science', 'Process Solutions', 'Electronics', 'Healthcare']),
   body('isActive').optional().isBoolean(),
-  body('templateId').optional({ checkFalsy: true }).isString()
+  body('templateId').optional({ checkFalsy: true }).isString(),
+  body('approvalRoles').optional().isArray()
 ], devProfileController.updateProfile);
 
 // Toggle user/profile active status
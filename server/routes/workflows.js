@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  getWorkflows,
+  getWorkflowById,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow
+} = require('../controllers/workflowController');
+
+// Read access is open so ticket screens can render state labels
+router.get('/', getWorkflows);
+router.get('/:id', getWorkflowById);
+
+// Changes to workflow definitions require admin authentication
+router.post('/', protect, adminOnly, createWorkflow);
+router.put('/:id', protect, adminOnly, updateWorkflow);
+router.delete('/:id', protect, adminOnly, deleteWorkflow);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/npdi-app';
+
+// Tickets created before internalTicketNumber existed: use the number they were created with.
+// For NPDI-initiated tickets that is the previous number recorded in the status history.
+async function syncInternalTicketNumbers() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const tickets = await ProductTicket.find({ internalTicketNumber: { $in: [null, ''] } })
+      .select('ticketNumber statusHistory')
+      .lean();
+    console.log(`Found ${tickets.length} tickets without an internal number`);
+
+    let updated = 0;
+    for (const ticket of tickets) {
+      const initiation = (ticket.statusHistory || []).find(entry =>
+        entry.action === 'NPDI_INITIATED' && entry.details?.previousTicketNumber
+      );
+      const internalTicketNumber = initiation?.details.previousTicketNumber || ticket.ticketNumber;
+      if (!internalTicketNumber) continue;
+
+      // Raw collection update: the field is immutable once set
+      await ProductTicket.collection.updateOne(
+        { _id: ticket._id, internalTicketNumber: { $in: [null, ''] } },
+        { $set: { internalTicketNumber } }
+      );
+      console.log(`  ${ticket.ticketNumber} -> ${internalTicketNumber}`);
+      updated++;
+    }
+
+    console.log(`\n✓ Set ${updated} internal ticket numbers`);
+
+  } catch (error) {
+    console.error('Error syncing internal ticket numbers:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+  }
+}
+
+// Run the sync
+syncInternalTicketNumbers();
@@ -0,0 +1,231 @@
+const ProductTicket = require('../models/ProductTicket');
+const SystemSettings = require('../models/SystemSettings');
+const User = require('../models/User');
+
+// Ticket statuses in which approval stages are open for sign-off
+const APPROVAL_STATUSES = ['SUBMITTED', 'IN_PROCESS'];
+
+class ApprovalService {
+  /**
+   * Get approval settings, or null when approvals are disabled
+   */
+  async getSettings() {
+    const settings = await SystemSettings.getSettings();
+    const approvals = settings.approvals;
+    if (!approvals?.enabled || !approvals.stages?.length) return null;
+    return approvals;
+  }
+
+  /**
+   * Stages that apply to a ticket (all-SBU stages plus stages for its SBU)
+   */
+  getStagesForTicket(ticket, approvalSettings) {
+    return (approvalSettings?.stages || []).filter(stage => !stage.sbu || stage.sbu === ticket.sbu);
+  }
+
+  /**
+   * Whether a user holds a stage's approver role
+   * @param {Object} stage - Approval stage
+   * @param {Object} user - { role, approvalRoles }
+   */
+  isApprover(stage, user) {
+    if (!user) return false;
+    return user.role === stage.approverRole || (user.approvalRoles || []).includes(stage.approverRole);
+  }
+
+  /**
+   * Whether a user may sign off a stage (approvers, plus admins for any stage)
+   */
+  canDecide(stage, user) {
+    return user?.role === 'ADMIN' || this.isApprover(stage, user);
+  }
+
+  /**
+   * Work out the sign-off state of each stage from the ticket's approval log.
+   * Decisions made before the ticket was last returned for revision are ignored
+   * @param {Object} ticket - Ticket document or plain object
+   * @param {Object} approvalSettings - SystemSettings.approvals (enabled)
+   * @returns {Object} { stages, complete, pendingStages, rejectedStages }
+   */
+  getState(ticket, approvalSettings) {
+    const roundStartedAt = ticket.approvalRoundStartedAt ? new Date(ticket.approvalRoundStartedAt) : null;
+    const log = (ticket.approvals || []).filter(entry => !roundStartedAt || new Date(entry.decidedAt) >= roundStartedAt);
+    let previousApproved = true;
+
+    const stages = this.getStagesForTicket(ticket, approvalSettings).map(stage => {
+      const decisions = log.filter(entry => entry.stage === stage.key);
+      const latest = decisions[decisions.length - 1] || null;
+      const status = latest ? latest.decision : 'PENDING';
+      const waiting = approvalSettings.sequential && !previousApproved;
+      previousApproved = previousApproved && status === 'APPROVED';
+
+      return {
+        key: stage.key,
+        label: stage.label,
+        approverRole: stage.approverRole,
+        status,
+        waiting,  // Sequential mode: an earlier stage is not approved yet
+        decision: latest,
+        history: decisions
+      };
+    });
+
+    return {
+      stages,
+      complete: stages.every(stage => stage.status === 'APPROVED'),
+      pendingStages: stages.filter(stage => stage.status !== 'APPROVED'),
+      rejectedStages: stages.filter(stage => stage.status === 'REJECTED')
+    };
+  }
+
+  /**
+   * Check that a ticket has every sign-off needed to move to a status
+   * @param {Object} ticketData - Plain ticket object
+   * @param {string} toStatus - Requested status
+   * @returns {Object|null} Failed validation result, or null when the move is allowed
+   */
+  async checkTransition(ticketData, toStatus) {
+    const approvalSettings = await this.getSettings();
+    if (!approvalSettings || approvalSettings.requiredForStatus !== toStatus) return null;
+
+    const state = this.getState(ticketData, approvalSettings);
+    if (state.complete) return null;
+
+    return {
+      isValid: false,
+      statusCode: 400,
+      error: 'Approvals Pending',
+      message: `Cannot move to ${toStatus} until all approvals are signed off. Outstanding: ${state.pendingStages.map(stage => `${stage.label}${stage.status === 'REJECTED' ? ' (rejected)' : ''}`).join(', ')}`,
+      pendingApprovals: state.pendingStages.map(stage => ({ key: stage.key, label: stage.label, status: stage.status }))
+    };
+  }
+
+  /**
+   * Record an approve/reject decision on a stage (does not save)
+   * @param {Object} ticket - ProductTicket document
+   * @param {string} stageKey - Stage key
+   * @param {Object} data - { decision: 'APPROVED' | 'REJECTED', comment }
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @param {Object} userRecord - User with role and approvalRoles
+   * @returns {Object} { success, statusCode, message, stage }
+   */
+  async decide(ticket, stageKey, { decision, comment }, currentUser, userRecord) {
+    const approvalSettings = await this.getSettings();
+    if (!approvalSettings) {
+      return { success: false, statusCode: 400, message: 'Approvals are not enabled' };
+    }
+
+    if (!APPROVAL_STATUSES.includes(ticket.status)) {
+      return { success: false, statusCode: 400, message: `Approvals cannot be changed while the ticket is ${ticket.status}` };
+    }
+
+    const state = this.getState(ticket, approvalSettings);
+    const stage = state.stages.find(s => s.key === stageKey);
+    if (!stage) {
+      return { success: false, statusCode: 404, message: `Approval stage ${stageKey} does not apply to this ticket` };
+    }
+
+    if (!this.canDecide(stage, userRecord)) {
+      return { success: false, statusCode: 403, message: `Only ${stage.approverRole} approvers can sign off ${stage.label}` };
+    }
+
+    if (stage.waiting) {
+      return { success: false, statusCode: 400, message: `${stage.label} is waiting for earlier approval stages` };
+    }
+
+    if (decision === 'REJECTED' && !comment?.trim()) {
+      return { success: false, statusCode: 400, message: 'A comment is required to reject' };
+    }
+
+    ticket.approvals.push({
+      stage: stage.key,
+      stageLabel: stage.label,
+      decision,
+      comment: comment?.trim() || undefined,
+      decidedBy: currentUser.email || null,
+      userInfo: {
+        firstName: currentUser.firstName,
+        lastName: currentUser.lastName,
+        role: currentUser.role
+      }
+    });
+
+    ticket.statusHistory.push({
+      status: ticket.status,
+      changedBy: null,
+      reason: `${stage.label} ${decision === 'APPROVED' ? 'approved' : 'rejected'} by ${currentUser.firstName} ${currentUser.lastName}${comment?.trim() ? `: ${comment.trim()}` : ''}`,
+      action: 'APPROVAL_DECISION',
+      userInfo: currentUser,
+      details: {
+        stage: stage.key,
+        decision
+      }
+    });
+
+    // Sequential mode: stages this decision opened up for sign-off
+    const unblockedStages = this.getState(ticket, approvalSettings).stages
+      .filter(s => !s.waiting && state.stages.find(before => before.key === s.key)?.waiting)
+      .map(s => s.key);
+
+    return { success: true, stage, unblockedStages };
+  }
+
+  /**
+   * Active users who can sign off the ticket's open stages, with the stages waiting on each
+   * Admins are not asked unless they hold the approver role
+   * @param {Object} ticket - Ticket document or plain object
+   * @param {string[]} stageKeys - Only these stages (default: every open stage)
+   * @returns {Array} [{ email, stages: [label] }]
+   */
+  async getPendingApprovers(ticket, stageKeys = null) {
+    const approvalSettings = await this.getSettings();
+    if (!approvalSettings || !APPROVAL_STATUSES.includes(ticket.status)) return [];
+
+    const stages = this.getState(ticket, approvalSettings).stages.filter(stage =>
+      stage.status !== 'APPROVED' && !stage.waiting && (!stageKeys || stageKeys.includes(stage.key))
+    );
+    if (stages.length === 0) return [];
+
+    const roles = [...new Set(stages.map(stage => stage.approverRole))];
+    const users = await User.find({
+      isActive: true,
+      $or: [{ role: { $in: roles } }, { approvalRoles: { $in: roles } }]
+    }).select('email role approvalRoles').lean();
+
+    return users
+      .map(user => ({
+        email: user.email,
+        stages: stages.filter(stage => this.isApprover(stage, user)).map(stage => stage.label)
+      }))
+      .filter(request => request.stages.length > 0);
+  }
+
+  /**
+   * Tickets waiting on a sign-off from one of the user's approver roles
+   * @param {Object} userRecord - User with role and approvalRoles
+   * @param {Object} filter - Extra ticket filter (e.g. SBU access)
+   * @returns {Array} [{ ticket, stages }] oldest first
+   */
+  async getQueue(userRecord, filter = {}) {
+    const approvalSettings = await this.getSettings();
+    if (!approvalSettings) return [];
+
+    const tickets = await ProductTicket.find({ ...filter, status: { $in: APPROVAL_STATUSES } })
+      .select('ticketNumber productName status priority sbu assignedTo createdBy createdAt updatedAt approvals approvalRoundStartedAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return tickets
+      .map(ticket => {
+        const state = this.getState(ticket, approvalSettings);
+        const stages = state.stages.filter(stage =>
+          stage.status !== 'APPROVED' && !stage.waiting && this.isApprover(stage, userRecord)
+        );
+        const { approvals, approvalRoundStartedAt, ...summary } = ticket;
+        return { ticket: summary, stages };
+      })
+      .filter(item => item.stages.length > 0);
+  }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,316 @@
+const ProductTicket = require('../models/ProductTicket');
+const User = require('../models/User');
+const SystemSettings = require('../models/SystemSettings');
+const workflowService = require('./workflowService');
+const teamsNotificationService = require('./teamsNotificationService');
+const emailNotificationService = require('./emailNotificationService');
+const notificationService = require('./notificationService');
+
+// Maximum number of out-of-office delegation hops to follow
+const MAX_DELEGATION_DEPTH = 3;
+
+const SYSTEM_USER = {
+  firstName: 'Assignment',
+  lastName: 'Queue',
+  email: 'system',
+  role: 'System'
+};
+
+class AssignmentService {
+  /**
+   * Check whether a user is out of office at the given time
+   * @param {Object} user - Plain User object
+   * @param {Date} now - Time to check
+   */
+  isOutOfOffice(user, now = new Date()) {
+    const ooo = user.assignment?.outOfOffice;
+    if (!ooo?.enabled) return false;
+    if (ooo.startDate && now < new Date(ooo.startDate)) return false;
+    if (ooo.endDate && now > new Date(ooo.endDate)) return false;
+    return true;
+  }
+
+  /**
+   * Count open (non-terminal) tickets assigned to each user
+   * @param {string[]} emails - Users to count
+   * @returns {Map<string, number>} email → open ticket count
+   */
+  async getOpenLoad(emails) {
+    const terminalStates = await workflowService.getTerminalStates();
+    const counts = await ProductTicket.aggregate([
+      { $match: { assignedTo: { $in: emails }, status: { $nin: terminalStates } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+
+    const load = new Map(emails.map(email => [email, 0]));
+    counts.forEach(item => load.set(item._id, item.count));
+    return load;
+  }
+
+  /**
+   * Get the capacity limit for a user (0 = unlimited)
+   */
+  getCapacity(user, assignmentSettings) {
+    const capacity = user.assignment?.capacity;
+    return capacity !== undefined && capacity !== null ? capacity : (assignmentSettings?.defaultCapacity ?? 0);
+  }
+
+  /**
+   * Follow out-of-office delegation to the user who should actually receive work
+   * @param {Object} user - User the queue selected
+   * @param {Map} usersByEmail - All active PMOps users keyed by email
+   * @param {Date} now - Time to check
+   * @returns {Object|null} User to assign, or null if nobody in the chain is available
+   */
+  resolveDelegate(user, usersByEmail, now = new Date()) {
+    let current = user;
+    const visited = new Set();
+
+    for (let depth = 0; depth <= MAX_DELEGATION_DEPTH; depth++) {
+      if (!this.isOutOfOffice(current, now)) {
+        return current;
+      }
+
+      visited.add(current.email);
+      const delegateEmail = current.assignment?.outOfOffice?.delegateTo;
+      const delegate = delegateEmail && usersByEmail.get(delegateEmail);
+      if (!delegate || visited.has(delegate.email)) {
+        return null;
+      }
+      current = delegate;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the PMOps users who cover an SBU
+   * @param {Array} users - Active PMOps users
+   * @param {string} sbu - Ticket SBU code
+   */
+  getUsersForSbu(users, sbu) {
+    return users.filter(user => {
+      const sbus = user.assignment?.sbus || [];
+      return sbus.length === 0 || sbus.includes(sbu);
+    });
+  }
+
+  /**
+   * Pick the PMOps user a ticket should be routed to
+   * @param {Object} ticket - Ticket (only `sbu` is read)
+   * @param {Object} assignmentSettings - SystemSettings.assignment
+   * @returns {Object|null} { assignee, selected, delegated, load, capacity, strategy }
+   */
+  async selectAssignee(ticket, assignmentSettings) {
+    const now = new Date();
+    const strategy = assignmentSettings?.strategy || 'ROUND_ROBIN';
+
+    const users = await User.find({
+      role: 'PM_OPS',
+      isActive: true,
+      'assignment.acceptingTickets': { $ne: false }
+    }).lean();
+
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+    const candidates = this.getUsersForSbu(users, ticket.sbu);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const load = await this.getOpenLoad(users.map(user => user.email));
+
+    // Each candidate holds a queue slot; out-of-office users pass theirs to a delegate
+    const options = candidates
+      .map(selected => {
+        const assignee = this.resolveDelegate(selected, usersByEmail, now);
+        if (!assignee) return null;
+
+        const capacity = this.getCapacity(assignee, assignmentSettings);
+        const openTickets = load.get(assignee.email) || 0;
+        if (capacity > 0 && openTickets >= capacity) return null;
+
+        return { selected, assignee, load: openTickets, capacity };
+      })
+      .filter(Boolean);
+
+    if (options.length === 0) {
+      return null;
+    }
+
+    const lastAssigned = (user) => user.assignment?.lastAssignedAt ? new Date(user.assignment.lastAssignedAt).getTime() : 0;
+
+    options.sort((a, b) => {
+      if (strategy === 'LEAST_LOADED' && a.load !== b.load) {
+        return a.load - b.load;
+      }
+      return lastAssigned(a.selected) - lastAssigned(b.selected);
+    });
+
+    const choice = options[0];
+    return {
+      ...choice,
+      delegated: choice.assignee.email !== choice.selected.email,
+      strategy
+    };
+  }
+
+  /**
+   * Assign a ticket and record it in the activity history
+   * Does not save the ticket
+   * @param {Object} ticket - ProductTicket document
+   * @param {string} assigneeEmail - Email of the new assignee (empty to unassign)
+   * @param {Object} assignedBy - User info ({ firstName, lastName, email, role })
+   * @param {Object} details - Extra history details (strategy, delegation)
+   * @returns {string|null} Previous assignee
+   */
+  applyAssignment(ticket, assigneeEmail, assignedBy, details = {}) {
+    const previousAssignee = ticket.assignedTo || null;
+    ticket.assignedTo = assigneeEmail || undefined;
+
+    let reason;
+    if (!assigneeEmail) {
+      reason = `Ticket unassigned from ${previousAssignee} by ${assignedBy.firstName} ${assignedBy.lastName}`;
+    } else if (previousAssignee) {
+      reason = `Ticket reassigned from ${previousAssignee} to ${assigneeEmail} by ${assignedBy.firstName} ${assignedBy.lastName}`;
+    } else {
+      reason = `Ticket assigned to ${assigneeEmail} by ${assignedBy.firstName} ${assignedBy.lastName}`;
+    }
+    if (details.delegatedFrom) {
+      reason += ` (covering for ${details.delegatedFrom}, out of office)`;
+    }
+
+    ticket.statusHistory.push({
+      status: ticket.status,
+      changedBy: assignedBy.email || null,
+      reason,
+      action: 'TICKET_ASSIGNMENT',
+      userInfo: {
+        firstName: assignedBy.firstName,
+        lastName: assignedBy.lastName,
+        role: assignedBy.role
+      },
+      details: {
+        previousAssignee,
+        newAssignee: assigneeEmail || null,
+        ...details
+      }
+    });
+
+    return previousAssignee;
+  }
+
+  /**
+   * Send assignment notifications through Teams, in-app and to the assignee by email
+   */
+  async notifyAssignment(ticket, assigneeEmail, assignedBy) {
+    if (!assigneeEmail) return;
+
+    const notifications = [
+      teamsNotificationService.notifyAssignment(ticket, assigneeEmail, assignedBy),
+      notificationService.notifyAssignment(ticket, assigneeEmail, assignedBy)
+    ];
+
+    if (await emailNotificationService.isEnabledForUser(assigneeEmail, 'assignments')) {
+      notifications.push(emailNotificationService.sendEmail({
+        to: assigneeEmail,
+        subject: `👤 Ticket ${ticket.ticketNumber} assigned to you`,
+        html: emailNotificationService.formatTicketEmail({
+          heading: '👤 Ticket Assigned',
+          message: `${ticket.ticketNumber} has been assigned to you by ${assignedBy.firstName} ${assignedBy.lastName}.`,
+          ticket
+        })
+      }));
+    }
+
+    await Promise.allSettled(notifications);
+  }
+
+  /**
+   * Route a newly submitted ticket through the assignment queue
+   * Skips tickets that already have an assignee unless `force` is set
+   * @param {Object} ticket - ProductTicket document (saved)
+   * @param {Object} options - { force, assignedBy }
+   * @returns {Object} { assigned, assignedTo, reason }
+   */
+  async autoAssign(ticket, { force = false, assignedBy = SYSTEM_USER } = {}) {
+    const settings = await SystemSettings.getSettings();
+    const assignmentSettings = settings.assignment;
+
+    if (!force && !assignmentSettings?.enabled) {
+      return { assigned: false, reason: 'Automatic assignment disabled' };
+    }
+    if (!force && ticket.assignedTo) {
+      return { assigned: false, reason: 'Ticket already assigned' };
+    }
+
+    const selection = await this.selectAssignee(ticket, assignmentSettings);
+    if (!selection) {
+      console.log(`No available PMOps user for ticket ${ticket.ticketNumber} (SBU ${ticket.sbu})`);
+      return { assigned: false, reason: `No available PMOps user for SBU ${ticket.sbu}` };
+    }
+
+    const { assignee, selected, delegated, load, capacity, strategy } = selection;
+
+    if (assignee.email === ticket.assignedTo) {
+      return { assigned: false, reason: 'Queue selected the current assignee', assignedTo: assignee.email };
+    }
+
+    this.applyAssignment(ticket, assignee.email, assignedBy, {
+      strategy,
+      openTickets: load,
+      capacity: capacity || 'unlimited',
+      ...(delegated && { delegatedFrom: selected.email })
+    });
+    await ticket.save();
+
+    // Advance the round-robin position for the queue slot (and the delegate who took the work)
+    const now = new Date();
+    await User.updateMany(
+      { email: { $in: [...new Set([selected.email, assignee.email])] } },
+      { $set: { 'assignment.lastAssignedAt': now } }
+    );
+
+    await this.notifyAssignment(ticket, assignee.email, assignedBy);
+
+    console.log(`Ticket ${ticket.ticketNumber} assigned to ${assignee.email} (${strategy}${delegated ? `, delegated from ${selected.email}` : ''})`);
+    return { assigned: true, assignedTo: assignee.email, delegatedFrom: delegated ? selected.email : null };
+  }
+
+  /**
+   * Get the PMOps queue with each user's settings, open load and availability
+   * @returns {Object} { settings, users }
+   */
+  async getQueue() {
+    const settings = await SystemSettings.getSettings();
+    const assignmentSettings = settings.assignment;
+    const now = new Date();
+
+    const users = await User.find({ role: 'PM_OPS' })
+      .select('email firstName lastName isActive assignment')
+      .sort({ lastName: 1, firstName: 1 })
+      .lean();
+
+    const load = await this.getOpenLoad(users.map(user => user.email));
+
+    return {
+      settings: assignmentSettings,
+      users: users.map(user => {
+        const capacity = this.getCapacity(user, assignmentSettings);
+        const openTickets = load.get(user.email) || 0;
+
+        let availability = 'AVAILABLE';
+        if (!user.isActive || user.assignment?.acceptingTickets === false) {
+          availability = 'PAUSED';
+        } else if (this.isOutOfOffice(user, now)) {
+          availability = 'OUT_OF_OFFICE';
+        } else if (capacity > 0 && openTickets >= capacity) {
+          availability = 'AT_CAPACITY';
+        }
+
+        return { ...user, capacity, openTickets, availability };
+      })
+    };
+  }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,207 @@
+const path = require('path');
+const mongoose = require('mongoose');
+
+// GridFS bucket holding attachment contents (ticketAttachments.files / ticketAttachments.chunks)
+const BUCKET_NAME = 'ticketAttachments';
+
+const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25MB per file
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_ATTACHMENTS_PER_TICKET = 50;
+
+const CATEGORIES = ['COA', 'SDS', 'SPEC', 'OTHER'];
+
+// Allowed extensions and the MIME types browsers report for them (first entry is stored).
+// Structure files are often sent as application/octet-stream, which is accepted for any allowed extension.
+const ALLOWED_FILE_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.gif': ['image/gif'],
+  '.tif': ['image/tiff'],
+  '.tiff': ['image/tiff'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.xls': ['application/vnd.ms-excel'],
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  '.csv': ['text/csv', 'application/vnd.ms-excel', 'text/plain'],
+  '.txt': ['text/plain'],
+  '.mol': ['chemical/x-mdl-molfile', 'text/plain'],
+  '.sdf': ['chemical/x-mdl-sdfile', 'text/plain'],
+  '.cdx': ['chemical/x-cdx'],
+  '.cdxml': ['chemical/x-cdxml', 'application/xml', 'text/xml']
+};
+
+class AttachmentService {
+  get limits() {
+    return {
+      fileSize: MAX_FILE_SIZE,
+      files: MAX_FILES_PER_UPLOAD,
+      perTicket: MAX_ATTACHMENTS_PER_TICKET
+    };
+  }
+
+  get categories() {
+    return CATEGORIES;
+  }
+
+  getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+  }
+
+  /**
+   * Content type to store for an uploaded file, or null when the file type is not allowed
+   * @param {Object} file - Multer file ({ originalname, mimetype })
+   */
+  resolveContentType(file) {
+    const allowed = ALLOWED_FILE_TYPES[path.extname(file.originalname || '').toLowerCase()];
+    if (!allowed) return null;
+    if (allowed.includes(file.mimetype) || file.mimetype === 'application/octet-stream') {
+      return allowed[0];
+    }
+    return null;
+  }
+
+  /**
+   * Human-readable list of allowed extensions for error messages
+   */
+  describeAllowedTypes() {
+    return Object.keys(ALLOWED_FILE_TYPES).join(', ');
+  }
+
+  writeFile(bucket, file, contentType, ticketId) {
+    return new Promise((resolve, reject) => {
+      const stream = bucket.openUploadStream(file.originalname, {
+        contentType,
+        metadata: { ticket: ticketId }
+      });
+      stream.on('error', reject);
+      stream.on('finish', () => resolve(stream.id));
+      stream.end(file.buffer);
+    });
+  }
+
+  async deleteFile(bucket, fileId) {
+    try {
+      await bucket.delete(fileId);
+    } catch (error) {
+      // Already gone (e.g. removed by hand); the ticket reference is what matters
+      if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+    }
+  }
+
+  /**
+   * Store uploaded files in GridFS and attach them to the ticket (saves the ticket)
+   * Files already written are removed again if the ticket cannot be saved
+   * @param {Object} ticket - ProductTicket document
+   * @param {Array} files - Multer files held in memory
+   * @param {Object} data - { category, description }
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @returns {Object} { success, statusCode, message, attachments }
+   */
+  async upload(ticket, files, { category = 'OTHER', description }, currentUser) {
+    if (!files || files.length === 0) {
+      return { success: false, statusCode: 400, message: 'Choose at least one file to upload' };
+    }
+    if (!CATEGORIES.includes(category)) {
+      return { success: false, statusCode: 400, message: `Category must be one of: ${CATEGORIES.join(', ')}` };
+    }
+    if (ticket.attachments.length + files.length > MAX_ATTACHMENTS_PER_TICKET) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `A ticket can hold at most ${MAX_ATTACHMENTS_PER_TICKET} attachments (${ticket.attachments.length} already attached)`
+      };
+    }
+
+    const contentTypes = [];
+    for (const file of files) {
+      const contentType = this.resolveContentType(file);
+      if (!contentType) {
+        return {
+          success: false,
+          statusCode: 415,
+          message: `"${file.originalname}" is not an allowed file type. Allowed: ${this.describeAllowedTypes()}`
+        };
+      }
+      contentTypes.push(contentType);
+    }
+
+    const bucket = this.getBucket();
+    const fileIds = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        const fileId = await this.writeFile(bucket, file, contentTypes[index], ticket._id);
+        fileIds.push(fileId);
+
+        ticket.attachments.push({
+          fileId,
+          filename: file.originalname,
+          contentType: contentTypes[index],
+          size: file.size,
+          category,
+          description: description?.trim() || undefined,
+          uploadedBy: currentUser.email || null,
+          userInfo: {
+            firstName: currentUser.firstName,
+            lastName: currentUser.lastName,
+            role: currentUser.role
+          }
+        });
+      }
+
+      await ticket.save();
+    } catch (error) {
+      await Promise.allSettled(fileIds.map(fileId => this.deleteFile(bucket, fileId)));
+      throw error;
+    }
+
+    return { success: true, attachments: ticket.attachments.slice(-files.length) };
+  }
+
+  /**
+   * Find an attachment on the ticket
+   * @returns {Object|null} The attachment subdocument
+   */
+  findAttachment(ticket, attachmentId) {
+    if (!mongoose.Types.ObjectId.isValid(attachmentId)) return null;
+    return (ticket.attachments || []).find(attachment => attachment._id.equals(attachmentId)) || null;
+  }
+
+  /**
+   * Open a download stream for an attachment
+   * @returns {Object} { success, statusCode, message, attachment, stream }
+   */
+  openDownload(ticket, attachmentId) {
+    const attachment = this.findAttachment(ticket, attachmentId);
+    if (!attachment) {
+      return { success: false, statusCode: 404, message: 'Attachment not found' };
+    }
+
+    return {
+      success: true,
+      attachment,
+      stream: this.getBucket().openDownloadStream(attachment.fileId)
+    };
+  }
+
+  /**
+   * Remove an attachment from the ticket and delete its file (saves the ticket)
+   * @returns {Object} { success, statusCode, message, attachment }
+   */
+  async remove(ticket, attachmentId) {
+    const attachment = this.findAttachment(ticket, attachmentId);
+    if (!attachment) {
+      return { success: false, statusCode: 404, message: 'Attachment not found' };
+    }
+
+    ticket.attachments.pull(attachment._id);
+    await ticket.save();
+    await this.deleteFile(this.getBucket(), attachment.fileId);
+
+    return { success: true, attachment };
+  }
+}
+
+module.exports = new AttachmentService();
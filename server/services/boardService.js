@@ -0,0 +1,169 @@
+const ProductTicket = require('../models/ProductTicket');
+const Workflow = require('../models/Workflow');
+const User = require('../models/User');
+const workflowService = require('./workflowService');
+
+const CARD_FIELDS = [
+  'ticketNumber', 'productName', 'status', 'sbu', 'priority', 'assignedTo', 'template',
+  'createdAt', 'updatedAt', 'launchTimeline.targetLaunchDate',
+  'sla.status', 'sla.state', 'sla.enteredAt', 'sla.dueAt'
+].join(' ');
+
+// Cards loaded per column; the column total is still reported
+const MAX_CARDS_PER_COLUMN = 100;
+// Terminal columns (Completed, Canceled) only show recently closed tickets
+const DEFAULT_CLOSED_DAYS = 14;
+const MAX_CLOSED_DAYS = 365;
+
+const PRIORITY_RANK = { URGENT: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+
+const toList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+class BoardService {
+  /**
+   * Board columns: the default workflow's states in order, followed by states that
+   * only exist in other active workflows
+   * @returns {Array} [{ key, label, color, isTerminal }]
+   */
+  async getColumns() {
+    const defaultWorkflow = await Workflow.getDefaultWorkflow();
+    const workflows = await Workflow.find({ isActive: true, _id: { $ne: defaultWorkflow._id } }).select('states').lean();
+
+    const columns = new Map();
+    [defaultWorkflow.toObject(), ...workflows].forEach(workflow => {
+      [...(workflow.states || [])]
+        .sort((a, b) => a.order - b.order)
+        .forEach(state => {
+          if (!columns.has(state.key)) {
+            columns.set(state.key, {
+              key: state.key,
+              label: state.label,
+              color: state.color,
+              isTerminal: state.isTerminal
+            });
+          }
+        });
+    });
+
+    return [...columns.values()];
+  }
+
+  /**
+   * Tickets grouped by status for the Kanban board
+   * Each card lists the transitions the role may perform, so the board can show which
+   * columns a card can be dropped on; the status endpoint still validates the move.
+   * @param {Object} params - { sbu, priority, assignedTo ('unassigned' or emails), closedDays }
+   * @param {string} role - Role code of the viewer
+   * @param {Object} baseFilter - Extra conditions every ticket must meet (access scope)
+   * @returns {Object} { success, columns, closedDays }
+   */
+  async getBoard(params = {}, role, baseFilter = {}) {
+    const columns = await this.getColumns();
+    const closedDays = Math.min(Math.max(parseInt(params.closedDays) || DEFAULT_CLOSED_DAYS, 1), MAX_CLOSED_DAYS);
+    const closedSince = new Date(Date.now() - closedDays * 24 * 60 * 60 * 1000);
+
+    const filter = { ...baseFilter };
+    const sbu = toList(params.sbu);
+    const priority = toList(params.priority).map(p => p.toUpperCase());
+    const assignedTo = toList(params.assignedTo);
+    if (sbu.length > 0) filter.sbu = { $in: sbu };
+    if (priority.length > 0) filter.priority = { $in: priority };
+    if (assignedTo.length > 0) {
+      const emails = assignedTo.filter(value => value !== 'unassigned');
+      filter.$and = [{
+        $or: [
+          ...(emails.length > 0 ? [{ assignedTo: { $in: emails } }] : []),
+          ...(assignedTo.includes('unassigned') ? [{ assignedTo: { $in: [null, ''] } }] : [])
+        ]
+      }];
+    }
+
+    const results = await Promise.all(columns.map(async column => {
+      const columnFilter = {
+        ...filter,
+        status: column.key,
+        ...(column.isTerminal ? { updatedAt: { $gte: closedSince } } : {})
+      };
+      const [tickets, total] = await Promise.all([
+        ProductTicket.find(columnFilter)
+          .select(CARD_FIELDS)
+          .sort({ updatedAt: -1 })
+          .limit(MAX_CARDS_PER_COLUMN)
+          .lean(),
+        ProductTicket.countDocuments(columnFilter)
+      ]);
+      return { ...column, total, tickets };
+    }));
+
+    const tickets = results.flatMap(column => column.tickets);
+    const [assignees, transitionsByTicket] = await Promise.all([
+      this.getAssigneeNames(tickets),
+      this.getTransitions(tickets, role)
+    ]);
+
+    return {
+      success: true,
+      closedDays,
+      columns: results.map(({ tickets: columnTickets, ...column }) => ({
+        ...column,
+        tickets: columnTickets
+          .map(ticket => ({
+            _id: ticket._id,
+            ticketNumber: ticket.ticketNumber,
+            productName: ticket.productName,
+            status: ticket.status,
+            sbu: ticket.sbu,
+            priority: ticket.priority,
+            assignedTo: ticket.assignedTo || null,
+            assigneeName: ticket.assignedTo ? assignees.get(ticket.assignedTo) || ticket.assignedTo : null,
+            createdAt: ticket.createdAt,
+            updatedAt: ticket.updatedAt,
+            // Age in the column: when the ticket entered its current status (tracked by slaService)
+            statusSince: ticket.sla?.status === ticket.status && ticket.sla.enteredAt ? ticket.sla.enteredAt : ticket.updatedAt,
+            targetLaunchDate: ticket.launchTimeline?.targetLaunchDate || null,
+            slaState: ticket.sla?.state || 'NONE',
+            slaDueAt: ticket.sla?.dueAt || null,
+            transitions: transitionsByTicket.get(ticket._id.toString()) || []
+          }))
+          .sort((a, b) => (PRIORITY_RANK[a.priority] ?? 9) - (PRIORITY_RANK[b.priority] ?? 9))
+      }))
+    };
+  }
+
+  async getAssigneeNames(tickets) {
+    const emails = [...new Set(tickets.map(ticket => ticket.assignedTo).filter(Boolean))];
+    if (emails.length === 0) return new Map();
+
+    const users = await User.find({ email: { $in: emails } }).select('email firstName lastName').lean();
+    return new Map(users.map(user => [user.email, `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email]));
+  }
+
+  /**
+   * Transitions per ticket, resolving each template's workflow once
+   * @returns {Map} ticketId → [{ to, label, requireReason }]
+   */
+  async getTransitions(tickets, role) {
+    const workflows = new Map();
+    const templateIds = [...new Set(tickets.map(ticket => (ticket.template ? ticket.template.toString() : '')))];
+    await Promise.all(templateIds.map(async templateId => {
+      const { workflow } = await workflowService.getWorkflowForTemplate(templateId || null);
+      workflows.set(templateId, workflow);
+    }));
+
+    return new Map(tickets.map(ticket => {
+      const workflow = workflows.get(ticket.template ? ticket.template.toString() : '');
+      const transitions = workflow.getTransitionsFrom(ticket.status, role).map(transition => ({
+        to: transition.to,
+        label: transition.label,
+        requireReason: transition.requireReason
+      }));
+      return [ticket._id.toString(), transitions];
+    }));
+  }
+}
+
+module.exports = new BoardService();
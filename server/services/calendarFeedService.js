@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+const UserPreferences = require('../models/UserPreferences');
+const workflowService = require('./workflowService');
+
+// Roles that may subscribe to every ticket in an SBU
+const SBU_FEED_ROLES = ['PM_OPS', 'ADMIN'];
+const MAX_FEEDS = 10;
+const TOKEN_PREFIX_LENGTH = 8;
+// Events older than this are left out of the feed
+const PAST_DAYS = 180;
+const MAX_TICKETS = 1000;
+
+const FEED_FIELDS = [
+  'ticketNumber', 'productName', 'status', 'sbu', 'brand', 'priority', 'createdBy', 'assignedTo',
+  'updatedAt', 'launchTimeline.targetLaunchDate', 'launchTimeline.milestones'
+].join(' ');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// RFC 5545 text values: escape backslashes, separators and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Launch dates and milestones are days, stored as UTC midnight
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const nextDay = (date) => new Date(new Date(date).getTime() + 24 * 60 * 60 * 1000);
+
+class CalendarFeedService {
+  canCreateSbuFeed(role) {
+    return SBU_FEED_ROLES.includes(role);
+  }
+
+  /**
+   * The user's feeds, without tokens
+   * @returns {Array} [{ _id, scope, sbu, tokenPrefix, createdAt, lastUsedAt }]
+   */
+  async list(user) {
+    const preferences = await UserPreferences.findOne({ userId: user.email }).select('calendarFeeds').lean();
+    return (preferences?.calendarFeeds || []).map(({ tokenHash, ...feed }) => feed);
+  }
+
+  /**
+   * Create a feed. The token is only returned here; a new personal feed (or a new feed
+   * for the same SBU) replaces the old one, which stops working.
+   * @param {Object} user - { email, role }
+   * @param {Object} body - { scope: 'PERSONAL' | 'SBU', sbu }
+   * @returns {Object} { success, feed, token } or { success: false, statusCode, message }
+   */
+  async create(user, { scope = 'PERSONAL', sbu } = {}) {
+    if (!['PERSONAL', 'SBU'].includes(scope)) {
+      return { success: false, statusCode: 400, message: `Unknown feed scope: ${scope}` };
+    }
+
+    let feedSbu;
+    if (scope === 'SBU') {
+      if (!this.canCreateSbuFeed(user.role)) {
+        return { success: false, statusCode: 403, message: 'Only PMOps and admins can subscribe to an SBU feed' };
+      }
+      feedSbu = typeof sbu === 'string' ? sbu.trim() : '';
+      if (!/^[A-Za-z0-9-]{1,20}$/.test(feedSbu)) {
+        return { success: false, statusCode: 400, message: 'A valid SBU is required for an SBU feed' };
+      }
+    }
+
+    const preferences = await UserPreferences.getOrCreate(user.email);
+    preferences.calendarFeeds = preferences.calendarFeeds.filter(feed => (
+      feed.scope !== scope || (scope === 'SBU' && feed.sbu !== feedSbu)
+    ));
+    if (preferences.calendarFeeds.length >= MAX_FEEDS) {
+      return { success: false, statusCode: 400, message: `You can have up to ${MAX_FEEDS} calendar feeds` };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    preferences.calendarFeeds.push({
+      scope,
+      ...(feedSbu ? { sbu: feedSbu } : {}),
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX_LENGTH)
+    });
+    await preferences.save();
+
+    const { tokenHash, ...feed } = preferences.calendarFeeds[preferences.calendarFeeds.length - 1].toObject();
+    return { success: true, feed, token };
+  }
+
+  /**
+   * Revoke a feed; calendars subscribed to it stop updating
+   * @returns {Object} { success, statusCode, message }
+   */
+  async revoke(user, feedId) {
+    const preferences = await UserPreferences.findOne({ userId: user.email });
+    const feed = mongoose.Types.ObjectId.isValid(feedId) ? preferences?.calendarFeeds.id(feedId) : null;
+    if (!feed) {
+      return { success: false, statusCode: 404, message: 'Calendar feed not found' };
+    }
+
+    feed.deleteOne();
+    await preferences.save();
+
+    return { success: true };
+  }
+
+  /**
+   * Find the feed a token belongs to
+   * @returns {Object|null} { userId, feed }
+   */
+  async resolveToken(token) {
+    if (!/^[a-f0-9]{64}$/.test(token || '')) return null;
+
+    const tokenHash = hashToken(token);
+    const preferences = await UserPreferences.findOne({ 'calendarFeeds.tokenHash': tokenHash })
+      .select('userId calendarFeeds');
+    const feed = preferences?.calendarFeeds.find(f => f.tokenHash === tokenHash);
+    if (!feed) return null;
+
+    // Record use at most once an hour; calendar clients poll often
+    if (!feed.lastUsedAt || Date.now() - feed.lastUsedAt.getTime() > 60 * 60 * 1000) {
+      await UserPreferences.updateOne(
+        { _id: preferences._id, 'calendarFeeds._id': feed._id },
+        { $set: { 'calendarFeeds.$.lastUsedAt': new Date() } }
+      );
+    }
+
+    return { userId: preferences.userId, feed: feed.toObject() };
+  }
+
+  /**
+   * Tickets a feed covers: those the user created, is assigned to or watches (personal),
+   * or every ticket in the SBU. Closed tickets are left out.
+   */
+  async getTickets(userId, feed) {
+    const terminalStates = await workflowService.getTerminalStates();
+    const since = new Date(Date.now() - PAST_DAYS * 24 * 60 * 60 * 1000);
+    // createdBy and assignedTo keep the case the profile sent; watchers are lowercase
+    const emails = [...new Set([userId, userId.toLowerCase()])];
+
+    const filter = {
+      status: { $nin: terminalStates },
+      $and: [
+        {
+          $or: [
+            { 'launchTimeline.targetLaunchDate': { $gte: since } },
+            { 'launchTimeline.milestones.dueDate': { $gte: since } }
+          ]
+        },
+        feed.scope === 'SBU'
+          ? { sbu: feed.sbu }
+          : {
+            $or: [
+              { createdBy: { $in: emails } },
+              { assignedTo: { $in: emails } },
+              { watchers: userId.toLowerCase() }
+            ]
+          }
+      ]
+    };
+
+    return ProductTicket.find(filter)
+      .select(FEED_FIELDS)
+      .sort({ 'launchTimeline.targetLaunchDate': 1 })
+      .limit(MAX_TICKETS)
+      .lean();
+  }
+
+  /**
+   * Build the iCalendar (RFC 5545) document for a feed: one all-day event per target
+   * launch date and per milestone due date, each linking to the ticket
+   * @returns {string} text/calendar body
+   */
+  async buildCalendar(userId, feed) {
+    const tickets = await this.getTickets(userId, feed);
+    const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const since = new Date(Date.now() - PAST_DAYS * 24 * 60 * 60 * 1000);
+    const name = feed.scope === 'SBU' ? `NPDI launches – SBU ${feed.sbu}` : 'NPDI launches – my tickets';
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//MilliporeSigma//NPDI Portal//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`,
+      'X-PUBLISHED-TTL:PT1H',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H'
+    ];
+
+    const addEvent = ({ uid, date, summary, description, url, stamp, categories }) => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatDateTime(stamp)}`,
+        `DTSTART;VALUE=DATE:${formatDate(date)}`,
+        `DTEND;VALUE=DATE:${formatDate(nextDay(date))}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${url}`,
+        `CATEGORIES:${categories.map(escapeText).join(',')}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    };
+
+    tickets.forEach(ticket => {
+      const url = `${baseUrl}/tickets/${ticket._id}`;
+      const stamp = ticket.updatedAt || new Date();
+      const details = [
+        `${ticket.ticketNumber}: ${ticket.productName || 'Untitled product'}`,
+        `Status: ${ticket.status.replace(/_/g, ' ')}`,
+        `SBU: ${ticket.sbu || '—'}${ticket.brand ? ` · Brand: ${ticket.brand}` : ''}`,
+        `Priority: ${ticket.priority || '—'}`
+      ];
+      const targetLaunchDate = ticket.launchTimeline?.targetLaunchDate;
+
+      if (targetLaunchDate && targetLaunchDate >= since) {
+        addEvent({
+          uid: `launch-${ticket._id}@npdi`,
+          date: targetLaunchDate,
+          summary: `Launch: ${ticket.ticketNumber} ${ticket.productName || ''}`.trim(),
+          description: [...details, '', `Open ticket: ${url}`].join('\n'),
+          url,
+          stamp,
+          categories: ['NPDI', 'Launch']
+        });
+      }
+
+      (ticket.launchTimeline?.milestones || [])
+        .filter(milestone => milestone.dueDate && milestone.dueDate >= since)
+        .forEach(milestone => {
+          addEvent({
+            uid: `milestone-${milestone._id}@npdi`,
+            date: milestone.dueDate,
+            summary: `${milestone.completed ? '[Done] ' : ''}${ticket.ticketNumber}: ${milestone.name}`,
+            description: [
+              `Milestone: ${milestone.name}${milestone.completed ? ' (completed)' : ''}`,
+              ...(milestone.notes ? [milestone.notes] : []),
+              '',
+              ...details,
+              '',
+              `Open ticket: ${url}`
+            ].join('\n'),
+            url,
+            stamp,
+            categories: ['NPDI', 'Milestone']
+          });
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new CalendarFeedService();
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const teamsNotificationService = require('./teamsNotificationService');
+const emailNotificationService = require('./emailNotificationService');
+const notificationService = require('./notificationService');
+
+// @email mentions, e.g. "@jane.doe@example.com please confirm the CAS"
+const MENTION_PATTERN = /@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Shown in place of a deleted comment
+const DELETED_CONTENT = '[deleted]';
+
+class CommentService {
+  /**
+   * Email addresses @mentioned in a comment (lowercase, unique)
+   */
+  extractMentions(content) {
+    const emails = [...String(content || '').matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+    return [...new Set(emails)];
+  }
+
+  /**
+   * Keep only mentions of active users, so mentions cannot be used to email arbitrary addresses
+   */
+  async resolveMentions(emails) {
+    if (emails.length === 0) return [];
+    const users = await User.find({ email: { $in: emails }, isActive: true }).select('email').lean();
+    const known = new Set(users.map(user => user.email));
+    return emails.filter(email => known.has(email));
+  }
+
+  isAuthor(comment, currentUser) {
+    const author = comment.user || comment.userInfo?.email;
+    return !!author && !!currentUser.email && author.toLowerCase() === currentUser.email.toLowerCase();
+  }
+
+  findComment(ticket, commentId) {
+    if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+    return ticket.comments.id(commentId);
+  }
+
+  /**
+   * Add a comment or a reply (does not save)
+   * Replies to a reply are attached to the thread root
+   * @param {Object} ticket - ProductTicket document
+   * @param {Object} data - { content, parentId }
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @returns {Object} { success, statusCode, message, comment, mentions }
+   */
+  async addComment(ticket, { content, parentId }, currentUser) {
+    const text = content?.trim();
+    if (!text) {
+      return { success: false, statusCode: 400, message: 'Comment content is required' };
+    }
+
+    let rootId = null;
+    if (parentId) {
+      const parent = this.findComment(ticket, parentId);
+      if (!parent) {
+        return { success: false, statusCode: 404, message: 'The comment being replied to was not found' };
+      }
+      if (parent.deleted) {
+        return { success: false, statusCode: 400, message: 'Cannot reply to a deleted comment' };
+      }
+      rootId = parent.parentId || parent._id;
+    }
+
+    const mentions = await this.resolveMentions(this.extractMentions(text));
+
+    ticket.comments.push({
+      user: currentUser.email || null,
+      content: text,
+      userInfo: currentUser,
+      parentId: rootId,
+      mentions
+    });
+
+    const comment = ticket.comments[ticket.comments.length - 1];
+
+    ticket.statusHistory.push({
+      status: ticket.status,
+      changedBy: currentUser.email || null,
+      reason: `${rootId ? 'Reply' : 'Comment'} added by ${currentUser.firstName} ${currentUser.lastName}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`,
+      action: 'COMMENT_ADDED',
+      userInfo: currentUser,
+      details: {
+        commentId: comment._id,
+        parentId: rootId,
+        mentions
+      }
+    });
+
+    return { success: true, comment, mentions };
+  }
+
+  /**
+   * Edit a comment, keeping the previous text in its edit history (does not save)
+   * Only users newly mentioned by the edit are returned for notification
+   * @returns {Object} { success, statusCode, message, comment, mentions }
+   */
+  async editComment(ticket, commentId, { content }, currentUser) {
+    const comment = this.findComment(ticket, commentId);
+    if (!comment) {
+      return { success: false, statusCode: 404, message: 'Comment not found' };
+    }
+    if (comment.deleted) {
+      return { success: false, statusCode: 400, message: 'Deleted comments cannot be edited' };
+    }
+    if (!this.isAuthor(comment, currentUser)) {
+      return { success: false, statusCode: 403, message: 'Only the author can edit a comment' };
+    }
+
+    const text = content?.trim();
+    if (!text) {
+      return { success: false, statusCode: 400, message: 'Comment content is required' };
+    }
+    if (text === comment.content) {
+      return { success: true, comment, mentions: [] };
+    }
+
+    const mentions = await this.resolveMentions(this.extractMentions(text));
+    const previousMentions = comment.mentions || [];
+
+    comment.editHistory.push({
+      content: comment.content,
+      editedAt: new Date(),
+      editedBy: currentUser.email || null
+    });
+    comment.content = text;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+
+    return {
+      success: true,
+      comment,
+      mentions: mentions.filter(email => !previousMentions.includes(email))
+    };
+  }
+
+  /**
+   * Delete a comment (its author or an admin). The comment stays in place so its
+   * thread survives; its text and earlier versions are removed, along with the excerpt in
+   * its COMMENT_ADDED history entry. Mention notifications are scrubbed with scrubNotifications.
+   * @param {string} role - Role code of the current user
+   * @returns {Object} { success, statusCode, message, comment, removedContents }
+   */
+  deleteComment(ticket, commentId, currentUser, role) {
+    const comment = this.findComment(ticket, commentId);
+    if (!comment || comment.deleted) {
+      return { success: false, statusCode: 404, message: 'Comment not found' };
+    }
+    if (!this.isAuthor(comment, currentUser) && role !== 'ADMIN') {
+      return { success: false, statusCode: 403, message: 'Only the author or an admin can delete a comment' };
+    }
+
+    const removedContents = [comment.content, ...comment.editHistory.map(version => version.content)];
+
+    ticket.statusHistory
+      .filter(entry => entry.action === 'COMMENT_ADDED' && String(entry.details?.commentId) === String(comment._id))
+      .forEach(entry => {
+        // "Comment added by Jane Doe: "excerpt..."" → "Comment added by Jane Doe (since deleted)"
+        const excerptStart = entry.reason?.indexOf(': "') ?? -1;
+        entry.reason = `${excerptStart >= 0 ? entry.reason.slice(0, excerptStart) : 'Comment added'} (since deleted)`;
+      });
+
+    comment.content = DELETED_CONTENT;
+    comment.editHistory = [];
+    comment.mentions = [];
+    comment.deleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = currentUser.email || null;
+
+    return { success: true, comment, removedContents };
+  }
+
+  /**
+   * Remove a deleted comment's text from the in-app mention notifications it sent
+   * (emails and Teams messages already sent cannot be recalled)
+   * @param {string[]} removedContents - From deleteComment
+   */
+  async scrubNotifications(ticket, comment, removedContents) {
+    await notificationService.scrubComment(ticket, comment, removedContents);
+  }
+
+  /**
+   * Notify mentioned users in-app, through Teams and by email, skipping the author. Email and
+   * Teams skip anyone who has turned off comment emails; in-app follows the browser preferences
+   * @param {string[]} mentions - Emails to notify
+   */
+  async notifyMentions(ticket, comment, mentions, author) {
+    const authorEmail = author.email?.toLowerCase();
+    const candidates = mentions.filter(email => email !== authorEmail);
+
+    await notificationService.notifyMention(ticket, comment, candidates, author);
+
+    const recipients = [];
+    for (const email of candidates) {
+      if (await emailNotificationService.isEnabledForUser(email, 'comments')) {
+        recipients.push(email);
+      }
+    }
+    if (recipients.length === 0) return;
+
+    await Promise.allSettled([
+      teamsNotificationService.notifyMention(ticket, comment, recipients, author),
+      ...recipients.map(email => emailNotificationService.notifyMention(ticket, comment, email, author))
+    ]);
+  }
+}
+
+module.exports = new CommentService();
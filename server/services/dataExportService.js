@@ -401,16 +401,37 @@ const generateDataExport = async (ticket) => {
     currentRow++;
   }
 
+  // ============================================================================
+  // ATTACHMENTS
+  // ============================================================================
+  if (ticket.attachments && ticket.attachments.length > 0) {
+    const categoryLabels = { COA: 'CoA', SDS: 'SDS', SPEC: 'Spec Sheet', OTHER: 'Other' };
+    addSectionHeader('ATTACHMENTS');
+    ticket.attachments.forEach((attachment, idx) => {
+      addSubSection(`Attachment ${idx + 1}`);
+      addField('File Name', attachment.filename);
+      addField('Category', categoryLabels[attachment.category] || attachment.category);
+      addField('Description', attachment.description);
+      addField('Type', attachment.contentType);
+      addField('Size (KB)', attachment.size !== undefined ? Math.ceil(attachment.size / 1024) : '');
+      addField('Uploaded By', attachment.uploadedBy);
+      addField('Uploaded At', attachment.uploadedAt ? new Date(attachment.uploadedAt).toLocaleString() : '');
+    });
+    currentRow++;
+  }
+
   // ============================================================================
   // COMMENTS
   // ============================================================================
-  if (ticket.comments && ticket.comments.length > 0) {
+  const comments = (ticket.comments || []).filter(comment => !comment.deleted);
+  if (comments.length > 0) {
     addSectionHeader('COMMENTS & ACTIVITY');
-    ticket.comments.forEach((comment, idx) => {
-      addSubSection(`Comment ${idx + 1}`);
+    comments.forEach((comment, idx) => {
+      addSubSection(comment.parentId ? `Comment ${idx + 1} (reply)` : `Comment ${idx + 1}`);
       addField('User', comment.userInfo?.email || comment.user);
       addField('Name', `${comment.userInfo?.firstName || ''} ${comment.userInfo?.lastName || ''}`);
       addField('Timestamp', new Date(comment.timestamp).toLocaleString());
+      if (comment.editedAt) addField('Edited', new Date(comment.editedAt).toLocaleString());
       addField('Content', comment.content);
     });
     currentRow++;
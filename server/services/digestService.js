@@ -0,0 +1,281 @@
+const ProductTicket = require('../models/ProductTicket');
+const SystemSettings = require('../models/SystemSettings');
+const UserPreferences = require('../models/UserPreferences');
+const workflowService = require('./workflowService');
+const emailNotificationService = require('./emailNotificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Digests go out at a local hour, so the scheduler checks more often than once an hour
+const CHECK_INTERVAL_MINUTES = 15;
+
+// Status history actions that count as a status change in a digest
+const STATUS_ACTIONS = ['STATUS_CHANGE', 'NPDI_INITIATED'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const inWindow = (date, since, until) => {
+  if (!date) return false;
+  const time = new Date(date).getTime();
+  return time >= since.getTime() && time < until.getTime();
+};
+
+class DigestService {
+  constructor() {
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Local date, hour and weekday of a time in a timezone
+   * @returns {Object} { date: 'YYYY-MM-DD', hour, weekday (0 = Sunday) }
+   */
+  getLocalTime(now, timezone) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+        weekday: 'short'
+      }).formatToParts(now);
+    } catch (error) {
+      // Unknown timezone; use the default
+      return this.getLocalTime(now, DEFAULT_TIMEZONE);
+    }
+
+    const part = (type) => parts.find(p => p.type === type)?.value;
+    return {
+      date: `${part('year')}-${part('month')}-${part('day')}`,
+      hour: parseInt(part('hour'), 10),
+      weekday: WEEKDAYS.indexOf(part('weekday'))
+    };
+  }
+
+  /**
+   * Which digests are due for a user right now
+   * Each digest is sent once per local day, at or after the configured hour
+   * @param {Object} preferences - UserPreferences (lean)
+   * @param {Object} digestSettings - SystemSettings.digests
+   * @returns {string[]} 'daily' and/or 'weekly'
+   */
+  getDueDigests(preferences, digestSettings, now = new Date()) {
+    const emailPrefs = preferences.notifications?.email || {};
+    if (emailPrefs.enabled === false) return [];
+
+    const local = this.getLocalTime(now, preferences.display?.timezone);
+    if (local.hour < (digestSettings.sendHour ?? 8)) return [];
+
+    const state = preferences.digestState || {};
+    const due = [];
+    if (emailPrefs.dailyDigest && state.dailyFor !== local.date) {
+      due.push('daily');
+    }
+    if (emailPrefs.weeklyReport && local.weekday === (digestSettings.weeklyDay ?? 1) && state.weeklyFor !== local.date) {
+      due.push('weekly');
+    }
+    return due;
+  }
+
+  /**
+   * Summarize what happened on a user's tickets (created by or assigned to them) in a period
+   * @param {string} email - User email
+   * @param {Date} since - Start of the period
+   * @param {Date} until - End of the period
+   * @returns {Array} [{ ticket, statusChanges, comments, deadlines }] for tickets with activity
+   */
+  async collectActivity(email, since, until) {
+    const tickets = await ProductTicket.find({
+      $and: [
+        { $or: [{ createdBy: email }, { assignedTo: email }] },
+        {
+          $or: [
+            { statusHistory: { $elemMatch: { action: { $in: STATUS_ACTIONS }, changedAt: { $gte: since, $lt: until } } } },
+            { 'comments.timestamp': { $gte: since, $lt: until } },
+            { 'sla.breachedAt': { $gte: since, $lt: until } },
+            { 'launchTimeline.milestones.dueDate': { $gte: since, $lt: until } },
+            { 'launchTimeline.targetLaunchDate': { $gte: since, $lt: until } }
+          ]
+        }
+      ]
+    })
+      .select('ticketNumber productName sbu status priority createdBy assignedTo statusHistory comments sla launchTimeline')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    return tickets.map(ticket => {
+      const statusChanges = (ticket.statusHistory || [])
+        .filter(entry => STATUS_ACTIONS.includes(entry.action) && inWindow(entry.changedAt, since, until))
+        .map(entry => ({ status: entry.status, changedAt: entry.changedAt, changedBy: entry.changedBy }));
+
+      // The user's own comments are not news to them
+      const comments = (ticket.comments || [])
+        .filter(comment => !comment.deleted && comment.user !== email && inWindow(comment.timestamp, since, until))
+        .map(comment => ({
+          author: `${comment.userInfo?.firstName || ''} ${comment.userInfo?.lastName || ''}`.trim() || comment.user,
+          content: comment.content,
+          timestamp: comment.timestamp
+        }));
+
+      const deadlines = [];
+      if (inWindow(ticket.sla?.breachedAt, since, until)) {
+        deadlines.push({ label: `SLA breached in ${ticket.sla.status}`, date: ticket.sla.breachedAt });
+      }
+      (ticket.launchTimeline?.milestones || [])
+        .filter(milestone => !milestone.completed && inWindow(milestone.dueDate, since, until))
+        .forEach(milestone => {
+          deadlines.push({ label: `Milestone due: ${milestone.name || 'Unnamed'}`, date: milestone.dueDate });
+        });
+      if (inWindow(ticket.launchTimeline?.targetLaunchDate, since, until)) {
+        deadlines.push({ label: 'Target launch date', date: ticket.launchTimeline.targetLaunchDate });
+      }
+
+      return { ticket, statusChanges, comments, deadlines };
+    }).filter(item => item.statusChanges.length > 0 || item.comments.length > 0 || item.deadlines.length > 0);
+  }
+
+  /**
+   * Open tickets created by or assigned to a user, counted by status (weekly report)
+   */
+  async countOpenTickets(email) {
+    const terminalStates = await workflowService.getTerminalStates();
+    const counts = await ProductTicket.aggregate([
+      { $match: { $or: [{ createdBy: email }, { assignedTo: email }], status: { $nin: terminalStates } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    return counts.map(entry => ({ status: entry._id, count: entry.count }));
+  }
+
+  /**
+   * Build and send one digest to a user and record it
+   * A daily digest with no activity is not sent but still counts as done for the day
+   * @param {Object} preferences - UserPreferences (lean)
+   * @param {string} type - 'daily' or 'weekly'
+   * @returns {boolean} Whether an email was sent
+   */
+  async sendDigest(preferences, type, now = new Date()) {
+    const email = preferences.userId;
+    const timezone = preferences.display?.timezone || DEFAULT_TIMEZONE;
+    const state = preferences.digestState || {};
+    const days = type === 'weekly' ? 7 : 1;
+
+    // Pick up where the last digest left off, but never look back further than the period
+    const lastSentAt = type === 'weekly' ? state.weeklySentAt : state.dailySentAt;
+    const earliest = new Date(now.getTime() - days * DAY_MS);
+    const since = lastSentAt && new Date(lastSentAt) > earliest ? new Date(lastSentAt) : earliest;
+
+    const activity = await this.collectActivity(email, since, now);
+    const openTickets = type === 'weekly' ? await this.countOpenTickets(email) : [];
+
+    let sent = false;
+    if (activity.length > 0 || type === 'weekly') {
+      const result = await emailNotificationService.notifyDigest({
+        type,
+        recipient: email,
+        since,
+        until: now,
+        activity,
+        openTickets,
+        timezone,
+        hour12: preferences.display?.timeFormat !== '24-hour'
+      });
+      if (!result.success) return false;
+      sent = true;
+    }
+
+    const local = this.getLocalTime(now, timezone);
+    const field = type === 'weekly' ? 'weekly' : 'daily';
+    await UserPreferences.updateOne(
+      { _id: preferences._id },
+      { $set: { [`digestState.${field}For`]: local.date, [`digestState.${field}SentAt`]: now } }
+    );
+
+    return sent;
+  }
+
+  /**
+   * Send the digests that are due for every user who opted in
+   * @returns {Object} { checked, daily, weekly }
+   */
+  async checkDigests() {
+    if (this.isChecking) {
+      return { skipped: true };
+    }
+    this.isChecking = true;
+
+    try {
+      const settings = await SystemSettings.getSettings();
+      const digestSettings = settings.digests;
+      if (!digestSettings?.enabled) {
+        return { skipped: true, reason: 'Digests disabled' };
+      }
+      if (!emailNotificationService.isConfigured()) {
+        return { skipped: true, reason: 'SMTP not configured' };
+      }
+
+      const now = new Date();
+      const summary = { checked: 0, daily: 0, weekly: 0 };
+
+      // Both flags default to off, so only users who saved preferences can have opted in
+      const cursor = UserPreferences.find({
+        $or: [{ 'notifications.email.dailyDigest': true }, { 'notifications.email.weeklyReport': true }]
+      })
+        .select('userId notifications.email display.timezone display.timeFormat digestState')
+        .lean()
+        .cursor();
+
+      for await (const preferences of cursor) {
+        summary.checked++;
+        for (const type of this.getDueDigests(preferences, digestSettings, now)) {
+          try {
+            if (await this.sendDigest(preferences, type, now)) summary[type]++;
+          } catch (error) {
+            console.error(`Failed to send ${type} digest to ${preferences.userId}:`, error.message);
+          }
+        }
+      }
+
+      if (summary.daily > 0 || summary.weekly > 0) {
+        console.log(`Digest check: ${summary.daily} daily digests and ${summary.weekly} weekly reports sent`);
+      }
+
+      return summary;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Start the background digest scheduler
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkDigests().catch(error => {
+        console.error('Digest check failed:', error.message);
+      });
+    }, CHECK_INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for digests
+    this.timer.unref();
+
+    console.log(`Digest scheduler started (every ${CHECK_INTERVAL_MINUTES} minutes)`);
+  }
+
+  /**
+   * Stop the background digest scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,169 @@
+const ProductTicket = require('../models/ProductTicket');
+const workflowService = require('./workflowService');
+const palantirService = require('./palantirService');
+
+// Maximum matches returned per source
+const MAX_TICKET_MATCHES = 10;
+const MAX_SAP_MATCHES = 10;
+
+const CAS_PATTERN = /^\d+-\d{2}-\d$/;
+
+/**
+ * Normalize a product name for comparison: lowercase words without punctuation or spacing
+ * "L-Ascorbic Acid, 99%" → ["l", "ascorbic", "acid", "99"]
+ */
+const getNameTokens = (name) => (name || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * Regex matching any product name with the same tokens, whatever the punctuation or case
+ */
+const buildNamePattern = (tokens) => new RegExp(`^[^a-z0-9]*${tokens.join('[^a-z0-9]+')}[^a-z0-9]*$`, 'i');
+
+class DuplicateCheckService {
+  /**
+   * Find open tickets and existing SAP materials that overlap with a new ticket
+   * Checks CAS number, InChIKey and normalized product name against open tickets,
+   * and the CAS number against -BULK materials in MARA when Palantir is enabled.
+   * @param {Object} ticketData - Ticket being created or submitted
+   * Only tickets in the same SBU (and SAP materials) count as duplicates; matches in other
+   * SBUs are returned as otherSbuTickets for information
+   *
+   * @param {Object} options - { excludeId } to skip the ticket itself
+   * @returns {Object} { hasDuplicates, tickets, otherSbuTickets, sapMaterials, sapChecked, sapError }
+   */
+  async findDuplicates(ticketData, { excludeId = null } = {}) {
+    const casNumber = ticketData.chemicalProperties?.casNumber?.trim();
+    const inchiKey = ticketData.chemicalProperties?.inchiKey?.trim();
+    const nameTokens = getNameTokens(ticketData.productName);
+
+    const [tickets, sap] = await Promise.all([
+      this.findOpenTickets({ casNumber, inchiKey, nameTokens, sbu: ticketData.sbu, excludeId }),
+      this.findSapMaterials(casNumber)
+    ]);
+
+    // Without an SBU every match counts
+    const sameSbuTickets = tickets.filter(match => !ticketData.sbu || match.sameSbu);
+
+    return {
+      hasDuplicates: sameSbuTickets.length > 0 || sap.materials.length > 0,
+      tickets: sameSbuTickets,
+      otherSbuTickets: tickets.filter(match => !sameSbuTickets.includes(match)),
+      sapMaterials: sap.materials,
+      sapChecked: sap.checked,
+      sapError: sap.error
+    };
+  }
+
+  /**
+   * Open (non-terminal) tickets sharing the CAS number, InChIKey or product name
+   */
+  async findOpenTickets({ casNumber, inchiKey, nameTokens, sbu, excludeId }) {
+    const conditions = [];
+    if (casNumber) conditions.push({ 'chemicalProperties.casNumber': casNumber });
+    if (inchiKey) conditions.push({ 'chemicalProperties.inchiKey': inchiKey });
+    if (nameTokens.length > 0) conditions.push({ productName: buildNamePattern(nameTokens) });
+
+    if (conditions.length === 0) return [];
+
+    const terminalStates = await workflowService.getTerminalStates();
+    const filter = { $or: conditions, status: { $nin: terminalStates } };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const matches = await ProductTicket.find(filter)
+      .select('ticketNumber productName status sbu createdBy assignedTo chemicalProperties.casNumber chemicalProperties.inchiKey createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_TICKET_MATCHES)
+      .lean();
+
+    const nameKey = nameTokens.join(' ');
+
+    return matches.map(match => {
+      const matchedOn = [];
+      if (casNumber && match.chemicalProperties?.casNumber === casNumber) matchedOn.push('CAS');
+      if (inchiKey && match.chemicalProperties?.inchiKey === inchiKey) matchedOn.push('INCHIKEY');
+      if (nameKey && getNameTokens(match.productName).join(' ') === nameKey) matchedOn.push('NAME');
+
+      return {
+        ticketId: match._id,
+        ticketNumber: match.ticketNumber,
+        productName: match.productName,
+        status: match.status,
+        sbu: match.sbu,
+        sameSbu: !!sbu && match.sbu === sbu,
+        createdBy: match.createdBy,
+        assignedTo: match.assignedTo,
+        casNumber: match.chemicalProperties?.casNumber,
+        matchedOn,
+        createdAt: match.createdAt
+      };
+    });
+  }
+
+  /**
+   * Existing -BULK materials in SAP MARA with the same CAS number
+   * Palantir failures never block ticket creation; they are reported as sapError
+   */
+  async findSapMaterials(casNumber) {
+    const result = { checked: false, materials: [], error: null };
+    if (!casNumber || !CAS_PATTERN.test(casNumber)) return result;
+
+    try {
+      if (!(await palantirService.isEnabled())) return result;
+
+      const config = await palantirService.getConfig();
+      const query = `
+        SELECT DISTINCT MATNR, TEXT_SHORT
+        FROM \`${config.datasetRID}\`
+        WHERE YYD_CASNR = '${casNumber}'
+          AND MATNR RLIKE '^[A-Z0-9]+-BULK$'
+        ORDER BY MATNR
+        LIMIT ${MAX_SAP_MATCHES}
+      `;
+
+      const queryResult = await palantirService.executeQuery(query);
+      result.checked = true;
+      result.materials = (queryResult?.rows || []).map(row => ({
+        partNumber: row.MATNR,
+        productName: row.TEXT_SHORT || null
+      }));
+    } catch (error) {
+      console.warn('[Duplicate Check] SAP material lookup failed:', error.message);
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the audit trail entry recorded when a user overrides a duplicate warning
+   * @param {Object} duplicates - Result of findDuplicates
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @param {string} reason - Justification given by the user
+   * @param {string} status - Ticket status the entry is recorded under
+   */
+  buildOverrideEntry(duplicates, currentUser, reason, status) {
+    const labels = [
+      ...duplicates.tickets.map(match => match.ticketNumber),
+      ...duplicates.sapMaterials.map(material => `SAP ${material.partNumber}`)
+    ];
+
+    return {
+      status,
+      changedBy: null,
+      reason: `Possible duplicate of ${labels.join(', ')} overridden by ${currentUser.firstName} ${currentUser.lastName}${reason ? `: ${reason}` : ''}`,
+      action: 'DUPLICATE_OVERRIDE',
+      userInfo: currentUser,
+      details: {
+        overrideReason: reason || null,
+        tickets: duplicates.tickets.map(match => ({
+          ticketId: match.ticketId,
+          ticketNumber: match.ticketNumber,
+          matchedOn: match.matchedOn
+        })),
+        sapMaterials: duplicates.sapMaterials.map(material => material.partNumber)
+      }
+    };
+  }
+}
+
+module.exports = new DuplicateCheckService();
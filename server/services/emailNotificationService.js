@@ -0,0 +1,318 @@
+const errorNotifier = require('../utils/errorNotifier');
+const UserPreferences = require('../models/UserPreferences');
+
+class EmailNotificationService {
+  /**
+   * Check if SMTP is configured (see SMTP_* in .env)
+   */
+  isConfigured() {
+    return !!errorNotifier.getTransporter();
+  }
+
+  /**
+   * Check whether a user wants email for a notification type
+   * Users without saved preferences get the schema defaults
+   * @param {string} email - User email (UserPreferences.userId)
+   * @param {string} preferenceKey - Key under notifications.email (e.g., 'statusChange', 'reminders')
+   */
+  async isEnabledForUser(email, preferenceKey) {
+    if (!email) return false;
+
+    try {
+      const preferences = await UserPreferences.findOne({ userId: email }).lean();
+      if (!preferences) return true;
+
+      const emailPrefs = preferences.notifications?.email || {};
+      if (emailPrefs.enabled === false) return false;
+      return !preferenceKey || emailPrefs[preferenceKey] !== false;
+    } catch (error) {
+      console.error(`Error reading email preferences for ${email}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send an email
+   * @param {Object} options - Email options
+   * @param {string|string[]} options.to - Recipient(s)
+   * @param {string} options.subject - Subject line
+   * @param {string} options.html - HTML body
+   */
+  async sendEmail({ to, subject, html }) {
+    try {
+      const recipients = [...new Set([].concat(to || []).filter(Boolean))];
+      if (recipients.length === 0) {
+        return { success: false, reason: 'No recipients' };
+      }
+
+      const transporter = errorNotifier.getTransporter();
+      if (!transporter) {
+        console.log('Email notification skipped - SMTP not configured');
+        return { success: false, reason: 'SMTP not configured' };
+      }
+
+      await transporter.sendMail({
+        from: process.env.SMTP_USER,
+        to: recipients.join(', '),
+        subject,
+        html
+      });
+
+      console.log(`Email notification sent to ${recipients.join(', ')}: ${subject}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending email notification:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Escape user-entered text for inclusion in an HTML email
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Format a ticket notification email
+   * @param {Object} options - Email content
+   * @param {string} options.heading - Header text
+   * @param {string} options.message - Intro paragraph (plain text)
+   * @param {Object} options.ticket - Ticket object
+   * @param {Array} options.facts - Extra [{ label, value }] rows shown after the ticket details
+   * @param {string} options.color - Header/accent color
+   */
+  formatTicketEmail({ heading, message, ticket, facts = [], color = '#2563eb' }) {
+    const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const ticketUrl = `${baseUrl}/tickets/${ticket._id}`;
+
+    const rows = [
+      { label: 'Ticket Number', value: ticket.ticketNumber || 'N/A' },
+      { label: 'Product Name', value: ticket.productName || 'N/A' },
+      { label: 'SBU', value: ticket.sbu || 'N/A' },
+      { label: 'Status', value: ticket.status },
+      { label: 'Priority', value: ticket.priority || 'MEDIUM' },
+      ...facts
+    ];
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .header { background: ${color}; color: white; padding: 20px; }
+    .section { margin: 20px 0; padding: 15px; background: #f8f9fa; border-left: 4px solid ${color}; }
+    .meta { display: grid; grid-template-columns: 150px 1fr; gap: 10px; }
+    .meta-label { font-weight: bold; }
+    .button { display: inline-block; padding: 10px 20px; background: ${color}; color: white; text-decoration: none; border-radius: 4px; }
+    .footer { margin-top: 30px; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>${this.escapeHtml(heading)}</h2>
+  </div>
+
+  <p>${this.escapeHtml(message)}</p>
+
+  <div class="section">
+    <div class="meta">
+      ${rows.map(row => `<span class="meta-label">${this.escapeHtml(row.label)}:</span>
+      <span>${this.escapeHtml(row.value)}</span>`).join('\n      ')}
+    </div>
+  </div>
+
+  <p><a class="button" href="${ticketUrl}">View Ticket</a></p>
+
+  <div class="footer">
+    <p>This is an automated notification from the NPDI Application. Notification settings can be changed under Profile &gt; Preferences.</p>
+  </div>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Email a user who was @mentioned in a ticket comment
+   * @param {Object} ticket - Ticket object
+   * @param {Object} comment - The comment ({ content })
+   * @param {string} recipient - Mentioned user's email
+   * @param {Object} author - Comment author ({ firstName, lastName })
+   */
+  async notifyMention(ticket, comment, recipient, author) {
+    const authorName = `${author.firstName} ${author.lastName}`;
+
+    return this.sendEmail({
+      to: recipient,
+      subject: `💬 ${authorName} mentioned you on ${ticket.ticketNumber}`,
+      html: this.formatTicketEmail({
+        heading: '💬 You were mentioned',
+        message: `${authorName} mentioned you in a comment on ${ticket.ticketNumber}.`,
+        ticket,
+        facts: [
+          { label: 'Comment', value: comment.content }
+        ]
+      })
+    });
+  }
+
+  /**
+   * Send an SLA breach escalation email
+   * @param {Object} ticket - Ticket object
+   * @param {Object} sla - Evaluated SLA ({ status, enteredAt, targetHours, dueAt })
+   * @param {string[]} recipients - Escalation recipients
+   */
+  async notifySlaBreach(ticket, sla, recipients) {
+    const hoursInStatus = Math.round((Date.now() - new Date(sla.enteredAt).getTime()) / (60 * 60 * 1000));
+
+    return this.sendEmail({
+      to: recipients,
+      subject: `⏰ SLA Breached: ${ticket.ticketNumber} has been ${sla.status} for ${hoursInStatus}h`,
+      html: this.formatTicketEmail({
+        heading: '⏰ SLA Breached',
+        message: `This ticket has exceeded its ${sla.targetHours}-hour target for the ${sla.status} status and needs attention.`,
+        ticket,
+        color: '#dc3545',
+        facts: [
+          { label: 'In Status Since', value: new Date(sla.enteredAt).toISOString() },
+          { label: 'SLA Due', value: new Date(sla.dueAt).toISOString() },
+          { label: 'Assigned To', value: ticket.assignedTo || 'Unassigned' }
+        ]
+      })
+    });
+  }
+
+  /**
+   * Send a reminder about a stale draft, stuck ticket or overdue milestones
+   * @param {Object} ticket - Ticket object
+   * @param {Array} reminders - [{ title, detail }] from reminderService
+   * @param {string} recipient - Owner or assignee email
+   */
+  async notifyReminder(ticket, reminders, recipient) {
+    return this.sendEmail({
+      to: recipient,
+      subject: `🔔 Reminder: ${ticket.ticketNumber} - ${reminders.map(reminder => reminder.title).join(', ')}`,
+      html: this.formatTicketEmail({
+        heading: '🔔 Reminder',
+        message: `${ticket.ticketNumber} needs your attention.`,
+        ticket,
+        color: '#d97706',
+        facts: reminders.map(reminder => ({ label: reminder.title, value: reminder.detail }))
+      })
+    });
+  }
+
+  /**
+   * Format a date for a digest in the recipient's timezone
+   */
+  formatLocalDate(date, timezone, hour12 = true) {
+    try {
+      return new Date(date).toLocaleString('en-US', { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short', hour12 });
+    } catch (error) {
+      return new Date(date).toISOString();
+    }
+  }
+
+  /**
+   * Format a daily digest or weekly report email
+   * @param {Object} options - See notifyDigest
+   */
+  formatDigestEmail({ type, since, until, activity, openTickets = [], timezone, hour12 }) {
+    const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const color = type === 'weekly' ? '#7c3aed' : '#2563eb';
+    const heading = type === 'weekly' ? '📊 Your Weekly Report' : '📰 Your Daily Digest';
+    const date = (value) => this.escapeHtml(this.formatLocalDate(value, timezone, hour12));
+
+    const ticketBlocks = activity.map(({ ticket, statusChanges, comments, deadlines }) => {
+      const lines = [
+        ...statusChanges.map(change =>
+          `<li>Status changed to <strong>${this.escapeHtml(change.status)}</strong> on ${date(change.changedAt)}</li>`),
+        ...comments.map(comment =>
+          `<li>${this.escapeHtml(comment.author)} commented on ${date(comment.timestamp)}: <em>${this.escapeHtml(comment.content.length > 200 ? `${comment.content.slice(0, 200)}…` : comment.content)}</em></li>`),
+        ...deadlines.map(deadline =>
+          `<li class="deadline">${this.escapeHtml(deadline.label)} (${date(deadline.date)})</li>`)
+      ];
+
+      return `<div class="ticket">
+    <a href="${baseUrl}/tickets/${ticket._id}"><strong>${this.escapeHtml(ticket.ticketNumber)}</strong></a>
+    ${this.escapeHtml(ticket.productName || '')} <span class="status">${this.escapeHtml(ticket.status)}</span>
+    <ul>
+      ${lines.join('\n      ')}
+    </ul>
+  </div>`;
+    });
+
+    const openSummary = openTickets.length > 0
+      ? `<div class="section">
+    <strong>Your open tickets:</strong>
+    ${openTickets.map(entry => `${this.escapeHtml(entry.status)}: ${entry.count}`).join(' &middot; ')}
+  </div>`
+      : '';
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .header { background: ${color}; color: white; padding: 20px; }
+    .section { margin: 20px 0; padding: 15px; background: #f8f9fa; border-left: 4px solid ${color}; }
+    .ticket { margin: 15px 0; padding: 10px 15px; border: 1px solid #e5e7eb; border-radius: 4px; }
+    .ticket a { color: ${color}; text-decoration: none; }
+    .ticket ul { margin: 8px 0 0; padding-left: 20px; }
+    .status { font-size: 12px; color: #666; }
+    .deadline { color: #dc3545; }
+    .footer { margin-top: 30px; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>${heading}</h2>
+  </div>
+
+  <p>Activity on tickets you created or are assigned to, ${date(since)} to ${date(until)}.</p>
+
+  ${openSummary}
+
+  ${ticketBlocks.length > 0 ? ticketBlocks.join('\n  ') : '<p>No status changes, comments or deadlines in this period.</p>'}
+
+  <div class="footer">
+    <p>This is an automated notification from the NPDI Application. Digests can be turned off under Profile &gt; Preferences.</p>
+  </div>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Send a daily digest or weekly report
+   * @param {Object} options - Digest content
+   * @param {string} options.type - 'daily' or 'weekly'
+   * @param {string} options.recipient - User email
+   * @param {Date} options.since - Start of the period
+   * @param {Date} options.until - End of the period
+   * @param {Array} options.activity - [{ ticket, statusChanges, comments, deadlines }] from digestService
+   * @param {Array} options.openTickets - [{ status, count }] (weekly report)
+   * @param {string} options.timezone - Recipient's display timezone
+   * @param {boolean} options.hour12 - 12-hour clock
+   */
+  async notifyDigest(options) {
+    const count = options.activity.length;
+    const subject = options.type === 'weekly'
+      ? `📊 Weekly report: ${count} ticket${count === 1 ? '' : 's'} with activity`
+      : `📰 Daily digest: ${count} ticket${count === 1 ? '' : 's'} with activity`;
+
+    return this.sendEmail({
+      to: options.recipient,
+      subject,
+      html: this.formatDigestEmail(options)
+    });
+  }
+}
+
+module.exports = new EmailNotificationService();
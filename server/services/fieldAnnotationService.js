@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const FieldAnnotation = require('../models/FieldAnnotation');
+
+// Dot-notated field path; array items use numeric segments (skuVariants.2.pricing.listPrice)
+const FIELD_PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+
+class FieldAnnotationService {
+  /**
+   * Normalize a field path to dot notation (skuVariants[2].sku → skuVariants.2.sku)
+   * @returns {string|null} The path, or null when it is not a valid field path
+   */
+  normalizePath(fieldPath) {
+    if (typeof fieldPath !== 'string') return null;
+    const path = fieldPath.trim().replace(/\[(\d+)\]/g, '.$1');
+    return FIELD_PATH_PATTERN.test(path) ? path : null;
+  }
+
+  /**
+   * List a ticket's annotations, open flags first then newest first
+   * @param {ObjectId} ticketId - Ticket id
+   * @param {Object} options - { status, fieldPath }
+   */
+  async list(ticketId, { status, fieldPath } = {}) {
+    const filter = { ticket: ticketId };
+    if (status) filter.status = status;
+    if (fieldPath) {
+      const path = this.normalizePath(fieldPath);
+      // Include flags on nested paths, e.g. skuVariants.2 also matches skuVariants.2.pricing.listPrice
+      if (path) filter.fieldPath = { $regex: `^${path.replace(/[.$]/g, '\\$&')}(\\.|$)` };
+    }
+
+    const annotations = await FieldAnnotation.find(filter).sort({ createdAt: -1 }).lean();
+    return annotations.sort((a, b) => (a.status === b.status ? 0 : a.status === 'OPEN' ? -1 : 1));
+  }
+
+  /**
+   * Flag a field on a ticket
+   * @param {Object} ticket - ProductTicket (only _id is read)
+   * @param {Object} data - { fieldPath, fieldLabel, note }
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @returns {Object} { success, statusCode, message, annotation }
+   */
+  async create(ticket, { fieldPath, fieldLabel, note }, currentUser) {
+    const path = this.normalizePath(fieldPath);
+    if (!path) {
+      return { success: false, statusCode: 400, message: `"${fieldPath}" is not a valid field path` };
+    }
+    if (!note?.trim()) {
+      return { success: false, statusCode: 400, message: 'A note is required to flag a field' };
+    }
+
+    const annotation = await FieldAnnotation.create({
+      ticket: ticket._id,
+      fieldPath: path,
+      fieldLabel: fieldLabel?.trim() || path,
+      note: note.trim(),
+      createdBy: currentUser.email || null,
+      userInfo: {
+        firstName: currentUser.firstName,
+        lastName: currentUser.lastName,
+        role: currentUser.role
+      }
+    });
+
+    return { success: true, annotation };
+  }
+
+  /**
+   * Resolve or reopen a flag, or edit its note (note edits are limited to the author)
+   * @param {Object} ticket - ProductTicket (only _id is read)
+   * @param {string} annotationId - Annotation id
+   * @param {Object} data - { status, resolutionNote, note }
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @returns {Object} { success, statusCode, message, annotation }
+   */
+  async update(ticket, annotationId, { status, resolutionNote, note }, currentUser) {
+    if (!mongoose.Types.ObjectId.isValid(annotationId)) {
+      return { success: false, statusCode: 404, message: 'Flag not found' };
+    }
+
+    const annotation = await FieldAnnotation.findOne({ _id: annotationId, ticket: ticket._id });
+    if (!annotation) {
+      return { success: false, statusCode: 404, message: 'Flag not found' };
+    }
+
+    if (note !== undefined) {
+      if (annotation.createdBy !== currentUser.email) {
+        return { success: false, statusCode: 403, message: 'Only the author can edit a flag note' };
+      }
+      if (!note.trim()) {
+        return { success: false, statusCode: 400, message: 'The note cannot be empty' };
+      }
+      annotation.note = note.trim();
+    }
+
+    if (status && status !== annotation.status) {
+      annotation.status = status;
+      if (status === 'RESOLVED') {
+        annotation.resolutionNote = resolutionNote?.trim() || undefined;
+        annotation.resolvedBy = currentUser.email || null;
+        annotation.resolvedAt = new Date();
+      } else {
+        annotation.resolutionNote = undefined;
+        annotation.resolvedBy = undefined;
+        annotation.resolvedAt = undefined;
+      }
+    }
+
+    await annotation.save();
+    return { success: true, annotation };
+  }
+
+  /**
+   * Delete a flag (its author or an admin)
+   * @returns {Object} { success, statusCode, message }
+   */
+  async remove(ticket, annotationId, currentUser, role) {
+    if (!mongoose.Types.ObjectId.isValid(annotationId)) {
+      return { success: false, statusCode: 404, message: 'Flag not found' };
+    }
+
+    const annotation = await FieldAnnotation.findOne({ _id: annotationId, ticket: ticket._id });
+    if (!annotation) {
+      return { success: false, statusCode: 404, message: 'Flag not found' };
+    }
+    if (annotation.createdBy !== currentUser.email && role !== 'ADMIN') {
+      return { success: false, statusCode: 403, message: 'Only the author or an admin can delete a flag' };
+    }
+
+    await annotation.deleteOne();
+    return { success: true };
+  }
+}
+
+module.exports = new FieldAnnotationService();
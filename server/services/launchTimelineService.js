@@ -0,0 +1,200 @@
+const ProductTicket = require('../models/ProductTicket');
+const workflowService = require('./workflowService');
+
+const MAX_MILESTONES = 30;
+const MAX_NAME_LENGTH = 120;
+const MAX_NOTES_LENGTH = 1000;
+// Longest range the calendar returns in one request
+const MAX_RANGE_DAYS = 400;
+
+const EVENT_FIELDS = [
+  'ticketNumber', 'productName', 'status', 'priority', 'sbu', 'brand', 'assignedTo',
+  'launchTimeline.targetLaunchDate', 'launchTimeline.milestones'
+].join(' ');
+
+const toList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+class LaunchTimelineService {
+  /**
+   * Check a launch timeline sent by the client
+   * Milestones are replaced as a whole; sending a milestone's _id keeps its identity
+   * @param {Object} input - { targetLaunchDate, milestones: [{ _id, name, dueDate, completed, completedDate, notes }] }
+   * @returns {Object} { success, timeline } or { success: false, statusCode, message }
+   */
+  validateTimeline(input = {}) {
+    const fail = (message) => ({ success: false, statusCode: 400, message });
+    const timeline = {};
+
+    if (input.targetLaunchDate !== undefined) {
+      const targetLaunchDate = parseDate(input.targetLaunchDate);
+      if (targetLaunchDate === undefined) return fail('targetLaunchDate must be a valid date');
+      timeline.targetLaunchDate = targetLaunchDate;
+    }
+
+    if (input.milestones !== undefined) {
+      if (!Array.isArray(input.milestones)) return fail('milestones must be an array');
+      if (input.milestones.length > MAX_MILESTONES) return fail(`A ticket can have at most ${MAX_MILESTONES} milestones`);
+
+      const milestones = [];
+      for (const [index, milestone] of input.milestones.entries()) {
+        const name = typeof milestone?.name === 'string' ? milestone.name.trim() : '';
+        if (!name) return fail(`Milestone ${index + 1} needs a name`);
+        if (name.length > MAX_NAME_LENGTH) return fail(`Milestone "${name.slice(0, 20)}…" name is longer than ${MAX_NAME_LENGTH} characters`);
+
+        const dueDate = parseDate(milestone.dueDate);
+        if (dueDate === undefined) return fail(`Milestone "${name}" has an invalid due date`);
+
+        const completed = milestone.completed === true;
+        const completedDate = completed ? parseDate(milestone.completedDate) : null;
+        if (completedDate === undefined) return fail(`Milestone "${name}" has an invalid completed date`);
+
+        const notes = typeof milestone.notes === 'string' ? milestone.notes.trim() : '';
+        if (notes.length > MAX_NOTES_LENGTH) return fail(`Milestone "${name}" notes are longer than ${MAX_NOTES_LENGTH} characters`);
+
+        milestones.push({
+          ...(milestone._id ? { _id: milestone._id } : {}),
+          name,
+          dueDate,
+          completed,
+          // Completing a milestone without a date records today
+          completedDate: completed ? completedDate || new Date() : null,
+          notes
+        });
+      }
+      timeline.milestones = milestones;
+    }
+
+    if (Object.keys(timeline).length === 0) {
+      return fail('Send targetLaunchDate and/or milestones');
+    }
+
+    return { success: true, timeline };
+  }
+
+  /**
+   * Apply a validated timeline to a ticket document (not saved)
+   */
+  applyTimeline(ticket, timeline) {
+    if (!ticket.launchTimeline) ticket.launchTimeline = {};
+    if (timeline.targetLaunchDate !== undefined) {
+      ticket.launchTimeline.targetLaunchDate = timeline.targetLaunchDate;
+    }
+    if (timeline.milestones !== undefined) {
+      ticket.launchTimeline.milestones = timeline.milestones;
+    }
+  }
+
+  /**
+   * Whether a launch or milestone date has passed without being done
+   */
+  isOverdue(date, done, now = new Date()) {
+    return !!date && !done && new Date(date) < now;
+  }
+
+  /**
+   * Launches and milestones falling in a date range, for the launch calendar
+   * Closed tickets (terminal statuses) are left out unless includeClosed is set; their
+   * launches are never overdue.
+   * @param {Object} params - { from, to, sbu, brand, includeClosed }
+   * @param {Object} baseFilter - Extra conditions every ticket must meet (access scope)
+   * @returns {Object} { success, from, to, launches, milestones, brands } or an error result
+   */
+  async getCalendar(params = {}, baseFilter = {}) {
+    const from = parseDate(params.from);
+    const to = parseDate(params.to);
+    if (!from || !to) {
+      return { success: false, statusCode: 400, message: 'from and to must be valid dates' };
+    }
+    if (to <= from) {
+      return { success: false, statusCode: 400, message: 'to must be after from' };
+    }
+    if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return { success: false, statusCode: 400, message: `The range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    const terminalStates = await workflowService.getTerminalStates();
+    const includeClosed = params.includeClosed === true || params.includeClosed === 'true';
+
+    const filter = {
+      ...baseFilter,
+      $or: [
+        { 'launchTimeline.targetLaunchDate': { $gte: from, $lt: to } },
+        { 'launchTimeline.milestones.dueDate': { $gte: from, $lt: to } }
+      ]
+    };
+    const sbu = toList(params.sbu);
+    const brand = toList(params.brand);
+    if (sbu.length > 0) filter.sbu = { $in: sbu };
+    if (brand.length > 0) filter.brand = { $in: brand };
+    if (!includeClosed) filter.status = { $nin: terminalStates };
+
+    const tickets = await ProductTicket.find(filter)
+      .select(EVENT_FIELDS)
+      .sort({ 'launchTimeline.targetLaunchDate': 1 })
+      .lean();
+
+    const now = new Date();
+    const launches = [];
+    const milestones = [];
+
+    tickets.forEach(ticket => {
+      const summary = {
+        ticketId: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        productName: ticket.productName,
+        status: ticket.status,
+        priority: ticket.priority,
+        sbu: ticket.sbu,
+        brand: ticket.brand || null,
+        assignedTo: ticket.assignedTo || null
+      };
+      const closed = terminalStates.includes(ticket.status);
+      const targetLaunchDate = ticket.launchTimeline?.targetLaunchDate;
+
+      if (targetLaunchDate && targetLaunchDate >= from && targetLaunchDate < to) {
+        launches.push({
+          ...summary,
+          date: targetLaunchDate,
+          overdue: this.isOverdue(targetLaunchDate, closed, now)
+        });
+      }
+
+      (ticket.launchTimeline?.milestones || [])
+        .filter(milestone => milestone.dueDate && milestone.dueDate >= from && milestone.dueDate < to)
+        .forEach(milestone => {
+          milestones.push({
+            ...summary,
+            milestoneId: milestone._id,
+            name: milestone.name,
+            date: milestone.dueDate,
+            completed: !!milestone.completed,
+            completedDate: milestone.completedDate || null,
+            overdue: this.isOverdue(milestone.dueDate, milestone.completed || closed, now)
+          });
+        });
+    });
+
+    milestones.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+      success: true,
+      from,
+      to,
+      launches,
+      milestones,
+      brands: ProductTicket.schema.path('brand').enumValues
+    };
+  }
+}
+
+module.exports = new LaunchTimelineService();
@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const UserPreferences = require('../models/UserPreferences');
+
+// Browser notification preference (UserPreferences.notifications.browser) for each notification type
+const PREFERENCE_KEYS = {
+  STATUS_CHANGE: 'statusChange',
+  ASSIGNMENT: 'assignments',
+  MENTION: 'comments',
+  APPROVAL: 'approvals'
+};
+
+// Comment line sent to open streams so proxies don't close idle connections
+const HEARTBEAT_SECONDS = 25;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Comment text shown in a mention notification
+const MENTION_EXCERPT_LENGTH = 140;
+const getMentionExcerpt = (content) => (
+  content.length > MENTION_EXCERPT_LENGTH ? `${content.slice(0, MENTION_EXCERPT_LENGTH)}…` : content
+);
+
+class NotificationService {
+  constructor() {
+    // Open event streams by recipient email; streams live in this process only
+    this.streams = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Check whether a user wants in-app notifications of a type
+   * Users without saved preferences get the schema defaults
+   */
+  async isEnabledForUser(email, type) {
+    try {
+      const preferences = await UserPreferences.findOne({ userId: email }).lean();
+      if (!preferences) return true;
+
+      const browserPrefs = preferences.notifications?.browser || {};
+      if (browserPrefs.enabled === false) return false;
+      return browserPrefs[PREFERENCE_KEYS[type]] !== false;
+    } catch (error) {
+      console.error(`Error reading notification preferences for ${email}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create notifications and push them to any open streams
+   * The user who caused the event is never notified about it
+   * @param {Object} options - Notification content
+   * @param {string[]} options.recipients - Emails to notify
+   * @param {string} options.type - STATUS_CHANGE, ASSIGNMENT, MENTION or APPROVAL
+   * @param {string} options.title - Short title
+   * @param {string} options.message - Detail line
+   * @param {Object} options.ticket - Ticket the notification links to
+   * @param {Object} options.actor - { email, firstName, lastName }
+   * @param {Object} options.comment - Comment a MENTION came from
+   * @returns {Array} Created notifications
+   */
+  async notify({ recipients, type, title, message, ticket, actor, comment }) {
+    try {
+      const actorEmail = normalizeEmail(actor?.email);
+      const candidates = [...new Set((recipients || []).map(normalizeEmail))]
+        .filter(email => email && email !== actorEmail);
+
+      const enabled = [];
+      for (const email of candidates) {
+        if (await this.isEnabledForUser(email, type)) enabled.push(email);
+      }
+      if (enabled.length === 0) return [];
+
+      const notifications = await Notification.insertMany(enabled.map(recipient => ({
+        recipient,
+        type,
+        title,
+        message,
+        ticket: ticket?._id,
+        ticketNumber: ticket?.ticketNumber,
+        comment: comment?._id,
+        actor: actor ? { email: actor.email, firstName: actor.firstName, lastName: actor.lastName } : undefined
+      })));
+
+      for (const notification of notifications) {
+        this.push(notification.recipient, 'notification', notification.toObject());
+      }
+
+      return notifications;
+    } catch (error) {
+      // Notifications never fail the action that caused them
+      console.error('Error creating notifications:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Ticket owner and assignee, who hear about status changes and approval decisions
+   */
+  getTicketWatchers(ticket) {
+    return [ticket.createdBy, ticket.assignedTo].filter(Boolean);
+  }
+
+  async notifyStatusChange(ticket, oldStatus, newStatus, changedBy) {
+    return this.notify({
+      recipients: this.getTicketWatchers(ticket),
+      type: 'STATUS_CHANGE',
+      title: `${ticket.ticketNumber} is now ${newStatus}`,
+      message: `${changedBy.firstName} ${changedBy.lastName} changed the status from ${oldStatus} to ${newStatus}`,
+      ticket,
+      actor: changedBy
+    });
+  }
+
+  async notifyAssignment(ticket, assigneeEmail, assignedBy) {
+    return this.notify({
+      recipients: [assigneeEmail],
+      type: 'ASSIGNMENT',
+      title: `${ticket.ticketNumber} was assigned to you`,
+      message: `Assigned by ${assignedBy.firstName} ${assignedBy.lastName}`,
+      ticket,
+      actor: assignedBy
+    });
+  }
+
+  async notifyMention(ticket, comment, mentioned, author) {
+    return this.notify({
+      recipients: mentioned,
+      type: 'MENTION',
+      title: `${author.firstName} ${author.lastName} mentioned you on ${ticket.ticketNumber}`,
+      message: getMentionExcerpt(comment.content),
+      ticket,
+      actor: author,
+      comment
+    });
+  }
+
+  /**
+   * Remove a deleted comment's text from the mention notifications it sent
+   * Notifications from before comments were recorded are matched by their excerpt
+   * @param {string[]} contents - The comment's text and earlier versions
+   */
+  async scrubComment(ticket, comment, contents) {
+    try {
+      await Notification.updateMany(
+        {
+          ticket: ticket._id,
+          type: 'MENTION',
+          $or: [
+            { comment: comment._id },
+            { comment: { $exists: false }, message: { $in: contents.filter(Boolean).map(getMentionExcerpt) } }
+          ]
+        },
+        { $set: { message: 'This comment was deleted' } }
+      );
+    } catch (error) {
+      console.error('Error removing deleted comment from notifications:', error.message);
+    }
+  }
+
+  async notifyApprovalDecision(ticket, stage, decision, comment, decidedBy) {
+    return this.notify({
+      recipients: this.getTicketWatchers(ticket),
+      type: 'APPROVAL',
+      title: `${stage.label} ${decision === 'APPROVED' ? 'approved' : 'rejected'} on ${ticket.ticketNumber}`,
+      message: `${decidedBy.firstName} ${decidedBy.lastName}${comment?.trim() ? `: ${comment.trim()}` : ''}`,
+      ticket,
+      actor: decidedBy
+    });
+  }
+
+  /**
+   * Tell approvers that a ticket is waiting on their sign-off
+   * @param {Array} requests - [{ email, stages: [label] }] from approvalService.getPendingApprovers
+   */
+  async notifyApprovalRequested(ticket, requests, actor) {
+    const results = await Promise.all(requests.map(request => this.notify({
+      recipients: [request.email],
+      type: 'APPROVAL',
+      title: `${ticket.ticketNumber} needs your sign-off`,
+      message: `Waiting on ${request.stages.join(', ')}`,
+      ticket,
+      actor
+    })));
+    return results.flat();
+  }
+
+  /**
+   * Notifications for a user, newest first
+   * @param {string} email - Recipient
+   * @param {Object} options - { unreadOnly, limit, before (ISO date for paging) }
+   * @returns {Object} { notifications, unreadCount }
+   */
+  async list(email, { unreadOnly, limit, before } = {}) {
+    const recipient = normalizeEmail(email);
+    const query = { recipient };
+    if (unreadOnly) query.read = false;
+    if (before && !isNaN(new Date(before).getTime())) query.createdAt = { $lt: new Date(before) };
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit) || DEFAULT_LIMIT, MAX_LIMIT))
+        .lean(),
+      this.getUnreadCount(recipient)
+    ]);
+
+    return { notifications, unreadCount };
+  }
+
+  async getUnreadCount(email) {
+    return Notification.countDocuments({ recipient: normalizeEmail(email), read: false });
+  }
+
+  /**
+   * Mark one of a user's notifications read
+   * @returns {Object} { success, statusCode, message, notification, unreadCount }
+   */
+  async markRead(email, notificationId) {
+    const recipient = normalizeEmail(email);
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return { success: false, statusCode: 404, message: 'Notification not found' };
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, recipient },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!notification) {
+      return { success: false, statusCode: 404, message: 'Notification not found' };
+    }
+
+    const unreadCount = await this.getUnreadCount(recipient);
+    this.push(recipient, 'unread', { unreadCount });
+    return { success: true, notification, unreadCount };
+  }
+
+  /**
+   * Mark all of a user's notifications read
+   * @returns {number} Notifications updated
+   */
+  async markAllRead(email) {
+    const recipient = normalizeEmail(email);
+    const result = await Notification.updateMany(
+      { recipient, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    this.push(recipient, 'unread', { unreadCount: 0 });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Register an open event stream (Express response) for a user
+   */
+  subscribe(email, res) {
+    const recipient = normalizeEmail(email);
+    if (!this.streams.has(recipient)) this.streams.set(recipient, new Set());
+    this.streams.get(recipient).add(res);
+    this.startHeartbeat();
+  }
+
+  unsubscribe(email, res) {
+    const recipient = normalizeEmail(email);
+    const streams = this.streams.get(recipient);
+    if (!streams) return;
+    streams.delete(res);
+    if (streams.size === 0) this.streams.delete(recipient);
+    if (this.streams.size === 0) this.stopHeartbeat();
+  }
+
+  /**
+   * Write one server-sent event to a stream
+   */
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Push through the compression middleware straight away
+    if (typeof res.flush === 'function') res.flush();
+  }
+
+  /**
+   * Send an event to every open stream of a user
+   */
+  push(email, event, data) {
+    const streams = this.streams.get(normalizeEmail(email));
+    if (!streams) return;
+    streams.forEach(res => {
+      try {
+        this.send(res, event, data);
+      } catch (error) {
+        console.error('Error writing notification stream:', error.message);
+      }
+    });
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.streams.forEach(streams => streams.forEach(res => {
+        res.write(': ping\n\n');
+        if (typeof res.flush === 'function') res.flush();
+      }));
+    }, HEARTBEAT_SECONDS * 1000);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Close every open stream (server shutdown); clients reconnect on their own
+   */
+  closeAll() {
+    this.streams.forEach(streams => streams.forEach(res => res.end()));
+    this.streams.clear();
+    this.stopHeartbeat();
+  }
+}
+
+module.exports = new NotificationService();
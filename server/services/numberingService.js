@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const SystemSettings = require('../models/SystemSettings');
+
+// Used when numbering settings are missing entirely
+const FALLBACK_PATTERN = { prefix: 'NPDI', includeYear: true, padding: 4, resetYearly: true };
+
+// Skip past numbers already taken (e.g. an NPDI number that happens to match the pattern)
+const MAX_ATTEMPTS = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class NumberingService {
+  /**
+   * Numbering pattern for a new ticket: template override, then SBU override, then the default
+   * @param {Object} numbering - SystemSettings.numbering
+   * @param {Object} ticket - { sbu, template }
+   */
+  getPattern(numbering, { sbu, template } = {}) {
+    const patterns = numbering?.patterns || [];
+    const templateId = template ? String(template._id || template) : null;
+
+    const match = (templateId && patterns.find(pattern => pattern.scope === 'TEMPLATE' && pattern.value === templateId)) ||
+      (sbu && patterns.find(pattern => pattern.scope === 'SBU' && pattern.value === sbu));
+
+    const pattern = match || numbering?.defaultPattern || FALLBACK_PATTERN;
+    return {
+      prefix: pattern.prefix || FALLBACK_PATTERN.prefix,
+      includeYear: pattern.includeYear !== false,
+      padding: pattern.padding || FALLBACK_PATTERN.padding,
+      resetYearly: pattern.resetYearly !== false
+    };
+  }
+
+  /**
+   * Everything before the sequence, e.g. NPDI-2026 or ELEC
+   */
+  getStem(pattern, year) {
+    return pattern.includeYear ? `${pattern.prefix}-${year}` : pattern.prefix;
+  }
+
+  /**
+   * Counter key. Patterns with the same prefix share a counter so they cannot hand out the same number;
+   * without a yearly reset the sequence carries on across years.
+   */
+  getCounterKey(pattern, year) {
+    return pattern.includeYear && pattern.resetYearly ? this.getStem(pattern, year) : pattern.prefix;
+  }
+
+  formatNumber(pattern, seq, year) {
+    return `${this.getStem(pattern, year)}-${String(seq).padStart(pattern.padding, '0')}`;
+  }
+
+  /**
+   * Start a new counter after the highest number already issued for it, so switching to
+   * counters (or re-adding a removed pattern) never reissues an existing number
+   */
+  async seedCounter(key, pattern, year) {
+    if (await Counter.exists({ key })) return;
+
+    const stemPattern = pattern.includeYear && !pattern.resetYearly
+      ? `${escapeRegex(pattern.prefix)}-\\d{4}`
+      : escapeRegex(this.getStem(pattern, year));
+    const regex = new RegExp(`^${stemPattern}-(\\d+)$`);
+
+    const ProductTicket = mongoose.model('ProductTicket');
+    const tickets = await ProductTicket.find({
+      $or: [{ ticketNumber: regex }, { internalTicketNumber: regex }]
+    }).select('ticketNumber internalTicketNumber').lean();
+
+    const highest = tickets.reduce((max, ticket) => {
+      [ticket.ticketNumber, ticket.internalTicketNumber].forEach(number => {
+        const match = number && number.match(regex);
+        if (match) max = Math.max(max, parseInt(match[1], 10));
+      });
+      return max;
+    }, 0);
+
+    try {
+      // $max keeps this safe if another request seeds the same counter at the same time
+      await Counter.updateOne({ key }, { $max: { seq: highest } }, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Issue the next ticket number for a new ticket
+   * @param {Object} ticket - { sbu, template }
+   * @returns {string} e.g. NPDI-2026-0042
+   */
+  async nextNumber(ticket) {
+    const settings = await SystemSettings.getSettings();
+    const pattern = this.getPattern(settings.numbering, ticket);
+    const year = new Date().getFullYear();
+    const key = this.getCounterKey(pattern, year);
+
+    await this.seedCounter(key, pattern, year);
+
+    const ProductTicket = mongoose.model('ProductTicket');
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const counter = await Counter.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      const number = this.formatNumber(pattern, counter.seq, year);
+
+      const taken = await ProductTicket.exists({
+        $or: [{ ticketNumber: number }, { internalTicketNumber: number }]
+      });
+      if (!taken) return number;
+    }
+
+    throw new Error(`Unable to issue a unique ticket number for ${key} after ${MAX_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Current counters, for the numbering settings page
+   */
+  async getCounters() {
+    return Counter.find().sort({ key: 1 }).select('key seq updatedAt').lean();
+  }
+}
+
+module.exports = new NumberingService();
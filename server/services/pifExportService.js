@@ -17,8 +17,20 @@ const path = require('path');
  *
  * To modify data mappings:
  * - Edit the GENERAL_MAPPING, PRODUCT_MAPPING, or MATERIAL_MAPPING objects below
+ * - Wrap a mapper in importAs() when the column maps straight back onto a ticket
+ *   field; ticketImportService uses those tags to read PIF files into tickets
  */
 
+/**
+ * Tag a mapping function with the ticket field it exports, so the import
+ * pipeline can map the column back onto the ticket
+ *
+ * @param {string} field - Dot-notated ticket field (component field for MATERIAL_MAPPING)
+ * @param {Function} mapper - Export mapping function
+ * @param {Function} parse - Optional converter from cell value to field value
+ */
+const importAs = (field, mapper, parse = null) => Object.assign(mapper, { importField: field, parse });
+
 // ============================================================================
 // DATA MAPPING CONFIGURATION
 // ============================================================================
@@ -48,22 +60,22 @@ const GENERAL_MAPPING = {
   5: (ticket) => ticket.createdBy || '',
 
   // Column F: Launch Date
-  6: (ticket) => {
+  6: importAs('launchTimeline.targetLaunchDate', (ticket) => {
     if (ticket.launchTimeline?.targetLaunchDate) {
       const date = new Date(ticket.launchTimeline.targetLaunchDate);
       return date.toISOString().split('T')[0]; // YYYY-MM-DD format
     }
     return '';
-  },
+  }, (value) => new Date(value)),
 
   // Column H: NPDI ID
   8: (ticket) => ticket.ticketNumber || '',
 
   // Column T: Production Plant
-  20: (ticket) => ticket.primaryPlant || '',
+  20: importAs('primaryPlant', (ticket) => ticket.primaryPlant || ''),
 
   // Column W: Procurement Type
-  23: (ticket) => ticket.productionType || 'Produced'
+  23: importAs('productionType', (ticket) => ticket.productionType || 'Produced')
 };
 
 /**
@@ -78,10 +90,10 @@ const PRODUCT_MAPPING = {
   3: (ticket) => ticket.partNumber?.baseNumber || ticket.ticketNumber || '',
 
   // Column D: Product Name
-  4: (ticket) => ticket.productName || '',
+  4: importAs('productName', (ticket) => ticket.productName || ''),
 
   // Column E: Division Brand
-  5: (ticket) => ticket.brand || '',
+  5: importAs('brand', (ticket) => ticket.brand || ''),
 
   // Column F: Label Name
   6: (ticket) => ticket.productName || '',
@@ -93,7 +105,7 @@ const PRODUCT_MAPPING = {
   },
 
   // Column H: Country Of Origin
-  8: (ticket) => ticket.countryOfOrigin || '',
+  8: importAs('countryOfOrigin', (ticket) => ticket.countryOfOrigin || ''),
 
   // Column I: Country Of Manufacture
   9: (ticket) => ticket.countryOfOrigin || '',
@@ -108,70 +120,70 @@ const PRODUCT_MAPPING = {
   },
 
   // Column Q: Application Notes
-  17: (ticket) => {
+  17: importAs('corpbaseData.applications', (ticket) => {
     const apps = ticket.corpbaseData?.applications;
     if (Array.isArray(apps)) {
       return apps.join(', ');
     }
     return apps || '';
-  },
+  }, (value) => String(value).split(',').map(app => app.trim()).filter(Boolean)),
 
   // Column Y: State of Matter
-  25: (ticket) => ticket.chemicalProperties?.physicalState || '',
+  25: importAs('chemicalProperties.physicalState', (ticket) => ticket.chemicalProperties?.physicalState || ''),
 
   // Column AB: Colour
   28: (ticket) => '',
 
   // Column AC: Density
-  29: (ticket) => ticket.chemicalProperties?.additionalProperties?.density || '',
+  29: importAs('chemicalProperties.additionalProperties.density', (ticket) => ticket.chemicalProperties?.additionalProperties?.density || ''),
 
   // Column AD: Melting Point
-  30: (ticket) => ticket.chemicalProperties?.additionalProperties?.meltingPoint || '',
+  30: importAs('chemicalProperties.additionalProperties.meltingPoint', (ticket) => ticket.chemicalProperties?.additionalProperties?.meltingPoint || ''),
 
   // Column AE: Boiling Point
-  31: (ticket) => ticket.chemicalProperties?.additionalProperties?.boilingPoint || '',
+  31: importAs('chemicalProperties.additionalProperties.boilingPoint', (ticket) => ticket.chemicalProperties?.additionalProperties?.boilingPoint || ''),
 
   // Column AG: Flash Point
-  33: (ticket) => ticket.chemicalProperties?.additionalProperties?.flashPoint || '',
+  33: importAs('chemicalProperties.additionalProperties.flashPoint', (ticket) => ticket.chemicalProperties?.additionalProperties?.flashPoint || ''),
 
   // Column AJ: pH value
   36: (ticket) => '',
 
   // Column AL: Storage Temperature Range
-  38: (ticket) => ticket.chemicalProperties?.storageTemperature || '',
+  38: importAs('chemicalProperties.storageTemperature', (ticket) => ticket.chemicalProperties?.storageTemperature || ''),
 
   // Column AM: Shipping Condition
-  39: (ticket) => ticket.chemicalProperties?.shippingConditions || '',
+  39: importAs('chemicalProperties.shippingConditions', (ticket) => ticket.chemicalProperties?.shippingConditions || ''),
 
   // Column BF: Additional Comments on Product
-  58: (ticket) => ticket.corpbaseData?.productDescription || '',
+  58: importAs('corpbaseData.productDescription', (ticket) => ticket.corpbaseData?.productDescription || ''),
 
   // Column CN: Origin of Substance
-  92: (ticket) => ticket.chemicalProperties?.materialSource || '',
+  92: importAs('chemicalProperties.materialSource', (ticket) => ticket.chemicalProperties?.materialSource || ''),
 
   // Column CO: Substance Name
   93: (ticket) => ticket.productName || '',
 
   // Column CP: IUPAC Name
-  94: (ticket) => ticket.chemicalProperties?.iupacName || '',
+  94: importAs('chemicalProperties.iupacName', (ticket) => ticket.chemicalProperties?.iupacName || ''),
 
   // Column CR: CAS Number
-  96: (ticket) => ticket.chemicalProperties?.casNumber || '',
+  96: importAs('chemicalProperties.casNumber', (ticket) => ticket.chemicalProperties?.casNumber || ''),
 
   // Column CV: InChi Code
-  100: (ticket) => ticket.chemicalProperties?.inchi || '',
+  100: importAs('chemicalProperties.inchi', (ticket) => ticket.chemicalProperties?.inchi || ''),
 
   // Column CW: SMILES Code
-  101: (ticket) => ticket.chemicalProperties?.canonicalSMILES || ticket.chemicalProperties?.isomericSMILES || '',
+  101: importAs('chemicalProperties.canonicalSMILES', (ticket) => ticket.chemicalProperties?.canonicalSMILES || ticket.chemicalProperties?.isomericSMILES || ''),
 
   // Column CX: Molecular Formula
-  102: (ticket) => ticket.chemicalProperties?.molecularFormula || '',
+  102: importAs('chemicalProperties.molecularFormula', (ticket) => ticket.chemicalProperties?.molecularFormula || ''),
 
   // Column CY: State of Matter2
   103: (ticket) => ticket.chemicalProperties?.physicalState || '',
 
   // Column DA: Molecular Weight
-  105: (ticket) => ticket.chemicalProperties?.molecularWeight || '',
+  105: importAs('chemicalProperties.molecularWeight', (ticket) => ticket.chemicalProperties?.molecularWeight || '', Number),
 
   // Column DG: Plant Genus/Species
   111: (ticket) => {
@@ -189,7 +201,7 @@ const PRODUCT_MAPPING = {
  */
 const MATERIAL_MAPPING = {
   // Column A: Material Number
-  1: (ticket, component) => component?.componentCAS || '',
+  1: importAs('componentCAS', (ticket, component) => component?.componentCAS || ''),
 
   // Column B: Product Number
   2: (ticket, component) => ticket.partNumber?.baseNumber || ticket.ticketNumber || '',
@@ -198,7 +210,7 @@ const MATERIAL_MAPPING = {
   3: (ticket, component) => ticket.productName || '',
 
   // Column D: Material Name (component name)
-  4: (ticket, component) => component?.componentName || '',
+  4: importAs('componentName', (ticket, component) => component?.componentName || ''),
 
   // Column E: SAP Material Number
   5: (ticket, component) => component?.componentCAS || '',
@@ -207,12 +219,12 @@ const MATERIAL_MAPPING = {
   6: (ticket, component) => component?.componentCAS || '',
 
   // Column L: Net Weight (weight percent from composition)
-  12: (ticket, component) => {
+  12: importAs('weightPercent', (ticket, component) => {
     if (component?.weightPercent) {
       return `${component.weightPercent}%`;
     }
     return '';
-  }
+  }, (value) => parseFloat(String(value).replace('%', '')))
 };
 
 // ============================================================================
@@ -364,5 +376,8 @@ const generatePIF = async (ticket, currentUser) => {
 };
 
 module.exports = {
-  generatePIF
+  generatePIF,
+  GENERAL_MAPPING,
+  PRODUCT_MAPPING,
+  MATERIAL_MAPPING
 };
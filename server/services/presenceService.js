@@ -0,0 +1,152 @@
+const notificationService = require('./notificationService');
+
+// Clients send a heartbeat every 30 seconds; an entry expires when two are missed
+const PRESENCE_TTL_SECONDS = 75;
+const SWEEP_SECONDS = 15;
+
+// Sections that can be soft-locked while someone edits them
+const LOCK_SECTIONS = {
+  details: 'Ticket details',
+  skus: 'SKUs and pricing',
+  corpbase: 'CorpBase content'
+};
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+class PresenceService {
+  constructor() {
+    // ticketId -> Map(email -> { email, firstName, lastName, role, editing, editingSince, joinedAt, lastSeen })
+    // Held in this process only, like the notification streams it pushes through
+    this.tickets = new Map();
+    this.sweeper = null;
+  }
+
+  /**
+   * Viewers of a ticket and the sections they hold soft locks on
+   * When two people edit the same section, the one who started first holds the lock
+   * @returns {Object} { viewers, locks }
+   */
+  getState(ticketId) {
+    const entries = [...(this.tickets.get(String(ticketId))?.values() || [])];
+
+    const viewers = entries
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .map(({ email, firstName, lastName, role, editing }) => ({ email, firstName, lastName, role, editing }));
+
+    const locks = [];
+    entries
+      .filter(entry => entry.editing)
+      .sort((a, b) => a.editingSince - b.editingSince)
+      .forEach(entry => {
+        if (locks.some(lock => lock.section === entry.editing)) return;
+        locks.push({
+          section: entry.editing,
+          label: LOCK_SECTIONS[entry.editing],
+          email: entry.email,
+          firstName: entry.firstName,
+          lastName: entry.lastName,
+          since: new Date(entry.editingSince)
+        });
+      });
+
+    return { viewers, locks };
+  }
+
+  /**
+   * Record that a user has the ticket open, and which section they are editing
+   * @param {string} ticketId - Ticket id
+   * @param {Object} user - { email, firstName, lastName, role }
+   * @param {string|null} editing - Section being edited (see LOCK_SECTIONS), or null when only viewing
+   * @returns {Object} { success, statusCode, message, viewers, locks }
+   */
+  heartbeat(ticketId, user, editing = null) {
+    if (editing && !LOCK_SECTIONS[editing]) {
+      return { success: false, statusCode: 400, message: `Unknown section: ${editing}` };
+    }
+
+    const key = String(ticketId);
+    const email = normalizeEmail(user.email);
+    if (!this.tickets.has(key)) this.tickets.set(key, new Map());
+    const entries = this.tickets.get(key);
+
+    const now = Date.now();
+    const existing = entries.get(email);
+    const changed = !existing || existing.editing !== editing;
+
+    entries.set(email, {
+      email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      editing,
+      editingSince: editing ? (existing?.editing === editing ? existing.editingSince : now) : null,
+      joinedAt: existing?.joinedAt || now,
+      lastSeen: now
+    });
+
+    this.startSweeper();
+    if (changed) this.broadcast(key);
+
+    return { success: true, ...this.getState(key) };
+  }
+
+  /**
+   * Remove a user from a ticket (page closed, or navigated away)
+   */
+  leave(ticketId, email) {
+    const key = String(ticketId);
+    const entries = this.tickets.get(key);
+    if (!entries || !entries.delete(normalizeEmail(email))) return;
+
+    if (entries.size === 0) this.tickets.delete(key);
+    if (this.tickets.size === 0) this.stopSweeper();
+    this.broadcast(key);
+  }
+
+  /**
+   * Push the ticket's presence to everyone viewing it
+   */
+  broadcast(ticketId) {
+    const state = this.getState(ticketId);
+    state.viewers.forEach(viewer => {
+      notificationService.push(viewer.email, 'presence', { ticketId, ...state });
+    });
+  }
+
+  /**
+   * Drop users whose heartbeat stopped and release their locks
+   */
+  sweep() {
+    const cutoff = Date.now() - PRESENCE_TTL_SECONDS * 1000;
+
+    this.tickets.forEach((entries, ticketId) => {
+      let removed = false;
+      entries.forEach((entry, email) => {
+        if (entry.lastSeen < cutoff) {
+          entries.delete(email);
+          removed = true;
+        }
+      });
+
+      if (entries.size === 0) this.tickets.delete(ticketId);
+      if (removed) this.broadcast(ticketId);
+    });
+
+    if (this.tickets.size === 0) this.stopSweeper();
+  }
+
+  startSweeper() {
+    if (this.sweeper) return;
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_SECONDS * 1000);
+    this.sweeper.unref();
+  }
+
+  stopSweeper() {
+    if (this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
+  }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,265 @@
+const ProductTicket = require('../models/ProductTicket');
+const SystemSettings = require('../models/SystemSettings');
+const UserPreferences = require('../models/UserPreferences');
+const workflowService = require('./workflowService');
+const slaService = require('./slaService');
+const teamsNotificationService = require('./teamsNotificationService');
+const emailNotificationService = require('./emailNotificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const daysSince = (date, now) => Math.floor((now.getTime() - new Date(date).getTime()) / DAY_MS);
+
+class ReminderService {
+  constructor() {
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Reminders that currently apply to a ticket
+   * Drafts go to their creator; stuck tickets and overdue milestones go to the assignee, or the creator when unassigned
+   * @param {Object} ticket - Plain ticket object
+   * @param {Object} reminderSettings - SystemSettings.reminders
+   * @param {Date} now - Evaluation time
+   * @returns {Array} [{ type, key, title, detail, recipient }]
+   */
+  findReminders(ticket, reminderSettings, now = new Date()) {
+    const reminders = [];
+    const owner = ticket.assignedTo || ticket.createdBy;
+
+    if (ticket.status === 'DRAFT') {
+      const idleDays = daysSince(ticket.updatedAt || ticket.createdAt, now);
+      if (reminderSettings.staleDraftDays > 0 && idleDays >= reminderSettings.staleDraftDays) {
+        reminders.push({
+          type: 'STALE_DRAFT',
+          key: 'DRAFT',
+          title: 'Draft not updated',
+          detail: `No changes for ${idleDays} days. Submit it or cancel it if it is no longer needed.`,
+          recipient: ticket.createdBy
+        });
+      }
+    } else if (reminderSettings.stuckStatusDays > 0) {
+      const enteredAt = slaService.getStatusEnteredAt(ticket);
+      const stuckDays = daysSince(enteredAt, now);
+      if (stuckDays >= reminderSettings.stuckStatusDays) {
+        reminders.push({
+          type: 'STUCK_STATUS',
+          key: `${ticket.status}:${enteredAt.toISOString()}`,
+          title: `Still ${ticket.status}`,
+          detail: `In ${ticket.status} for ${stuckDays} days (since ${enteredAt.toISOString().slice(0, 10)}).`,
+          recipient: owner
+        });
+      }
+    }
+
+    if (reminderSettings.overdueMilestones !== false) {
+      (ticket.launchTimeline?.milestones || [])
+        .filter(milestone => !milestone.completed && milestone.dueDate && new Date(milestone.dueDate) < now)
+        .forEach(milestone => {
+          reminders.push({
+            type: 'OVERDUE_MILESTONE',
+            key: String(milestone._id),
+            title: `Milestone overdue: ${milestone.name || 'Unnamed'}`,
+            detail: `Was due ${new Date(milestone.dueDate).toISOString().slice(0, 10)} (${daysSince(milestone.dueDate, now)} days ago).`,
+            recipient: owner
+          });
+        });
+    }
+
+    return reminders.filter(reminder => reminder.recipient);
+  }
+
+  /**
+   * Check whether a time falls in a user's quiet hours
+   * @param {Object} quietHours - UserPreferences.notifications.quietHours
+   * @param {string} timezone - UserPreferences.display.timezone
+   * @param {Date} now - Time to check
+   */
+  isQuietTime(quietHours, timezone, now = new Date()) {
+    if (!quietHours?.enabled || !quietHours.start || !quietHours.end || quietHours.start === quietHours.end) {
+      return false;
+    }
+
+    let localTime;
+    try {
+      localTime = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).format(now);
+    } catch (error) {
+      // Unknown timezone; use the default rather than ignoring quiet hours
+      return this.isQuietTime(quietHours, DEFAULT_TIMEZONE, now);
+    }
+
+    // Quiet hours may run past midnight (e.g. 18:00 - 08:00)
+    return quietHours.start < quietHours.end
+      ? localTime >= quietHours.start && localTime < quietHours.end
+      : localTime >= quietHours.start || localTime < quietHours.end;
+  }
+
+  /**
+   * Whether a recipient gets reminder emails right now: 'SEND', 'OPTED_OUT' or 'QUIET'
+   * Results are cached for the duration of one check
+   */
+  async getEmailState(email, now, cache) {
+    if (cache.has(email)) return cache.get(email);
+
+    let state = 'SEND';
+    if (!(await emailNotificationService.isEnabledForUser(email, 'reminders'))) {
+      state = 'OPTED_OUT';
+    } else {
+      const preferences = await UserPreferences.findOne({ userId: email })
+        .select('notifications.quietHours display.timezone')
+        .lean();
+      if (preferences && this.isQuietTime(preferences.notifications?.quietHours, preferences.display?.timezone, now)) {
+        state = 'QUIET';
+      }
+    }
+
+    cache.set(email, state);
+    return state;
+  }
+
+  /**
+   * Whether a reminder went to a recipient within the repeat interval
+   */
+  wasSentRecently(log, reminder, recipient, cutoff) {
+    return log.some(entry =>
+      entry.type === reminder.type && entry.key === reminder.key &&
+      entry.recipient === recipient && new Date(entry.sentAt) > cutoff
+    );
+  }
+
+  /**
+   * Find open tickets that need a reminder and send them by email and Teams
+   * @returns {Object} { checked, emailed, posted, deferred }
+   */
+  async checkTickets() {
+    if (this.isChecking) {
+      return { skipped: true };
+    }
+    this.isChecking = true;
+
+    try {
+      const settings = await SystemSettings.getSettings();
+      const reminderSettings = settings.reminders;
+      if (!reminderSettings?.enabled) {
+        return { skipped: true, reason: 'Reminders disabled' };
+      }
+
+      const terminalStates = await workflowService.getTerminalStates();
+      const now = new Date();
+      const cutoff = new Date(now.getTime() - (reminderSettings.repeatEveryDays || 3) * DAY_MS);
+      const emailEnabled = emailNotificationService.isConfigured();
+      const teams = settings.integrations?.teams || {};
+      const teamsEnabled = teams.enabled && teams.notifyOnReminder && !!teams.webhookUrl;
+      const emailStates = new Map();
+      const summary = { checked: 0, emailed: 0, posted: 0, deferred: 0 };
+
+      const cursor = ProductTicket.find({ status: { $nin: terminalStates } })
+        .select('ticketNumber productName sbu status priority createdBy assignedTo sla statusHistory.status statusHistory.changedAt launchTimeline.milestones reminderLog createdAt updatedAt')
+        .lean()
+        .cursor();
+
+      for await (const ticket of cursor) {
+        summary.checked++;
+        const log = ticket.reminderLog || [];
+        const reminders = this.findReminders(ticket, reminderSettings, now);
+
+        // Entries for reminders that no longer apply are dropped so the log stays small
+        const current = log.filter(entry => reminders.some(reminder => reminder.type === entry.type && reminder.key === entry.key));
+        const sent = [];
+
+        if (emailEnabled) {
+          const byRecipient = new Map();
+          reminders
+            .filter(reminder => !this.wasSentRecently(log, reminder, reminder.recipient, cutoff))
+            .forEach(reminder => {
+              byRecipient.set(reminder.recipient, [...(byRecipient.get(reminder.recipient) || []), reminder]);
+            });
+
+          for (const [recipient, items] of byRecipient) {
+            const state = await this.getEmailState(recipient, now, emailStates);
+            if (state === 'QUIET') summary.deferred++;
+            if (state !== 'SEND') continue;
+
+            const result = await emailNotificationService.notifyReminder(ticket, items, recipient);
+            if (result.success) {
+              summary.emailed++;
+              items.forEach(item => sent.push({ type: item.type, key: item.key, recipient, sentAt: now }));
+            }
+          }
+        }
+
+        if (teamsEnabled) {
+          const items = reminders.filter(reminder => !this.wasSentRecently(log, reminder, 'teams', cutoff));
+          if (items.length > 0) {
+            const result = await teamsNotificationService.notifyReminder(ticket, items);
+            if (result.success) {
+              summary.posted++;
+              items.forEach(item => sent.push({ type: item.type, key: item.key, recipient: 'teams', sentAt: now }));
+            }
+          }
+        }
+
+        if (sent.length === 0 && current.length === log.length) continue;
+
+        const reminderLog = [
+          ...current.filter(entry => !sent.some(item => item.type === entry.type && item.key === entry.key && item.recipient === entry.recipient)),
+          ...sent
+        ];
+        // Direct update so reminder bookkeeping doesn't bump updatedAt (drafts would never look stale)
+        await ProductTicket.updateOne({ _id: ticket._id }, { $set: { reminderLog } });
+      }
+
+      if (summary.emailed > 0 || summary.posted > 0) {
+        console.log(`Reminder check: ${summary.checked} checked, ${summary.emailed} emailed, ${summary.posted} posted to Teams, ${summary.deferred} deferred for quiet hours`);
+      }
+
+      return summary;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Start the background reminder scheduler
+   * The interval is read from settings at startup; restart the server after changing it
+   */
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const settings = await SystemSettings.getSettings();
+      const intervalMinutes = settings.reminders?.checkIntervalMinutes || 60;
+
+      this.timer = setInterval(() => {
+        this.checkTickets().catch(error => {
+          console.error('Reminder check failed:', error.message);
+        });
+      }, intervalMinutes * 60 * 1000);
+      // Don't keep the process alive just for reminders
+      this.timer.unref();
+
+      console.log(`Reminder scheduler started (every ${intervalMinutes} minutes)`);
+    } catch (error) {
+      console.error('Failed to start reminder scheduler:', error.message);
+    }
+  }
+
+  /**
+   * Stop the background reminder scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ReminderService();
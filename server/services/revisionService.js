@@ -0,0 +1,161 @@
+// Status a ticket is returned to so the Product Manager can edit it again
+const REVISION_STATUS = 'DRAFT';
+
+// Status that is blocked while revision items are still open
+const RESUBMIT_STATUS = 'SUBMITTED';
+
+// Dot/bracket field path, e.g. chemicalProperties.casNumber or skuVariants[2].pricing.listPrice
+const FIELD_PATH_PATTERN = /^[A-Za-z_$][\w$]*(\[\d+\]|\.[A-Za-z_$][\w$]*)*$/;
+
+class RevisionService {
+  get revisionStatus() {
+    return REVISION_STATUS;
+  }
+
+  /**
+   * Revision items that have not been resolved yet
+   * @param {Object} ticket - Ticket document or plain object
+   */
+  getOpenItems(ticket) {
+    return (ticket.revisionRequests || []).filter(item => item.status === 'OPEN');
+  }
+
+  /**
+   * Validate the checklist sent with a return for revision
+   * @param {Array} items - [{ fieldPath, fieldLabel, message }]
+   * @returns {Object} { success, statusCode, message, items }
+   */
+  validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { success: false, statusCode: 400, message: 'Add at least one revision item' };
+    }
+
+    const cleaned = [];
+    for (const [index, item] of items.entries()) {
+      const fieldPath = typeof item?.fieldPath === 'string' ? item.fieldPath.trim() : '';
+      const message = typeof item?.message === 'string' ? item.message.trim() : '';
+
+      if (!FIELD_PATH_PATTERN.test(fieldPath)) {
+        return { success: false, statusCode: 400, message: `Revision item ${index + 1}: "${fieldPath}" is not a valid field path` };
+      }
+      if (!message) {
+        return { success: false, statusCode: 400, message: `Revision item ${index + 1}: describe what needs to change` };
+      }
+
+      cleaned.push({
+        fieldPath,
+        fieldLabel: typeof item.fieldLabel === 'string' && item.fieldLabel.trim() ? item.fieldLabel.trim() : fieldPath,
+        message
+      });
+    }
+
+    return { success: true, items: cleaned };
+  }
+
+  /**
+   * Add a new round of revision items to a ticket being returned (does not save).
+   * Also starts a new approval round, so the ticket is signed off again after resubmission
+   * @param {Object} ticket - ProductTicket document
+   * @param {Array} items - Items from validateItems
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   */
+  addRequests(ticket, items, currentUser) {
+    const round = Math.max(0, ...(ticket.revisionRequests || []).map(item => item.round || 1)) + 1;
+    const requestedAt = new Date();
+
+    items.forEach(item => {
+      ticket.revisionRequests.push({
+        ...item,
+        status: 'OPEN',
+        round,
+        requestedBy: currentUser.email || null,
+        requestedAt
+      });
+    });
+    ticket.approvalRoundStartedAt = requestedAt;
+
+    ticket.statusHistory.push({
+      status: REVISION_STATUS,
+      changedBy: null,
+      reason: `Returned for revision by ${currentUser.firstName} ${currentUser.lastName} with ${items.length} item${items.length === 1 ? '' : 's'} to resolve`,
+      action: 'REVISION_REQUESTED',
+      userInfo: currentUser,
+      details: {
+        round,
+        items: items.map(item => ({ fieldPath: item.fieldPath, fieldLabel: item.fieldLabel, message: item.message }))
+      }
+    });
+
+    return round;
+  }
+
+  /**
+   * Mark a revision item resolved, or reopen it (does not save)
+   * @param {Object} ticket - ProductTicket document
+   * @param {string} itemId - Revision item id
+   * @param {Object} data - { resolved, note }
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @returns {Object} { success, statusCode, message, item }
+   */
+  updateItem(ticket, itemId, { resolved, note }, currentUser) {
+    const item = ticket.revisionRequests.id(itemId);
+    if (!item) {
+      return { success: false, statusCode: 404, message: 'Revision item not found' };
+    }
+
+    const newStatus = resolved ? 'RESOLVED' : 'OPEN';
+    if (item.status === newStatus) {
+      return { success: false, statusCode: 400, message: `Revision item is already ${newStatus.toLowerCase()}` };
+    }
+
+    item.status = newStatus;
+    if (resolved) {
+      item.resolutionNote = note?.trim() || undefined;
+      item.resolvedBy = currentUser.email || null;
+      item.resolvedAt = new Date();
+    } else {
+      item.resolutionNote = undefined;
+      item.resolvedBy = undefined;
+      item.resolvedAt = undefined;
+    }
+
+    const remaining = this.getOpenItems(ticket).length;
+    ticket.statusHistory.push({
+      status: ticket.status,
+      changedBy: null,
+      reason: `${item.fieldLabel || item.fieldPath} ${resolved ? 'resolved' : 'reopened'} by ${currentUser.firstName} ${currentUser.lastName}${resolved && item.resolutionNote ? `: ${item.resolutionNote}` : ''} (${remaining} open)`,
+      action: 'REVISION_RESOLVED',
+      userInfo: currentUser,
+      details: {
+        revisionItem: item._id,
+        fieldPath: item.fieldPath,
+        resolved: !!resolved
+      }
+    });
+
+    return { success: true, item };
+  }
+
+  /**
+   * Block resubmission while revision items are open
+   * @param {Object} ticketData - Plain ticket object
+   * @param {string} toStatus - Requested status
+   * @returns {Object|null} Failed validation result, or null when the move is allowed
+   */
+  checkTransition(ticketData, toStatus) {
+    if (toStatus !== RESUBMIT_STATUS) return null;
+
+    const openItems = this.getOpenItems(ticketData);
+    if (openItems.length === 0) return null;
+
+    return {
+      isValid: false,
+      statusCode: 400,
+      error: 'Revision Items Open',
+      message: `Resolve all revision items before resubmitting. Open: ${openItems.map(item => item.fieldLabel || item.fieldPath).join(', ')}`,
+      openRevisionItems: openItems.map(item => ({ _id: item._id, fieldPath: item.fieldPath, fieldLabel: item.fieldLabel, message: item.message }))
+    };
+  }
+}
+
+module.exports = new RevisionService();
@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const UserPreferences = require('../models/UserPreferences');
+const User = require('../models/User');
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+const SLA_STATES = ['NONE', 'ON_TRACK', 'AT_RISK', 'BREACHED'];
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'launchTimeline.targetLaunchDate'];
+const SHARING_SCOPES = ['PRIVATE', 'TEAM', 'EVERYONE'];
+
+const MAX_SAVED_SEARCHES = 50;
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Query values arrive as arrays, comma-separated strings or single values
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isValidDate = (value) => value && !isNaN(new Date(value).getTime());
+
+class SavedSearchService {
+  /**
+   * Clean a filter set from a request body or query string
+   * @param {Object} input - { status, sbu, priority, slaState, assignedTo, createdBy, dateField, dateFrom, dateTo, search }
+   * @returns {Object} { filters } or { error }
+   */
+  normalizeFilters(input = {}) {
+    const filters = {
+      status: toList(input.status).map(s => s.toUpperCase()),
+      sbu: toList(input.sbu),
+      priority: toList(input.priority).map(p => p.toUpperCase()),
+      slaState: toList(input.slaState).map(s => s.toUpperCase())
+    };
+
+    const badPriority = filters.priority.find(p => !PRIORITIES.includes(p));
+    if (badPriority) return { error: `Unknown priority: ${badPriority}` };
+    const badSlaState = filters.slaState.find(s => !SLA_STATES.includes(s));
+    if (badSlaState) return { error: `Unknown SLA state: ${badSlaState}` };
+
+    ['assignedTo', 'createdBy'].forEach(key => {
+      const value = typeof input[key] === 'string' ? input[key].trim() : '';
+      // Emails are kept as given; tickets store them as the profile sent them
+      if (value) filters[key] = ['me', 'unassigned'].includes(value.toLowerCase()) ? value.toLowerCase() : value;
+    });
+    if (filters.createdBy === 'unassigned') return { error: 'createdBy cannot be "unassigned"' };
+
+    if (input.dateFrom || input.dateTo) {
+      const dateField = input.dateField || 'createdAt';
+      if (!DATE_FIELDS.includes(dateField)) return { error: `Unknown date field: ${dateField}` };
+      if (input.dateFrom && !isValidDate(input.dateFrom)) return { error: 'dateFrom is not a valid date' };
+      if (input.dateTo && !isValidDate(input.dateTo)) return { error: 'dateTo is not a valid date' };
+      filters.dateField = dateField;
+      if (input.dateFrom) filters.dateFrom = new Date(input.dateFrom);
+      if (input.dateTo) filters.dateTo = new Date(input.dateTo);
+    }
+
+    const search = typeof input.search === 'string' ? input.search.trim() : '';
+    if (search) filters.search = search;
+
+    return { filters };
+  }
+
+  /**
+   * Turn a filter set into a ProductTicket query
+   * Without a status filter, archived (terminal) tickets are left out, like the ticket list
+   * @param {Object} filters - From normalizeFilters
+   * @param {Object} options - { email: who "me" refers to, terminalStates }
+   * @returns {Object} MongoDB filter
+   */
+  buildTicketFilter(filters, { email, terminalStates = [] } = {}) {
+    const query = {};
+
+    query.status = filters.status?.length ? { $in: filters.status } : { $nin: terminalStates };
+    if (filters.sbu?.length) query.sbu = { $in: filters.sbu };
+    if (filters.priority?.length) query.priority = { $in: filters.priority };
+    if (filters.slaState?.length) query['sla.state'] = { $in: filters.slaState };
+
+    if (filters.assignedTo === 'unassigned') {
+      query.assignedTo = { $in: [null, ''] };
+    } else if (filters.assignedTo) {
+      query.assignedTo = filters.assignedTo === 'me' ? email : filters.assignedTo;
+    }
+    if (filters.createdBy) {
+      query.createdBy = filters.createdBy === 'me' ? email : filters.createdBy;
+    }
+
+    if (filters.dateFrom || filters.dateTo) {
+      const range = {};
+      if (filters.dateFrom) range.$gte = new Date(filters.dateFrom);
+      if (filters.dateTo) {
+        // A date-only upper bound includes the whole day
+        const dateTo = new Date(filters.dateTo);
+        if (dateTo.getUTCHours() === 0 && dateTo.getUTCMinutes() === 0 && dateTo.getUTCSeconds() === 0) {
+          dateTo.setUTCDate(dateTo.getUTCDate() + 1);
+          range.$lt = dateTo;
+        } else {
+          range.$lte = dateTo;
+        }
+      }
+      query[filters.dateField || 'createdAt'] = range;
+    }
+
+    if (filters.search) {
+      const pattern = { $regex: escapeRegex(filters.search), $options: 'i' };
+      query.$or = [
+        { productName: pattern },
+        { ticketNumber: pattern },
+        { internalTicketNumber: pattern },
+        { 'chemicalProperties.casNumber': pattern }
+      ];
+    }
+
+    return query;
+  }
+
+  /**
+   * Whether a shared search is visible to a user
+   * TEAM searches are visible to users with the owner's role, and the owner's SBU when one was set
+   */
+  isVisibleTo(search, user) {
+    const scope = search.sharing?.scope || 'PRIVATE';
+    if (scope === 'EVERYONE') return true;
+    if (scope !== 'TEAM') return false;
+    if (search.sharing.role && search.sharing.role !== user.role) return false;
+    if (search.sharing.sbu && search.sharing.sbu !== user.sbu) return false;
+    return true;
+  }
+
+  /**
+   * A user's own saved searches, the searches others shared with them, and their pinned tabs
+   * @param {Object} user - { email, role, sbu }
+   * @returns {Object} { savedSearches, sharedSearches, pinnedSearches }
+   */
+  async list(user) {
+    const [preferences, others] = await Promise.all([
+      UserPreferences.findOne({ userId: user.email }).select('savedSearches pinnedSearches').lean(),
+      UserPreferences.find({
+        userId: { $ne: user.email },
+        'savedSearches.sharing.scope': { $in: ['TEAM', 'EVERYONE'] }
+      }).select('userId savedSearches').lean()
+    ]);
+
+    const sharedSearches = [];
+    others.forEach(owner => {
+      (owner.savedSearches || [])
+        .filter(search => this.isVisibleTo(search, user))
+        .forEach(search => sharedSearches.push({ ...search, owner: owner.userId }));
+    });
+    sharedSearches.sort((a, b) => a.name.localeCompare(b.name));
+
+    // Drop pins whose search was deleted or is no longer shared
+    const available = new Set([
+      ...(preferences?.savedSearches || []).map(search => String(search._id)),
+      ...sharedSearches.map(search => String(search._id))
+    ]);
+
+    return {
+      savedSearches: [...(preferences?.savedSearches || [])].sort((a, b) => a.name.localeCompare(b.name)),
+      sharedSearches,
+      pinnedSearches: (preferences?.pinnedSearches || []).map(String).filter(id => available.has(id))
+    };
+  }
+
+  /**
+   * Validate name, filters and sharing for a saved search
+   * @returns {Object} { data } or { error }
+   */
+  buildSearchData(preferences, { name, filters, sharing }, user, searchId = null) {
+    const data = {};
+
+    if (name !== undefined || !searchId) {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed) return { error: 'A name is required' };
+      const taken = preferences.savedSearches.some(search =>
+        String(search._id) !== String(searchId) && search.name.toLowerCase() === trimmed.toLowerCase()
+      );
+      if (taken) return { error: `You already have a saved search named "${trimmed}"` };
+      data.name = trimmed;
+    }
+
+    if (filters !== undefined || !searchId) {
+      const result = this.normalizeFilters(filters || {});
+      if (result.error) return { error: result.error };
+      data.filters = result.filters;
+    }
+
+    if (sharing !== undefined || !searchId) {
+      const scope = (sharing?.scope || 'PRIVATE').toUpperCase();
+      if (!SHARING_SCOPES.includes(scope)) return { error: `Unknown sharing scope: ${scope}` };
+      data.sharing = {
+        scope,
+        role: scope === 'TEAM' ? user.role : undefined,
+        sbu: scope === 'TEAM' ? user.sbu || undefined : undefined,
+        ownerName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email
+      };
+    }
+
+    return { data };
+  }
+
+  /**
+   * Save a new named search
+   * @param {Object} user - { email, firstName, lastName, role, sbu }
+   * @param {Object} body - { name, filters, sharing: { scope }, pinned }
+   * @returns {Object} { success, statusCode, message, savedSearch }
+   */
+  async create(user, body) {
+    const preferences = await UserPreferences.getOrCreate(user.email);
+    if (preferences.savedSearches.length >= MAX_SAVED_SEARCHES) {
+      return { success: false, statusCode: 400, message: `You can save up to ${MAX_SAVED_SEARCHES} searches` };
+    }
+
+    const { data, error } = this.buildSearchData(preferences, body, user);
+    if (error) return { success: false, statusCode: 400, message: error };
+
+    preferences.savedSearches.push(data);
+    const savedSearch = preferences.savedSearches[preferences.savedSearches.length - 1];
+    if (body.pinned) preferences.pinnedSearches.push(savedSearch._id);
+    await preferences.save();
+
+    return { success: true, savedSearch: savedSearch.toObject() };
+  }
+
+  /**
+   * Rename, refilter or reshare one of the user's saved searches
+   * @returns {Object} { success, statusCode, message, savedSearch }
+   */
+  async update(user, searchId, body) {
+    const preferences = await UserPreferences.findOne({ userId: user.email });
+    const savedSearch = mongoose.Types.ObjectId.isValid(searchId) ? preferences?.savedSearches.id(searchId) : null;
+    if (!savedSearch) {
+      return { success: false, statusCode: 404, message: 'Saved search not found' };
+    }
+
+    const { data, error } = this.buildSearchData(preferences, body, user, searchId);
+    if (error) return { success: false, statusCode: 400, message: error };
+
+    savedSearch.set(data);
+    await preferences.save();
+
+    return { success: true, savedSearch: savedSearch.toObject() };
+  }
+
+  /**
+   * Delete one of the user's saved searches
+   * Other users' pins on it are dropped the next time they list their searches
+   */
+  async remove(user, searchId) {
+    const preferences = await UserPreferences.findOne({ userId: user.email });
+    const savedSearch = mongoose.Types.ObjectId.isValid(searchId) ? preferences?.savedSearches.id(searchId) : null;
+    if (!savedSearch) {
+      return { success: false, statusCode: 404, message: 'Saved search not found' };
+    }
+
+    savedSearch.deleteOne();
+    preferences.pinnedSearches = preferences.pinnedSearches.filter(id => String(id) !== String(searchId));
+    await preferences.save();
+
+    return { success: true };
+  }
+
+  /**
+   * Set the user's pinned tabs (own or shared searches), in order
+   * @returns {Object} { success, statusCode, message, pinnedSearches }
+   */
+  async setPins(user, searchIds) {
+    if (!Array.isArray(searchIds)) {
+      return { success: false, statusCode: 400, message: 'searchIds must be an array' };
+    }
+
+    const { savedSearches, sharedSearches } = await this.list(user);
+    const available = new Set([...savedSearches, ...sharedSearches].map(search => String(search._id)));
+    const unknown = searchIds.find(id => !available.has(String(id)));
+    if (unknown) {
+      return { success: false, statusCode: 404, message: `Saved search not found: ${unknown}` };
+    }
+
+    const preferences = await UserPreferences.getOrCreate(user.email);
+    preferences.pinnedSearches = [...new Set(searchIds.map(String))];
+    await preferences.save();
+
+    return { success: true, pinnedSearches: preferences.pinnedSearches.map(String) };
+  }
+
+  /**
+   * Role and SBU of a user account, for API callers that have no profile headers
+   * @returns {Object} { role, sbu }
+   */
+  async getTeam(email) {
+    const user = await User.findOne({ email: normalizeEmail(email) }).select('role sbu').lean();
+    return { role: user?.role, sbu: user?.sbu };
+  }
+
+  /**
+   * Find a saved search by name for an API key, matching the key creator's own searches
+   * first and then searches shared with them
+   * @param {string} name - Saved search name (case-insensitive)
+   * @param {string} email - API key creator
+   * @returns {Object|null} Saved search with its owner
+   */
+  async findByName(name, email) {
+    const { savedSearches, sharedSearches } = await this.list({ email, ...(await this.getTeam(email)) });
+    const target = (name || '').trim().toLowerCase();
+
+    const own = savedSearches.find(search => search.name.toLowerCase() === target);
+    if (own) return { ...own, owner: email };
+    return sharedSearches.find(search => search.name.toLowerCase() === target) || null;
+  }
+}
+
+module.exports = new SavedSearchService();
@@ -0,0 +1,241 @@
+const ProductTicket = require('../models/ProductTicket');
+const SystemSettings = require('../models/SystemSettings');
+const workflowService = require('./workflowService');
+const teamsNotificationService = require('./teamsNotificationService');
+const emailNotificationService = require('./emailNotificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SlaService {
+  constructor() {
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Find when the ticket entered its current status
+   * Walks statusHistory so tickets saved before SLA tracking still get a start time
+   * @param {Object} ticket - Plain ticket object
+   * @returns {Date}
+   */
+  getStatusEnteredAt(ticket) {
+    if (ticket.sla?.enteredAt && ticket.sla.status === ticket.status) {
+      return new Date(ticket.sla.enteredAt);
+    }
+
+    let enteredAt = null;
+    let previousStatus = null;
+    (ticket.statusHistory || []).forEach(entry => {
+      if (entry.status && entry.status !== previousStatus) {
+        enteredAt = entry.changedAt;
+        previousStatus = entry.status;
+      }
+    });
+
+    if (previousStatus !== ticket.status || !enteredAt) {
+      // History doesn't end on the current status; fall back to the last update
+      enteredAt = ticket.updatedAt || ticket.createdAt;
+    }
+
+    return new Date(enteredAt);
+  }
+
+  /**
+   * Find the SLA target for a status, preferring an SBU-specific target over the all-SBU one
+   * @param {Object} slaSettings - SystemSettings.sla
+   * @param {string} sbu - Ticket SBU
+   * @param {string} status - Ticket status
+   * @returns {number|null} Target in hours
+   */
+  resolveTarget(slaSettings, sbu, status) {
+    const targets = (slaSettings?.targets || []).filter(target => target.status === status);
+    const target = targets.find(t => t.sbu && t.sbu === sbu) || targets.find(t => !t.sbu);
+    return target ? target.targetHours : null;
+  }
+
+  /**
+   * Evaluate a ticket's SLA for its current status
+   * @param {Object} ticket - Plain ticket object
+   * @param {Object} slaSettings - SystemSettings.sla
+   * @param {Date} now - Evaluation time
+   * @returns {Object} SLA subdocument to store on the ticket
+   */
+  evaluate(ticket, slaSettings, now = new Date()) {
+    const enteredAt = this.getStatusEnteredAt(ticket);
+    const targetHours = this.resolveTarget(slaSettings, ticket.sbu, ticket.status);
+
+    // Keep escalation timestamps only while the ticket is still in the same status entry
+    const sameEntry = ticket.sla?.status === ticket.status &&
+      ticket.sla?.enteredAt && new Date(ticket.sla.enteredAt).getTime() === enteredAt.getTime();
+    const previous = sameEntry ? ticket.sla : {};
+
+    if (!targetHours) {
+      return { status: ticket.status, enteredAt, state: 'NONE', lastCheckedAt: now };
+    }
+
+    const targetMs = targetHours * HOUR_MS;
+    const elapsedMs = now.getTime() - enteredAt.getTime();
+    const atRiskMs = targetMs * ((slaSettings.atRiskPercent || 75) / 100);
+
+    let state = 'ON_TRACK';
+    if (elapsedMs >= targetMs) {
+      state = 'BREACHED';
+    } else if (elapsedMs >= atRiskMs) {
+      state = 'AT_RISK';
+    }
+
+    return {
+      status: ticket.status,
+      enteredAt,
+      targetHours,
+      dueAt: new Date(enteredAt.getTime() + targetMs),
+      state,
+      atRiskAt: state !== 'ON_TRACK' ? (previous.atRiskAt || now) : undefined,
+      breachedAt: state === 'BREACHED' ? (previous.breachedAt || now) : undefined,
+      escalatedAt: previous.escalatedAt,
+      lastCheckedAt: now
+    };
+  }
+
+  /**
+   * Evaluate all open tickets, store their SLA state and escalate new breaches
+   * @returns {Object} { checked, atRisk, breached, escalated }
+   */
+  async checkTickets() {
+    if (this.isChecking) {
+      return { skipped: true };
+    }
+    this.isChecking = true;
+
+    try {
+      const settings = await SystemSettings.getSettings();
+      const slaSettings = settings.sla;
+      if (!slaSettings?.enabled) {
+        return { skipped: true, reason: 'SLA tracking disabled' };
+      }
+
+      const terminalStates = await workflowService.getTerminalStates();
+      const now = new Date();
+      const summary = { checked: 0, atRisk: 0, breached: 0, escalated: 0 };
+
+      const cursor = ProductTicket.find({ status: { $nin: terminalStates } })
+        .select('ticketNumber productName sbu status priority createdBy assignedTo sla statusHistory.status statusHistory.changedAt createdAt updatedAt')
+        .lean()
+        .cursor();
+
+      for await (const ticket of cursor) {
+        const sla = this.evaluate(ticket, slaSettings, now);
+        summary.checked++;
+        if (sla.state === 'AT_RISK') summary.atRisk++;
+        if (sla.state === 'BREACHED') summary.breached++;
+
+        const update = { $set: { sla } };
+        // Only the ticket as read here is updated: a status change in the meantime starts a new SLA
+        const filter = { _id: ticket._id, status: ticket.status };
+        const escalating = sla.state === 'BREACHED' && !sla.escalatedAt;
+
+        if (escalating) {
+          sla.escalatedAt = now;
+          // Another checker that already escalated this breach changed the stored escalatedAt
+          filter['sla.escalatedAt'] = ticket.sla?.escalatedAt ?? null;
+          update.$push = {
+            statusHistory: {
+              status: ticket.status,
+              changedBy: 'system',
+              changedAt: now,
+              reason: `SLA breached: ${ticket.status} target of ${sla.targetHours}h exceeded`,
+              action: 'SLA_ESCALATION',
+              details: {
+                targetHours: sla.targetHours,
+                enteredAt: sla.enteredAt,
+                dueAt: sla.dueAt,
+                assignedTo: ticket.assignedTo || null
+              }
+            }
+          };
+        }
+
+        // Direct update so SLA bookkeeping doesn't bump updatedAt
+        const result = await ProductTicket.updateOne(filter, update);
+
+        // Escalate only once the breach is recorded, so a ticket that moved on is not escalated
+        if (escalating && result.modifiedCount === 1) {
+          await this.escalate(ticket, sla, slaSettings.escalation || {});
+          summary.escalated++;
+        }
+      }
+
+      if (summary.escalated > 0 || summary.breached > 0) {
+        console.log(`SLA check: ${summary.checked} checked, ${summary.atRisk} at risk, ${summary.breached} breached, ${summary.escalated} escalated`);
+      }
+
+      return summary;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Send SLA breach escalations through Teams and email
+   */
+  async escalate(ticket, sla, escalation) {
+    const notifications = [];
+
+    if (escalation.notifyTeams !== false) {
+      notifications.push(teamsNotificationService.notifySlaBreach(ticket, sla));
+    }
+
+    if (escalation.notifyEmail !== false) {
+      const recipients = [...(escalation.emailRecipients || [])];
+      if (escalation.notifyAssignee !== false && ticket.assignedTo &&
+          await emailNotificationService.isEnabledForUser(ticket.assignedTo)) {
+        recipients.push(ticket.assignedTo);
+      }
+      notifications.push(emailNotificationService.notifySlaBreach(ticket, sla, recipients));
+    }
+
+    await Promise.allSettled(notifications);
+  }
+
+  /**
+   * Start the background SLA checker and run a first check
+   * The interval is read from settings at startup; restart the server after changing it
+   */
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const settings = await SystemSettings.getSettings();
+      const intervalMinutes = settings.sla?.checkIntervalMinutes || 15;
+
+      const runCheck = () => {
+        this.checkTickets().catch(error => {
+          console.error('SLA check failed:', error.message);
+        });
+      };
+
+      this.timer = setInterval(runCheck, intervalMinutes * 60 * 1000);
+      // Don't keep the process alive just for the SLA checker
+      this.timer.unref();
+
+      console.log(`SLA checker started (every ${intervalMinutes} minutes)`);
+
+      // First check now rather than a full interval after startup
+      runCheck();
+    } catch (error) {
+      console.error('Failed to start SLA checker:', error.message);
+    }
+  }
+
+  /**
+   * Stop the background SLA checker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new SlaService();
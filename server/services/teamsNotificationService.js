@@ -8,10 +8,10 @@ class TeamsNotificationService {
    * @param {string} options.title - Notification title
    * @param {string} options.message - Notification message
    * @param {Object} options.ticket - Ticket object
-   * @param {string} options.actionType - Type of action (status_change, created, comment, assignment)
+   * @param {string} options.actionType - Type of action (status_change, created, comment, assignment, sla_escalation, reminder)
    * @param {Object} options.user - User who performed the action
    */
-  async sendNotification({ title, message, ticket, actionType, user, oldStatus, newStatus }) {
+  async sendNotification({ title, message, ticket, actionType, user, oldStatus, newStatus, extraFacts }) {
     try {
       const settings = await SystemSettings.getSettings();
 
@@ -34,6 +34,12 @@ class TeamsNotificationService {
       if (actionType === 'assignment' && !settings.integrations.teams.notifyOnAssignment) {
         return { success: false, reason: 'Assignment notifications disabled' };
       }
+      if (actionType === 'sla_escalation' && settings.integrations.teams.notifyOnSlaBreach === false) {
+        return { success: false, reason: 'SLA breach notifications disabled' };
+      }
+      if (actionType === 'reminder' && !settings.integrations.teams.notifyOnReminder) {
+        return { success: false, reason: 'Reminder notifications disabled' };
+      }
 
       const webhookUrl = settings.integrations.teams.webhookUrl;
       if (!webhookUrl) {
@@ -49,7 +55,8 @@ class TeamsNotificationService {
         actionType,
         user,
         oldStatus,
-        newStatus
+        newStatus,
+        extraFacts
       });
 
       // Send to Teams
@@ -93,7 +100,7 @@ class TeamsNotificationService {
   /**
    * Create an Adaptive Card for Teams
    */
-  createAdaptiveCard({ title, message, ticket, actionType, user, oldStatus, newStatus }) {
+  createAdaptiveCard({ title, message, ticket, actionType, user, oldStatus, newStatus, extraFacts = [] }) {
     const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
     const ticketUrl = `${baseUrl}/tickets/${ticket._id}`;
 
@@ -148,6 +155,8 @@ class TeamsNotificationService {
       }
     }
 
+    facts.push(...extraFacts);
+
     // Add created by info
     if (ticket.createdBy) {
       facts.push({
@@ -174,7 +183,7 @@ class TeamsNotificationService {
                 weight: 'Bolder',
                 size: 'Large',
                 wrap: true,
-                color: statusColors[newStatus] || 'Default'
+                color: actionType === 'sla_escalation' ? 'Attention' : (statusColors[newStatus] || 'Default')
               },
               {
                 type: 'TextBlock',
@@ -229,6 +238,24 @@ class TeamsNotificationService {
     });
   }
 
+  /**
+   * Notify when users are @mentioned in a comment
+   * @param {string[]} mentioned - Emails of the mentioned users
+   */
+  async notifyMention(ticket, comment, mentioned, author) {
+    return this.sendNotification({
+      title: '💬 You were mentioned',
+      message: comment.content,
+      ticket,
+      actionType: 'comment',
+      user: author,
+      extraFacts: [
+        { title: 'Mentioned:', value: mentioned.join(', ') },
+        { title: 'Comment By:', value: `${author.firstName} ${author.lastName}` }
+      ]
+    });
+  }
+
   /**
    * Notify when a ticket is assigned
    */
@@ -241,6 +268,39 @@ class TeamsNotificationService {
       user: assignedBy
     });
   }
+
+  /**
+   * Notify when a ticket breaches its status SLA
+   */
+  async notifySlaBreach(ticket, sla) {
+    return this.sendNotification({
+      title: '⏰ SLA Breached',
+      message: `Ticket has been ${sla.status} longer than its ${sla.targetHours}-hour target`,
+      ticket,
+      actionType: 'sla_escalation',
+      extraFacts: [
+        { title: 'SLA Due:', value: new Date(sla.dueAt).toISOString() },
+        { title: 'Assigned To:', value: ticket.assignedTo || 'Unassigned' }
+      ]
+    });
+  }
+
+  /**
+   * Post a reminder for a stale draft, stuck ticket or overdue milestones
+   * @param {Array} reminders - [{ title, detail }] from reminderService
+   */
+  async notifyReminder(ticket, reminders) {
+    return this.sendNotification({
+      title: '🔔 Reminder',
+      message: reminders.map(reminder => reminder.title).join('; '),
+      ticket,
+      actionType: 'reminder',
+      extraFacts: [
+        ...reminders.map(reminder => ({ title: `${reminder.title}:`, value: reminder.detail })),
+        { title: 'Assigned To:', value: ticket.assignedTo || 'Unassigned' }
+      ]
+    });
+  }
 }
 
 module.exports = new TeamsNotificationService();
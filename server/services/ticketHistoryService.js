@@ -0,0 +1,202 @@
+const TicketChange = require('../models/TicketChange');
+const { getNestedValue } = require('../utils/submissionValidator');
+
+// Top-level ticket fields that are never diffed
+const IGNORED_FIELDS = ['__v', 'statusHistory', 'comments', 'attachments', 'sla', 'reminderLog', 'relationships', 'approvals', 'approvalRoundStartedAt', 'revisionRequests', 'createdByUser', 'template'];
+
+// Bookkeeping keys ignored at any depth (subdocument ids and default timestamps)
+const BOOKKEEPING_KEYS = ['_id', 'createdAt', 'updatedAt', 'assignedAt'];
+
+// Fields with their own flows (workflow, NPDI initiation, assignment) that cannot be reverted here
+const NON_REVERTABLE_FIELDS = ['status', 'ticketNumber', 'internalTicketNumber', 'npdiTracking', 'assignedTo', 'createdBy'];
+
+// Keys used to label array items in the history (first one present wins)
+const ITEM_LABEL_KEYS = ['testAttribute', 'componentName', 'sku', 'name', 'solvent'];
+
+const isObjectId = (value) => value && typeof value === 'object' && value._bsontype === 'ObjectId';
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !isObjectId(value) &&
+  !Buffer.isBuffer(value);
+
+/**
+ * Reduce a value to a comparable form: empty values, empty arrays and
+ * empty objects are equivalent; dates and ids compare by string
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (isObjectId(value)) return value.toString();
+  if (Array.isArray(value)) {
+    return value.length === 0 ? null : value.map(normalize);
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.keys(value)
+      .filter(key => !BOOKKEEPING_KEYS.includes(key))
+      .sort()
+      .map(key => [key, normalize(value[key])])
+      .filter(([, normalized]) => normalized !== null);
+    return entries.length === 0 ? null : Object.fromEntries(entries);
+  }
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const getItemLabel = (item) => {
+  if (!isPlainObject(item)) return null;
+  const key = ITEM_LABEL_KEYS.find(k => item[k]);
+  return key ? item[key] : null;
+};
+
+class TicketHistoryService {
+  isRevertable(path) {
+    return !NON_REVERTABLE_FIELDS.includes(path.split('.')[0]);
+  }
+
+  /**
+   * Compute field-level changes between two plain ticket objects
+   * Arrays of objects with the same length are compared item by item;
+   * otherwise the whole array is recorded as one change
+   *
+   * @param {Object} before - Ticket before the edit (toObject())
+   * @param {Object} after - Ticket after the edit (toObject())
+   * @returns {Array} [{ path, context, oldValue, newValue }]
+   */
+  diff(before, after) {
+    const changes = [];
+
+    const walk = (oldValue, newValue, path, context) => {
+      if (isEqual(oldValue, newValue)) return;
+
+      const oldIsObject = isPlainObject(oldValue);
+      const newIsObject = isPlainObject(newValue);
+
+      if ((oldIsObject || newIsObject) && (oldIsObject || oldValue == null) && (newIsObject || newValue == null)) {
+        const keys = new Set([...Object.keys(oldValue || {}), ...Object.keys(newValue || {})]);
+        keys.forEach(key => {
+          if (BOOKKEEPING_KEYS.includes(key) || (!path && IGNORED_FIELDS.includes(key))) return;
+          walk(oldValue?.[key], newValue?.[key], path ? `${path}.${key}` : key, context ? `${context}.${key}` : key);
+        });
+        return;
+      }
+
+      if (Array.isArray(oldValue) && Array.isArray(newValue) &&
+          oldValue.length === newValue.length &&
+          oldValue.every(isPlainObject) && newValue.every(isPlainObject)) {
+        oldValue.forEach((item, index) => {
+          const label = getItemLabel(newValue[index]) || getItemLabel(item) || index;
+          walk(item, newValue[index], `${path}.${index}`, `${context}[${label}]`);
+        });
+        return;
+      }
+
+      changes.push({
+        path,
+        context: context !== path ? context : undefined,
+        oldValue: oldValue === undefined ? null : oldValue,
+        newValue: newValue === undefined ? null : newValue
+      });
+    };
+
+    walk(before, after, '', '');
+    return changes;
+  }
+
+  /**
+   * Record the field-level changes of an edit
+   * @param {Object} ticket - ProductTicket document after the edit
+   * @param {Object} before - Plain ticket object before the edit
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @param {Object} options - { source, revertOf }
+   * @returns {Object|null} Saved TicketChange, or null if nothing changed
+   */
+  async recordChanges(ticket, before, currentUser, { source = 'EDIT', revertOf = null } = {}) {
+    const changes = this.diff(before, ticket.toObject({ depopulate: true }));
+    if (changes.length === 0) return null;
+
+    return TicketChange.create({
+      ticket: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      changes,
+      source,
+      revertOf,
+      changedBy: currentUser.email || null,
+      userInfo: {
+        firstName: currentUser.firstName,
+        lastName: currentUser.lastName,
+        role: currentUser.role
+      }
+    });
+  }
+
+  /**
+   * Get a ticket's edit history, newest first
+   * @param {string} ticketId - Ticket id
+   * @param {Object} options - { path } to only return edits touching a field (prefix match)
+   */
+  async getHistory(ticketId, { path } = {}) {
+    const filter = { ticket: ticketId };
+    if (path) {
+      const escaped = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter['changes.path'] = { $regex: `^${escaped}(\\.|$)` };
+    }
+
+    const history = await TicketChange.find(filter).sort({ createdAt: -1 }).lean();
+
+    return history.map(entry => ({
+      ...entry,
+      changes: entry.changes
+        .filter(change => !path || change.path === path || change.path.startsWith(`${path}.`))
+        .map(change => ({ ...change, revertable: this.isRevertable(change.path) }))
+    }));
+  }
+
+  /**
+   * Restore the old values of an edit on the ticket (does not save)
+   * A field is skipped as a conflict when it has changed again since the edit,
+   * unless `force` is set
+   *
+   * @param {Object} ticket - ProductTicket document
+   * @param {Object} change - TicketChange being reverted
+   * @param {Object} options - { paths, force }
+   * @returns {Object} { reverted, conflicts, skipped } lists of paths
+   */
+  applyRevert(ticket, change, { paths = null, force = false } = {}) {
+    const current = ticket.toObject({ depopulate: true });
+    const reverted = [];
+    const conflicts = [];
+    const skipped = [];
+
+    change.changes
+      .filter(fieldChange => !paths || paths.includes(fieldChange.path))
+      .forEach(fieldChange => {
+        if (!this.isRevertable(fieldChange.path)) {
+          skipped.push(fieldChange.path);
+          return;
+        }
+
+        const currentValue = getNestedValue(current, fieldChange.path);
+        if (!force && !isEqual(currentValue, fieldChange.newValue)) {
+          conflicts.push({
+            path: fieldChange.path,
+            context: fieldChange.context,
+            currentValue: currentValue === undefined ? null : currentValue,
+            expectedValue: fieldChange.newValue
+          });
+          return;
+        }
+
+        ticket.set(fieldChange.path, fieldChange.oldValue === null ? undefined : fieldChange.oldValue);
+        reverted.push(fieldChange.path);
+      });
+
+    return { reverted, conflicts, skipped };
+  }
+}
+
+module.exports = new TicketHistoryService();
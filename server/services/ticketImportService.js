@@ -0,0 +1,415 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { Readable } = require('stream');
+const ProductTicket = require('../models/ProductTicket');
+const { GENERAL_MAPPING, PRODUCT_MAPPING, MATERIAL_MAPPING } = require('./pifExportService');
+const { cleanTicketData, ensureDefaultSKU, ensureDefaultSBU } = require('../utils/enumCleaner');
+const { validateSubmissionRequirements, getNestedValue } = require('../utils/submissionValidator');
+
+/**
+ * Ticket Import Service
+ *
+ * Reads PIF workbooks and flat XLSX/CSV files into draft ticket data.
+ *
+ * - PIF files (General/Product/Material sheets) hold one product each. Columns are
+ *   read from row 7 using the importAs() tags on the PIF export mapping tables.
+ * - Flat files hold one product per row below a header row. Headers may be PIF
+ *   field labels ("Product Name") or technical names ("tbx2ProductName") from the
+ *   PIF template, or dot-notated ticket fields ("chemicalProperties.casNumber").
+ */
+
+const PIF_TEMPLATE_PATH = path.join(__dirname, '../../PIF_Example.xlsx');
+const PIF_TECHNICAL_ROW = 1;
+const PIF_LABEL_ROW = 6;
+const PIF_DATA_ROW = 7;
+const PIF_LAST_ROW = 20;
+
+const MAX_ROWS_PER_FILE = 500;
+
+const CAS_PATTERN = /^\d{1,7}-\d{2}-\d$/;
+
+// Ticket fields that are never set from an import
+const PROTECTED_FIELDS = [
+  '_id', 'ticketNumber', 'internalTicketNumber', 'status', 'partNumber', 'npdiTracking', 'statusHistory', 'comments', 'attachments',
+  'createdBy', 'createdByUser', 'assignedTo', 'sla', 'reminderLog', 'clonedFrom', 'relationships', 'approvals', 'approvalRoundStartedAt', 'revisionRequests', 'watchers', 'template', 'createdAt', 'updatedAt'
+];
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase();
+
+/**
+ * Get the plain value of an ExcelJS cell (rich text, hyperlinks and formulas unwrapped)
+ */
+const getCellValue = (cell) => {
+  const value = cell.value;
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+    return null;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed === '' ? null : trimmed;
+  }
+  return value;
+};
+
+const setNestedValue = (obj, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let current = obj;
+  keys.slice(0, -1).forEach(key => {
+    if (!current[key] || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+};
+
+class TicketImportService {
+  constructor() {
+    this.flatHeaderMap = null;
+  }
+
+  /**
+   * Build the header → ticket field lookup for flat files from the PIF template
+   * labels and technical names of every importable General/Product column
+   */
+  async getFlatHeaderMap() {
+    if (this.flatHeaderMap) return this.flatHeaderMap;
+
+    const headerMap = new Map();
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.readFile(PIF_TEMPLATE_PATH);
+    } catch (error) {
+      console.warn('PIF template not available for import header mapping:', error.message);
+    }
+
+    [['General', GENERAL_MAPPING], ['Product', PRODUCT_MAPPING]].forEach(([sheetName, mapping]) => {
+      const sheet = workbook.getWorksheet(sheetName);
+
+      Object.entries(mapping).forEach(([colNum, mapper]) => {
+        if (!mapper.importField) return;
+        const column = { field: mapper.importField, parse: mapper.parse };
+
+        if (sheet) {
+          [PIF_TECHNICAL_ROW, PIF_LABEL_ROW].forEach(rowNum => {
+            const header = normalizeHeader(getCellValue(sheet.getRow(rowNum).getCell(parseInt(colNum))));
+            if (header && !headerMap.has(header)) {
+              headerMap.set(header, column);
+            }
+          });
+        }
+      });
+    });
+
+    this.flatHeaderMap = headerMap;
+    return headerMap;
+  }
+
+  /**
+   * Resolve a flat file header to a ticket field
+   * @returns {Object|null} { field, parse }
+   */
+  resolveFlatHeader(header, headerMap) {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return null;
+
+    if (headerMap.has(normalized)) {
+      return headerMap.get(normalized);
+    }
+
+    // Dot-notated ticket field, checked against the ProductTicket schema
+    const fieldPath = String(header).trim();
+    const rootField = fieldPath.split('.')[0];
+    if (PROTECTED_FIELDS.includes(rootField)) return null;
+
+    const schemaPath = ProductTicket.schema.path(fieldPath);
+    if (!schemaPath || schemaPath.schema) return null;  // Skip arrays of subdocuments
+
+    if (schemaPath.instance === 'Array') {
+      return {
+        field: fieldPath,
+        parse: (value) => String(value).split(/[;\n]/).map(item => item.trim()).filter(Boolean)
+      };
+    }
+    return { field: fieldPath, parse: null };
+  }
+
+  /**
+   * Load an uploaded file into an ExcelJS workbook
+   * @param {Object} file - Multer file ({ originalname, buffer })
+   * @returns {Object} { workbook, format } where format is 'xlsx' or 'csv'
+   */
+  async loadWorkbook(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+
+    if (extension === '.xlsx') {
+      await workbook.xlsx.load(file.buffer);
+      return { workbook, format: 'xlsx' };
+    }
+    if (extension === '.csv') {
+      // Keep CSV values as text so CAS and part numbers are not read as numbers or dates
+      await workbook.csv.read(Readable.from(file.buffer.toString('utf8')), { map: (value) => value });
+      return { workbook, format: 'csv' };
+    }
+
+    throw new Error('Unsupported file type (use .xlsx or .csv)');
+  }
+
+  isPIFWorkbook(workbook) {
+    return !!(workbook.getWorksheet('General') && workbook.getWorksheet('Product'));
+  }
+
+  /**
+   * Read one product from a PIF workbook
+   */
+  parsePIF(workbook) {
+    const data = {};
+
+    const readRow = (sheetName, mapping) => {
+      const sheet = workbook.getWorksheet(sheetName);
+      if (!sheet) return;
+      const row = sheet.getRow(PIF_DATA_ROW);
+
+      Object.entries(mapping).forEach(([colNum, mapper]) => {
+        if (!mapper.importField) return;
+        const value = getCellValue(row.getCell(parseInt(colNum)));
+        // First non-empty column wins when several map to the same field
+        if (value !== null && getNestedValue(data, mapper.importField) === undefined) {
+          setNestedValue(data, mapper.importField, mapper.parse ? mapper.parse(value) : value);
+        }
+      });
+    };
+
+    readRow('General', GENERAL_MAPPING);
+    readRow('Product', PRODUCT_MAPPING);
+
+    // Material rows become composition components
+    const materialSheet = workbook.getWorksheet('Material');
+    if (materialSheet) {
+      const components = [];
+      for (let rowNum = PIF_DATA_ROW; rowNum <= PIF_LAST_ROW; rowNum++) {
+        const row = materialSheet.getRow(rowNum);
+        const component = {};
+
+        Object.entries(MATERIAL_MAPPING).forEach(([colNum, mapper]) => {
+          if (!mapper.importField) return;
+          const value = getCellValue(row.getCell(parseInt(colNum)));
+          if (value !== null) {
+            component[mapper.importField] = mapper.parse ? mapper.parse(value) : value;
+          }
+        });
+
+        if (component.componentName || component.componentCAS) {
+          components.push(component);
+        }
+      }
+      if (components.length > 0) {
+        data.composition = { components };
+      }
+    }
+
+    return [{ row: PIF_DATA_ROW, data }];
+  }
+
+  /**
+   * Read products from a flat sheet (header row + one product per row)
+   * @returns {Object} { rows, unmappedColumns }
+   */
+  async parseFlat(workbook) {
+    const sheet = workbook.worksheets[0];
+    if (!sheet || sheet.rowCount < 2) {
+      return { rows: [], unmappedColumns: [] };
+    }
+
+    const headerMap = await this.getFlatHeaderMap();
+    const columns = [];
+    const unmappedColumns = [];
+
+    sheet.getRow(1).eachCell((cell, colNum) => {
+      const header = getCellValue(cell);
+      if (header === null) return;
+
+      const column = this.resolveFlatHeader(header, headerMap);
+      if (column) {
+        columns.push({ colNum, ...column });
+      } else {
+        unmappedColumns.push(String(header));
+      }
+    });
+
+    const rows = [];
+    for (let rowNum = 2; rowNum <= sheet.rowCount && rows.length < MAX_ROWS_PER_FILE; rowNum++) {
+      const row = sheet.getRow(rowNum);
+      const data = {};
+
+      columns.forEach(({ colNum, field, parse }) => {
+        const value = getCellValue(row.getCell(colNum));
+        if (value !== null) {
+          setNestedValue(data, field, parse ? parse(value) : value);
+        }
+      });
+
+      if (Object.keys(data).length > 0) {
+        rows.push({ row: rowNum, data });
+      }
+    }
+
+    return { rows, unmappedColumns };
+  }
+
+  /**
+   * Apply import defaults and run the same cleanup as ticket creation
+   */
+  prepareTicketData(data) {
+    let ticketData = JSON.parse(JSON.stringify(data));
+    ticketData.status = 'DRAFT';
+
+    if (typeof ticketData.chemicalProperties?.casNumber === 'number') {
+      ticketData.chemicalProperties.casNumber = String(ticketData.chemicalProperties.casNumber);
+    }
+
+    ticketData = ensureDefaultSBU(ticketData, 'P90');
+    ticketData = ensureDefaultSKU(ticketData);
+    ticketData = cleanTicketData(ticketData);
+    return ticketData;
+  }
+
+  /**
+   * Validate one prepared row
+   * @returns {Object} { errors, missingForSubmission }
+   */
+  async validateRow(ticketData, userEmail) {
+    const errors = [];
+
+    if (!ticketData.productName) {
+      errors.push('Product name is required');
+    }
+
+    const casNumber = ticketData.chemicalProperties?.casNumber;
+    if (casNumber && !CAS_PATTERN.test(casNumber)) {
+      errors.push(`CAS Number "${casNumber}" must be in format: 123-45-6`);
+    }
+
+    const validationError = new ProductTicket(ticketData).validateSync();
+    if (validationError) {
+      Object.entries(validationError.errors)
+        .filter(([errorPath]) => errorPath !== 'chemicalProperties.casNumber')  // Reported above
+        .forEach(([, err]) => errors.push(err.message));
+    }
+
+    // Drafts may be incomplete; report what still blocks submission
+    const submission = await validateSubmissionRequirements(ticketData, userEmail);
+
+    return {
+      errors,
+      missingForSubmission: submission.missingFields.map(field => field.fieldLabel)
+    };
+  }
+
+  /**
+   * Parse and validate uploaded files, and create drafts unless this is a dry run
+   *
+   * @param {Array} files - Multer files ({ originalname, buffer })
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @param {Object} options - { dryRun, createdByUser }
+   * @returns {Object} { dryRun, summary, files, rows }
+   */
+  async importFiles(files, currentUser, { dryRun = true, createdByUser = null } = {}) {
+    const fileReports = [];
+    const rowReports = [];
+
+    for (const file of files) {
+      const fileReport = { file: file.originalname, format: null, rows: 0, unmappedColumns: [], error: null };
+      fileReports.push(fileReport);
+
+      let parsedRows;
+      try {
+        const { workbook, format } = await this.loadWorkbook(file);
+
+        if (format === 'xlsx' && this.isPIFWorkbook(workbook)) {
+          fileReport.format = 'PIF';
+          parsedRows = this.parsePIF(workbook);
+        } else {
+          fileReport.format = format.toUpperCase();
+          const flat = await this.parseFlat(workbook);
+          parsedRows = flat.rows;
+          fileReport.unmappedColumns = flat.unmappedColumns;
+        }
+      } catch (error) {
+        fileReport.error = `Could not read file: ${error.message}`;
+        continue;
+      }
+
+      fileReport.rows = parsedRows.length;
+
+      for (const { row, data } of parsedRows) {
+        const ticketData = this.prepareTicketData(data);
+        const { errors, missingForSubmission } = await this.validateRow(ticketData, currentUser.email);
+
+        rowReports.push({
+          file: file.originalname,
+          row,
+          productName: ticketData.productName || null,
+          casNumber: ticketData.chemicalProperties?.casNumber || null,
+          valid: errors.length === 0,
+          errors,
+          missingForSubmission,
+          ticketData
+        });
+      }
+    }
+
+    if (!dryRun) {
+      for (const report of rowReports.filter(r => r.valid)) {
+        try {
+          const ticket = new ProductTicket({
+            ...report.ticketData,
+            createdBy: currentUser.email,
+            createdByUser
+          });
+
+          ticket.statusHistory = [{
+            status: 'DRAFT',
+            changedBy: null,
+            reason: `Draft imported from ${report.file} by ${currentUser.firstName} ${currentUser.lastName}`,
+            action: 'TICKET_CREATED',
+            changedAt: new Date(),
+            userInfo: currentUser,
+            details: { importedFrom: report.file, row: report.row }
+          }];
+
+          await ticket.save();
+          report.ticketId = ticket._id;
+          report.ticketNumber = ticket.ticketNumber;
+        } catch (error) {
+          report.valid = false;
+          report.errors.push(`Failed to create draft: ${error.message}`);
+        }
+      }
+    }
+
+    const rows = rowReports.map(({ ticketData, ...report }) => report);
+
+    return {
+      dryRun,
+      summary: {
+        files: fileReports.length,
+        rows: rows.length,
+        valid: rows.filter(r => r.valid).length,
+        invalid: rows.filter(r => !r.valid).length,
+        created: rows.filter(r => r.ticketId).length
+      },
+      files: fileReports,
+      rows
+    };
+  }
+}
+
+module.exports = new TicketImportService();
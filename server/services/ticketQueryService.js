@@ -0,0 +1,503 @@
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+
+/**
+ * Ticket Query Service
+ * Compiles the filter language of the v1 search API into MongoDB queries.
+ *
+ *   status in ('SUBMITTED', 'IN_PROCESS') AND skuVariants.pricing.listPrice > 100
+ *   NOT (sbu = '775' OR createdAt < 2026-01-01) AND partNumber.baseNumber exists
+ *
+ * Field paths are checked against the ProductTicket schema and values are cast to the
+ * field's type, so only plain conditions on known fields ever reach MongoDB.
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_DEPTH = 10;
+const MAX_CONDITIONS = 50;
+const MAX_LIST_VALUES = 100;
+const MAX_SORT_FIELDS = 5;
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'EXISTS', 'TRUE', 'FALSE', 'NULL'];
+
+const COMPARISON_OPERATORS = {
+  '=': null,
+  '!=': '$ne',
+  '>': '$gt',
+  '>=': '$gte',
+  '<': '$lt',
+  '<=': '$lte'
+};
+
+// Field types that can be compared; everything else (subdocuments, Mixed) only supports exists
+const VALUE_TYPES = ['String', 'Number', 'Date', 'Boolean', 'ObjectId'];
+const RANGE_TYPES = ['Number', 'Date'];
+
+const TOKEN_PATTERNS = [
+  ['space', /^\s+/],
+  ['id', /^[0-9a-f]{24}(?![\w.])/i],
+  ['date', /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?(?![\w.:-])/],
+  ['number', /^-?\d+(?:\.\d+)?(?![\w.])/],
+  ['string', /^'(?:[^'\\]|\\.)*'|^"(?:[^"\\]|\\.)*"/],
+  ['word', /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*(?![\w.])/],
+  ['operator', /^(?:!=|>=|<=|=|>|<)/],
+  ['(', /^\(/],
+  [')', /^\)/],
+  [',', /^,/]
+];
+
+/**
+ * Thrown while compiling; turned into a 400 result by the public methods
+ */
+class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+const describeToken = (token) => (token.type === 'end' ? 'end of expression' : `'${token.raw}'`);
+
+class TicketQueryService {
+  constructor() {
+    // Only fields that exist are cached, so the cache is bounded by the schema
+    this.fieldCache = new Map();
+  }
+
+  /**
+   * Look up a dotted path in the ticket schema, descending into subdocuments
+   * and arrays of subdocuments
+   * @returns {Object|null} { path, type } - type is a VALUE_TYPES entry or 'Object'
+   */
+  resolveField(path) {
+    if (this.fieldCache.has(path)) return this.fieldCache.get(path);
+
+    const parts = path.split('.');
+    let schema = ProductTicket.schema;
+    let field = null;
+    let index = 0;
+
+    while (index < parts.length) {
+      let schemaType = null;
+      let end = parts.length;
+      // Longest prefix the current schema knows about
+      for (; end > index; end--) {
+        const subPath = parts.slice(index, end).join('.');
+        schemaType = schema.path(subPath);
+        if (schemaType) break;
+        if (end === parts.length && schema.pathType(subPath) === 'nested') {
+          field = { path, type: 'Object' };
+          break;
+        }
+      }
+      if (field) break;
+      if (!schemaType) return null;
+
+      index = end;
+      if (index === parts.length) {
+        field = { path, type: this.getValueType(schemaType) };
+      } else if (schemaType.schema) {
+        schema = schemaType.schema;
+      } else {
+        return null;
+      }
+    }
+
+    this.fieldCache.set(path, field);
+    return field;
+  }
+
+  getValueType(schemaType) {
+    if (schemaType.schema) return 'Object';
+    const instance = schemaType.instance === 'Array' ? schemaType.caster?.instance : schemaType.instance;
+    return VALUE_TYPES.includes(instance) ? instance : 'Object';
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < expression.length) {
+      const rest = expression.slice(position);
+      const match = TOKEN_PATTERNS
+        .map(([type, pattern]) => ({ type, found: rest.match(pattern) }))
+        .find(({ found }) => found);
+
+      if (!match) {
+        throw new QueryError(`Unexpected character '${rest[0]}'`, position);
+      }
+
+      const raw = match.found[0];
+      if (match.type !== 'space') {
+        const token = { type: match.type, raw, position };
+        if (match.type === 'string') {
+          token.value = raw.slice(1, -1).replace(/\\(.)/g, '$1');
+        } else if (match.type === 'word' && KEYWORDS.includes(raw.toUpperCase())) {
+          token.type = 'keyword';
+          token.value = raw.toUpperCase();
+        } else {
+          token.value = raw;
+        }
+        tokens.push(token);
+      }
+      position += raw.length;
+    }
+
+    tokens.push({ type: 'end', raw: '', position: expression.length });
+    return tokens;
+  }
+
+  /**
+   * Compile a filter expression into a MongoDB query
+   * @param {string} expression - e.g. "priority = 'HIGH' AND createdAt >= 2026-01-01"
+   * @returns {Object} { success, filter } or { success: false, statusCode, message, position }
+   */
+  compile(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      return { success: false, statusCode: 400, message: 'where must be a non-empty string', position: 0 };
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `where must be at most ${MAX_EXPRESSION_LENGTH} characters`,
+        position: MAX_EXPRESSION_LENGTH
+      };
+    }
+
+    try {
+      const parser = new Parser(this, this.tokenize(expression));
+      return { success: true, filter: parser.parse() };
+    } catch (error) {
+      if (!(error instanceof QueryError)) throw error;
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${error.message} at position ${error.position}`,
+        position: error.position,
+        pointer: `${expression}\n${' '.repeat(error.position)}^`
+      };
+    }
+  }
+
+  /**
+   * Exact-match filters: { field: value } or { field: [values] }
+   * Keys must be schema fields and values plain scalars, so operators can't be injected
+   * @returns {Object} { success, filter } or { success: false, statusCode, message }
+   */
+  compileFilters(filters) {
+    if (filters === undefined || filters === null) return { success: true, filter: {} };
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      return { success: false, statusCode: 400, message: 'filters must be an object' };
+    }
+
+    const filter = {};
+    for (const [path, value] of Object.entries(filters)) {
+      const field = this.resolveField(path);
+      if (!field || field.type === 'Object') {
+        return { success: false, statusCode: 400, message: `Unknown filter field '${path}'` };
+      }
+
+      const values = Array.isArray(value) ? value : [value];
+      if (values.length > MAX_LIST_VALUES) {
+        return { success: false, statusCode: 400, message: `Filter '${path}' can have at most ${MAX_LIST_VALUES} values` };
+      }
+
+      const cast = [];
+      for (const item of values) {
+        const result = this.castScalar(field, item);
+        if (result.error) {
+          return { success: false, statusCode: 400, message: `Filter '${path}': ${result.error}` };
+        }
+        cast.push(result.value);
+      }
+      filter[path] = Array.isArray(value) ? { $in: cast } : cast[0];
+    }
+
+    return { success: true, filter };
+  }
+
+  castScalar(field, value) {
+    if (value === null) return { value: null };
+    if (typeof value === 'object') return { error: 'values must be strings, numbers or booleans' };
+
+    switch (field.type) {
+      case 'Number': {
+        const number = typeof value === 'number' ? value : Number(value);
+        return value === '' || isNaN(number) ? { error: `expected a number, got '${value}'` } : { value: number };
+      }
+      case 'Date': {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? { error: `expected a date, got '${value}'` } : { value: date };
+      }
+      case 'Boolean':
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { error: `expected true or false, got '${value}'` };
+      case 'ObjectId':
+        return /^[0-9a-f]{24}$/i.test(String(value))
+          ? { value: new mongoose.Types.ObjectId(String(value)) }
+          : { error: `expected an ID, got '${value}'` };
+      default:
+        return { value: String(value) };
+    }
+  }
+
+  /**
+   * Sort specification: "-updatedAt,productName" or ["-updatedAt", "productName"]
+   * A leading '-' sorts descending
+   * @returns {Object} { success, sort } or { success: false, statusCode, message }
+   */
+  compileSort(sort) {
+    const entries = Array.isArray(sort) ? sort : String(sort).split(',');
+    const fields = entries.map(entry => String(entry).trim()).filter(Boolean);
+
+    if (fields.length === 0) {
+      return { success: false, statusCode: 400, message: 'sort must name at least one field' };
+    }
+    if (fields.length > MAX_SORT_FIELDS) {
+      return { success: false, statusCode: 400, message: `sort can have at most ${MAX_SORT_FIELDS} fields` };
+    }
+
+    const compiled = {};
+    for (const entry of fields) {
+      const descending = entry.startsWith('-');
+      const path = entry.replace(/^[-+]/, '');
+      const field = this.resolveField(path);
+      if (!field || field.type === 'Object') {
+        return { success: false, statusCode: 400, message: `Unknown sort field '${path}'` };
+      }
+      compiled[path] = descending ? -1 : 1;
+    }
+    // Ties are broken by _id so pages don't overlap
+    if (!compiled._id) compiled._id = 1;
+
+    return { success: true, sort: compiled };
+  }
+
+  /**
+   * Sparse fieldset: "ticketNumber,status,skuVariants.sku" or an array of paths
+   * @returns {Object} { success, projection } or { success: false, statusCode, message }
+   */
+  compileFields(fields) {
+    const entries = Array.isArray(fields) ? fields : String(fields).split(',');
+    const paths = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+
+    if (paths.length === 0) {
+      return { success: false, statusCode: 400, message: 'fields must name at least one field' };
+    }
+
+    const projection = {};
+    for (const path of paths) {
+      if (!this.resolveField(path)) {
+        return { success: false, statusCode: 400, message: `Unknown field '${path}' in fields` };
+      }
+      projection[path] = 1;
+    }
+
+    // A parent and its child can't both be projected; keep the parent
+    Object.keys(projection).forEach(path => {
+      if (paths.some(other => path.startsWith(`${other}.`))) delete projection[path];
+    });
+
+    return { success: true, projection };
+  }
+}
+
+/**
+ * Recursive-descent parser over the token list
+ *
+ *   or         := and ( OR and )*
+ *   and        := not ( AND not )*
+ *   not        := NOT not | '(' or ')' | condition
+ *   condition  := path op value | path [NOT] IN '(' value ( ',' value )* ')' | path EXISTS
+ */
+class Parser {
+  constructor(service, tokens) {
+    this.service = service;
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+    this.conditions = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.current;
+    if (token.type !== 'end') this.index++;
+    return token;
+  }
+
+  isKeyword(value) {
+    return this.current.type === 'keyword' && this.current.value === value;
+  }
+
+  expect(type, description) {
+    if (this.current.type !== type) {
+      throw new QueryError(`Expected ${description} but found ${describeToken(this.current)}`, this.current.position);
+    }
+    return this.next();
+  }
+
+  parse() {
+    const filter = this.parseOr();
+    if (this.current.type !== 'end') {
+      throw new QueryError(`Expected AND, OR or end of expression but found ${describeToken(this.current)}`, this.current.position);
+    }
+    return filter;
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.isKeyword('OR')) {
+      this.next();
+      clauses.push(this.parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { $or: clauses };
+  }
+
+  parseAnd() {
+    const clauses = [this.parseNot()];
+    while (this.isKeyword('AND')) {
+      this.next();
+      clauses.push(this.parseNot());
+    }
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  parseNot() {
+    const start = this.current;
+    if (++this.depth > MAX_DEPTH) {
+      throw new QueryError(`Expression is nested more than ${MAX_DEPTH} levels deep`, start.position);
+    }
+
+    let filter;
+    if (this.isKeyword('NOT')) {
+      this.next();
+      filter = { $nor: [this.parseNot()] };
+    } else if (start.type === '(') {
+      this.next();
+      filter = this.parseOr();
+      this.expect(')', "')'");
+    } else {
+      filter = this.parseCondition();
+    }
+
+    this.depth--;
+    return filter;
+  }
+
+  parseCondition() {
+    const pathToken = this.current;
+    if (pathToken.type !== 'word') {
+      throw new QueryError(`Expected a field name but found ${describeToken(pathToken)}`, pathToken.position);
+    }
+    this.next();
+
+    if (++this.conditions > MAX_CONDITIONS) {
+      throw new QueryError(`Expression has more than ${MAX_CONDITIONS} conditions`, pathToken.position);
+    }
+
+    const field = this.service.resolveField(pathToken.value);
+    if (!field) {
+      throw new QueryError(`Unknown field '${pathToken.value}'`, pathToken.position);
+    }
+
+    const operatorToken = this.current;
+
+    if (this.isKeyword('EXISTS')) {
+      this.next();
+      return { [field.path]: { $exists: true, $ne: null } };
+    }
+
+    if (field.type === 'Object') {
+      throw new QueryError(`'${field.path}' is not a single value; it can only be used with exists`, operatorToken.position);
+    }
+
+    if (this.isKeyword('IN') || this.isKeyword('NOT')) {
+      const negated = this.isKeyword('NOT');
+      this.next();
+      if (negated && !this.isKeyword('IN')) {
+        throw new QueryError(`Expected IN after NOT but found ${describeToken(this.current)}`, this.current.position);
+      }
+      if (negated) this.next();
+      return { [field.path]: { [negated ? '$nin' : '$in']: this.parseList(field) } };
+    }
+
+    if (operatorToken.type !== 'operator') {
+      throw new QueryError(
+        `Expected an operator (=, !=, >, >=, <, <=, in, exists) after '${field.path}' but found ${describeToken(operatorToken)}`,
+        operatorToken.position
+      );
+    }
+    this.next();
+
+    const mongoOperator = COMPARISON_OPERATORS[operatorToken.value];
+    const isRange = !['=', '!='].includes(operatorToken.value);
+    if (isRange && !RANGE_TYPES.includes(field.type)) {
+      throw new QueryError(
+        `'${operatorToken.value}' compares numbers and dates, but '${field.path}' is ${field.type === 'String' ? 'text' : field.type.toLowerCase()}`,
+        operatorToken.position
+      );
+    }
+
+    const value = this.parseValue(field, { allowNull: !isRange });
+    return { [field.path]: mongoOperator ? { [mongoOperator]: value } : value };
+  }
+
+  parseList(field) {
+    this.expect('(', "'(' to start the list");
+    const values = [this.parseValue(field, { allowNull: true })];
+    while (this.current.type === ',') {
+      this.next();
+      values.push(this.parseValue(field, { allowNull: true }));
+    }
+    const close = this.expect(')', "',' or ')'");
+    if (values.length > MAX_LIST_VALUES) {
+      throw new QueryError(`Lists can have at most ${MAX_LIST_VALUES} values`, close.position);
+    }
+    return values;
+  }
+
+  /**
+   * Read one literal and cast it to the field's type
+   */
+  parseValue(field, { allowNull }) {
+    const token = this.next();
+    const fail = (expected) => {
+      throw new QueryError(`Expected ${expected} for '${field.path}' but found ${describeToken(token)}`, token.position);
+    };
+
+    if (token.type === 'keyword' && token.value === 'NULL') {
+      if (!allowNull) fail(field.type === 'Date' ? 'a date' : 'a number');
+      return null;
+    }
+
+    switch (field.type) {
+      case 'Number':
+        if (token.type !== 'number') fail('a number');
+        return Number(token.value);
+      case 'Date': {
+        if (token.type !== 'date' && token.type !== 'string') fail('a date (YYYY-MM-DD or ISO 8601)');
+        const date = new Date(token.value);
+        if (isNaN(date.getTime())) fail('a date (YYYY-MM-DD or ISO 8601)');
+        return date;
+      }
+      case 'Boolean':
+        if (token.type !== 'keyword' || !['TRUE', 'FALSE'].includes(token.value)) fail('true or false');
+        return token.value === 'TRUE';
+      case 'ObjectId':
+        if (!['id', 'string'].includes(token.type) || !/^[0-9a-f]{24}$/i.test(token.value)) fail('a 24-character ID');
+        return new mongoose.Types.ObjectId(token.value);
+      default:
+        // Text fields take quoted strings, and also bare words and numbers (status = IN_PROCESS, sbu = 775)
+        if (!['string', 'word', 'number', 'date', 'id'].includes(token.type)) fail('a value');
+        return token.type === 'string' ? token.value : token.raw;
+    }
+  }
+}
+
+module.exports = new TicketQueryService();
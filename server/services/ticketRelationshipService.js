@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+
+// Relationship type as seen from the linked ticket
+const INVERSE_TYPES = {
+  PARENT: 'CHILD',
+  CHILD: 'PARENT',
+  SUPERSEDES: 'SUPERSEDED_BY',
+  SUPERSEDED_BY: 'SUPERSEDES',
+  RELATED: 'RELATED'
+};
+
+const TYPE_LABELS = {
+  PARENT: 'child of',
+  CHILD: 'parent of',
+  SUPERSEDES: 'supersedes',
+  SUPERSEDED_BY: 'superseded by',
+  RELATED: 'related to'
+};
+
+// Linked ticket fields returned with each relationship
+const SUMMARY_FIELDS = 'ticketNumber productName status sbu priority';
+
+class TicketRelationshipService {
+  get types() {
+    return Object.keys(INVERSE_TYPES);
+  }
+
+  /**
+   * Find the other ticket of a link by id or ticket number
+   */
+  async findTarget({ ticketId, ticketNumber }) {
+    if (ticketId) {
+      if (!mongoose.Types.ObjectId.isValid(ticketId)) return null;
+      return ProductTicket.findById(ticketId).select(SUMMARY_FIELDS);
+    }
+    if (ticketNumber) {
+      const number = ticketNumber.trim();
+      return ProductTicket.findOne({ $or: [{ ticketNumber: number }, { internalTicketNumber: number }] }).select(SUMMARY_FIELDS);
+    }
+    return null;
+  }
+
+  /**
+   * Audit trail entry pushed to one side of a link
+   */
+  buildHistoryEntry(ticket, type, other, currentUser, removed) {
+    const verb = removed ? 'Unlinked' : 'Linked';
+    return {
+      status: ticket.status,
+      changedBy: null,
+      reason: `${verb} as ${TYPE_LABELS[type]} ${other.ticketNumber} by ${currentUser.firstName} ${currentUser.lastName}`,
+      action: 'TICKET_EDIT',
+      userInfo: currentUser,
+      details: {
+        relationship: { type, ticket: other._id, ticketNumber: other.ticketNumber, removed }
+      }
+    };
+  }
+
+  /**
+   * Link two tickets, writing the relationship and its inverse
+   * @param {Object} ticket - ProductTicket the link is created from
+   * @param {Object} data - { type, ticketId | ticketNumber, note }
+   * @param {Object} currentUser - { firstName, lastName, email, role }
+   * @returns {Object} { success, statusCode, message, relationship }
+   */
+  async link(ticket, { type, ticketId, ticketNumber, note }, currentUser) {
+    if (!INVERSE_TYPES[type]) {
+      return { success: false, statusCode: 400, message: `Relationship type must be one of: ${this.types.join(', ')}` };
+    }
+
+    const target = await this.findTarget({ ticketId, ticketNumber });
+    if (!target) {
+      return { success: false, statusCode: 404, message: 'Linked ticket not found' };
+    }
+    if (target._id.equals(ticket._id)) {
+      return { success: false, statusCode: 400, message: 'A ticket cannot be linked to itself' };
+    }
+
+    // One link per pair of tickets, so PARENT/CHILD loops cannot be recorded
+    const existing = (ticket.relationships || []).find(rel => rel.ticket.equals(target._id));
+    if (existing) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: `This ticket is already linked to ${target.ticketNumber} (${existing.type})`
+      };
+    }
+
+    const now = new Date();
+    const relationship = {
+      _id: new mongoose.Types.ObjectId(),
+      type,
+      ticket: target._id,
+      note: note?.trim() || undefined,
+      createdBy: currentUser.email || null,
+      createdAt: now
+    };
+    const inverse = {
+      type: INVERSE_TYPES[type],
+      ticket: ticket._id,
+      note: relationship.note,
+      createdBy: relationship.createdBy,
+      createdAt: now
+    };
+
+    // Direct updates so links never go through (or conflict with) the ticket edit flow.
+    // The filter repeats the one-link-per-pair check, so a concurrent link of the same pair loses
+    const { matchedCount } = await ProductTicket.updateOne(
+      { _id: ticket._id, 'relationships.ticket': { $ne: target._id } },
+      { $push: { relationships: relationship, statusHistory: this.buildHistoryEntry(ticket, type, target, currentUser, false) } }
+    );
+    if (matchedCount === 0) {
+      return { success: false, statusCode: 409, message: `This ticket is already linked to ${target.ticketNumber}` };
+    }
+    await ProductTicket.updateOne(
+      { _id: target._id, 'relationships.ticket': { $ne: ticket._id } },
+      { $push: { relationships: inverse, statusHistory: this.buildHistoryEntry(target, inverse.type, ticket, currentUser, false) } }
+    );
+
+    return { success: true, relationship, linkedTicket: target };
+  }
+
+  /**
+   * Remove a relationship and its inverse on the linked ticket
+   * @returns {Object|null} The removed relationship, or null if not found
+   */
+  async unlink(ticket, relationshipId, currentUser) {
+    const relationship = (ticket.relationships || []).find(rel => rel._id.equals(relationshipId));
+    if (!relationship) return null;
+
+    const target = await ProductTicket.findById(relationship.ticket).select(SUMMARY_FIELDS);
+    const other = target || { _id: relationship.ticket, ticketNumber: 'a deleted ticket' };
+
+    await ProductTicket.updateOne(
+      { _id: ticket._id },
+      {
+        $pull: { relationships: { _id: relationship._id } },
+        $push: { statusHistory: this.buildHistoryEntry(ticket, relationship.type, other, currentUser, true) }
+      }
+    );
+
+    if (target) {
+      await ProductTicket.updateOne(
+        { _id: target._id },
+        {
+          $pull: { relationships: { ticket: ticket._id } },
+          $push: { statusHistory: this.buildHistoryEntry(target, INVERSE_TYPES[relationship.type], ticket, currentUser, true) }
+        }
+      );
+    }
+
+    return relationship;
+  }
+
+  /**
+   * Attach the linked tickets' current number, name and status to relationships
+   * Works on a batch of plain tickets with a single query
+   * @param {Array} tickets - Plain ticket objects (lean)
+   * @returns {Array} The same tickets with relationships[].linkedTicket filled in
+   */
+  async resolveLinkedTickets(tickets) {
+    const linkedIds = [...new Set(tickets.flatMap(ticket =>
+      // A sparse fieldset may leave out relationships.ticket
+      (ticket.relationships || []).filter(rel => rel.ticket).map(rel => rel.ticket.toString())
+    ))];
+    if (linkedIds.length === 0) return tickets;
+
+    const linked = await ProductTicket.find({ _id: { $in: linkedIds } }).select(SUMMARY_FIELDS).lean();
+    const linkedById = new Map(linked.map(item => [item._id.toString(), item]));
+
+    return tickets.map(ticket => ({
+      ...ticket,
+      relationships: (ticket.relationships || []).map(rel => ({
+        ...rel,
+        linkedTicket: (rel.ticket && linkedById.get(rel.ticket.toString())) || null
+      }))
+    }));
+  }
+}
+
+module.exports = new TicketRelationshipService();
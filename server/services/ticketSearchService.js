@@ -0,0 +1,274 @@
+const ProductTicket = require('../models/ProductTicket');
+
+// Facets returned with every search: query parameter → ticket field
+const FACETS = {
+  status: 'status',
+  sbu: 'sbu',
+  brand: 'brand',
+  businessLine: 'businessLine.line',
+  priority: 'priority'
+};
+
+// Fields in the ticket_full_text index, in the order highlights are picked
+const SEARCH_FIELDS = [
+  { path: 'productName', label: 'Product name' },
+  { path: 'ticketNumber', label: 'Ticket number' },
+  { path: 'internalTicketNumber', label: 'Internal number' },
+  { path: 'npdiTracking.trackingNumber', label: 'NPDI tracking number' },
+  { path: 'partNumber.baseNumber', label: 'Part number' },
+  { path: 'skuVariants.sku', label: 'SKU' },
+  { path: 'chemicalProperties.casNumber', label: 'CAS number' },
+  { path: 'chemicalProperties.synonyms', label: 'Synonym' },
+  { path: 'chemicalProperties.iupacName', label: 'IUPAC name' },
+  { path: 'vendorInformation.vendorName', label: 'Vendor' },
+  { path: 'vendorInformation.vendorProductName', label: 'Vendor product name' },
+  { path: 'corpbaseData.websiteTitle', label: 'Website title' },
+  { path: 'corpbaseData.productDescription', label: 'Product description' },
+  { path: 'corpbaseData.metaDescription', label: 'Meta description' },
+  { path: 'corpbaseData.keyFeatures', label: 'Key features' },
+  { path: 'corpbaseData.applications', label: 'Applications' },
+  { path: 'corpbaseData.technicalSpecifications', label: 'Technical specifications' },
+  { path: 'comments.content', label: 'Comment' }
+];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_HIGHLIGHTS = 3;
+// Characters of context kept on each side of the first match in long text
+const SNIPPET_CONTEXT = 60;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every string under a dotted path, flattening arrays on the way
+const getValues = (doc, path) => {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values.flatMap(value => {
+      const next = value?.[key];
+      return Array.isArray(next) ? next : [next];
+    });
+  }
+  return values.filter(value => typeof value === 'string' && value.trim());
+};
+
+class TicketSearchService {
+  /**
+   * Turn what the user typed into a $text search string
+   * Identifiers with punctuation (CAS 64-17-5, NPDI-2026-0001, part numbers) become
+   * quoted phrases, so they match exactly instead of as separate numbers
+   * @returns {Object} { search, terms } - terms are used for highlighting
+   */
+  parseQuery(q) {
+    const text = typeof q === 'string' ? q.trim() : '';
+    const parts = [];
+    const terms = [];
+
+    const tokens = text.match(/"[^"]+"|\S+/g) || [];
+    tokens.forEach(rawToken => {
+      // A stray quote mark is dropped rather than starting a phrase
+      const isPhrase = rawToken.length > 2 && rawToken.startsWith('"') && rawToken.endsWith('"');
+      const token = isPhrase ? rawToken : rawToken.replace(/"/g, '');
+      if (!token) return;
+
+      if (isPhrase) {
+        const phrase = token.slice(1, -1).trim();
+        if (phrase) {
+          parts.push(`"${phrase}"`);
+          terms.push(phrase);
+        }
+      } else if (token.startsWith('-') && token.length > 1) {
+        // Excluded word, not highlighted
+        parts.push(token);
+      } else if (/\w[^\w\s]+\w/.test(token)) {
+        parts.push(`"${token}"`);
+        terms.push(token);
+      } else {
+        const word = token.replace(/[^\w]/g, '');
+        if (word) {
+          parts.push(word);
+          terms.push(word);
+        }
+      }
+    });
+
+    return { search: parts.join(' '), terms };
+  }
+
+  /**
+   * Split text around matches of the search terms, trimmed to a snippet around the first match
+   * @returns {Object|null} { text, matches: [[start, end]] } or null when nothing matches
+   */
+  highlight(value, pattern) {
+    const text = value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    const found = [...text.matchAll(pattern)];
+    if (found.length === 0) return null;
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_CONTEXT * 3) {
+      start = Math.max(0, found[0].index - SNIPPET_CONTEXT);
+      end = Math.min(text.length, found[0].index + found[0][0].length + SNIPPET_CONTEXT * 2);
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const matches = found
+      .filter(match => match.index >= start && match.index + match[0].length <= end)
+      .map(match => [match.index - start + prefix.length, match.index - start + prefix.length + match[0].length]);
+
+    return {
+      text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+      matches
+    };
+  }
+
+  /**
+   * Fields of a ticket that matched, with match positions for the client to mark
+   * @returns {Array} [{ field, label, text, matches }]
+   */
+  getHighlights(ticket, terms) {
+    if (terms.length === 0) return [];
+    // Words match at the start of a word so that stemmed matches (pigment → pigments) still show
+    const pattern = new RegExp(terms.map(term => `\\b${escapeRegex(term)}\\w*`).join('|'), 'gi');
+
+    const highlights = [];
+    for (const field of SEARCH_FIELDS) {
+      const values = field.path === 'comments.content'
+        ? (ticket.comments || []).filter(comment => !comment.deleted).map(comment => comment.content)
+        : getValues(ticket, field.path);
+
+      for (const value of values) {
+        const highlight = this.highlight(value, pattern);
+        if (highlight) {
+          highlights.push({ field: field.path, label: field.label, ...highlight });
+          break;
+        }
+      }
+      if (highlights.length >= MAX_HIGHLIGHTS) break;
+    }
+    return highlights;
+  }
+
+  /**
+   * Ranked full-text search with facet counts
+   * Each facet is counted with the other selected facets applied but not its own,
+   * so the user can see what picking another value would give
+   * @param {Object} params - { q, page, limit, and one list per facet (status, sbu, brand, businessLine, priority) }
+   * @param {Object} baseFilter - Extra conditions every result must meet (access scope)
+   * @returns {Object} { success, statusCode, message, results, facets, pagination, query }
+   */
+  async search(params = {}, baseFilter = {}) {
+    const { search, terms } = this.parseQuery(params.q);
+    if (!search) {
+      return { success: false, statusCode: 400, message: 'A search term is required' };
+    }
+
+    const selected = {};
+    Object.keys(FACETS).forEach(key => {
+      selected[key] = toList(params[key]);
+    });
+
+    // Conditions for the selected facet values, optionally leaving one facet out
+    const facetMatch = (exclude = null) => {
+      const match = {};
+      Object.entries(FACETS).forEach(([key, field]) => {
+        if (key !== exclude && selected[key].length > 0) match[field] = { $in: selected[key] };
+      });
+      return match;
+    };
+
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const projection = {
+      score: 1,
+      status: 1,
+      priority: 1,
+      sbu: 1,
+      brand: 1,
+      'businessLine.line': 1,
+      assignedTo: 1,
+      updatedAt: 1,
+      'comments.deleted': 1
+    };
+    SEARCH_FIELDS.forEach(field => {
+      projection[field.path] = 1;
+    });
+
+    const facetPipelines = {};
+    Object.entries(FACETS).forEach(([key, field]) => {
+      facetPipelines[key] = [
+        { $match: facetMatch(key) },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: { count: -1, _id: 1 } }
+      ];
+    });
+
+    const [result] = await ProductTicket.aggregate([
+      { $match: { $text: { $search: search }, ...baseFilter } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          results: [
+            { $match: facetMatch() },
+            { $sort: { score: -1, updatedAt: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: projection }
+          ],
+          total: [
+            { $match: facetMatch() },
+            { $count: 'count' }
+          ],
+          ...facetPipelines
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const facets = {};
+    Object.keys(FACETS).forEach(key => {
+      facets[key] = result[key].map(entry => ({
+        value: entry._id,
+        count: entry.count,
+        selected: selected[key].includes(entry._id)
+      }));
+    });
+
+    return {
+      success: true,
+      query: params.q.trim(),
+      results: result.results.map(ticket => ({
+        _id: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        internalTicketNumber: ticket.internalTicketNumber,
+        productName: ticket.productName,
+        status: ticket.status,
+        priority: ticket.priority,
+        sbu: ticket.sbu,
+        brand: ticket.brand,
+        businessLine: ticket.businessLine?.line,
+        casNumber: ticket.chemicalProperties?.casNumber,
+        assignedTo: ticket.assignedTo,
+        updatedAt: ticket.updatedAt,
+        score: Math.round(ticket.score * 100) / 100,
+        highlights: this.getHighlights(ticket, terms)
+      })),
+      facets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new TicketSearchService();
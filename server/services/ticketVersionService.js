@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+const ticketHistoryService = require('./ticketHistoryService');
+
+/**
+ * Ticket Version Service
+ * Optimistic concurrency for ticket edits: the version is the last-saved time, sent to the
+ * client as a strong ETag and checked against If-Match when it saves.
+ */
+class TicketVersionService {
+  /**
+   * @param {Object} ticket - Ticket document or plain object
+   * @returns {string} Quoted ETag value
+   */
+  getVersion(ticket) {
+    return `"${new Date(ticket.updatedAt).getTime()}"`;
+  }
+
+  /**
+   * Compare an If-Match header against the ticket's current version ("*" matches any)
+   */
+  matches(ifMatch, ticket) {
+    const current = this.getVersion(ticket);
+    return ifMatch.split(',').some(tag => {
+      const value = tag.trim().replace(/^W\//, '');
+      return value === '*' || value === current;
+    });
+  }
+
+  /**
+   * 409 body for a save that would overwrite someone else's changes: every field this save
+   * would change on the server's copy, so the client can merge them and retry
+   * @param {Object} serverTicket - Plain ticket as stored
+   * @param {Object} ticket - ProductTicket document with the user's changes
+   */
+  buildConflict(serverTicket, ticket) {
+    return {
+      message: 'This ticket was changed by someone else since you opened it.',
+      error: 'Version Conflict',
+      currentVersion: this.getVersion(serverTicket),
+      conflicts: ticketHistoryService.diff(serverTicket, ticket.toObject({ depopulate: true })).map(change => ({
+        path: change.path,
+        context: change.context,
+        yourValue: change.newValue,
+        serverValue: change.oldValue
+      }))
+    };
+  }
+
+  /**
+   * A stale If-Match is only rejected when the save would change fields
+   * @param {string} ifMatch - If-Match header, if any
+   * @param {Object} before - Plain ticket as loaded
+   * @returns {Object|null} The 409 body, or null when the save may go ahead
+   */
+  checkStale(ifMatch, before, ticket) {
+    if (!ifMatch || this.matches(ifMatch, before)) return null;
+    const conflict = this.buildConflict(before, ticket);
+    return conflict.conflicts.length > 0 ? conflict : null;
+  }
+
+  /**
+   * Save a ticket edited under If-Match as a compare-and-set on the version it was loaded at,
+   * so two saves carrying the same ETag cannot both win. The condition only applies to this
+   * save; later saves of the same document (e.g. auto-assignment) are unconditional.
+   * @returns {Object|null} The 409 body when another save got there first, otherwise null
+   */
+  async saveIfUnchanged(ifMatch, ticket, before) {
+    const previousWhere = ticket.$where;
+    if (ifMatch) {
+      ticket.$where = { ...previousWhere, updatedAt: before.updatedAt };
+    }
+
+    try {
+      await ticket.save();
+      return null;
+    } catch (error) {
+      // Saves that change arrays report a missed match as a VersionError
+      const lostRace = error instanceof mongoose.Error.DocumentNotFoundError ||
+        error instanceof mongoose.Error.VersionError;
+      if (!ifMatch || !lostRace) throw error;
+
+      const current = await ProductTicket.findById(ticket._id).lean();
+      if (!current) throw error;
+      return this.buildConflict(current, ticket);
+    } finally {
+      ticket.$where = previousWhere;
+    }
+  }
+}
+
+module.exports = new TicketVersionService();
@@ -0,0 +1,203 @@
+const Workflow = require('../models/Workflow');
+const TicketTemplate = require('../models/TicketTemplate');
+const { getNestedValue, isFieldEmpty, getFieldLabel } = require('../utils/submissionValidator');
+const approvalService = require('./approvalService');
+const revisionService = require('./revisionService');
+
+class WorkflowService {
+  /**
+   * Resolve the workflow that governs a ticket
+   * Uses the workflow linked to the ticket's template, falling back to the default workflow
+   * @param {Object} ticket - Ticket document or plain object (only `template` is read)
+   * @returns {Object} { workflow, template }
+   */
+  async getWorkflowForTicket(ticket) {
+    const templateId = ticket?.template?._id || ticket?.template;
+    return this.getWorkflowForTemplate(templateId);
+  }
+
+  /**
+   * Resolve the workflow linked to a template
+   * @param {string|ObjectId} templateId - TicketTemplate ID (optional)
+   * @returns {Object} { workflow, template }
+   */
+  async getWorkflowForTemplate(templateId) {
+    let template = null;
+    let workflow = null;
+
+    if (templateId) {
+      template = await TicketTemplate.findById(templateId).populate('formConfiguration');
+
+      if (template?.workflow) {
+        workflow = await Workflow.findOne({ _id: template.workflow, isActive: true });
+
+        if (!workflow) {
+          console.warn(`Workflow ${template.workflow} for template ${templateId} is inactive or missing, using default workflow`);
+        }
+      }
+    }
+
+    if (!workflow) {
+      workflow = await Workflow.getDefaultWorkflow();
+    }
+
+    return { workflow, template };
+  }
+
+  /**
+   * Get the status keys that archive a ticket across all active workflows
+   * @returns {string[]} Terminal state keys (e.g., ['COMPLETED', 'CANCELED'])
+   */
+  async getTerminalStates() {
+    await Workflow.getDefaultWorkflow();
+    const workflows = await Workflow.find({ isActive: true }).select('states').lean();
+
+    const terminalStates = new Set();
+    workflows.forEach(workflow => {
+      (workflow.states || [])
+        .filter(state => state.isTerminal)
+        .forEach(state => terminalStates.add(state.key));
+    });
+
+    return [...terminalStates];
+  }
+
+  /**
+   * List the fields required by a transition that are still empty on the ticket
+   * @param {Object} ticketData - Plain ticket object
+   * @param {Object} transition - Workflow transition
+   * @param {Object} template - Template (with populated formConfiguration) for field labels
+   * @returns {Array} [{ fieldKey, fieldLabel }]
+   */
+  getMissingFields(ticketData, transition, template) {
+    return (transition.requiredFields || [])
+      .filter(fieldKey => isFieldEmpty(getNestedValue(ticketData, fieldKey)))
+      .map(fieldKey => ({
+        fieldKey,
+        fieldLabel: getFieldLabel(template?.formConfiguration, fieldKey) || fieldKey
+      }));
+  }
+
+  /**
+   * Get the transitions a role may perform from the ticket's current status
+   * @param {Object} ticketData - Plain ticket object
+   * @param {string} role - Role code (PRODUCT_MANAGER, PM_OPS, ADMIN)
+   * @returns {Object} { workflow, currentState, transitions }
+   */
+  async getAvailableTransitions(ticketData, role) {
+    const { workflow, template } = await this.getWorkflowForTicket(ticketData);
+    const approvalSettings = await approvalService.getSettings();
+
+    const transitions = workflow.getTransitionsFrom(ticketData.status, role).map(transition => {
+      const missingFields = this.getMissingFields(ticketData, transition, template);
+      const pendingApprovals = approvalSettings?.requiredForStatus === transition.to
+        ? approvalService.getState(ticketData, approvalSettings).pendingStages.map(stage => ({ key: stage.key, label: stage.label, status: stage.status }))
+        : [];
+      const revisionItems = revisionService.checkTransition(ticketData, transition.to)?.openRevisionItems || [];
+      const targetState = workflow.getState(transition.to);
+
+      return {
+        from: transition.from,
+        to: transition.to,
+        label: transition.label,
+        toLabel: targetState?.label || transition.to,
+        requireReason: transition.requireReason,
+        requiredFields: transition.requiredFields,
+        missingFields,
+        pendingApprovals,
+        openRevisionItems: revisionItems,
+        ready: missingFields.length === 0 && pendingApprovals.length === 0 && revisionItems.length === 0
+      };
+    });
+
+    return {
+      workflow: {
+        _id: workflow._id,
+        name: workflow.name,
+        initialState: workflow.initialState,
+        states: workflow.states
+      },
+      currentState: workflow.getState(ticketData.status),
+      transitions
+    };
+  }
+
+  /**
+   * Check whether a status transition is allowed by the ticket's workflow
+   * @param {Object} ticketData - Plain ticket object holding the values the transition will be saved with
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @param {string} role - Role code of the user performing the transition
+   * @param {Object} options - { reason }
+   * @returns {Object} { isValid, statusCode, message, error, missingFields, transition }
+   */
+  async validateTransition(ticketData, fromStatus, toStatus, role, { reason } = {}) {
+    const { workflow, template } = await this.getWorkflowForTicket(ticketData);
+
+    if (!workflow.getState(toStatus)) {
+      return {
+        isValid: false,
+        statusCode: 400,
+        error: 'Invalid Status',
+        message: `Status "${toStatus}" is not defined in workflow "${workflow.name}"`
+      };
+    }
+
+    const transition = workflow.getTransition(fromStatus, toStatus);
+
+    if (!transition) {
+      return {
+        isValid: false,
+        statusCode: 400,
+        error: 'Invalid Transition',
+        message: `Cannot move ticket from ${fromStatus} to ${toStatus}`,
+        allowedTargets: workflow.getTransitionsFrom(fromStatus, role).map(t => t.to)
+      };
+    }
+
+    if (!transition.allowedRoles.includes(role)) {
+      return {
+        isValid: false,
+        statusCode: 403,
+        error: 'Transition Not Permitted',
+        message: `Your role is not permitted to perform "${transition.label}" (${fromStatus} → ${toStatus})`
+      };
+    }
+
+    if (transition.requireReason && (!reason || reason.trim() === '')) {
+      return {
+        isValid: false,
+        statusCode: 400,
+        error: 'Reason Required',
+        message: `A reason is required to perform "${transition.label}"`
+      };
+    }
+
+    const missingFields = this.getMissingFields(ticketData, transition, template);
+    if (missingFields.length > 0) {
+      return {
+        isValid: false,
+        statusCode: 400,
+        error: 'Transition Requirements Not Met',
+        message: `Cannot perform "${transition.label}": required fields are missing`,
+        missingFields
+      };
+    }
+
+    // A ticket returned for revision cannot be resubmitted until its checklist is resolved
+    const revisionCheck = revisionService.checkTransition(ticketData, toStatus);
+    if (revisionCheck) {
+      return revisionCheck;
+    }
+
+    // Configured approval stages must all be signed off before the approval-gated status
+    const approvalCheck = await approvalService.checkTransition(ticketData, toStatus);
+    if (approvalCheck) {
+      return approvalCheck;
+    }
+
+    return { isValid: true, transition };
+  }
+}
+
+module.exports = new WorkflowService();
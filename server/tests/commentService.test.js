@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ProductTicket = require('../models/ProductTicket');
+const commentService = require('../services/commentService');
+
+const author = { firstName: 'Jane', lastName: 'Doe', email: 'jane.doe@example.com', role: 'PRODUCT_MANAGER' };
+
+describe('commentService.deleteComment', () => {
+  it('removes the text, edit history and history excerpt', async () => {
+    const ticket = new ProductTicket({ productName: 'Ascorbic Acid', sbu: 'P90', status: 'DRAFT' });
+    const { comment } = await commentService.addComment(ticket, { content: 'Supplier price is 12.50 per kg' }, author);
+    await commentService.editComment(ticket, comment._id, { content: 'Supplier price is 13.00 per kg' }, author);
+
+    const result = commentService.deleteComment(ticket, comment._id, author, 'PRODUCT_MANAGER');
+
+    assert.equal(result.success, true);
+    assert.equal(comment.content, '[deleted]');
+    assert.equal(comment.editHistory.length, 0);
+    assert.deepEqual(result.removedContents, ['Supplier price is 13.00 per kg', 'Supplier price is 12.50 per kg']);
+
+    const entry = ticket.statusHistory.find(item => item.action === 'COMMENT_ADDED');
+    assert.equal(entry.reason, 'Comment added by Jane Doe (since deleted)');
+    assert.doesNotMatch(JSON.stringify(ticket.toObject()), /Supplier price/);
+  });
+
+  it('only lets the author or an admin delete', async () => {
+    const ticket = new ProductTicket({ productName: 'Ascorbic Acid', sbu: 'P90', status: 'DRAFT' });
+    const { comment } = await commentService.addComment(ticket, { content: 'Looks good' }, author);
+    const other = { ...author, email: 'someone@example.com' };
+
+    assert.equal(commentService.deleteComment(ticket, comment._id, other, 'PM_OPS').statusCode, 403);
+    assert.equal(commentService.deleteComment(ticket, comment._id, other, 'ADMIN').success, true);
+    assert.equal(commentService.deleteComment(ticket, comment._id, other, 'ADMIN').statusCode, 404);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const numberingService = require('../services/numberingService');
+
+const numbering = {
+  defaultPattern: { prefix: 'NPDI', includeYear: true, padding: 4, resetYearly: true },
+  patterns: [
+    { scope: 'SBU', value: '775', prefix: 'ELEC', includeYear: false, padding: 5, resetYearly: false },
+    { scope: 'TEMPLATE', value: '0123456789abcdef01234567', prefix: 'CUST', includeYear: true, padding: 3, resetYearly: false }
+  ]
+};
+
+describe('numberingService.getPattern', () => {
+  it('prefers a template pattern over an SBU pattern over the default', () => {
+    assert.equal(numberingService.getPattern(numbering, { sbu: '775', template: '0123456789abcdef01234567' }).prefix, 'CUST');
+    assert.equal(numberingService.getPattern(numbering, { sbu: '775', template: { _id: 'other' } }).prefix, 'ELEC');
+    assert.equal(numberingService.getPattern(numbering, { sbu: 'P90' }).prefix, 'NPDI');
+  });
+
+  it('accepts a populated template', () => {
+    const template = { _id: { toString: () => '0123456789abcdef01234567' } };
+    assert.equal(numberingService.getPattern(numbering, { template }).prefix, 'CUST');
+  });
+
+  it('falls back to NPDI-YYYY-0000 without settings', () => {
+    assert.deepEqual(numberingService.getPattern(undefined), {
+      prefix: 'NPDI', includeYear: true, padding: 4, resetYearly: true
+    });
+  });
+});
+
+describe('numberingService.formatNumber', () => {
+  it('pads the sequence and includes the year when the pattern does', () => {
+    const pattern = numberingService.getPattern(numbering, { sbu: 'P90' });
+    assert.equal(numberingService.formatNumber(pattern, 7, 2026), 'NPDI-2026-0007');
+
+    const elec = numberingService.getPattern(numbering, { sbu: '775' });
+    assert.equal(numberingService.formatNumber(elec, 42, 2026), 'ELEC-00042');
+  });
+
+  it('does not truncate sequences longer than the padding', () => {
+    const pattern = numberingService.getPattern(numbering, { template: '0123456789abcdef01234567' });
+    assert.equal(numberingService.formatNumber(pattern, 12345, 2026), 'CUST-2026-12345');
+  });
+});
+
+describe('numberingService.getCounterKey', () => {
+  it('uses one counter per year only when the pattern resets yearly', () => {
+    const yearly = numberingService.getPattern(numbering, { sbu: 'P90' });
+    assert.equal(numberingService.getCounterKey(yearly, 2026), 'NPDI-2026');
+    assert.equal(numberingService.getCounterKey(yearly, 2027), 'NPDI-2027');
+
+    const continuous = numberingService.getPattern(numbering, { template: '0123456789abcdef01234567' });
+    assert.equal(numberingService.getCounterKey(continuous, 2026), 'CUST');
+    assert.equal(numberingService.getCounterKey(continuous, 2027), 'CUST');
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+const ticketHistoryService = require('../services/ticketHistoryService');
+
+describe('ticketHistoryService.diff', () => {
+  it('records changed fields by path, including nested ones', () => {
+    const changes = ticketHistoryService.diff(
+      { productName: 'Ascorbic Acid', chemicalProperties: { casNumber: '50-81-7', molecularWeight: 176.12 } },
+      { productName: 'L-Ascorbic Acid', chemicalProperties: { casNumber: '50-81-7', molecularWeight: 176.13 } }
+    );
+
+    assert.deepEqual(changes, [
+      { path: 'productName', context: undefined, oldValue: 'Ascorbic Acid', newValue: 'L-Ascorbic Acid' },
+      { path: 'chemicalProperties.molecularWeight', context: undefined, oldValue: 176.12, newValue: 176.13 }
+    ]);
+  });
+
+  it('treats empty values as equal and ignores bookkeeping and log fields', () => {
+    const id = new mongoose.Types.ObjectId();
+    const changes = ticketHistoryService.diff(
+      { brand: '', chemicalProperties: { synonyms: [] }, statusHistory: [], updatedAt: new Date(1), __v: 1, skuVariants: [{ _id: id, sku: 'A' }] },
+      { brand: null, chemicalProperties: {}, statusHistory: [{ status: 'SUBMITTED' }], updatedAt: new Date(2), __v: 2, skuVariants: [{ _id: new mongoose.Types.ObjectId(), sku: 'A' }] }
+    );
+
+    assert.deepEqual(changes, []);
+  });
+
+  it('compares dates and ids by value', () => {
+    const id = '0123456789abcdef01234567';
+    const changes = ticketHistoryService.diff(
+      { launchTimeline: { targetLaunchDate: new Date('2026-03-01') }, owner: new mongoose.Types.ObjectId(id) },
+      { launchTimeline: { targetLaunchDate: new Date('2026-03-01') }, owner: new mongoose.Types.ObjectId(id) }
+    );
+
+    assert.deepEqual(changes, []);
+  });
+
+  it('diffs same-length arrays item by item, labelled by their key field', () => {
+    const changes = ticketHistoryService.diff(
+      { skuVariants: [{ sku: 'A-100G', pricing: { listPrice: 10 } }, { sku: 'A-1KG', pricing: { listPrice: 50 } }] },
+      { skuVariants: [{ sku: 'A-100G', pricing: { listPrice: 10 } }, { sku: 'A-1KG', pricing: { listPrice: 55 } }] }
+    );
+
+    assert.deepEqual(changes, [
+      { path: 'skuVariants.1.pricing.listPrice', context: 'skuVariants[A-1KG].pricing.listPrice', oldValue: 50, newValue: 55 }
+    ]);
+  });
+
+  it('records an added or removed item as a change to the whole array', () => {
+    const before = { skuVariants: [{ sku: 'A-100G' }] };
+    const after = { skuVariants: [{ sku: 'A-100G' }, { sku: 'A-1KG' }] };
+
+    assert.deepEqual(ticketHistoryService.diff(before, after), [
+      { path: 'skuVariants', context: undefined, oldValue: before.skuVariants, newValue: after.skuVariants }
+    ]);
+  });
+});
+
+describe('ticketHistoryService.applyRevert', () => {
+  const buildTicket = () => new ProductTicket({
+    productName: 'L-Ascorbic Acid',
+    sbu: 'P90',
+    status: 'IN_PROCESS',
+    chemicalProperties: { casNumber: '50-81-7' }
+  });
+
+  it('restores old values that have not changed since the edit', () => {
+    const ticket = buildTicket();
+    const result = ticketHistoryService.applyRevert(ticket, {
+      changes: [{ path: 'productName', oldValue: 'Ascorbic Acid', newValue: 'L-Ascorbic Acid' }]
+    });
+
+    assert.deepEqual(result, { reverted: ['productName'], conflicts: [], skipped: [] });
+    assert.equal(ticket.productName, 'Ascorbic Acid');
+  });
+
+  it('reports fields changed again since the edit as conflicts unless forced', () => {
+    const change = { changes: [{ path: 'productName', oldValue: 'Ascorbic Acid', newValue: 'Vitamin C' }] };
+
+    const ticket = buildTicket();
+    const result = ticketHistoryService.applyRevert(ticket, change);
+    assert.deepEqual(result.conflicts, [
+      { path: 'productName', context: undefined, currentValue: 'L-Ascorbic Acid', expectedValue: 'Vitamin C' }
+    ]);
+    assert.equal(ticket.productName, 'L-Ascorbic Acid');
+
+    const forced = ticketHistoryService.applyRevert(ticket, change, { force: true });
+    assert.deepEqual(forced.reverted, ['productName']);
+    assert.equal(ticket.productName, 'Ascorbic Acid');
+  });
+
+  it('skips fields with their own flows and paths not asked for', () => {
+    const ticket = buildTicket();
+    const result = ticketHistoryService.applyRevert(ticket, {
+      changes: [
+        { path: 'status', oldValue: 'SUBMITTED', newValue: 'IN_PROCESS' },
+        { path: 'chemicalProperties.casNumber', oldValue: '50-81-8', newValue: '50-81-7' },
+        { path: 'productName', oldValue: 'Ascorbic Acid', newValue: 'L-Ascorbic Acid' }
+      ]
+    }, { paths: ['status', 'chemicalProperties.casNumber'] });
+
+    assert.deepEqual(result, { reverted: ['chemicalProperties.casNumber'], conflicts: [], skipped: ['status'] });
+    assert.equal(ticket.status, 'IN_PROCESS');
+    assert.equal(ticket.productName, 'L-Ascorbic Acid');
+  });
+});
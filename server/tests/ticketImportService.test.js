@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const ticketImportService = require('../services/ticketImportService');
+
+const headerMap = new Map([
+  ['product name', { field: 'productName', parse: null }],
+  ['launch date', { field: 'launchTimeline.targetLaunchDate', parse: (value) => new Date(value) }]
+]);
+
+const buildSheet = (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Tickets');
+  rows.forEach(row => sheet.addRow(row));
+  return workbook;
+};
+
+describe('ticketImportService.resolveFlatHeader', () => {
+  it('matches PIF labels ignoring case and surrounding spaces', () => {
+    assert.equal(ticketImportService.resolveFlatHeader('  Product NAME ', headerMap).field, 'productName');
+    assert.equal(ticketImportService.resolveFlatHeader('Launch Date', headerMap).field, 'launchTimeline.targetLaunchDate');
+  });
+
+  it('accepts dot-notated schema fields', () => {
+    assert.deepEqual(ticketImportService.resolveFlatHeader('chemicalProperties.casNumber', headerMap), {
+      field: 'chemicalProperties.casNumber',
+      parse: null
+    });
+  });
+
+  it('splits list fields on semicolons and new lines', () => {
+    const column = ticketImportService.resolveFlatHeader('chemicalProperties.synonyms', headerMap);
+
+    assert.equal(column.field, 'chemicalProperties.synonyms');
+    assert.deepEqual(column.parse('Vitamin C; ascorbate\nE300;'), ['Vitamin C', 'ascorbate', 'E300']);
+  });
+
+  it('never maps protected fields', () => {
+    [
+      'status', 'ticketNumber', 'createdBy', 'assignedTo', 'watchers', 'approvals', 'approvalRoundStartedAt',
+      'revisionRequests', 'sla.state', 'partNumber.baseNumber', 'createdAt'
+    ].forEach(header => {
+      assert.equal(ticketImportService.resolveFlatHeader(header, headerMap), null, header);
+    });
+  });
+
+  it('skips unknown fields, arrays of subdocuments and empty headers', () => {
+    assert.equal(ticketImportService.resolveFlatHeader('notAField', headerMap), null);
+    assert.equal(ticketImportService.resolveFlatHeader('chemicalProperties.notAField', headerMap), null);
+    assert.equal(ticketImportService.resolveFlatHeader('skuVariants', headerMap), null);
+    assert.equal(ticketImportService.resolveFlatHeader('   ', headerMap), null);
+  });
+});
+
+describe('ticketImportService.parseFlat', () => {
+  it('reads mapped columns and reports protected ones as unmapped', async () => {
+    const workbook = buildSheet([
+      ['Product Name', 'chemicalProperties.casNumber', 'watchers', 'status'],
+      ['Ascorbic Acid', '50-81-7', 'someone@example.com', 'COMPLETED'],
+      [null, null, null, null],
+      ['Citric Acid', '77-92-9', null, null]
+    ]);
+
+    const { rows, unmappedColumns } = await ticketImportService.parseFlat(workbook);
+
+    assert.deepEqual(unmappedColumns, ['watchers', 'status']);
+    assert.deepEqual(rows, [
+      { row: 2, data: { productName: 'Ascorbic Acid', chemicalProperties: { casNumber: '50-81-7' } } },
+      { row: 4, data: { productName: 'Citric Acid', chemicalProperties: { casNumber: '77-92-9' } } }
+    ]);
+  });
+});
+
+describe('ticketImportService.prepareTicketData', () => {
+  it('imports every row as a draft', () => {
+    const ticketData = ticketImportService.prepareTicketData({
+      productName: 'Ascorbic Acid',
+      status: 'COMPLETED',
+      chemicalProperties: { casNumber: 50817 }
+    });
+
+    assert.equal(ticketData.status, 'DRAFT');
+    assert.equal(ticketData.chemicalProperties.casNumber, '50817');
+  });
+});
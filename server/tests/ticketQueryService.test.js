@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ticketQueryService = require('../services/ticketQueryService');
+
+describe('ticketQueryService.compile', () => {
+  it('compiles comparisons, lists and exists on schema fields', () => {
+    const result = ticketQueryService.compile(
+      "status in ('SUBMITTED', 'IN_PROCESS') AND skuVariants.pricing.listPrice > 100 AND partNumber.baseNumber exists"
+    );
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.filter, {
+      $and: [
+        { status: { $in: ['SUBMITTED', 'IN_PROCESS'] } },
+        { 'skuVariants.pricing.listPrice': { $gt: 100 } },
+        { 'partNumber.baseNumber': { $exists: true, $ne: null } }
+      ]
+    });
+  });
+
+  it('compiles OR, NOT and NOT IN', () => {
+    const result = ticketQueryService.compile("NOT (sbu = '775' OR priority not in (LOW, MEDIUM))");
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.filter, {
+      $nor: [{ $or: [{ sbu: '775' }, { priority: { $nin: ['LOW', 'MEDIUM'] } }] }]
+    });
+  });
+
+  it('casts values to the field type', () => {
+    const result = ticketQueryService.compile('createdAt >= 2026-01-01 AND createdByUser = 0123456789abcdef01234567');
+
+    assert.equal(result.success, true);
+    const [date, id] = result.filter.$and;
+    assert.deepEqual(date.createdAt.$gte, new Date('2026-01-01'));
+    assert.ok(id.createdByUser instanceof mongoose.Types.ObjectId);
+    assert.equal(id.createdByUser.toString(), '0123456789abcdef01234567');
+  });
+
+  it('rejects fields that are not in the ticket schema', () => {
+    const result = ticketQueryService.compile("status = 'DRAFT' AND secretField = 1");
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 400);
+    assert.match(result.message, /Unknown field 'secretField'/);
+    assert.equal(result.position, 21);
+  });
+
+  it('rejects MongoDB operators and paths into scalar fields', () => {
+    assert.equal(ticketQueryService.compile("$where = 'sleep(1000)'").success, false);
+    assert.equal(ticketQueryService.compile("status.$ne = 'DRAFT'").success, false);
+    assert.match(ticketQueryService.compile("status.length = 5").message, /Unknown field 'status.length'/);
+  });
+
+  it('only allows exists on subdocuments', () => {
+    const result = ticketQueryService.compile("chemicalProperties = 'x'");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /can only be used with exists/);
+    assert.equal(ticketQueryService.compile('chemicalProperties exists').success, true);
+  });
+
+  it('rejects range operators on text and values of the wrong type', () => {
+    assert.match(ticketQueryService.compile("productName > 'A'").message, /compares numbers and dates/);
+    assert.match(ticketQueryService.compile("skuVariants.pricing.listPrice = 'cheap'").message, /Expected a number/);
+    assert.match(ticketQueryService.compile('createdAt < NULL').message, /Expected a date/);
+  });
+
+  it('reports syntax errors with a position and pointer', () => {
+    const result = ticketQueryService.compile("status = 'DRAFT' AND (priority = HIGH");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /at position \d+$/);
+    assert.ok(result.pointer.endsWith('^'));
+  });
+
+  it('rejects empty and oversized expressions', () => {
+    assert.equal(ticketQueryService.compile('').success, false);
+    assert.equal(ticketQueryService.compile(`status = '${'x'.repeat(2000)}'`).success, false);
+  });
+
+  it('does not cache unknown fields', () => {
+    const path = `unknownField${Date.now()}`;
+    ticketQueryService.compile(`${path} = 1`);
+
+    assert.equal(ticketQueryService.fieldCache.has(path), false);
+  });
+});
+
+describe('ticketQueryService.compileFilters', () => {
+  it('builds exact matches on schema fields', () => {
+    const result = ticketQueryService.compileFilters({ status: ['DRAFT', 'SUBMITTED'], sbu: '775' });
+
+    assert.deepEqual(result, { success: true, filter: { status: { $in: ['DRAFT', 'SUBMITTED'] }, sbu: '775' } });
+  });
+
+  it('rejects unknown fields and operator objects', () => {
+    assert.match(ticketQueryService.compileFilters({ secretField: 'x' }).message, /Unknown filter field/);
+    assert.match(ticketQueryService.compileFilters({ status: { $ne: 'DRAFT' } }).message, /values must be strings/);
+  });
+});
+
+describe('ticketQueryService.compileSort and compileFields', () => {
+  it('compiles sort fields with an _id tie-breaker', () => {
+    assert.deepEqual(ticketQueryService.compileSort('-updatedAt,productName'), {
+      success: true,
+      sort: { updatedAt: -1, productName: 1, _id: 1 }
+    });
+    assert.equal(ticketQueryService.compileSort('secretField').success, false);
+  });
+
+  it('keeps the parent when a parent and child are both projected', () => {
+    assert.deepEqual(ticketQueryService.compileFields('ticketNumber,chemicalProperties,chemicalProperties.casNumber'), {
+      success: true,
+      projection: { ticketNumber: 1, chemicalProperties: 1 }
+    });
+    assert.equal(ticketQueryService.compileFields('ticketNumber,secretField').success, false);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+const ticketRelationshipService = require('../services/ticketRelationshipService');
+
+const currentUser = { firstName: 'Jane', lastName: 'Doe', email: 'jane.doe@example.com', role: 'PM_OPS' };
+
+const loadTicket = (ticketNumber) => ProductTicket.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  ticketNumber,
+  productName: 'Ascorbic Acid',
+  sbu: 'P90',
+  status: 'DRAFT',
+  relationships: []
+});
+
+describe('ticketRelationshipService.link', () => {
+  let ticket;
+  let target;
+  let updates;
+  let sourceMatched;
+
+  beforeEach(() => {
+    ticket = loadTicket('NPDI-2026-0001');
+    target = loadTicket('NPDI-2026-0002');
+    updates = [];
+    sourceMatched = 1;
+    mock.method(ticketRelationshipService, 'findTarget', async () => target);
+    mock.method(ProductTicket, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      const matchedCount = filter._id.equals(ticket._id) ? sourceMatched : 1;
+      return { acknowledged: true, matchedCount, modifiedCount: matchedCount };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('writes the relationship and its inverse, each only if the pair is not linked yet', async () => {
+    const result = await ticketRelationshipService.link(ticket, { type: 'PARENT', ticketId: target._id }, currentUser);
+
+    assert.equal(result.success, true);
+    assert.equal(updates.length, 2);
+    assert.deepEqual(updates[0].filter['relationships.ticket'], { $ne: target._id });
+    assert.deepEqual(updates[1].filter['relationships.ticket'], { $ne: ticket._id });
+    assert.equal(updates[1].update.$push.relationships.type, 'CHILD');
+  });
+
+  it('returns 409 without touching the linked ticket when a concurrent link got there first', async () => {
+    sourceMatched = 0;
+
+    const result = await ticketRelationshipService.link(ticket, { type: 'RELATED', ticketId: target._id }, currentUser);
+
+    assert.equal(result.statusCode, 409);
+    assert.equal(updates.length, 1);
+  });
+});
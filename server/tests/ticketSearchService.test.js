@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ticketSearchService = require('../services/ticketSearchService');
+
+describe('ticketSearchService.parseQuery', () => {
+  it('keeps plain words as search terms', () => {
+    assert.deepEqual(ticketSearchService.parseQuery('  ascorbic   acid '), {
+      search: 'ascorbic acid',
+      terms: ['ascorbic', 'acid']
+    });
+  });
+
+  it('quotes identifiers with punctuation so they match exactly', () => {
+    assert.deepEqual(ticketSearchService.parseQuery('64-17-5 NPDI-2026-0001'), {
+      search: '"64-17-5" "NPDI-2026-0001"',
+      terms: ['64-17-5', 'NPDI-2026-0001']
+    });
+  });
+
+  it('keeps quoted phrases and excluded words', () => {
+    assert.deepEqual(ticketSearchService.parseQuery('"sodium chloride" -solution'), {
+      search: '"sodium chloride" -solution',
+      terms: ['sodium chloride']
+    });
+  });
+
+  it('drops stray quote marks and punctuation', () => {
+    assert.deepEqual(ticketSearchService.parseQuery('ethanol" acid, " -'), {
+      search: 'ethanol acid',
+      terms: ['ethanol', 'acid']
+    });
+  });
+
+  it('returns an empty search for blank or non-string input', () => {
+    assert.deepEqual(ticketSearchService.parseQuery('   '), { search: '', terms: [] });
+    assert.deepEqual(ticketSearchService.parseQuery({ $ne: '' }), { search: '', terms: [] });
+  });
+});
+
+describe('ticketSearchService.getHighlights', () => {
+  it('marks word-prefix matches and skips deleted comments', () => {
+    const highlights = ticketSearchService.getHighlights({
+      productName: 'Titanium dioxide pigments',
+      comments: [{ content: 'pigment grade confirmed', deleted: true }]
+    }, ['pigment']);
+
+    assert.deepEqual(highlights, [
+      { field: 'productName', label: 'Product name', text: 'Titanium dioxide pigments', matches: [[17, 25]] }
+    ]);
+  });
+
+  it('escapes regex characters in terms', () => {
+    const highlights = ticketSearchService.getHighlights({ ticketNumber: 'NPDI-2026-0001' }, ['NPDI-2026-0001', '(']);
+
+    assert.equal(highlights.length, 1);
+    assert.deepEqual(highlights[0].matches, [[0, 14]]);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ProductTicket = require('../models/ProductTicket');
+const ticketVersionService = require('../services/ticketVersionService');
+
+const loadTicket = () => ProductTicket.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  productName: 'Ascorbic Acid',
+  sbu: 'P90',
+  status: 'DRAFT',
+  updatedAt: new Date('2026-03-01T10:00:00Z')
+});
+
+describe('ticketVersionService.matches', () => {
+  const ticket = { updatedAt: new Date('2026-03-01T10:00:00Z') };
+
+  it('accepts the current version, weak tags and *', () => {
+    const version = ticketVersionService.getVersion(ticket);
+    assert.equal(ticketVersionService.matches(version, ticket), true);
+    assert.equal(ticketVersionService.matches(`W/${version}`, ticket), true);
+    assert.equal(ticketVersionService.matches('"1", *', ticket), true);
+    assert.equal(ticketVersionService.matches('"1"', ticket), false);
+  });
+});
+
+describe('ticketVersionService.saveIfUnchanged', () => {
+  let filters;
+  let matchedCount;
+
+  beforeEach(() => {
+    filters = [];
+    matchedCount = 1;
+    mock.method(ProductTicket.collection, 'updateOne', async (filter) => {
+      filters.push(filter);
+      return { acknowledged: true, matchedCount, modifiedCount: matchedCount };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('makes only the conditional save depend on the loaded version', async () => {
+    const ticket = loadTicket();
+    const before = ticket.toObject();
+
+    ticket.productName = 'L-Ascorbic Acid';
+    assert.equal(await ticketVersionService.saveIfUnchanged('"1"', ticket, before), null);
+
+    // A later save of the same document, e.g. auto-assignment after a submit
+    ticket.assignedTo = 'ops@example.com';
+    await ticket.save();
+
+    assert.equal(filters.length, 2);
+    assert.deepEqual(filters[0].updatedAt, before.updatedAt);
+    assert.equal('updatedAt' in filters[1], false);
+    assert.equal(ticket.$where, undefined);
+  });
+
+  it('saves unconditionally without If-Match', async () => {
+    const ticket = loadTicket();
+    const before = ticket.toObject();
+
+    ticket.productName = 'L-Ascorbic Acid';
+    assert.equal(await ticketVersionService.saveIfUnchanged(undefined, ticket, before), null);
+    assert.equal('updatedAt' in filters[0], false);
+  });
+
+  it('returns a version conflict when another save got there first', async () => {
+    const ticket = loadTicket();
+    const before = ticket.toObject();
+    const current = { ...before, productName: 'Vitamin C', updatedAt: new Date('2026-03-01T10:05:00Z') };
+    mock.method(ProductTicket, 'findById', () => ({ lean: async () => current }));
+
+    matchedCount = 0;
+    ticket.productName = 'L-Ascorbic Acid';
+    const conflict = await ticketVersionService.saveIfUnchanged('"1"', ticket, before);
+
+    assert.equal(conflict.error, 'Version Conflict');
+    assert.equal(conflict.currentVersion, ticketVersionService.getVersion(current));
+    assert.deepEqual(conflict.conflicts, [
+      { path: 'productName', context: undefined, yourValue: 'L-Ascorbic Acid', serverValue: 'Vitamin C' }
+    ]);
+    assert.equal(ticket.$where, undefined);
+  });
+});
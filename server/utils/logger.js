@@ -146,11 +146,12 @@ class Logger {
     );
     const msToMidnight = night.getTime() - now.getTime();
 
+    // Unref'd so the schedule alone doesn't keep scripts and tests running
     setTimeout(() => {
       this.cleanOldLogs();
       // Schedule for next day
       this.scheduleLogRotation();
-    }, msToMidnight);
+    }, msToMidnight).unref();
   }
 
   /**